@@ -31,9 +31,87 @@ const FUNCTION_CODES = {
     WRITE_SINGLE_COIL: 0x05,
     WRITE_SINGLE_REGISTER: 0x06,
     WRITE_MULTIPLE_COILS: 0x0F,
-    WRITE_MULTIPLE_REGISTERS: 0x10
+    WRITE_MULTIPLE_REGISTERS: 0x10,
+    DIAGNOSTICS: 0x08,
+    GET_COMM_EVENT_COUNTER: 0x0B,
+    GET_COMM_EVENT_LOG: 0x0C,
+    REPORT_SERVER_ID: 0x11,
+    READ_FILE_RECORD: 0x14,
+    WRITE_FILE_RECORD: 0x15,
+    MASK_WRITE_REGISTER: 0x16,
+    READ_WRITE_MULTIPLE_REGISTERS: 0x17,
+    READ_FIFO_QUEUE: 0x18,
+    ENCAPSULATED_INTERFACE: 0x2B
 };
 
+const FUNCTION_NAMES = {
+    0x01: 'Read Coils',
+    0x02: 'Read Discrete Inputs',
+    0x03: 'Read Holding Registers',
+    0x04: 'Read Input Registers',
+    0x05: 'Write Single Coil',
+    0x06: 'Write Single Register',
+    0x08: 'Diagnostics',
+    0x0B: 'Get Comm Event Counter',
+    0x0C: 'Get Comm Event Log',
+    0x0F: 'Write Multiple Coils',
+    0x10: 'Write Multiple Registers',
+    0x11: 'Report Server ID',
+    0x14: 'Read File Record',
+    0x15: 'Write File Record',
+    0x16: 'Mask Write Register',
+    0x17: 'Read/Write Multiple Registers',
+    0x18: 'Read FIFO Queue',
+    0x2B: 'Read Device Identification'
+};
+
+// FC43 MEI type 14 - Read Device Identification
+const MEI_READ_DEVICE_ID = 0x0E;
+
+// Read Device ID codes 1-3 stream a whole category, 4 reads a single object
+const DEVICE_ID_LEVELS = {
+    1: { name: 'Basic', firstObject: 0x00, lastObject: 0x02 },
+    2: { name: 'Regular', firstObject: 0x03, lastObject: 0x7F },
+    3: { name: 'Extended', firstObject: 0x80, lastObject: 0xFF }
+};
+
+const DEVICE_ID_OBJECTS = {
+    0x00: 'Vendor Name',
+    0x01: 'Product Code',
+    0x02: 'Revision',
+    0x03: 'Vendor URL',
+    0x04: 'Product Name',
+    0x05: 'Model Name',
+    0x06: 'User Application Name'
+};
+
+// FC08 sub-functions
+const DIAGNOSTIC_SUBFUNCTIONS = {
+    RETURN_QUERY_DATA: 0x00,
+    RESTART_COMMUNICATIONS: 0x01,
+    CLEAR_COUNTERS: 0x0A,
+    BUS_MESSAGE_COUNT: 0x0B,
+    BUS_CRC_ERROR_COUNT: 0x0C,
+    BUS_EXCEPTION_COUNT: 0x0D,
+    SLAVE_MESSAGE_COUNT: 0x0E,
+    SLAVE_NO_RESPONSE_COUNT: 0x0F,
+    BUS_OVERRUN_COUNT: 0x12
+};
+
+// Counters shown in the diagnostics panel, in display order.
+// The loopback simulator has no UART, so it always reports 0 character overruns.
+const DIAGNOSTIC_COUNTERS = [
+    { subFunction: DIAGNOSTIC_SUBFUNCTIONS.BUS_MESSAGE_COUNT, label: 'Bus messages' },
+    { subFunction: DIAGNOSTIC_SUBFUNCTIONS.BUS_CRC_ERROR_COUNT, label: 'CRC errors' },
+    { subFunction: DIAGNOSTIC_SUBFUNCTIONS.BUS_EXCEPTION_COUNT, label: 'Exceptions sent' },
+    { subFunction: DIAGNOSTIC_SUBFUNCTIONS.SLAVE_MESSAGE_COUNT, label: 'Slave messages' },
+    { subFunction: DIAGNOSTIC_SUBFUNCTIONS.SLAVE_NO_RESPONSE_COUNT, label: 'No response' },
+    { subFunction: DIAGNOSTIC_SUBFUNCTIONS.BUS_OVERRUN_COUNT, label: 'Character overruns' }
+];
+
+// FC12 keeps the 64 most recent events
+const COMM_EVENT_LOG_SIZE = 64;
+
 const REGISTER_TYPES = {
     '0x': { name: 'Coil', readFC: 0x01, writeFC: 0x05, writeMultiFC: 0x0F },
     '1x': { name: 'Discrete Input', readFC: 0x02, writeFC: null, writeMultiFC: null },
@@ -45,20 +123,554 @@ const STORAGE_KEY = 'modbus_emulator_data';
 const RESPONSE_TIMEOUT = 2000;
 const MAX_REGISTERS_PER_READ = 125;
 const MAX_COILS_PER_READ = 2000;
+const MAX_FILE_RECORDS_PER_READ = 121;  // one sub-request filling the whole FC20 response
+const MAX_FILE_RECORDS_PER_WRITE = 122; // one sub-request filling the whole FC21 request
+const MAX_FILE_RECORD_NUMBER = 9999;
+const MAX_FIFO_COUNT = 31;
+const FRAME_HISTORY_SIZE = 50; // raw console frames kept in the history
+const FILE_RECORD_REFERENCE_TYPE = 0x06;
+const DEFAULT_RELAY_URL = 'ws://localhost:8502';
+const TCP_CONNECT_TIMEOUT = 5000; // ms - give up on a relay that never answers
+const DEFAULT_BURST_ALLOWANCE = 20; // ms added to t3.5 - USB adapters deliver bytes in bursts, so t3.5 alone is too short
+const DEFAULT_LINE_DELAY = 10; // ms - simulated one-way line delay for loopback connections
+const BROADCAST_ADDRESS = 0;
+const DEFAULT_TURNAROUND_DELAY = 100; // ms - bus kept quiet after a broadcast while the slaves act on it
+const SIGNAL_POLL_INTERVAL = 250; // ms - refresh rate of the modem status lines in the connection details
+
+// Timeout and retry settings - set per connection, optionally overridden per slave
+const TRANSACTION_POLICY = {
+    timeout: { label: 'Timeout', default: RESPONSE_TIMEOUT, min: 50, max: 60000 },
+    retries: { label: 'Retries', default: 0, min: 0, max: 10 },
+    retryDelay: { label: 'Retry delay', default: 100, min: 0, max: 10000 },
+    backoff: { label: 'Backoff', default: 1, min: 1, max: 10 } // retry delay multiplier per attempt
+};
+
+// Block read planning - set per slave; gaps are unread addresses bridged to save a request
+const READ_PLAN = {
+    maxGap: { label: 'Max gap', default: 16, min: 0, max: MAX_COILS_PER_READ },
+    maxRegisters: { label: 'Max registers per read', default: MAX_REGISTERS_PER_READ, min: 1, max: MAX_REGISTERS_PER_READ },
+    maxBits: { label: 'Max bits per read', default: MAX_COILS_PER_READ, min: 1, max: MAX_COILS_PER_READ }
+};
+
+// Control lines that can switch an RS-485 transceiver into transmit (setSignals() names)
+const DIRECTION_CONTROL_SIGNALS = {
+    rts: 'requestToSend',
+    dtr: 'dataTerminalReady'
+};
+
+// Modem status lines shown in the connection details (getSignals() names)
+const MODEM_STATUS_SIGNALS = {
+    clearToSend: 'CTS',
+    dataSetReady: 'DSR',
+    dataCarrierDetect: 'DCD',
+    ringIndicator: 'RI'
+};
+
+const CONNECTION_ICONS = {
+    serial: '📁',
+    tcp: '🌐',
+    loopback: '🔁'
+};
+
+// ============================================
+// Errors
+// ============================================
+class FramingError extends Error {
+    constructor(message, kind, data = null) {
+        super(message);
+        this.name = 'FramingError';
+        this.kind = kind; // 'short', 'trailing' or 'header' (Modbus TCP)
+        this.data = data;
+    }
+}
+
+/**
+ * The slave answered with an exception response
+ */
+class ModbusExceptionError extends Error {
+    constructor(functionCode, exceptionCode) {
+        super(MODBUS_EXCEPTIONS[exceptionCode] || `Unknown exception: 0x${exceptionCode.toString(16)}`);
+        this.name = 'ModbusExceptionError';
+        this.functionCode = functionCode;
+        this.exceptionCode = exceptionCode;
+    }
+}
+
+/**
+ * A frame arrived but its CRC (or LRC in ASCII mode) does not match
+ */
+class CrcError extends Error {
+    constructor(message = 'CRC validation failed', response = null) {
+        super(message);
+        this.name = 'CrcError';
+        this.response = response;
+    }
+}
+
+/**
+ * No complete reply within the timeout
+ */
+class TimeoutError extends Error {
+    constructor(message = 'Response timeout') {
+        super(message);
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * A valid frame that is not the reply to our request - wrong slave, function
+ * code, byte count or write echo
+ */
+class UnexpectedResponseError extends Error {
+    constructor(message, response = null) {
+        super(message);
+        this.name = 'UnexpectedResponseError';
+        this.response = response;
+    }
+}
+
+// ============================================
+// RTU Frame Assembler
+// ============================================
+class RtuFrameAssembler {
+    constructor(direction = 'response') {
+        this.direction = direction; // 'response' (master side) or 'request' (slave side)
+        this.buffer = [];
+        this.silentInterval = RtuFrameAssembler.calculateSilentInterval(9600);
+        this.silenceTimer = null;
+        this.onFrame = null;
+        this.onError = null;
+    }
+
+    /**
+     * Calculate the 3.5 character silent interval (ms) for the line settings
+     */
+    static calculateSilentInterval(baudRate, parity = 'none', dataBits = 8, stopBits = 1) {
+        const bitsPerChar = 1 + parseInt(dataBits) + (parity === 'none' ? 0 : 1) + parseInt(stopBits);
+
+        // The spec fixes t3.5 at 1.75 ms above 19200 baud
+        const t35 = baudRate > 19200 ? 1.75 : (3.5 * bitsPerChar * 1000) / baudRate;
+
+        return t35;
+    }
+
+    /**
+     * Determine the full length of a response frame from its first bytes.
+     * Returns null while the length is not yet known or the function code
+     * has no fixed layout.
+     */
+    static getResponseLength(buffer) {
+        if (buffer.length < 2) return null;
+
+        const functionCode = buffer[1];
+
+        if (functionCode & 0x80) {
+            return 5; // slave, FC | 0x80, exception code, CRC
+        }
+
+        switch (functionCode) {
+            case FUNCTION_CODES.READ_COILS:
+            case FUNCTION_CODES.READ_DISCRETE_INPUTS:
+            case FUNCTION_CODES.READ_HOLDING_REGISTERS:
+            case FUNCTION_CODES.READ_INPUT_REGISTERS:
+            case FUNCTION_CODES.REPORT_SERVER_ID:
+            case FUNCTION_CODES.READ_WRITE_MULTIPLE_REGISTERS:
+                return buffer.length >= 3 ? 5 + buffer[2] : null;
+            case FUNCTION_CODES.WRITE_SINGLE_COIL:
+            case FUNCTION_CODES.WRITE_SINGLE_REGISTER:
+            case FUNCTION_CODES.WRITE_MULTIPLE_COILS:
+            case FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS:
+            case FUNCTION_CODES.GET_COMM_EVENT_COUNTER:
+                return 8;
+            case FUNCTION_CODES.DIAGNOSTICS:
+                return RtuFrameAssembler.getDiagnosticsLength(buffer);
+            case FUNCTION_CODES.GET_COMM_EVENT_LOG:
+            case FUNCTION_CODES.READ_FILE_RECORD:
+            case FUNCTION_CODES.WRITE_FILE_RECORD:
+                return buffer.length >= 3 ? 5 + buffer[2] : null;
+            case FUNCTION_CODES.MASK_WRITE_REGISTER:
+                return 10;
+            case FUNCTION_CODES.READ_FIFO_QUEUE:
+                return buffer.length >= 4 ? 6 + ((buffer[2] << 8) | buffer[3]) : null;
+            case FUNCTION_CODES.ENCAPSULATED_INTERFACE:
+                return RtuFrameAssembler.getDeviceIdResponseLength(buffer);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Walk the object list of a Read Device Identification response -
+     * each object is id, length, value
+     */
+    static getDeviceIdResponseLength(buffer) {
+        if (buffer.length < 8) return null;
+
+        let offset = 8;
+        for (let i = 0; i < buffer[7]; i++) {
+            if (buffer.length < offset + 2) return null;
+            offset += 2 + buffer[offset + 1];
+        }
+        return offset + 2;
+    }
+
+    /**
+     * Diagnostics requests and replies carry one data word, except Return Query Data
+     * which echoes data of any length - that one is closed by t3.5
+     */
+    static getDiagnosticsLength(buffer) {
+        if (buffer.length < 4) return null;
+        return ((buffer[2] << 8) | buffer[3]) === DIAGNOSTIC_SUBFUNCTIONS.RETURN_QUERY_DATA ? null : 8;
+    }
+
+    /**
+     * Determine the full length of a request frame from its first bytes
+     */
+    static getRequestLength(buffer) {
+        if (buffer.length < 2) return null;
+
+        switch (buffer[1]) {
+            case FUNCTION_CODES.READ_COILS:
+            case FUNCTION_CODES.READ_DISCRETE_INPUTS:
+            case FUNCTION_CODES.READ_HOLDING_REGISTERS:
+            case FUNCTION_CODES.READ_INPUT_REGISTERS:
+            case FUNCTION_CODES.WRITE_SINGLE_COIL:
+            case FUNCTION_CODES.WRITE_SINGLE_REGISTER:
+                return 8;
+            case FUNCTION_CODES.DIAGNOSTICS:
+                return RtuFrameAssembler.getDiagnosticsLength(buffer);
+            case FUNCTION_CODES.WRITE_MULTIPLE_COILS:
+            case FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS:
+                return buffer.length >= 7 ? 9 + buffer[6] : null;
+            case FUNCTION_CODES.REPORT_SERVER_ID:
+            case FUNCTION_CODES.GET_COMM_EVENT_COUNTER:
+            case FUNCTION_CODES.GET_COMM_EVENT_LOG:
+                return 4;
+            case FUNCTION_CODES.READ_FILE_RECORD:
+            case FUNCTION_CODES.WRITE_FILE_RECORD:
+                return buffer.length >= 3 ? 5 + buffer[2] : null;
+            case FUNCTION_CODES.MASK_WRITE_REGISTER:
+                return 10;
+            case FUNCTION_CODES.READ_WRITE_MULTIPLE_REGISTERS:
+                return buffer.length >= 11 ? 13 + buffer[10] : null;
+            case FUNCTION_CODES.READ_FIFO_QUEUE:
+                return 6;
+            case FUNCTION_CODES.ENCAPSULATED_INTERFACE:
+                return 7;
+            default:
+                return null;
+        }
+    }
+
+    getExpectedLength() {
+        return this.direction === 'request'
+            ? RtuFrameAssembler.getRequestLength(this.buffer)
+            : RtuFrameAssembler.getResponseLength(this.buffer);
+    }
+
+    /**
+     * Apply serial line settings. Frames whose length is not known up front are closed
+     * after t3.5 plus the burst allowance (0 for a line with no USB adapter in between).
+     */
+    configure(baudRate, parity = 'none', dataBits = 8, stopBits = 1, burstAllowance = DEFAULT_BURST_ALLOWANCE) {
+        this.silentInterval = RtuFrameAssembler.calculateSilentInterval(baudRate, parity, dataBits, stopBits) + burstAllowance;
+    }
+
+    /**
+     * Discard any partial frame
+     */
+    reset() {
+        clearTimeout(this.silenceTimer);
+        this.silenceTimer = null;
+        this.buffer = [];
+    }
+
+    /**
+     * Feed received bytes into the assembler
+     */
+    push(bytes) {
+        this.buffer.push(...bytes);
+
+        const expected = this.getExpectedLength();
+        if (expected !== null && this.buffer.length === expected &&
+            ModbusMaster.validateCRC(new Uint8Array(this.buffer))) {
+            this.complete(new Uint8Array(this.buffer));
+            return;
+        }
+
+        // Otherwise wait for the line to go quiet before deciding
+        clearTimeout(this.silenceTimer);
+        this.silenceTimer = setTimeout(() => this.handleSilence(), this.silentInterval);
+    }
+
+    /**
+     * The line has been silent for t3.5 - close the frame
+     */
+    handleSilence() {
+        this.silenceTimer = null;
+        if (this.buffer.length === 0) return;
+
+        const data = new Uint8Array(this.buffer);
+        const expected = this.getExpectedLength();
+
+        if (data.length < 4 || (expected !== null && data.length < expected)) {
+            this.fail(new FramingError(
+                `Short frame: received ${data.length} of ${expected || 4} bytes`, 'short', data));
+            return;
+        }
+
+        if (expected !== null && data.length > expected &&
+            ModbusMaster.validateCRC(data.slice(0, expected))) {
+            this.fail(new FramingError(
+                `Trailing garbage: ${data.length - expected} unexpected byte(s) after frame`, 'trailing', data));
+            return;
+        }
+
+        // Unknown layout or bad CRC - hand over as-is and let the parser report it
+        this.complete(data);
+    }
+
+    complete(frame) {
+        this.reset();
+        if (this.onFrame) {
+            this.onFrame(frame);
+        }
+    }
+
+    fail(error) {
+        this.reset();
+        if (this.onError) {
+            this.onError(error);
+        }
+    }
+}
+
+// ============================================
+// Modbus ASCII Framing
+// ============================================
+class ModbusAscii {
+    /**
+     * Calculate LRC (two's complement of the 8-bit sum)
+     */
+    static calculateLRC(bytes) {
+        let sum = 0;
+        for (const byte of bytes) {
+            sum = (sum + byte) & 0xFF;
+        }
+        return (-sum) & 0xFF;
+    }
+
+    /**
+     * Encode an RTU frame (slave + PDU + CRC) as an ASCII line
+     */
+    static encode(rtuFrame) {
+        const payload = Array.from(rtuFrame.slice(0, -2));
+        payload.push(ModbusAscii.calculateLRC(payload));
+
+        const hex = payload.map(b => b.toString(16).padStart(2, '0').toUpperCase()).join('');
+        const line = `:${hex}\r\n`;
+
+        return new Uint8Array(Array.from(line, c => c.charCodeAt(0)));
+    }
+
+    /**
+     * Decode an ASCII line into an RTU frame (CRC appended) so the
+     * ModbusMaster parsers can be reused unchanged
+     */
+    static decode(lineBytes) {
+        const line = ModbusAscii.toText(lineBytes).trim();
+
+        if (!line.startsWith(':') || (line.length - 1) % 2 !== 0 || !/^[0-9A-Fa-f]+$/.test(line.slice(1))) {
+            throw new Error(`Malformed ASCII frame: ${line}`);
+        }
+
+        const bytes = [];
+        for (let i = 1; i < line.length; i += 2) {
+            bytes.push(parseInt(line.substr(i, 2), 16));
+        }
+
+        if (bytes.length < 3) {
+            throw new Error(`Malformed ASCII frame: ${line}`);
+        }
+
+        const lrc = bytes.pop();
+        if (ModbusAscii.calculateLRC(bytes) !== lrc) {
+            throw new CrcError('LRC validation failed');
+        }
+
+        return ModbusMaster.appendCRC(new Uint8Array(bytes));
+    }
+
+    /**
+     * Printable form of an ASCII line for logging
+     */
+    static toText(lineBytes) {
+        return String.fromCharCode(...lineBytes);
+    }
+}
+
+class AsciiFrameAssembler {
+    constructor() {
+        this.buffer = [];
+        this.onFrame = null;
+        this.onError = null;
+    }
+
+    // ASCII frames are delimited by ':' and CR/LF, line timing is irrelevant
+    configure() {}
+
+    reset() {
+        this.buffer = [];
+    }
+
+    /**
+     * Feed received bytes; emits the raw line once CR/LF arrives
+     */
+    push(bytes) {
+        for (const byte of bytes) {
+            if (byte === 0x3A) { // ':' always starts a new frame
+                this.buffer = [byte];
+                continue;
+            }
+            if (this.buffer.length === 0) continue; // Noise between frames
+
+            this.buffer.push(byte);
+
+            if (byte === 0x0A && this.buffer[this.buffer.length - 2] === 0x0D) {
+                const line = new Uint8Array(this.buffer);
+                this.reset();
+                if (this.onFrame) {
+                    this.onFrame(line);
+                }
+            }
+        }
+    }
+}
+
+// ============================================
+// Transport Interface
+// ============================================
+/**
+ * Base class for everything that carries Modbus frames. Frames are always
+ * handed over in RTU form (slave + PDU + CRC); each transport converts to
+ * its wire format internally.
+ */
+class Transport {
+    constructor() {
+        this.isConnected = false;
+        this.onDisconnect = null; // () - link lost unexpectedly
+        this.onTraffic = null;    // (direction, frame, raw) - every frame on the wire
+        this.onReceive = null;    // (bytes) - data received outside a transaction
+        this.onError = null;      // (error) - line problem outside a transaction
+        this.maxInFlight = 1;     // transactions the link can carry at once
+    }
+
+    /**
+     * Create the transport for a connection record
+     */
+    static create(conn, options = {}) {
+        const TransportClass = TRANSPORT_TYPES[conn.type] || TRANSPORT_TYPES.serial;
+        return new TransportClass(options);
+    }
+
+    /**
+     * Runs inside the user gesture before open() (e.g. port picker)
+     */
+    async prepare(settings = {}) {}
+
+    /**
+     * Open the link with the connection's settings
+     */
+    async open(settings) {
+        throw new Error(`${this.constructor.name} does not implement open()`);
+    }
+
+    /**
+     * Close the link
+     */
+    async close() {
+        throw new Error(`${this.constructor.name} does not implement close()`);
+    }
+
+    /**
+     * Send a frame and wait for the response frame.
+     * Broadcasts (slave 0) get no reply - they resolve with null once written.
+     */
+    async sendWithTimeout(frame, timeoutMs = RESPONSE_TIMEOUT) {
+        throw new Error(`${this.constructor.name} does not implement sendWithTimeout()`);
+    }
+
+    /**
+     * Send a frame without waiting for a response
+     */
+    async write(frame) {
+        throw new Error(`${this.constructor.name} does not implement write()`);
+    }
+
+    /**
+     * Traffic direction for an outgoing frame - broadcasts are logged apart from requests
+     */
+    static txDirection(frame) {
+        return frame[0] === BROADCAST_ADDRESS ? 'BCAST' : 'TX';
+    }
+
+    /**
+     * Report a frame to the traffic listener
+     */
+    emitTraffic(direction, frame, raw = null) {
+        if (this.onTraffic) {
+            this.onTraffic(direction, frame, raw);
+        }
+    }
+
+    getPortName() {
+        return 'Unknown';
+    }
+}
 
 // ============================================
 // Serial Communication Manager
 // ============================================
-class SerialManager {
+// Ports opened by any SerialManager - a port can only be open once
+const openSerialPorts = new Set();
+
+class SerialManager extends Transport {
     constructor() {
+        super();
         this.port = null;
         this.reader = null;
         this.writer = null;
-        this.isConnected = false;
-        this.receiveBuffer = [];
         this.readLoopActive = false;
         this.responseCallback = null;
         this.portInfo = null;
+        this.echoSuppression = false; // adapter hears its own transmissions
+        this.pendingEcho = null;      // bytes just written that are expected back
+        this.echoIndex = 0;
+        this.directionSignal = null; // setSignals() key driven around each write, if any
+        this.preTxDelay = 0;
+        this.postTxDelay = 0;
+        this.charTime = 0;           // ms on the wire per character
+
+        this.setMode('rtu');
+    }
+
+    /**
+     * Select RTU or ASCII framing
+     */
+    setMode(mode) {
+        this.mode = mode === 'ascii' ? 'ascii' : 'rtu';
+        this.frameAssembler = this.mode === 'ascii' ? new AsciiFrameAssembler() : new RtuFrameAssembler();
+
+        this.frameAssembler.onFrame = (frame) => {
+            if (this.responseCallback) {
+                this.responseCallback(null, frame);
+            }
+        };
+        this.frameAssembler.onError = (error) => {
+            if (this.responseCallback) {
+                this.responseCallback(error);
+            }
+        };
     }
 
     /**
@@ -81,13 +693,59 @@ class SerialManager {
     }
 
     /**
-     * Connect to the serial port with specified settings
+     * Use a port granted earlier (from getPorts() or a connect event)
+     */
+    usePort(port) {
+        this.port = port;
+        this.portInfo = port.getInfo();
+    }
+
+    /**
+     * Check whether a port is the USB adapter with the given IDs
+     */
+    static matchesPort(port, usbVendorId, usbProductId) {
+        const info = port.getInfo();
+        return !!usbVendorId && info.usbVendorId === usbVendorId &&
+            (!usbProductId || info.usbProductId === usbProductId);
+    }
+
+    /**
+     * Find a granted port for a USB adapter that is not already open
+     */
+    static async findGrantedPort(usbVendorId, usbProductId) {
+        if (!SerialManager.isSupported() || !usbVendorId) return null;
+
+        const ports = await navigator.serial.getPorts();
+        return ports.find(port => !openSerialPorts.has(port) &&
+            SerialManager.matchesPort(port, usbVendorId, usbProductId)) || null;
+    }
+
+    /**
+     * Reuse the connection's adapter if it was granted before, otherwise let the user pick
+     */
+    async prepare(settings = {}) {
+        const port = await SerialManager.findGrantedPort(settings.usbVendorId, settings.usbProductId);
+        if (port) {
+            this.usePort(port);
+        } else {
+            await this.requestPort();
+        }
+    }
+
+    /**
+     * Open the serial port with the connection's line settings
      */
-    async connect(baudRate = 9600, parity = 'none', dataBits = 8, stopBits = 1) {
+    async open(settings = {}) {
+        const { baudRate = 9600, parity = 'none', dataBits = 8, stopBits = 1, mode = 'rtu' } = settings;
+        const { directionControl = 'none', preTxDelay = 0, postTxDelay = 0, echoSuppression = false } = settings;
+        const burstAllowance = parseInt(settings.burstAllowance ?? DEFAULT_BURST_ALLOWANCE);
+
         if (!this.port) {
             throw new Error('No port selected');
         }
 
+        this.setMode(mode);
+
         await this.port.open({
             baudRate: parseInt(baudRate),
             parity: parity,
@@ -97,27 +755,48 @@ class SerialManager {
             flowControl: 'none'
         });
 
+        this.frameAssembler.configure(parseInt(baudRate), parity, parseInt(dataBits), parseInt(stopBits),
+            isNaN(burstAllowance) ? DEFAULT_BURST_ALLOWANCE : burstAllowance);
+        this.charTime = (1 + parseInt(dataBits) + (parity === 'none' ? 0 : 1) + parseInt(stopBits)) * 1000 / parseInt(baudRate);
+        this.directionSignal = DIRECTION_CONTROL_SIGNALS[directionControl] || null;
+        this.preTxDelay = parseInt(preTxDelay) || 0;
+        this.postTxDelay = parseInt(postTxDelay) || 0;
+        this.echoSuppression = !!echoSuppression;
+        this.pendingEcho = null;
+
         this.writer = this.port.writable.getWriter();
         this.isConnected = true;
+        openSerialPorts.add(this.port);
+
+        // Start in receive mode
+        if (this.directionSignal) {
+            await this.setTransmitEnable(false);
+        }
         this.startReading();
 
         return true;
     }
 
     /**
-     * Disconnect from the serial port
+     * Close the serial port
      */
-    async disconnect() {
+    async close() {
         this.readLoopActive = false;
+        this.rejectPending(TransactionQueue.abortError('Connection closed'));
 
         if (this.reader) {
+            const reader = this.reader;
+            this.reader = null;
             try {
-                await this.reader.cancel();
+                await reader.cancel();
             } catch (e) {
                 // Ignore errors during cancel
             }
-            this.reader.releaseLock();
-            this.reader = null;
+            try {
+                reader.releaseLock();
+            } catch (e) {
+                // The read loop may already have released it
+            }
         }
 
         if (this.writer) {
@@ -131,6 +810,7 @@ class SerialManager {
         }
 
         if (this.port) {
+            openSerialPorts.delete(this.port);
             try {
                 await this.port.close();
             } catch (e) {
@@ -139,19 +819,38 @@ class SerialManager {
         }
 
         this.isConnected = false;
-        this.receiveBuffer = [];
+        this.frameAssembler.reset();
+    }
+
+    /**
+     * Send a frame without waiting for a response
+     */
+    async write(frame) {
+        const isAscii = this.mode === 'ascii';
+        const wireFrame = isAscii ? ModbusAscii.encode(frame) : frame;
+
+        this.emitTraffic(Transport.txDirection(frame), isAscii ? frame.slice(0, -2) : frame, isAscii ? ModbusAscii.toText(wireFrame) : null);
+        await this.writeBytes(wireFrame);
     }
 
     /**
-     * Write data to the serial port
+     * Write raw bytes to the serial port
      */
-    async write(data) {
+    async writeBytes(data) {
         if (!this.isConnected || !this.writer) {
             throw new Error('Not connected');
         }
         try {
             const uint8Data = data instanceof Uint8Array ? data : new Uint8Array(data);
-            await this.writer.write(uint8Data);
+            if (this.echoSuppression) {
+                this.pendingEcho = uint8Data;
+                this.echoIndex = 0;
+            }
+            if (this.directionSignal) {
+                await this.writeWithDirectionControl(uint8Data);
+            } else {
+                await this.writer.write(uint8Data);
+            }
         } catch (error) {
             if (error.name === 'InvalidStateError' || error.message.includes('closed')) {
                 this.handleDisconnect();
@@ -161,10 +860,46 @@ class SerialManager {
     }
 
     /**
-     * Start continuous reading from the serial port
+     * Raise the direction signal, write, and drop it once the last byte has left the UART
      */
-    async startReading() {
-        if (this.readLoopActive) return;
+    async writeWithDirectionControl(data) {
+        await this.setTransmitEnable(true);
+        try {
+            await this.delay(this.preTxDelay);
+            await this.writer.write(data);
+            // write() resolves when the bytes are queued, not when they are sent
+            await this.delay(data.length * this.charTime + this.postTxDelay);
+        } finally {
+            await this.setTransmitEnable(false).catch(() => {});
+        }
+    }
+
+    /**
+     * Drive the configured RTS/DTR line - asserted means transmit
+     */
+    async setTransmitEnable(enabled) {
+        await this.port.setSignals({ [this.directionSignal]: enabled });
+    }
+
+    /**
+     * Read the modem status lines (CTS, DSR, DCD, RI)
+     */
+    async getSignals() {
+        if (!this.isConnected || !this.port) {
+            throw new Error('Not connected');
+        }
+        return this.port.getSignals();
+    }
+
+    delay(ms) {
+        return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+    }
+
+    /**
+     * Start continuous reading from the serial port
+     */
+    async startReading() {
+        if (this.readLoopActive) return;
         this.readLoopActive = true;
 
         try {
@@ -181,8 +916,7 @@ class SerialManager {
                 const { value, done } = await this.reader.read();
                 if (done) break;
                 if (value) {
-                    this.receiveBuffer.push(...value);
-                    this.processReceivedData();
+                    this.processReceivedData(value);
                 }
             }
         } catch (error) {
@@ -206,49 +940,121 @@ class SerialManager {
      * Handle unexpected disconnection
      */
     handleDisconnect() {
+        const wasConnected = this.isConnected;
         this.isConnected = false;
         this.readLoopActive = false;
-        this.receiveBuffer = [];
-        if (this.onDisconnect) {
+        this.frameAssembler.reset();
+        openSerialPorts.delete(this.port);
+        this.rejectPending(TransactionQueue.abortError('Connection lost'));
+
+        // Read and write failures can both report the same loss
+        if (wasConnected && this.onDisconnect) {
             this.onDisconnect();
         }
     }
 
     /**
-     * Process received data and trigger callbacks
+     * Fail the transaction waiting for a reply - no reply can arrive on a closed port
      */
-    processReceivedData() {
-        if (this.responseCallback && this.receiveBuffer.length > 0) {
-            // Give a small delay to accumulate complete response
-            clearTimeout(this.processTimeout);
-            this.processTimeout = setTimeout(() => {
-                if (this.responseCallback) {
-                    const data = new Uint8Array(this.receiveBuffer);
-                    this.receiveBuffer = [];
-                    this.responseCallback(data);
-                    this.responseCallback = null;
-                }
-            }, 50);
+    rejectPending(error) {
+        if (this.responseCallback) {
+            this.responseCallback(error);
+        }
+    }
+
+    /**
+     * Process received data - responses go to the pending transaction,
+     * anything else to the receive stream
+     */
+    processReceivedData(data) {
+        if (this.pendingEcho) {
+            data = this.stripEcho(data);
+            if (data.length === 0) return;
+        }
+
+        if (this.responseCallback) {
+            this.frameAssembler.push(data);
+        } else if (this.onReceive) {
+            this.onReceive(data);
+        }
+    }
+
+    /**
+     * Drop the echo of the last write from the start of the receive stream.
+     * If the bytes stop matching it was not an echo - they are handed back untouched.
+     */
+    stripEcho(data) {
+        let i = 0;
+        while (i < data.length && this.pendingEcho) {
+            if (data[i] !== this.pendingEcho[this.echoIndex]) {
+                const held = this.pendingEcho.slice(0, this.echoIndex);
+                this.pendingEcho = null;
+                return new Uint8Array([...held, ...data.slice(i)]);
+            }
+            i++;
+            this.echoIndex++;
+            if (this.echoIndex === this.pendingEcho.length) {
+                this.pendingEcho = null;
+            }
         }
+        return data.slice(i);
     }
 
     /**
-     * Send data and wait for response with timeout
+     * Send data and wait for a complete response frame or timeout.
+     * Frames are always exchanged in RTU form (slave + PDU + CRC); in ASCII
+     * mode they are encoded/decoded here.
+     * Resolves as soon as a CRC-valid frame of the expected length arrives;
+     * rejects with a FramingError for short frames or trailing garbage.
      */
     async sendWithTimeout(frame, timeoutMs = RESPONSE_TIMEOUT) {
+        if (frame[0] === BROADCAST_ADDRESS) {
+            await this.write(frame);
+            return null;
+        }
+
+        const isAscii = this.mode === 'ascii';
+        const wireFrame = isAscii ? ModbusAscii.encode(frame) : frame;
+
+        // In ASCII mode the log shows the decoded bytes (no CRC on the wire) next to the line
+        this.emitTraffic('TX', isAscii ? frame.slice(0, -2) : frame, isAscii ? ModbusAscii.toText(wireFrame) : null);
+
         return new Promise((resolve, reject) => {
             const timeout = setTimeout(() => {
                 this.responseCallback = null;
-                reject(new Error('Response timeout'));
+                this.frameAssembler.reset();
+                reject(new TimeoutError());
             }, timeoutMs);
 
-            this.responseCallback = (data) => {
+            this.responseCallback = (error, data) => {
                 clearTimeout(timeout);
-                resolve(data);
+                this.responseCallback = null;
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                if (!isAscii) {
+                    this.emitTraffic('RX', data);
+                    resolve(data);
+                    return;
+                }
+                try {
+                    const response = ModbusAscii.decode(data);
+                    this.emitTraffic('RX', response.slice(0, -2), ModbusAscii.toText(data));
+                    resolve(response);
+                } catch (decodeError) {
+                    // A line that does not decode is the one most worth seeing in the log
+                    this.emitTraffic('RX', data, ModbusAscii.toText(data));
+                    reject(decodeError);
+                }
             };
 
-            this.receiveBuffer = []; // Clear buffer before sending
-            this.write(frame).catch(reject);
+            this.frameAssembler.reset(); // Clear buffer before sending
+            this.writeBytes(wireFrame).catch((error) => {
+                clearTimeout(timeout);
+                this.responseCallback = null;
+                reject(error);
+            });
         });
     }
 
@@ -266,3297 +1072,7894 @@ class SerialManager {
 }
 
 // ============================================
-// Modbus Protocol Handler
+// Modbus TCP Client (via WebSocket relay)
 // ============================================
-class ModbusMaster {
-    constructor(slaveId = 1) {
-        this.slaveId = slaveId;
+class ModbusTcpClient extends Transport {
+    constructor() {
+        super();
+        this.socket = null;
+        this.host = null;
+        this.tcpPort = null;
+        this.transactionId = 0;
+        this.pending = new Map(); // transaction ID -> { resolve, reject, timeout }
+        this.receiveBuffer = [];
+        this.maxInFlight = 4; // responses are matched by transaction ID
     }
 
     /**
-     * Calculate CRC-16 (Modbus polynomial 0xA001)
+     * Build the relay URL; the relay reads the target from the query string
      */
-    static calculateCRC16(buffer) {
-        let crc = 0xFFFF;
-
-        for (let i = 0; i < buffer.length; i++) {
-            crc ^= buffer[i];
-
-            for (let j = 0; j < 8; j++) {
-                if (crc & 0x0001) {
-                    crc = (crc >> 1) ^ 0xA001;
-                } else {
-                    crc >>= 1;
-                }
-            }
-        }
-
-        return crc;
+    static buildRelayUrl(relayUrl, host, port) {
+        const url = new URL(relayUrl);
+        url.searchParams.set('host', host);
+        url.searchParams.set('port', port);
+        return url.toString();
     }
 
     /**
-     * Validate CRC of received frame
+     * Wrap an RTU frame (slave + PDU + CRC) in an MBAP header
      */
-    static validateCRC(frame) {
-        if (frame.length < 4) return false;
+    static wrap(frame, transactionId) {
+        const pdu = frame.slice(1, -2);
+        const length = pdu.length + 1; // unit ID + PDU
+        const adu = new Uint8Array(7 + pdu.length);
 
-        const data = frame.slice(0, -2);
-        const receivedCRC = frame[frame.length - 2] | (frame[frame.length - 1] << 8);
-        const calculatedCRC = ModbusMaster.calculateCRC16(data);
+        adu[0] = (transactionId >> 8) & 0xFF;
+        adu[1] = transactionId & 0xFF;
+        adu[2] = 0x00; // Protocol ID (Modbus)
+        adu[3] = 0x00;
+        adu[4] = (length >> 8) & 0xFF;
+        adu[5] = length & 0xFF;
+        adu[6] = frame[0]; // Unit ID
+        adu.set(pdu, 7);
 
-        return receivedCRC === calculatedCRC;
+        return adu;
     }
 
     /**
-     * Append CRC to frame
+     * Convert an ADU back to RTU form (CRC appended) so the
+     * ModbusMaster parsers can be reused unchanged
      */
-    static appendCRC(frame) {
-        const crc = ModbusMaster.calculateCRC16(frame);
-        return new Uint8Array([...frame, crc & 0xFF, (crc >> 8) & 0xFF]);
+    static unwrap(adu) {
+        return ModbusMaster.appendCRC(adu.slice(6));
     }
 
     /**
-     * Convert user address to Modbus address
-     * e.g., 40001 → 0x0000 for Holding Register
+     * Traffic log annotation for an ADU - the frame itself is logged in RTU form
      */
-    static convertAddress(userAddress, registerType) {
-        const addr = parseInt(userAddress);
-
-        if (registerType === '4x') {
-            return (addr >= 40001 && addr <= 49999) ? addr - 40001 : addr;
-        } else if (registerType === '3x') {
-            return (addr >= 30001 && addr <= 39999) ? addr - 30001 : addr;
-        } else if (registerType === '0x') {
-            return (addr >= 1 && addr <= 9999) ? addr - 1 : addr;
-        } else if (registerType === '1x') {
-            return (addr >= 10001 && addr <= 19999) ? addr - 10001 : addr;
-        }
-
-        return addr;
+    static describeHeader(adu) {
+        return `MBAP ${ValueInterpreter.toHexBytes(adu.slice(0, 7))}`;
     }
 
     /**
-     * Build Read Registers/Coils frame
+     * Open the WebSocket relay to host:port
      */
-    buildReadFrame(functionCode, startAddress, quantity) {
-        const frame = new Uint8Array([
-            this.slaveId,
-            functionCode,
-            (startAddress >> 8) & 0xFF,
-            startAddress & 0xFF,
-            (quantity >> 8) & 0xFF,
-            quantity & 0xFF
-        ]);
-        return ModbusMaster.appendCRC(frame);
-    }
+    async open(settings) {
+        const { relayUrl = DEFAULT_RELAY_URL, host, tcpPort: port = 502 } = settings;
+        this.host = host;
+        this.tcpPort = parseInt(port);
+
+        await new Promise((resolve, reject) => {
+            const socket = new WebSocket(ModbusTcpClient.buildRelayUrl(relayUrl, host, port));
+            socket.binaryType = 'arraybuffer';
+
+            // Closing a socket that is still connecting fails it, so onopen never fires
+            const connectTimer = setTimeout(() => {
+                reject(new Error(`No answer from relay at ${relayUrl} within ${TCP_CONNECT_TIMEOUT / 1000} s`));
+                socket.close();
+            }, TCP_CONNECT_TIMEOUT);
+
+            socket.onopen = () => {
+                clearTimeout(connectTimer);
+                this.socket = socket;
+                this.isConnected = true;
+                resolve();
+            };
+            socket.onerror = () => {
+                clearTimeout(connectTimer);
+                if (!this.isConnected) {
+                    reject(new Error(`Cannot reach relay at ${relayUrl}`));
+                }
+            };
+            socket.onclose = () => {
+                clearTimeout(connectTimer);
+                if (this.socket === socket) {
+                    this.handleDisconnect();
+                } else {
+                    reject(new Error(`Relay closed the connection to ${host}:${port}`));
+                }
+            };
+            socket.onmessage = (event) => this.handleMessage(event.data);
+        });
 
-    /**
-     * Build Write Single Register frame (FC06)
-     */
-    buildWriteSingleRegisterFrame(address, value) {
-        const frame = new Uint8Array([
-            this.slaveId,
-            FUNCTION_CODES.WRITE_SINGLE_REGISTER,
-            (address >> 8) & 0xFF,
-            address & 0xFF,
-            (value >> 8) & 0xFF,
-            value & 0xFF
-        ]);
-        return ModbusMaster.appendCRC(frame);
+        return true;
     }
 
     /**
-     * Build Write Single Coil frame (FC05)
+     * Close the relay connection
      */
-    buildWriteSingleCoilFrame(address, value) {
-        const coilValue = value ? 0xFF00 : 0x0000;
-        const frame = new Uint8Array([
-            this.slaveId,
-            FUNCTION_CODES.WRITE_SINGLE_COIL,
-            (address >> 8) & 0xFF,
-            address & 0xFF,
-            (coilValue >> 8) & 0xFF,
-            coilValue & 0xFF
-        ]);
-        return ModbusMaster.appendCRC(frame);
+    async close() {
+        const socket = this.socket;
+        this.socket = null;
+        this.isConnected = false;
+
+        if (socket) {
+            socket.close();
+        }
+
+        this.rejectPending(TransactionQueue.abortError('Connection closed'));
+        this.receiveBuffer = [];
     }
 
     /**
-     * Build Write Multiple Registers frame (FC16)
+     * Handle the relay going away
      */
-    buildWriteMultipleRegistersFrame(startAddress, values) {
-        const byteCount = values.length * 2;
-        const frame = new Uint8Array(7 + byteCount);
-
-        frame[0] = this.slaveId;
-        frame[1] = FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS;
-        frame[2] = (startAddress >> 8) & 0xFF;
-        frame[3] = startAddress & 0xFF;
-        frame[4] = (values.length >> 8) & 0xFF;
-        frame[5] = values.length & 0xFF;
-        frame[6] = byteCount;
-
-        for (let i = 0; i < values.length; i++) {
-            frame[7 + i * 2] = (values[i] >> 8) & 0xFF;
-            frame[8 + i * 2] = values[i] & 0xFF;
+    handleDisconnect() {
+        this.socket = null;
+        this.isConnected = false;
+        this.receiveBuffer = [];
+        this.rejectPending(TransactionQueue.abortError('Connection lost'));
+        if (this.onDisconnect) {
+            this.onDisconnect();
         }
+    }
 
-        return ModbusMaster.appendCRC(frame);
+    rejectPending(error) {
+        for (const request of this.pending.values()) {
+            clearTimeout(request.timeout);
+            request.reject(error);
+        }
+        this.pending.clear();
     }
 
     /**
-     * Build Write Multiple Coils frame (FC15)
+     * Split the TCP byte stream into ADUs and match them by transaction ID
      */
-    buildWriteMultipleCoilsFrame(startAddress, values) {
-        const byteCount = Math.ceil(values.length / 8);
-        const frame = new Uint8Array(7 + byteCount);
+    handleMessage(data) {
+        this.receiveBuffer.push(...new Uint8Array(data));
+
+        while (this.receiveBuffer.length >= 7) {
+            const protocolId = (this.receiveBuffer[2] << 8) | this.receiveBuffer[3];
+            const length = (this.receiveBuffer[4] << 8) | this.receiveBuffer[5];
+
+            // Not an MBAP header - waiting for a bogus length would stall every pending request
+            if (protocolId !== 0 || length < 2 || length > 254) {
+                const garbage = new Uint8Array(this.receiveBuffer);
+                this.receiveBuffer = [];
+                this.emitTraffic('RX', garbage);
+                if (this.onError) {
+                    this.onError(new FramingError(`Invalid MBAP header (protocol ${protocolId}, length ${length}) - receive buffer cleared`, 'header', garbage));
+                }
+                break;
+            }
 
-        frame[0] = this.slaveId;
-        frame[1] = FUNCTION_CODES.WRITE_MULTIPLE_COILS;
-        frame[2] = (startAddress >> 8) & 0xFF;
-        frame[3] = startAddress & 0xFF;
-        frame[4] = (values.length >> 8) & 0xFF;
-        frame[5] = values.length & 0xFF;
-        frame[6] = byteCount;
+            const total = 6 + length;
+            if (this.receiveBuffer.length < total) break;
 
-        for (let i = 0; i < values.length; i++) {
-            if (values[i]) {
-                frame[7 + Math.floor(i / 8)] |= (1 << (i % 8));
+            const adu = new Uint8Array(this.receiveBuffer.splice(0, total));
+            const transactionId = (adu[0] << 8) | adu[1];
+
+            const frame = ModbusTcpClient.unwrap(adu);
+            this.emitTraffic('RX', frame, ModbusTcpClient.describeHeader(adu));
+
+            const request = this.pending.get(transactionId);
+            if (request) {
+                clearTimeout(request.timeout);
+                this.pending.delete(transactionId);
+                request.resolve(frame);
+            } else if (this.onReceive) {
+                this.onReceive(adu);
             }
         }
-
-        return ModbusMaster.appendCRC(frame);
     }
 
     /**
-     * Parse read response and extract register values
+     * Send a request and wait for the response with the same transaction ID.
+     * Several requests may be in flight at once.
      */
-    parseReadResponse(response, expectedFC) {
-        if (!ModbusMaster.validateCRC(response)) {
-            throw new Error('CRC validation failed');
+    async sendWithTimeout(frame, timeoutMs = RESPONSE_TIMEOUT) {
+        if (!this.isConnected || !this.socket) {
+            throw new Error('Not connected');
         }
-
-        const slaveId = response[0];
-        const functionCode = response[1];
-
-        // Check for exception response
-        if (functionCode >= 0x80) {
-            const exceptionCode = response[2];
-            throw new Error(MODBUS_EXCEPTIONS[exceptionCode] || `Unknown exception: 0x${exceptionCode.toString(16)}`);
+        if (frame[0] === BROADCAST_ADDRESS) {
+            await this.write(frame);
+            return null;
         }
 
-        if (functionCode !== expectedFC) {
-            throw new Error(`Unexpected function code: ${functionCode}`);
-        }
+        const transactionId = this.nextTransactionId();
+        const adu = ModbusTcpClient.wrap(frame, transactionId);
 
-        const byteCount = response[2];
-        const data = response.slice(3, 3 + byteCount);
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.pending.delete(transactionId);
+                reject(new TimeoutError());
+            }, timeoutMs);
 
-        // Parse based on function code
-        if (expectedFC === FUNCTION_CODES.READ_HOLDING_REGISTERS ||
-            expectedFC === FUNCTION_CODES.READ_INPUT_REGISTERS) {
-            // Parse as 16-bit registers
-            const values = [];
-            for (let i = 0; i < byteCount; i += 2) {
-                values.push((data[i] << 8) | data[i + 1]);
-            }
-            return values;
-        } else if (expectedFC === FUNCTION_CODES.READ_COILS ||
-                   expectedFC === FUNCTION_CODES.READ_DISCRETE_INPUTS) {
-            // Parse as bits
-            const values = [];
-            for (let i = 0; i < byteCount; i++) {
-                for (let bit = 0; bit < 8; bit++) {
-                    values.push((data[i] >> bit) & 1);
-                }
-            }
-            return values;
-        }
+            this.pending.set(transactionId, { resolve, reject, timeout });
 
-        return data;
+            this.emitTraffic('TX', frame, ModbusTcpClient.describeHeader(adu));
+            this.socket.send(adu);
+        });
     }
 
     /**
-     * Parse write response
+     * Send a frame without waiting for a response
      */
-    parseWriteResponse(response, expectedFC) {
-        if (!ModbusMaster.validateCRC(response)) {
-            throw new Error('CRC validation failed');
+    async write(frame) {
+        if (!this.isConnected || !this.socket) {
+            throw new Error('Not connected');
         }
 
-        const functionCode = response[1];
+        const adu = ModbusTcpClient.wrap(frame, this.nextTransactionId());
+        this.emitTraffic(Transport.txDirection(frame), frame, ModbusTcpClient.describeHeader(adu));
+        this.socket.send(adu);
+    }
 
-        // Check for exception response
-        if (functionCode >= 0x80) {
-            const exceptionCode = response[2];
-            throw new Error(MODBUS_EXCEPTIONS[exceptionCode] || `Unknown exception: 0x${exceptionCode.toString(16)}`);
-        }
+    nextTransactionId() {
+        this.transactionId = (this.transactionId + 1) & 0xFFFF;
+        return this.transactionId;
+    }
 
-        return true;
+    /**
+     * Get host/port as string
+     */
+    getPortName() {
+        return `TCP ${this.host}:${this.tcpPort}`;
     }
 }
 
 // ============================================
-// Modbus Slave (Server) Handler
+// Loopback Transport (in-page slave simulator)
 // ============================================
-class ModbusSlave {
-    constructor(slaveId = 1) {
-        this.slaveId = slaveId;
-        this.responseDelay = 0;
-        this.autoIncrement = false;
-        this.randomValues = false;
+class LoopbackTransport extends Transport {
+    constructor(options = {}) {
+        super();
+        this.slave = options.slave || null;
+        this.lineDelay = DEFAULT_LINE_DELAY;
+    }
 
-        // Register maps - using Maps for efficient lookup
-        this.registerMaps = {
-            coils: new Map(),              // 0x - FC 01, 05, 0F
-            discreteInputs: new Map(),     // 1x - FC 02
-            inputRegisters: new Map(),     // 3x - FC 04
-            holdingRegisters: new Map()    // 4x - FC 03, 06, 10
-        };
+    /**
+     * Attach to the simulator - seeds demo registers if it has none
+     */
+    async open(settings = {}) {
+        if (!this.slave) {
+            throw new Error('No slave simulator available');
+        }
 
-        // Access statistics
-        this.accessStats = {
-            coils: new Map(),
-            discreteInputs: new Map(),
-            inputRegisters: new Map(),
-            holdingRegisters: new Map()
-        };
+        this.lineDelay = Math.max(0, parseInt(settings.lineDelay) || 0);
 
-        // Forced exceptions (for testing)
-        this.forcedExceptions = new Map(); // address -> exception code
+        if (this.slave.getRegisterCount() === 0) {
+            this.slave.loadDemoRegisters();
+        }
 
-        // Callbacks
-        this.onRegisterRead = null;
-        this.onRegisterWrite = null;
-        this.onRequest = null;
-        this.onResponse = null;
+        this.isConnected = true;
     }
 
-    /**
-     * Configure slave settings
-     */
-    configure(config) {
-        this.slaveId = config.slaveId || 1;
-        this.responseDelay = config.responseDelay || 0;
-        this.autoIncrement = config.autoIncrement || false;
-        this.randomValues = config.randomValues || false;
+    async close() {
+        this.isConnected = false;
     }
 
     /**
-     * Add a range of registers
+     * Hand the frame to the simulator and return its response after the line delay
      */
-    addRegisterRange(type, startAddress, quantity, initialValue = 0) {
-        const map = this.registerMaps[type];
-        const statsMap = this.accessStats[type];
+    async sendWithTimeout(frame, timeoutMs = RESPONSE_TIMEOUT) {
+        if (!this.isConnected) {
+            throw new Error('Not connected');
+        }
+        if (frame[0] === BROADCAST_ADDRESS) {
+            await this.write(frame);
+            return null;
+        }
 
-        if (!map) {
-            throw new Error(`Invalid register type: ${type}`);
+        const startTime = Date.now();
+        this.emitTraffic('TX', frame);
+        await this.delay(this.lineDelay);
+
+        const response = this.slave.processRequest(frame);
+        if (response) {
+            await this.delay(this.slave.responseDelay + this.lineDelay);
         }
 
-        for (let i = 0; i < quantity; i++) {
-            const addr = startAddress + i;
-            map.set(addr, initialValue);
-            statsMap.set(addr, { readCount: 0, writeCount: 0, lastAccess: null });
+        // No reply, or a reply that arrives too late, looks like a timeout on a real line
+        const elapsed = Date.now() - startTime;
+        if (!response || elapsed > timeoutMs) {
+            await this.delay(timeoutMs - elapsed);
+            throw new TimeoutError();
+        }
+
+        // Closed while the reply was on its way
+        if (!this.isConnected) {
+            throw TransactionQueue.abortError('Connection closed');
         }
+
+        this.emitTraffic('RX', response);
+        return response;
     }
 
     /**
-     * Remove a range of registers
+     * Deliver a frame to the simulator, discarding any response
      */
-    removeRegisterRange(type, startAddress, quantity) {
-        const map = this.registerMaps[type];
-        const statsMap = this.accessStats[type];
+    async write(frame) {
+        if (!this.isConnected) {
+            throw new Error('Not connected');
+        }
 
-        if (!map) return;
+        this.emitTraffic(Transport.txDirection(frame), frame);
+        await this.delay(this.lineDelay);
+        this.slave.processRequest(frame);
+    }
 
-        for (let i = 0; i < quantity; i++) {
-            const addr = startAddress + i;
-            map.delete(addr);
-            statsMap.delete(addr);
-        }
+    delay(ms) {
+        return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+    }
+
+    getPortName() {
+        return 'Loopback';
+    }
+}
+
+// Transport implementations selectable by connection type
+const TRANSPORT_TYPES = {
+    serial: SerialManager,
+    tcp: ModbusTcpClient,
+    loopback: LoopbackTransport
+};
+
+// ============================================
+// Transaction Queue
+// ============================================
+// Lower runs first; equal priorities run in the order they were queued
+const QUEUE_PRIORITIES = {
+    write: 0,
+    normal: 1,
+    poll: 2
+};
+
+/**
+ * Serializes every transaction on one connection so each response reaches
+ * the caller that sent the request.
+ */
+class TransactionQueue {
+    constructor(transport, options = {}) {
+        this.transport = transport;
+        this.interFrameGap = options.interFrameGap || 0; // ms of idle bus between transactions
+        this.turnaroundDelay = options.turnaroundDelay ?? DEFAULT_TURNAROUND_DELAY; // ms of quiet after a broadcast
+        this.items = [];
+        this.active = 0;
+        this.sequence = 0;
+        this.lastFinished = 0;
+        this.quietUntil = 0; // end of the turnaround delay after the last broadcast
+        this.exclusiveActive = false; // a task owns the link - nothing else starts
+        this.gapTimer = null;
+        this.onChange = null; // (depth)
+        this.onRetry = null;  // (attempt, retries, error)
     }
 
     /**
-     * Clear all registers of a type
+     * Queue a frame and resolve with its response.
+     * Options: priority ('write' | 'normal' | 'poll'), timeout, retries, retryDelay,
+     * backoff, signal (AbortSignal) and key - a request with the same key still
+     * waiting shares its result.
      */
-    clearRegisters(type) {
-        if (this.registerMaps[type]) {
-            this.registerMaps[type].clear();
-            this.accessStats[type].clear();
+    enqueue(frame, options = {}) {
+        const {
+            priority = 'normal',
+            timeout = RESPONSE_TIMEOUT,
+            retries = 0,
+            retryDelay = 0,
+            backoff = 1,
+            signal = null,
+            key = null,
+            task = null
+        } = options;
+
+        if (signal && signal.aborted) {
+            return Promise.reject(TransactionQueue.abortError());
+        }
+
+        if (key !== null) {
+            const queued = this.items.find(item => item.key === key);
+            if (queued && queued.signal === signal) return queued.promise;
+            if (queued && !signal) {
+                // A caller that cannot be aborted joins - the request must no longer go away
+                // with the other caller's signal, and runs at the more urgent priority
+                this.detach(queued);
+                queued.signal = null;
+                const urgency = QUEUE_PRIORITIES[priority] ?? QUEUE_PRIORITIES.normal;
+                if (urgency < queued.priority) {
+                    queued.priority = urgency;
+                    this.items.splice(this.items.indexOf(queued), 1);
+                    this.insert(queued);
+                }
+                return queued.promise;
+            }
+        }
+
+        const item = {
+            frame,
+            priority: QUEUE_PRIORITIES[priority] ?? QUEUE_PRIORITIES.normal,
+            sequence: this.sequence++,
+            timeout,
+            retries,
+            retryDelay,
+            backoff,
+            signal,
+            key,
+            task
+        };
+        item.promise = new Promise((resolve, reject) => {
+            item.resolve = resolve;
+            item.reject = reject;
+        });
+
+        this.insert(item);
+
+        if (signal) {
+            item.onAbort = () => this.cancel(item);
+            signal.addEventListener('abort', item.onAbort, { once: true });
         }
+
+        this.notify();
+        this.process();
+        return item.promise;
     }
 
     /**
-     * Set a single register value
+     * Queue a task that runs several transactions with the link to itself, e.g. a
+     * read-modify-write. task(send) gets send(frame) and resolves with its result;
+     * each send uses the timeout and retries from the options.
      */
-    setRegister(type, address, value) {
-        const map = this.registerMaps[type];
-        if (map && map.has(address)) {
-            map.set(address, value);
-            return true;
-        }
-        return false;
+    exclusive(task, options = {}) {
+        return this.enqueue(null, { ...options, key: null, task });
     }
 
     /**
-     * Get a single register value
+     * Insert after every item of the same or higher priority
      */
-    getRegister(type, address) {
-        const map = this.registerMaps[type];
-        if (map && map.has(address)) {
-            return map.get(address);
-        }
-        return null;
+    insert(item) {
+        const index = this.items.findIndex(queued => queued.priority > item.priority ||
+            (queued.priority === item.priority && queued.sequence > item.sequence));
+        this.items.splice(index === -1 ? this.items.length : index, 0, item);
     }
 
     /**
-     * Process incoming Modbus RTU frame and generate response
+     * Stop listening to the item's abort signal - a signal shared by every poll of a
+     * group would otherwise keep each finished item alive
      */
-    processRequest(frame) {
-        // Validate minimum frame length
-        if (frame.length < 4) {
-            return null; // Invalid frame, ignore
+    detach(item) {
+        if (item.onAbort) {
+            item.signal.removeEventListener('abort', item.onAbort);
+            item.onAbort = null;
         }
+    }
 
-        // Validate CRC
-        if (!ModbusMaster.validateCRC(frame)) {
-            return null; // Bad CRC, ignore
-        }
+    /**
+     * Drop a request that has not been sent yet - one already on the wire runs to completion
+     */
+    cancel(item) {
+        const index = this.items.indexOf(item);
+        if (index === -1) return;
 
-        const slaveId = frame[0];
-        const functionCode = frame[1];
+        this.items.splice(index, 1);
+        this.detach(item);
+        item.reject(TransactionQueue.abortError());
+        this.notify();
+    }
 
-        // Check if request is for this slave
-        if (slaveId !== this.slaveId && slaveId !== 0) {
-            return null; // Not for us (0 = broadcast, handle writes only)
+    /**
+     * Reject every request still waiting (connection closed)
+     */
+    clear(message = 'Connection closed') {
+        const items = this.items;
+        this.items = [];
+        for (const item of items) {
+            this.detach(item);
+            item.reject(TransactionQueue.abortError(message));
         }
+        this.notify();
+    }
 
-        // Log the request
-        if (this.onRequest) {
-            this.onRequest(frame);
-        }
+    /**
+     * Requests waiting plus requests on the wire
+     */
+    getDepth() {
+        return this.items.length + this.active;
+    }
 
-        let response;
+    process() {
+        while (this.items.length > 0 && this.active < this.transport.maxInFlight && !this.gapTimer && !this.exclusiveActive) {
+            // A task waits for the requests already on the link to finish
+            if (this.items[0].task && this.active > 0) return;
 
-        try {
-            switch (functionCode) {
-                case FUNCTION_CODES.READ_COILS:
-                    response = this.handleReadCoils(frame);
-                    break;
-                case FUNCTION_CODES.READ_DISCRETE_INPUTS:
-                    response = this.handleReadDiscreteInputs(frame);
-                    break;
-                case FUNCTION_CODES.READ_HOLDING_REGISTERS:
-                    response = this.handleReadHoldingRegisters(frame);
-                    break;
-                case FUNCTION_CODES.READ_INPUT_REGISTERS:
-                    response = this.handleReadInputRegisters(frame);
-                    break;
-                case FUNCTION_CODES.WRITE_SINGLE_COIL:
-                    response = this.handleWriteSingleCoil(frame);
-                    break;
-                case FUNCTION_CODES.WRITE_SINGLE_REGISTER:
-                    response = this.handleWriteSingleRegister(frame);
-                    break;
-                case FUNCTION_CODES.WRITE_MULTIPLE_COILS:
-                    response = this.handleWriteMultipleCoils(frame);
-                    break;
-                case FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS:
-                    response = this.handleWriteMultipleRegisters(frame);
-                    break;
-                default:
-                    response = this.buildExceptionResponse(functionCode, 0x01); // Illegal Function
+            const wait = Math.max(this.lastFinished + this.interFrameGap, this.quietUntil) - Date.now();
+            if (wait > 0) {
+                this.gapTimer = setTimeout(() => {
+                    this.gapTimer = null;
+                    this.process();
+                }, wait);
+                return;
             }
-        } catch (error) {
-            response = this.buildExceptionResponse(functionCode, 0x04); // Slave Device Failure
-        }
 
-        // Don't respond to broadcast writes
-        if (slaveId === 0) {
-            return null;
+            const item = this.items.shift();
+            this.exclusiveActive = !!item.task;
+            this.run(item);
         }
+    }
 
-        // Log the response
-        if (this.onResponse) {
-            this.onResponse(response);
-        }
+    async run(item) {
+        this.active++;
+        this.detach(item);
+        this.notify();
 
-        return response;
+        try {
+            item.resolve(await (item.task ? this.runTask(item) : this.send(item)));
+        } catch (error) {
+            item.reject(error);
+        } finally {
+            this.active--;
+            this.exclusiveActive = false;
+            this.lastFinished = Date.now();
+            if (item.frame && item.frame[0] === BROADCAST_ADDRESS) {
+                this.quietUntil = this.lastFinished + this.turnaroundDelay;
+            }
+            this.notify();
+            this.process();
+        }
     }
 
     /**
-     * FC 01 - Read Coils
+     * Run an exclusive task, keeping the inter-frame gap between its transactions
      */
-    handleReadCoils(frame) {
-        const startAddress = (frame[2] << 8) | frame[3];
-        const quantity = (frame[4] << 8) | frame[5];
+    runTask(item) {
+        let first = true;
+        return item.task(async (frame) => {
+            if (!first) {
+                await new Promise(resolve => setTimeout(resolve, this.interFrameGap));
+            }
+            first = false;
+            return this.send({ ...item, frame });
+        });
+    }
 
-        // Validate quantity
-        if (quantity < 1 || quantity > MAX_COILS_PER_READ) {
-            return this.buildExceptionResponse(FUNCTION_CODES.READ_COILS, 0x03);
+    /**
+     * Send with retries - the bus stays reserved until the last attempt.
+     * A broadcast is sent once and resolves with null: there is no reply to check or retry on.
+     */
+    async send(item) {
+        if (item.frame[0] === BROADCAST_ADDRESS) {
+            return this.transport.sendWithTimeout(item.frame, item.timeout);
         }
 
-        // Check for forced exception
-        if (this.forcedExceptions.has(`coils:${startAddress}`)) {
-            return this.buildExceptionResponse(FUNCTION_CODES.READ_COILS,
-                this.forcedExceptions.get(`coils:${startAddress}`));
-        }
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await this.transport.sendWithTimeout(item.frame, item.timeout);
+                if (!ModbusMaster.validateCRC(response)) {
+                    throw new CrcError('CRC validation failed', response);
+                }
+                // A late reply to an earlier request, or another device talking
+                if (response[0] !== item.frame[0] || (response[1] & 0x7F) !== item.frame[1]) {
+                    throw new UnexpectedResponseError(
+                        `Reply from slave ${response[0]}, FC${response[1] & 0x7F} does not match the request`, response);
+                }
+                return response;
+            } catch (error) {
+                const aborted = item.signal && item.signal.aborted;
+                if (attempt >= item.retries || aborted || !this.transport.isConnected || !TransactionQueue.isRetryable(error)) {
+                    throw error;
+                }
 
-        // Read coil values
-        const values = [];
-        for (let i = 0; i < quantity; i++) {
-            const addr = startAddress + i;
-            if (!this.registerMaps.coils.has(addr)) {
-                return this.buildExceptionResponse(FUNCTION_CODES.READ_COILS, 0x02); // Illegal Data Address
+                if (this.onRetry) {
+                    this.onRetry(attempt + 1, item.retries, error);
+                }
+                await new Promise(resolve => setTimeout(resolve, item.retryDelay * Math.pow(item.backoff, attempt)));
             }
-            values.push(this.registerMaps.coils.get(addr) ? 1 : 0);
-            this.updateAccessStats('coils', addr, 'read');
         }
+    }
 
-        // Trigger callback
-        if (this.onRegisterRead) {
-            this.onRegisterRead('coils', startAddress, quantity);
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.getDepth());
         }
+    }
 
-        // Build response
-        const byteCount = Math.ceil(quantity / 8);
-        const data = new Uint8Array(byteCount);
+    /**
+     * Line problems are worth another attempt; anything else would fail the same way
+     */
+    static isRetryable(error) {
+        return error instanceof TimeoutError || error instanceof CrcError ||
+            error instanceof FramingError || error instanceof UnexpectedResponseError;
+    }
 
-        for (let i = 0; i < quantity; i++) {
-            if (values[i]) {
-                data[Math.floor(i / 8)] |= (1 << (i % 8));
-            }
-        }
+    static abortError(message = 'Request cancelled') {
+        return new DOMException(message, 'AbortError');
+    }
+}
 
-        return this.buildReadResponse(FUNCTION_CODES.READ_COILS, data);
+// ============================================
+// Modbus Protocol Handler
+// ============================================
+class ModbusMaster {
+    constructor(slaveId = 1) {
+        this.slaveId = slaveId;
     }
 
     /**
-     * FC 02 - Read Discrete Inputs
+     * Calculate CRC-16 (Modbus polynomial 0xA001)
      */
-    handleReadDiscreteInputs(frame) {
-        const startAddress = (frame[2] << 8) | frame[3];
-        const quantity = (frame[4] << 8) | frame[5];
-
-        if (quantity < 1 || quantity > MAX_COILS_PER_READ) {
-            return this.buildExceptionResponse(FUNCTION_CODES.READ_DISCRETE_INPUTS, 0x03);
-        }
+    static calculateCRC16(buffer) {
+        let crc = 0xFFFF;
 
-        if (this.forcedExceptions.has(`discreteInputs:${startAddress}`)) {
-            return this.buildExceptionResponse(FUNCTION_CODES.READ_DISCRETE_INPUTS,
-                this.forcedExceptions.get(`discreteInputs:${startAddress}`));
-        }
+        for (let i = 0; i < buffer.length; i++) {
+            crc ^= buffer[i];
 
-        const values = [];
-        for (let i = 0; i < quantity; i++) {
-            const addr = startAddress + i;
-            if (!this.registerMaps.discreteInputs.has(addr)) {
-                return this.buildExceptionResponse(FUNCTION_CODES.READ_DISCRETE_INPUTS, 0x02);
+            for (let j = 0; j < 8; j++) {
+                if (crc & 0x0001) {
+                    crc = (crc >> 1) ^ 0xA001;
+                } else {
+                    crc >>= 1;
+                }
             }
-            values.push(this.registerMaps.discreteInputs.get(addr) ? 1 : 0);
-            this.updateAccessStats('discreteInputs', addr, 'read');
         }
 
-        if (this.onRegisterRead) {
-            this.onRegisterRead('discreteInputs', startAddress, quantity);
-        }
+        return crc;
+    }
 
-        const byteCount = Math.ceil(quantity / 8);
-        const data = new Uint8Array(byteCount);
+    /**
+     * Validate CRC of received frame
+     */
+    static validateCRC(frame) {
+        if (frame.length < 4) return false;
 
-        for (let i = 0; i < quantity; i++) {
-            if (values[i]) {
-                data[Math.floor(i / 8)] |= (1 << (i % 8));
-            }
-        }
+        const data = frame.slice(0, -2);
+        const receivedCRC = frame[frame.length - 2] | (frame[frame.length - 1] << 8);
+        const calculatedCRC = ModbusMaster.calculateCRC16(data);
 
-        return this.buildReadResponse(FUNCTION_CODES.READ_DISCRETE_INPUTS, data);
+        return receivedCRC === calculatedCRC;
     }
 
     /**
-     * FC 03 - Read Holding Registers
+     * Append CRC to frame
      */
-    handleReadHoldingRegisters(frame) {
-        const startAddress = (frame[2] << 8) | frame[3];
-        const quantity = (frame[4] << 8) | frame[5];
+    static appendCRC(frame) {
+        const crc = ModbusMaster.calculateCRC16(frame);
+        return new Uint8Array([...frame, crc & 0xFF, (crc >> 8) & 0xFF]);
+    }
 
-        if (quantity < 1 || quantity > MAX_REGISTERS_PER_READ) {
-            return this.buildExceptionResponse(FUNCTION_CODES.READ_HOLDING_REGISTERS, 0x03);
-        }
+    /**
+     * Convert user address to Modbus address
+     * e.g., 40001 → 0x0000 for Holding Register
+     */
+    static convertAddress(userAddress, registerType) {
+        const addr = parseInt(userAddress);
 
-        if (this.forcedExceptions.has(`holdingRegisters:${startAddress}`)) {
-            return this.buildExceptionResponse(FUNCTION_CODES.READ_HOLDING_REGISTERS,
-                this.forcedExceptions.get(`holdingRegisters:${startAddress}`));
+        if (registerType === '4x') {
+            return (addr >= 40001 && addr <= 49999) ? addr - 40001 : addr;
+        } else if (registerType === '3x') {
+            return (addr >= 30001 && addr <= 39999) ? addr - 30001 : addr;
+        } else if (registerType === '0x') {
+            return (addr >= 1 && addr <= 9999) ? addr - 1 : addr;
+        } else if (registerType === '1x') {
+            return (addr >= 10001 && addr <= 19999) ? addr - 10001 : addr;
         }
 
-        const data = new Uint8Array(quantity * 2);
+        return addr;
+    }
 
-        for (let i = 0; i < quantity; i++) {
-            const addr = startAddress + i;
-            if (!this.registerMaps.holdingRegisters.has(addr)) {
-                return this.buildExceptionResponse(FUNCTION_CODES.READ_HOLDING_REGISTERS, 0x02);
-            }
+    /**
+     * Build Read Registers/Coils frame
+     */
+    buildReadFrame(functionCode, startAddress, quantity) {
+        const frame = new Uint8Array([
+            this.slaveId,
+            functionCode,
+            (startAddress >> 8) & 0xFF,
+            startAddress & 0xFF,
+            (quantity >> 8) & 0xFF,
+            quantity & 0xFF
+        ]);
+        return ModbusMaster.appendCRC(frame);
+    }
 
-            let value = this.registerMaps.holdingRegisters.get(addr);
+    /**
+     * Build Write Single Register frame (FC06)
+     */
+    buildWriteSingleRegisterFrame(address, value) {
+        const frame = new Uint8Array([
+            this.slaveId,
+            FUNCTION_CODES.WRITE_SINGLE_REGISTER,
+            (address >> 8) & 0xFF,
+            address & 0xFF,
+            (value >> 8) & 0xFF,
+            value & 0xFF
+        ]);
+        return ModbusMaster.appendCRC(frame);
+    }
 
-            // Handle simulation modes
-            if (this.randomValues) {
-                value = Math.floor(Math.random() * 65536);
-                this.registerMaps.holdingRegisters.set(addr, value);
-            } else if (this.autoIncrement) {
-                value = (value + 1) & 0xFFFF;
-                this.registerMaps.holdingRegisters.set(addr, value);
-            }
+    /**
+     * Build Write Single Coil frame (FC05)
+     */
+    buildWriteSingleCoilFrame(address, value) {
+        const coilValue = value ? 0xFF00 : 0x0000;
+        const frame = new Uint8Array([
+            this.slaveId,
+            FUNCTION_CODES.WRITE_SINGLE_COIL,
+            (address >> 8) & 0xFF,
+            address & 0xFF,
+            (coilValue >> 8) & 0xFF,
+            coilValue & 0xFF
+        ]);
+        return ModbusMaster.appendCRC(frame);
+    }
 
-            data[i * 2] = (value >> 8) & 0xFF;
-            data[i * 2 + 1] = value & 0xFF;
+    /**
+     * Build Write Multiple Registers frame (FC16)
+     */
+    buildWriteMultipleRegistersFrame(startAddress, values) {
+        const byteCount = values.length * 2;
+        const frame = new Uint8Array(7 + byteCount);
 
-            this.updateAccessStats('holdingRegisters', addr, 'read');
-        }
+        frame[0] = this.slaveId;
+        frame[1] = FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS;
+        frame[2] = (startAddress >> 8) & 0xFF;
+        frame[3] = startAddress & 0xFF;
+        frame[4] = (values.length >> 8) & 0xFF;
+        frame[5] = values.length & 0xFF;
+        frame[6] = byteCount;
 
-        if (this.onRegisterRead) {
-            this.onRegisterRead('holdingRegisters', startAddress, quantity);
+        for (let i = 0; i < values.length; i++) {
+            frame[7 + i * 2] = (values[i] >> 8) & 0xFF;
+            frame[8 + i * 2] = values[i] & 0xFF;
         }
 
-        return this.buildReadResponse(FUNCTION_CODES.READ_HOLDING_REGISTERS, data);
+        return ModbusMaster.appendCRC(frame);
     }
 
     /**
-     * FC 04 - Read Input Registers
+     * Build Write Multiple Coils frame (FC15)
      */
-    handleReadInputRegisters(frame) {
-        const startAddress = (frame[2] << 8) | frame[3];
-        const quantity = (frame[4] << 8) | frame[5];
+    buildWriteMultipleCoilsFrame(startAddress, values) {
+        const byteCount = Math.ceil(values.length / 8);
+        const frame = new Uint8Array(7 + byteCount);
 
-        if (quantity < 1 || quantity > MAX_REGISTERS_PER_READ) {
-            return this.buildExceptionResponse(FUNCTION_CODES.READ_INPUT_REGISTERS, 0x03);
-        }
+        frame[0] = this.slaveId;
+        frame[1] = FUNCTION_CODES.WRITE_MULTIPLE_COILS;
+        frame[2] = (startAddress >> 8) & 0xFF;
+        frame[3] = startAddress & 0xFF;
+        frame[4] = (values.length >> 8) & 0xFF;
+        frame[5] = values.length & 0xFF;
+        frame[6] = byteCount;
 
-        if (this.forcedExceptions.has(`inputRegisters:${startAddress}`)) {
-            return this.buildExceptionResponse(FUNCTION_CODES.READ_INPUT_REGISTERS,
-                this.forcedExceptions.get(`inputRegisters:${startAddress}`));
+        for (let i = 0; i < values.length; i++) {
+            if (values[i]) {
+                frame[7 + Math.floor(i / 8)] |= (1 << (i % 8));
+            }
         }
 
-        const data = new Uint8Array(quantity * 2);
+        return ModbusMaster.appendCRC(frame);
+    }
 
-        for (let i = 0; i < quantity; i++) {
-            const addr = startAddress + i;
-            if (!this.registerMaps.inputRegisters.has(addr)) {
-                return this.buildExceptionResponse(FUNCTION_CODES.READ_INPUT_REGISTERS, 0x02);
-            }
+    /**
+     * Build Mask Write Register frame (FC22).
+     * The device stores (current AND andMask) OR (orMask AND NOT andMask).
+     */
+    buildMaskWriteRegisterFrame(address, andMask, orMask) {
+        const frame = new Uint8Array([
+            this.slaveId,
+            FUNCTION_CODES.MASK_WRITE_REGISTER,
+            (address >> 8) & 0xFF,
+            address & 0xFF,
+            (andMask >> 8) & 0xFF,
+            andMask & 0xFF,
+            (orMask >> 8) & 0xFF,
+            orMask & 0xFF
+        ]);
 
-            let value = this.registerMaps.inputRegisters.get(addr);
+        return ModbusMaster.appendCRC(frame);
+    }
 
-            if (this.randomValues) {
-                value = Math.floor(Math.random() * 65536);
-                this.registerMaps.inputRegisters.set(addr, value);
-            } else if (this.autoIncrement) {
-                value = (value + 1) & 0xFFFF;
-                this.registerMaps.inputRegisters.set(addr, value);
-            }
+    /**
+     * AND/OR masks that set or clear one bit and leave the others alone
+     */
+    static getBitMasks(bit, on) {
+        return {
+            andMask: ~(1 << bit) & 0xFFFF,
+            orMask: on ? 1 << bit : 0
+        };
+    }
 
-            data[i * 2] = (value >> 8) & 0xFF;
-            data[i * 2 + 1] = value & 0xFF;
+    /**
+     * Apply AND/OR masks the way a device does for FC22
+     */
+    static applyMasks(value, andMask, orMask) {
+        return ((value & andMask) | (orMask & ~andMask)) & 0xFFFF;
+    }
 
-            this.updateAccessStats('inputRegisters', addr, 'read');
-        }
+    /**
+     * Build Read/Write Multiple Registers frame (FC23) - the write is done before the read
+     */
+    buildReadWriteMultipleRegistersFrame(readAddress, readQuantity, writeAddress, values) {
+        const byteCount = values.length * 2;
+        const frame = new Uint8Array(11 + byteCount);
 
-        if (this.onRegisterRead) {
-            this.onRegisterRead('inputRegisters', startAddress, quantity);
+        frame[0] = this.slaveId;
+        frame[1] = FUNCTION_CODES.READ_WRITE_MULTIPLE_REGISTERS;
+        frame[2] = (readAddress >> 8) & 0xFF;
+        frame[3] = readAddress & 0xFF;
+        frame[4] = (readQuantity >> 8) & 0xFF;
+        frame[5] = readQuantity & 0xFF;
+        frame[6] = (writeAddress >> 8) & 0xFF;
+        frame[7] = writeAddress & 0xFF;
+        frame[8] = (values.length >> 8) & 0xFF;
+        frame[9] = values.length & 0xFF;
+        frame[10] = byteCount;
+
+        for (let i = 0; i < values.length; i++) {
+            frame[11 + i * 2] = (values[i] >> 8) & 0xFF;
+            frame[12 + i * 2] = values[i] & 0xFF;
         }
 
-        return this.buildReadResponse(FUNCTION_CODES.READ_INPUT_REGISTERS, data);
+        return ModbusMaster.appendCRC(frame);
     }
 
     /**
-     * FC 05 - Write Single Coil
+     * Build Report Server ID frame (FC17)
      */
-    handleWriteSingleCoil(frame) {
-        const address = (frame[2] << 8) | frame[3];
-        const value = (frame[4] << 8) | frame[5];
-
-        // Value must be 0x0000 (OFF) or 0xFF00 (ON)
-        if (value !== 0x0000 && value !== 0xFF00) {
-            return this.buildExceptionResponse(FUNCTION_CODES.WRITE_SINGLE_COIL, 0x03);
-        }
+    buildReportServerIdFrame() {
+        return ModbusMaster.appendCRC(new Uint8Array([this.slaveId, FUNCTION_CODES.REPORT_SERVER_ID]));
+    }
 
-        if (!this.registerMaps.coils.has(address)) {
-            return this.buildExceptionResponse(FUNCTION_CODES.WRITE_SINGLE_COIL, 0x02);
-        }
+    /**
+     * Build Read FIFO Queue frame (FC24)
+     */
+    buildReadFifoQueueFrame(pointerAddress) {
+        const frame = new Uint8Array([
+            this.slaveId,
+            FUNCTION_CODES.READ_FIFO_QUEUE,
+            (pointerAddress >> 8) & 0xFF,
+            pointerAddress & 0xFF
+        ]);
 
-        if (this.forcedExceptions.has(`coils:${address}`)) {
-            return this.buildExceptionResponse(FUNCTION_CODES.WRITE_SINGLE_COIL,
-                this.forcedExceptions.get(`coils:${address}`));
-        }
+        return ModbusMaster.appendCRC(frame);
+    }
 
-        this.registerMaps.coils.set(address, value === 0xFF00 ? 1 : 0);
-        this.updateAccessStats('coils', address, 'write');
+    /**
+     * Build Read File Record frame (FC20) - one sub-request per { file, record, length }
+     */
+    buildReadFileRecordFrame(subRequests) {
+        const frame = new Uint8Array(3 + subRequests.length * 7);
 
-        if (this.onRegisterWrite) {
-            this.onRegisterWrite('coils', address, 1);
-        }
+        frame[0] = this.slaveId;
+        frame[1] = FUNCTION_CODES.READ_FILE_RECORD;
+        frame[2] = subRequests.length * 7;
+
+        subRequests.forEach(({ file, record, length }, i) => {
+            const offset = 3 + i * 7;
+            frame[offset] = FILE_RECORD_REFERENCE_TYPE;
+            frame[offset + 1] = (file >> 8) & 0xFF;
+            frame[offset + 2] = file & 0xFF;
+            frame[offset + 3] = (record >> 8) & 0xFF;
+            frame[offset + 4] = record & 0xFF;
+            frame[offset + 5] = (length >> 8) & 0xFF;
+            frame[offset + 6] = length & 0xFF;
+        });
 
-        // Echo the request as response (without CRC, will be added)
-        return ModbusMaster.appendCRC(frame.slice(0, 6));
+        return ModbusMaster.appendCRC(frame);
     }
 
     /**
-     * FC 06 - Write Single Register
+     * Build Write File Record frame (FC21) - one sub-request per { file, record, values }
      */
-    handleWriteSingleRegister(frame) {
-        const address = (frame[2] << 8) | frame[3];
-        const value = (frame[4] << 8) | frame[5];
-
-        if (!this.registerMaps.holdingRegisters.has(address)) {
-            return this.buildExceptionResponse(FUNCTION_CODES.WRITE_SINGLE_REGISTER, 0x02);
-        }
-
-        if (this.forcedExceptions.has(`holdingRegisters:${address}`)) {
-            return this.buildExceptionResponse(FUNCTION_CODES.WRITE_SINGLE_REGISTER,
-                this.forcedExceptions.get(`holdingRegisters:${address}`));
-        }
-
-        this.registerMaps.holdingRegisters.set(address, value);
-        this.updateAccessStats('holdingRegisters', address, 'write');
+    buildWriteFileRecordFrame(subRequests) {
+        const dataLength = subRequests.reduce((total, sub) => total + 7 + sub.values.length * 2, 0);
+        const frame = new Uint8Array(3 + dataLength);
 
-        if (this.onRegisterWrite) {
-            this.onRegisterWrite('holdingRegisters', address, 1);
+        frame[0] = this.slaveId;
+        frame[1] = FUNCTION_CODES.WRITE_FILE_RECORD;
+        frame[2] = dataLength;
+
+        let offset = 3;
+        for (const { file, record, values } of subRequests) {
+            frame[offset] = FILE_RECORD_REFERENCE_TYPE;
+            frame[offset + 1] = (file >> 8) & 0xFF;
+            frame[offset + 2] = file & 0xFF;
+            frame[offset + 3] = (record >> 8) & 0xFF;
+            frame[offset + 4] = record & 0xFF;
+            frame[offset + 5] = (values.length >> 8) & 0xFF;
+            frame[offset + 6] = values.length & 0xFF;
+            offset += 7;
+
+            for (const value of values) {
+                frame[offset] = (value >> 8) & 0xFF;
+                frame[offset + 1] = value & 0xFF;
+                offset += 2;
+            }
         }
 
-        return ModbusMaster.appendCRC(frame.slice(0, 6));
+        return ModbusMaster.appendCRC(frame);
     }
 
     /**
-     * FC 0F - Write Multiple Coils
+     * Build Diagnostics frame (FC08) - a sub-function plus one data word
      */
-    handleWriteMultipleCoils(frame) {
-        const startAddress = (frame[2] << 8) | frame[3];
-        const quantity = (frame[4] << 8) | frame[5];
-        const byteCount = frame[6];
-
-        if (quantity < 1 || quantity > 1968) {
-            return this.buildExceptionResponse(FUNCTION_CODES.WRITE_MULTIPLE_COILS, 0x03);
-        }
-
-        // Verify all addresses exist
-        for (let i = 0; i < quantity; i++) {
-            const addr = startAddress + i;
-            if (!this.registerMaps.coils.has(addr)) {
-                return this.buildExceptionResponse(FUNCTION_CODES.WRITE_MULTIPLE_COILS, 0x02);
-            }
-            if (this.forcedExceptions.has(`coils:${addr}`)) {
-                return this.buildExceptionResponse(FUNCTION_CODES.WRITE_MULTIPLE_COILS,
-                    this.forcedExceptions.get(`coils:${addr}`));
-            }
-        }
+    buildDiagnosticsFrame(subFunction, data = 0) {
+        const frame = new Uint8Array([
+            this.slaveId,
+            FUNCTION_CODES.DIAGNOSTICS,
+            (subFunction >> 8) & 0xFF,
+            subFunction & 0xFF,
+            (data >> 8) & 0xFF,
+            data & 0xFF
+        ]);
 
-        // Write coils
-        for (let i = 0; i < quantity; i++) {
-            const addr = startAddress + i;
-            const byteIndex = Math.floor(i / 8);
-            const bitIndex = i % 8;
-            const value = (frame[7 + byteIndex] >> bitIndex) & 1;
+        return ModbusMaster.appendCRC(frame);
+    }
 
-            this.registerMaps.coils.set(addr, value);
-            this.updateAccessStats('coils', addr, 'write');
-        }
+    /**
+     * Build Get Comm Event Counter frame (FC11)
+     */
+    buildGetCommEventCounterFrame() {
+        return ModbusMaster.appendCRC(new Uint8Array([this.slaveId, FUNCTION_CODES.GET_COMM_EVENT_COUNTER]));
+    }
 
-        if (this.onRegisterWrite) {
-            this.onRegisterWrite('coils', startAddress, quantity);
-        }
+    /**
+     * Build Get Comm Event Log frame (FC12)
+     */
+    buildGetCommEventLogFrame() {
+        return ModbusMaster.appendCRC(new Uint8Array([this.slaveId, FUNCTION_CODES.GET_COMM_EVENT_LOG]));
+    }
 
-        // Response: slave ID, FC, start address, quantity
-        const response = new Uint8Array([
+    /**
+     * Build Read Device Identification frame (FC43 / MEI 14)
+     */
+    buildReadDeviceIdFrame(readDeviceIdCode, objectId = 0) {
+        const frame = new Uint8Array([
             this.slaveId,
-            FUNCTION_CODES.WRITE_MULTIPLE_COILS,
-            (startAddress >> 8) & 0xFF,
-            startAddress & 0xFF,
-            (quantity >> 8) & 0xFF,
-            quantity & 0xFF
+            FUNCTION_CODES.ENCAPSULATED_INTERFACE,
+            MEI_READ_DEVICE_ID,
+            readDeviceIdCode,
+            objectId
         ]);
 
-        return ModbusMaster.appendCRC(response);
+        return ModbusMaster.appendCRC(frame);
     }
 
     /**
-     * FC 10 - Write Multiple Registers
+     * Parse read response and extract register values.
+     * With quantity given, the byte count must match it and bit values are
+     * trimmed to it (the last byte is padded with zero bits).
      */
-    handleWriteMultipleRegisters(frame) {
-        const startAddress = (frame[2] << 8) | frame[3];
-        const quantity = (frame[4] << 8) | frame[5];
-        const byteCount = frame[6];
+    parseReadResponse(response, expectedFC, quantity = null) {
+        this.checkResponse(response, expectedFC);
 
-        if (quantity < 1 || quantity > 123) {
-            return this.buildExceptionResponse(FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS, 0x03);
+        const byteCount = response[2];
+        if (response.length !== byteCount + 5) {
+            throw new UnexpectedResponseError(`Byte count ${byteCount} does not match a ${response.length}-byte frame`, response);
         }
+        const data = response.slice(3, 3 + byteCount);
 
-        // Verify all addresses exist
-        for (let i = 0; i < quantity; i++) {
-            const addr = startAddress + i;
-            if (!this.registerMaps.holdingRegisters.has(addr)) {
-                return this.buildExceptionResponse(FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS, 0x02);
-            }
-            if (this.forcedExceptions.has(`holdingRegisters:${addr}`)) {
-                return this.buildExceptionResponse(FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS,
-                    this.forcedExceptions.get(`holdingRegisters:${addr}`));
+        // Parse based on function code
+        if (expectedFC === FUNCTION_CODES.READ_HOLDING_REGISTERS ||
+            expectedFC === FUNCTION_CODES.READ_INPUT_REGISTERS ||
+            expectedFC === FUNCTION_CODES.READ_WRITE_MULTIPLE_REGISTERS) {
+            if (quantity !== null && byteCount !== quantity * 2) {
+                throw new UnexpectedResponseError(`Expected ${quantity} register(s), got ${byteCount} bytes`, response);
             }
-        }
-
-        // Write registers
-        for (let i = 0; i < quantity; i++) {
-            const addr = startAddress + i;
-            const value = (frame[7 + i * 2] << 8) | frame[8 + i * 2];
 
-            this.registerMaps.holdingRegisters.set(addr, value);
-            this.updateAccessStats('holdingRegisters', addr, 'write');
-        }
+            // Parse as 16-bit registers
+            const values = [];
+            for (let i = 0; i < byteCount; i += 2) {
+                values.push((data[i] << 8) | data[i + 1]);
+            }
+            return values;
+        } else if (expectedFC === FUNCTION_CODES.READ_COILS ||
+                   expectedFC === FUNCTION_CODES.READ_DISCRETE_INPUTS) {
+            if (quantity !== null && byteCount !== Math.ceil(quantity / 8)) {
+                throw new UnexpectedResponseError(`Expected ${quantity} bit(s), got ${byteCount} bytes`, response);
+            }
 
-        if (this.onRegisterWrite) {
-            this.onRegisterWrite('holdingRegisters', startAddress, quantity);
+            // Parse as bits
+            const values = [];
+            for (let i = 0; i < byteCount; i++) {
+                for (let bit = 0; bit < 8; bit++) {
+                    values.push((data[i] >> bit) & 1);
+                }
+            }
+            return quantity !== null ? values.slice(0, quantity) : values;
         }
 
-        // Response: slave ID, FC, start address, quantity
-        const response = new Uint8Array([
-            this.slaveId,
-            FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS,
-            (startAddress >> 8) & 0xFF,
-            startAddress & 0xFF,
-            (quantity >> 8) & 0xFF,
-            quantity & 0xFF
-        ]);
-
-        return ModbusMaster.appendCRC(response);
+        return data;
     }
 
     /**
-     * Build a read response frame
+     * Parse Read/Write Multiple Registers response (FC23) - the registers read after the write
      */
-    buildReadResponse(functionCode, data) {
-        const frame = new Uint8Array(3 + data.length);
-        frame[0] = this.slaveId;
-        frame[1] = functionCode;
-        frame[2] = data.length;
-        frame.set(data, 3);
-
-        return ModbusMaster.appendCRC(frame);
+    parseReadWriteResponse(response, readQuantity = null) {
+        return this.parseReadResponse(response, FUNCTION_CODES.READ_WRITE_MULTIPLE_REGISTERS, readQuantity);
     }
 
     /**
-     * Build an exception response frame
+     * Check CRC, slave ID, exception and function code shared by every parser
      */
-    buildExceptionResponse(functionCode, exceptionCode) {
-        const frame = new Uint8Array([
-            this.slaveId,
-            functionCode | 0x80,
-            exceptionCode
-        ]);
+    checkResponse(response, expectedFC) {
+        if (!ModbusMaster.validateCRC(response)) {
+            throw new CrcError('CRC validation failed', response);
+        }
 
-        return ModbusMaster.appendCRC(frame);
+        if (response[0] !== this.slaveId) {
+            throw new UnexpectedResponseError(`Reply from slave ${response[0]}, expected ${this.slaveId}`, response);
+        }
+
+        const functionCode = response[1];
+
+        if (functionCode === (expectedFC | 0x80)) {
+            throw new ModbusExceptionError(expectedFC, response[2]);
+        }
+
+        if (functionCode !== expectedFC) {
+            throw new UnexpectedResponseError(`Unexpected function code: ${functionCode}`, response);
+        }
     }
 
     /**
-     * Update access statistics for a register
+     * Parse Read FIFO Queue response (FC24) - the queued values, oldest first
      */
-    updateAccessStats(type, address, accessType) {
-        const statsMap = this.accessStats[type];
-        if (statsMap && statsMap.has(address)) {
-            const stats = statsMap.get(address);
-            if (accessType === 'read') {
-                stats.readCount++;
-            } else {
-                stats.writeCount++;
-            }
-            stats.lastAccess = new Date();
+    parseReadFifoQueueResponse(response) {
+        this.checkResponse(response, FUNCTION_CODES.READ_FIFO_QUEUE);
+
+        const byteCount = (response[2] << 8) | response[3];
+        const fifoCount = (response[4] << 8) | response[5];
+        if (byteCount !== 2 + fifoCount * 2 || fifoCount > MAX_FIFO_COUNT) {
+            throw new UnexpectedResponseError(`FIFO count ${fifoCount} does not match byte count ${byteCount}`, response);
+        }
+
+        const values = [];
+        for (let i = 0; i < fifoCount; i++) {
+            values.push((response[6 + i * 2] << 8) | response[7 + i * 2]);
         }
+        return values;
     }
 
     /**
-     * Get access statistics for display
+     * Parse Report Server ID response (FC17). The layout after the byte count is
+     * device specific; most devices send a one-byte server ID, the run indicator
+     * (0x00 = OFF, 0xFF = ON), then free-form data.
      */
-    getAccessStats(type) {
-        const result = [];
-        const statsMap = this.accessStats[type];
-        const regMap = this.registerMaps[type];
-
-        if (!statsMap || !regMap) return result;
+    parseReportServerIdResponse(response) {
+        this.checkResponse(response, FUNCTION_CODES.REPORT_SERVER_ID);
 
-        for (const [address, stats] of statsMap) {
-            result.push({
-                address,
-                value: regMap.get(address),
-                readCount: stats.readCount,
-                writeCount: stats.writeCount,
-                lastAccess: stats.lastAccess
-            });
+        const data = response.slice(3, 3 + response[2]);
+        if (data.length < 2) {
+            throw new UnexpectedResponseError('Report Server ID response too short', response);
         }
 
-        return result.sort((a, b) => a.address - b.address);
+        return {
+            serverId: data[0],
+            runIndicator: data[1],
+            additionalData: data.slice(2)
+        };
     }
 
     /**
-     * Get total statistics
+     * Parse Read File Record response (FC20) - one array of record values per sub-request
      */
-    getTotalStats() {
-        let totalReads = 0;
-        let totalWrites = 0;
+    parseReadFileRecordResponse(response) {
+        this.checkResponse(response, FUNCTION_CODES.READ_FILE_RECORD);
+
+        const end = 3 + response[2];
+        const results = [];
+        let offset = 3;
+        while (offset < end) {
+            const length = response[offset]; // reference type byte plus the data
+            if (length < 1 || offset + 1 + length > end || response[offset + 1] !== FILE_RECORD_REFERENCE_TYPE) {
+                throw new UnexpectedResponseError('Malformed file record sub-response', response);
+            }
 
-        for (const type of Object.keys(this.accessStats)) {
-            for (const stats of this.accessStats[type].values()) {
-                totalReads += stats.readCount;
-                totalWrites += stats.writeCount;
+            const values = [];
+            for (let i = offset + 2; i + 1 < offset + 1 + length; i += 2) {
+                values.push((response[i] << 8) | response[i + 1]);
             }
+            results.push(values);
+            offset += 1 + length;
         }
 
-        return { totalReads, totalWrites };
+        return results;
     }
 
     /**
-     * Reset all statistics
+     * Parse Diagnostics response (FC08) - returns the data word (the counter value
+     * for the counter sub-functions, the echoed data otherwise)
      */
-    resetStats() {
-        for (const type of Object.keys(this.accessStats)) {
-            for (const stats of this.accessStats[type].values()) {
-                stats.readCount = 0;
-                stats.writeCount = 0;
-                stats.lastAccess = null;
-            }
+    parseDiagnosticsResponse(response, subFunction) {
+        this.checkResponse(response, FUNCTION_CODES.DIAGNOSTICS);
+
+        if (((response[2] << 8) | response[3]) !== subFunction) {
+            throw new UnexpectedResponseError(`Unexpected sub-function: ${(response[2] << 8) | response[3]}`, response);
         }
+
+        return (response[4] << 8) | response[5];
     }
 
     /**
-     * Export configuration as JSON
+     * Parse Get Comm Event Counter response (FC11).
+     * busy is set while the device is still processing an earlier command.
      */
-    exportConfig() {
-        const config = {
-            slaveId: this.slaveId,
-            responseDelay: this.responseDelay,
-            autoIncrement: this.autoIncrement,
-            randomValues: this.randomValues,
-            registerMaps: {}
+    parseCommEventCounterResponse(response) {
+        this.checkResponse(response, FUNCTION_CODES.GET_COMM_EVENT_COUNTER);
+
+        return {
+            busy: ((response[2] << 8) | response[3]) === 0xFFFF,
+            eventCount: (response[4] << 8) | response[5]
         };
+    }
 
-        for (const type of Object.keys(this.registerMaps)) {
-            config.registerMaps[type] = Array.from(this.registerMaps[type].entries());
+    /**
+     * Parse Get Comm Event Log response (FC12) - events are newest first
+     */
+    parseCommEventLogResponse(response) {
+        this.checkResponse(response, FUNCTION_CODES.GET_COMM_EVENT_LOG);
+
+        const byteCount = response[2];
+        if (byteCount < 6) {
+            throw new UnexpectedResponseError('Comm event log too short', response);
         }
 
-        return config;
+        return {
+            busy: ((response[3] << 8) | response[4]) === 0xFFFF,
+            eventCount: (response[5] << 8) | response[6],
+            messageCount: (response[7] << 8) | response[8],
+            events: [...response.slice(9, 3 + byteCount)]
+        };
     }
 
     /**
-     * Import configuration from JSON
+     * Readable text for one comm event log byte
      */
-    importConfig(config) {
-        this.slaveId = config.slaveId || 1;
-        this.responseDelay = config.responseDelay || 0;
-        this.autoIncrement = config.autoIncrement || false;
-        this.randomValues = config.randomValues || false;
+    static describeCommEvent(event) {
+        if (event & 0x80) {
+            const flags = [];
+            if (event & 0x02) flags.push('communication error');
+            if (event & 0x10) flags.push('character overrun');
+            if (event & 0x20) flags.push('in listen only mode');
+            if (event & 0x40) flags.push('broadcast');
+            return flags.length > 0 ? `Received (${flags.join(', ')})` : 'Received';
+        }
+        if (event & 0x40) {
+            const flags = [];
+            if (event & 0x01) flags.push('read exception');
+            if (event & 0x02) flags.push('abort exception');
+            if (event & 0x04) flags.push('busy exception');
+            if (event & 0x08) flags.push('NAK exception');
+            if (event & 0x10) flags.push('write timeout');
+            if (event & 0x20) flags.push('in listen only mode');
+            return flags.length > 0 ? `Sent (${flags.join(', ')})` : 'Sent';
+        }
+        if (event === 0x00) return 'Communication restart';
+        if (event === 0x04) return 'Entered listen only mode';
+        return `Unknown event 0x${event.toString(16).padStart(2, '0')}`;
+    }
 
-        // Clear and restore register maps
-        for (const type of Object.keys(this.registerMaps)) {
-            this.registerMaps[type].clear();
-            this.accessStats[type].clear();
+    /**
+     * Parse Read Device Identification response (FC43 / MEI 14).
+     * moreFollows means the objects did not fit - ask again from nextObjectId.
+     */
+    parseDeviceIdResponse(response) {
+        this.checkResponse(response, FUNCTION_CODES.ENCAPSULATED_INTERFACE);
 
-            if (config.registerMaps && config.registerMaps[type]) {
-                for (const [address, value] of config.registerMaps[type]) {
-                    this.registerMaps[type].set(address, value);
-                    this.accessStats[type].set(address, { readCount: 0, writeCount: 0, lastAccess: null });
-                }
+        if (response[2] !== MEI_READ_DEVICE_ID) {
+            throw new UnexpectedResponseError(`Unexpected MEI type: ${response[2]}`, response);
+        }
+
+        const objects = [];
+        let offset = 8;
+        for (let i = 0; i < response[7]; i++) {
+            const id = response[offset];
+            const length = response[offset + 1];
+            if (offset + 2 + length > response.length - 2) {
+                throw new UnexpectedResponseError('Truncated device identification object', response);
             }
+            const value = String.fromCharCode(...response.slice(offset + 2, offset + 2 + length));
+            objects.push({ id, value });
+            offset += 2 + length;
         }
+
+        return {
+            readDeviceIdCode: response[3],
+            conformityLevel: response[4],
+            moreFollows: response[5] === 0xFF,
+            nextObjectId: response[6],
+            objects
+        };
     }
-}
+
+    /**
+     * Parse write response. With the request given, the echoed fields must match it:
+     * address and value (FC05/06), address and quantity (FC15/16), address and
+     * masks (FC22), or the whole request (FC21).
+     */
+    parseWriteResponse(response, expectedFC, request = null) {
+        this.checkResponse(response, expectedFC);
+
+        if (!request) return true;
+
+        let echoLength;
+        switch (expectedFC) {
+            case FUNCTION_CODES.WRITE_SINGLE_COIL:
+            case FUNCTION_CODES.WRITE_SINGLE_REGISTER:
+            case FUNCTION_CODES.WRITE_MULTIPLE_COILS:
+            case FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS:
+                echoLength = 4;
+                break;
+            case FUNCTION_CODES.MASK_WRITE_REGISTER:
+                echoLength = 6;
+                break;
+            case FUNCTION_CODES.WRITE_FILE_RECORD:
+                echoLength = request.length - 4;
+                break;
+            default:
+                return true;
+        }
+
+        if (response.length !== echoLength + 4) {
+            throw new UnexpectedResponseError(`Write reply is ${response.length} bytes, expected ${echoLength + 4}`, response);
+        }
+        for (let i = 2; i < 2 + echoLength; i++) {
+            if (response[i] !== request[i]) {
+                throw new UnexpectedResponseError(
+                    `Write echo mismatch: sent ${ValueInterpreter.toHexBytes(request.slice(2, 2 + echoLength))}, ` +
+                    `got ${ValueInterpreter.toHexBytes(response.slice(2, 2 + echoLength))}`, response);
+            }
+        }
+
+        return true;
+    }
+}
 
 // ============================================
-// Value Interpreter
+// Bus Scanner
 // ============================================
-class ValueInterpreter {
+// Requests used to probe for a device - any valid reply, exceptions included, counts
+const SCAN_PROBES = {
+    fc03: { label: 'FC03 Read Holding Register 0', build: (modbus) => modbus.buildReadFrame(FUNCTION_CODES.READ_HOLDING_REGISTERS, 0, 1) },
+    fc04: { label: 'FC04 Read Input Register 0', build: (modbus) => modbus.buildReadFrame(FUNCTION_CODES.READ_INPUT_REGISTERS, 0, 1) },
+    fc01: { label: 'FC01 Read Coil 0', build: (modbus) => modbus.buildReadFrame(FUNCTION_CODES.READ_COILS, 0, 1) },
+    fc17: { label: 'FC17 Report Server ID', build: (modbus) => modbus.buildReportServerIdFrame() }
+};
+
+class BusScanner {
     /**
-     * Convert 16-bit value to unsigned
+     * transact(frame, options) sends one request and resolves with the response
      */
-    static toUnsigned16(value) {
-        return value & 0xFFFF;
+    constructor(transact) {
+        this.transact = transact;
+        this.onProgress = null; // (slaveId, done, total)
+        this.onFound = null;    // (device)
     }
 
     /**
-     * Convert 16-bit value to signed
+     * Probe every slave ID in [from, to]; resolves with the devices that replied
      */
-    static toSigned16(value) {
-        const unsigned = value & 0xFFFF;
-        return unsigned > 32767 ? unsigned - 65536 : unsigned;
+    async scan({ from = 1, to = 247, probe = 'fc03', timeout = 200, signal = null } = {}) {
+        const probeInfo = SCAN_PROBES[probe];
+        if (!probeInfo) {
+            throw new Error(`Unknown probe: ${probe}`);
+        }
+
+        const found = [];
+        const total = to - from + 1;
+        let scanned = 0;
+
+        for (let slaveId = from; slaveId <= to; slaveId++, scanned++) {
+            if (signal && signal.aborted) break;
+
+            if (this.onProgress) {
+                this.onProgress(slaveId, scanned, total);
+            }
+
+            const frame = probeInfo.build(new ModbusMaster(slaveId));
+            let response;
+            try {
+                response = await this.transact(frame, { timeout, retries: 0, signal });
+            } catch (error) {
+                if (error.name === 'AbortError') break;
+                continue; // No (valid) reply - nobody home
+            }
+
+            // A reply from another ID means a bus problem, not a device at this ID
+            if (response[0] !== slaveId || (response[1] & 0x7F) !== frame[1]) continue;
+
+            const device = {
+                slaveId,
+                exception: response[1] & 0x80 ? response[2] : null,
+                response
+            };
+            found.push(device);
+
+            if (this.onFound) {
+                this.onFound(device);
+            }
+        }
+
+        if (this.onProgress) {
+            this.onProgress(null, scanned, total);
+        }
+        return found;
     }
+}
 
+// ============================================
+// Register Discovery
+// ============================================
+class RegisterDiscovery {
     /**
-     * Swap bytes in 16-bit value
+     * transact(frame, options) sends one request and resolves with the response
      */
-    static swapBytes(value) {
-        return ((value & 0xFF) << 8) | ((value >> 8) & 0xFF);
+    constructor(transact, slaveId) {
+        this.transact = transact;
+        this.modbus = new ModbusMaster(slaveId);
+        this.onProgress = null; // (type, done, total)
+        this.onRange = null;    // (type, range)
     }
 
     /**
-     * Convert two 16-bit registers to 32-bit float
+     * Walk [from, to] for each register type with block reads, splitting blocks that fail.
+     * Resolves with { type: [{ start, end }] } - null for types the device rejects outright
      */
-    static toFloat32(reg1, reg2, byteOrder = 'ABCD') {
-        const buffer = new ArrayBuffer(4);
-        const view = new DataView(buffer);
+    async discover({ types = Object.keys(REGISTER_TYPES), from = 0, to = 999, blockSize = 100, timeout = RESPONSE_TIMEOUT, signal = null } = {}) {
+        const span = to - from + 1;
+        const progress = { done: 0, total: types.length * span };
+        const result = {};
 
-        switch (byteOrder) {
-            case 'ABCD': // Big-endian word, big-endian byte
-                view.setUint16(0, reg1, false);
-                view.setUint16(2, reg2, false);
-                break;
-            case 'CDAB': // Little-endian word, big-endian byte
-                view.setUint16(0, reg2, false);
-                view.setUint16(2, reg1, false);
-                break;
-            case 'BADC': // Big-endian word, little-endian byte
-                view.setUint16(0, this.swapBytes(reg1), false);
-                view.setUint16(2, this.swapBytes(reg2), false);
-                break;
-            case 'DCBA': // Little-endian word, little-endian byte
-                view.setUint16(0, this.swapBytes(reg2), false);
-                view.setUint16(2, this.swapBytes(reg1), false);
-                break;
+        for (const type of types) {
+            if (signal && signal.aborted) break;
+
+            const ranges = [];
+            const typeStart = progress.done;
+            const isBits = type === '0x' || type === '1x';
+            const size = Math.min(blockSize, isBits ? MAX_COILS_PER_READ : MAX_REGISTERS_PER_READ);
+
+            const context = { timeout, signal, progress, probes: 0 };
+            try {
+                for (let start = from; start <= to; start += size) {
+                    const count = Math.min(size, to - start + 1);
+                    const supported = await this.probeRange(type, start, count, ranges, context);
+                    if (!supported) {
+                        // Illegal Function on the very first read means the type is not implemented;
+                        // later on, keep what was found and stop walking
+                        if (context.probes === 1) {
+                            result[type] = null;
+                        }
+                        break;
+                    }
+                }
+            } catch (error) {
+                if (error.name !== 'AbortError') throw error;
+            }
+
+            if (result[type] !== null) {
+                result[type] = RegisterDiscovery.mergeRanges(ranges);
+            }
+            progress.done = typeStart + span;
+            this.reportProgress(type, progress);
         }
 
-        return view.getFloat32(0, false);
+        this.reportProgress(null, progress);
+        return result;
     }
 
     /**
-     * Convert float to two 16-bit registers
+     * Read a block; on an address/value exception split it in half until single addresses remain.
+     * Resolves false when the device does not support the function code at all
      */
-    static fromFloat32(value, byteOrder = 'ABCD') {
-        const buffer = new ArrayBuffer(4);
-        const view = new DataView(buffer);
-        view.setFloat32(0, value, false);
+    async probeRange(type, start, count, ranges, context) {
+        this.reportProgress(type, context.progress);
 
-        let reg1, reg2;
+        context.probes++;
+        const status = await this.probe(type, start, count, context);
+        if (status === 'unsupported') return false;
 
-        switch (byteOrder) {
-            case 'ABCD':
-                reg1 = view.getUint16(0, false);
-                reg2 = view.getUint16(2, false);
-                break;
-            case 'CDAB':
-                reg1 = view.getUint16(2, false);
-                reg2 = view.getUint16(0, false);
-                break;
-            case 'BADC':
-                reg1 = this.swapBytes(view.getUint16(0, false));
-                reg2 = this.swapBytes(view.getUint16(2, false));
-                break;
-            case 'DCBA':
-                reg1 = this.swapBytes(view.getUint16(2, false));
-                reg2 = this.swapBytes(view.getUint16(0, false));
-                break;
+        if (status === 'invalid' && count > 1) {
+            const half = Math.ceil(count / 2);
+            return await this.probeRange(type, start, half, ranges, context) &&
+                await this.probeRange(type, start + half, count - half, ranges, context);
         }
 
-        return [reg1, reg2];
+        if (status === 'ok') {
+            const range = { start, end: start + count - 1 };
+            ranges.push(range);
+            if (this.onRange) {
+                this.onRange(type, range);
+            }
+        }
+
+        context.progress.done += count;
+        return true;
     }
 
     /**
-     * Convert two registers to 32-bit long
+     * Classify a single block read: 'ok', 'invalid' (exception 02/03), 'unsupported' (exception 01) or 'failed'
      */
-    static toLong32(reg1, reg2, byteOrder = 'ABCD') {
-        const buffer = new ArrayBuffer(4);
-        const view = new DataView(buffer);
+    async probe(type, start, count, { timeout, signal }) {
+        const readFC = REGISTER_TYPES[type].readFC;
+        const frame = this.modbus.buildReadFrame(readFC, start, count);
 
-        switch (byteOrder) {
-            case 'ABCD':
-                view.setUint16(0, reg1, false);
-                view.setUint16(2, reg2, false);
-                break;
-            case 'CDAB':
-                view.setUint16(0, reg2, false);
-                view.setUint16(2, reg1, false);
-                break;
+        let response;
+        try {
+            response = await this.transact(frame, { timeout, retries: 0, signal });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            return 'failed'; // No (valid) reply - leave these addresses unknown
         }
 
-        return view.getInt32(0, false);
+        if (response[0] !== this.modbus.slaveId || (response[1] & 0x7F) !== readFC) return 'failed';
+        if (!(response[1] & 0x80)) return 'ok';
+
+        const exceptionCode = response[2];
+        if (exceptionCode === 0x01) return 'unsupported';
+        // Some devices answer 03 instead of 02 when a block runs past the end of their map
+        if (exceptionCode === 0x02 || exceptionCode === 0x03) return 'invalid';
+        return 'failed';
+    }
+
+    reportProgress(type, progress) {
+        if (this.onProgress) {
+            this.onProgress(type, progress.done, progress.total);
+        }
     }
 
     /**
-     * Convert four 16-bit registers to 64-bit double
+     * Sort ranges and join those that touch
      */
-    static toFloat64(reg1, reg2, reg3, reg4, bigEndian = true) {
-        const buffer = new ArrayBuffer(8);
-        const view = new DataView(buffer);
-
-        if (bigEndian) {
-            view.setUint16(0, reg1, false);
-            view.setUint16(2, reg2, false);
-            view.setUint16(4, reg3, false);
-            view.setUint16(6, reg4, false);
-        } else {
-            view.setUint16(0, reg4, false);
-            view.setUint16(2, reg3, false);
-            view.setUint16(4, reg2, false);
-            view.setUint16(6, reg1, false);
+    static mergeRanges(ranges) {
+        const sorted = [...ranges].sort((a, b) => a.start - b.start);
+        const merged = [];
+        for (const range of sorted) {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end + 1) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
         }
+        return merged;
+    }
+}
 
-        return view.getFloat64(0, false);
+// ============================================
+// Block Read Planner
+// ============================================
+/**
+ * Joins a slave's register addresses into as few block reads as its map allows.
+ * Spans the device rejected with exception 02 are remembered, so later plans
+ * neither read them nor bridge across them.
+ */
+class ReadPlanner {
+    constructor(settings = {}) {
+        this.maxGap = settings.maxGap ?? READ_PLAN.maxGap.default;
+        this.maxRegisters = settings.maxRegisters ?? READ_PLAN.maxRegisters.default;
+        this.maxBits = settings.maxBits ?? READ_PLAN.maxBits.default;
+        this.badSpans = {}; // type -> [{ start, end }], sorted and merged
+        this.learnCount = 0; // spans marked so far
     }
 
     /**
-     * Convert registers to ASCII string
+     * Blocks { start, end, addresses } covering the addresses - none bridges more than
+     * maxGap unread addresses, exceeds the type's block size or touches a bad span
      */
-    static toString(registers) {
-        let str = '';
-        for (const reg of registers) {
-            const highByte = (reg >> 8) & 0xFF;
-            const lowByte = reg & 0xFF;
-            if (highByte >= 32 && highByte <= 126) str += String.fromCharCode(highByte);
-            if (lowByte >= 32 && lowByte <= 126) str += String.fromCharCode(lowByte);
+    plan(type, addresses) {
+        const isBits = type === '0x' || type === '1x';
+        const maxSize = isBits ? this.maxBits : this.maxRegisters;
+        const blocks = [];
+        let block = null;
+
+        for (const address of [...new Set(addresses)].sort((a, b) => a - b)) {
+            if (this.isBad(type, address, address)) continue;
+
+            if (block && address - block.end - 1 <= this.maxGap && address - block.start < maxSize &&
+                !this.isBad(type, block.end + 1, address - 1)) {
+                block.end = address;
+                block.addresses.push(address);
+            } else {
+                block = { start: address, end: address, addresses: [address] };
+                blocks.push(block);
+            }
         }
-        return str;
+
+        return blocks;
     }
 
     /**
-     * Format value as hex string
+     * Whether any address in [start, end] lies in a bad span
      */
-    static toHexString(value, bits = 16) {
-        const hex = (value >>> 0).toString(16).toUpperCase();
-        const padLength = bits / 4;
-        return '0x' + hex.padStart(padLength, '0');
+    isBad(type, start, end) {
+        if (start > end) return false;
+        return (this.badSpans[type] || []).some(span => span.start <= end && span.end >= start);
+    }
+
+    markBad(type, start, end) {
+        this.learnCount++;
+        this.badSpans[type] = RegisterDiscovery.mergeRanges([...(this.badSpans[type] || []), { start, end }]);
     }
 
     /**
-     * Format value as binary string
+     * Block covering only the given addresses (sorted)
      */
-    static toBinaryString(value, bits = 16) {
-        return (value >>> 0).toString(2).padStart(bits, '0');
+    static block(addresses) {
+        return { start: addresses[0], end: addresses[addresses.length - 1], addresses };
     }
 }
 
 // ============================================
-// Traffic Logger
+// Serial Auto-Detection
 // ============================================
-class TrafficLogger {
-    constructor(maxEntries = 1000) {
-        this.entries = [];
-        this.maxEntries = maxEntries;
-        this.isPaused = false;
-        this.onUpdate = null;
+const AUTO_DETECT_BAUD_RATES = [9600, 19200, 38400, 57600, 115200];
+
+// Most common framings first
+const AUTO_DETECT_FRAMINGS = [
+    { parity: 'none', stopBits: 1 },
+    { parity: 'even', stopBits: 1 },
+    { parity: 'odd', stopBits: 1 },
+    { parity: 'none', stopBits: 2 },
+    { parity: 'even', stopBits: 2 },
+    { parity: 'odd', stopBits: 2 }
+];
+
+class SerialAutoDetector {
+    /**
+     * transport is a SerialManager with a port selected but not open
+     */
+    constructor(transport) {
+        this.transport = transport;
+        this.onProgress = null; // (settings, done, total)
+        this.onFound = null;    // (settings)
     }
 
     /**
-     * Log a traffic entry
+     * Every baud rate / parity / stop bit combination to try, in order
      */
-    log(direction, frame, error = null) {
-        if (this.isPaused) return;
-
-        const timestamp = new Date().toISOString().substring(11, 23);
-        const hexString = Array.from(frame)
-            .map(b => b.toString(16).padStart(2, '0').toUpperCase())
-            .join(' ');
-
-        this.entries.push({ timestamp, direction, hexString, error });
-
-        if (this.entries.length > this.maxEntries) {
-            this.entries.shift();
-        }
-
-        if (this.onUpdate) {
-            this.onUpdate(this.entries[this.entries.length - 1]);
+    static getCandidates(baudRates = AUTO_DETECT_BAUD_RATES) {
+        const candidates = [];
+        for (const baudRate of baudRates) {
+            for (const framing of AUTO_DETECT_FRAMINGS) {
+                candidates.push({ baudRate, ...framing });
+            }
         }
+        return candidates;
     }
 
     /**
-     * Log an error
+     * Probe the slave at every combination; resolves with the settings that got a CRC-valid reply
      */
-    logError(message) {
-        if (this.isPaused) return;
-
-        const timestamp = new Date().toISOString().substring(11, 23);
-        this.entries.push({ timestamp, direction: 'ERROR', hexString: message, error: true });
-
-        if (this.entries.length > this.maxEntries) {
-            this.entries.shift();
+    async detect({ slaveId, probe = 'fc03', dataBits = 8, mode = 'rtu', timeout = 300, signal = null, ...lineSettings } = {}) {
+        const probeInfo = SCAN_PROBES[probe];
+        if (!probeInfo) {
+            throw new Error(`Unknown probe: ${probe}`);
         }
 
-        if (this.onUpdate) {
-            this.onUpdate(this.entries[this.entries.length - 1]);
-        }
-    }
+        const frame = probeInfo.build(new ModbusMaster(slaveId));
+        const candidates = SerialAutoDetector.getCandidates();
+        const found = [];
+        let tried = 0;
 
-    clear() {
-        this.entries = [];
-    }
+        for (const candidate of candidates) {
+            if (signal && signal.aborted) break;
 
-    pause() {
-        this.isPaused = true;
-    }
+            const settings = { ...lineSettings, ...candidate, dataBits, mode };
+            if (this.onProgress) {
+                this.onProgress(settings, tried, candidates.length);
+            }
 
-    resume() {
-        this.isPaused = false;
+            // Failing to open is a port problem, not a wrong guess
+            await this.transport.open(settings);
+            try {
+                const response = await this.transport.sendWithTimeout(frame, timeout);
+                if (ModbusMaster.validateCRC(response) && response[0] === slaveId) {
+                    found.push(settings);
+                    if (this.onFound) {
+                        this.onFound(settings);
+                    }
+                }
+            } catch (error) {
+                // No reply or garbage at these settings
+            } finally {
+                await this.transport.close();
+            }
+            tried++;
+        }
+
+        if (this.onProgress) {
+            this.onProgress(null, tried, candidates.length);
+        }
+        return found;
     }
 
-    export() {
-        return JSON.stringify(this.entries, null, 2);
+    /**
+     * Short form like "9600 8E1"
+     */
+    static describe(settings) {
+        return `${settings.baudRate} ${settings.dataBits}${settings.parity.charAt(0).toUpperCase()}${settings.stopBits}`;
     }
 }
 
 // ============================================
-// Application State Store
+// Bus Sniffer (listen-only)
 // ============================================
-class Store {
+class BusSniffer {
     constructor() {
-        this.connections = [];
-        this.slaves = [];
-        this.registerGroups = [];
-        this.registers = [];
-        this.pollingIntervals = new Map();
-        this.saveTimeout = null;
+        this.buffer = [];
+        this.silentInterval = RtuFrameAssembler.calculateSilentInterval(9600);
+        this.silenceTimer = null;
+        this.pendingRequest = null;
+        this.values = new Map(); // slave id -> Map of 'type:address' -> { type, address, value, time }
+        this.onTransaction = null; // (transaction)
+        this.onBadFrame = null;    // (frame)
+    }
+
+    configure(baudRate, parity = 'none', dataBits = 8, stopBits = 1, burstAllowance = DEFAULT_BURST_ALLOWANCE) {
+        this.silentInterval = RtuFrameAssembler.calculateSilentInterval(baudRate, parity, dataBits, stopBits) + burstAllowance;
     }
 
     /**
-     * Generate unique ID
+     * Feed bytes seen on the bus
      */
-    generateId(prefix) {
-        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    push(bytes) {
+        this.buffer.push(...bytes);
+        clearTimeout(this.silenceTimer);
+        this.silenceTimer = setTimeout(() => this.handleSilence(), this.silentInterval);
     }
 
-    // Connection CRUD
-    addConnection(config) {
-        const connection = {
-            id: this.generateId('conn'),
-            portName: config.portName || 'Serial Port',
-            baudRate: config.baudRate || 9600,
-            parity: config.parity || 'none',
-            dataBits: config.dataBits || 8,
-            stopBits: config.stopBits || 1,
-            isConnected: false,
-            savedAt: new Date().toISOString()
-        };
-        this.connections.push(connection);
-        this.scheduleSave();
-        return connection;
-    }
-
-    updateConnection(id, updates) {
-        const conn = this.connections.find(c => c.id === id);
-        if (conn) {
-            Object.assign(conn, updates);
-            this.scheduleSave();
+    /**
+     * Close whatever is buffered and report a request still waiting for its reply
+     */
+    flush() {
+        clearTimeout(this.silenceTimer);
+        this.handleSilence();
+        if (this.pendingRequest) {
+            this.emit(this.pendingRequest, null);
+            this.pendingRequest = null;
         }
-        return conn;
     }
 
-    removeConnection(id) {
-        // Remove all related data
-        const slaves = this.slaves.filter(s => s.connectionId === id);
-        slaves.forEach(slave => this.removeSlave(slave.id));
-
-        this.connections = this.connections.filter(c => c.id !== id);
-        this.scheduleSave();
-    }
+    handleSilence() {
+        this.silenceTimer = null;
+        if (this.buffer.length === 0) return;
 
-    getConnection(id) {
-        return this.connections.find(c => c.id === id);
+        const data = new Uint8Array(this.buffer);
+        this.buffer = [];
+        this.splitFrames(data);
     }
 
-    // Slave CRUD
-    addSlave(connectionId, slaveId, alias = '') {
-        const slave = {
-            id: this.generateId('slave'),
-            connectionId,
-            slaveId: parseInt(slaveId),
-            alias: alias || `Slave ${slaveId}`
-        };
-        this.slaves.push(slave);
-        this.scheduleSave();
-        return slave;
+    /**
+     * USB adapters can deliver a request and its reply in one burst with no
+     * visible gap, so a chunk is cut wherever a CRC-valid frame of the right length ends
+     */
+    splitFrames(data) {
+        let offset = 0;
+        while (offset < data.length) {
+            const rest = data.slice(offset);
+            const length = this.findFrameLength(rest) || rest.length;
+            this.handleFrame(rest.slice(0, length));
+            offset += length;
+        }
+    }
+
+    findFrameLength(data) {
+        // Try the role expected next first
+        const roles = this.pendingRequest ? ['response', 'request'] : ['request', 'response'];
+        for (const role of roles) {
+            const length = role === 'request'
+                ? RtuFrameAssembler.getRequestLength(data)
+                : RtuFrameAssembler.getResponseLength(data);
+            if (length !== null && length <= data.length && ModbusMaster.validateCRC(data.slice(0, length))) {
+                return length;
+            }
+        }
+        return null;
     }
 
-    updateSlave(id, updates) {
-        const slave = this.slaves.find(s => s.id === id);
-        if (slave) {
-            Object.assign(slave, updates);
-            this.scheduleSave();
+    handleFrame(frame) {
+        if (!ModbusMaster.validateCRC(frame)) {
+            if (this.onBadFrame) {
+                this.onBadFrame(frame);
+            }
+            return;
         }
-        return slave;
-    }
 
-    removeSlave(id) {
-        // Remove all related register groups
-        const groups = this.registerGroups.filter(g => g.slaveId === id);
-        groups.forEach(group => this.removeRegisterGroup(group.id));
+        const request = this.pendingRequest;
+        if (request && frame[0] === request[0] && (frame[1] & 0x7F) === request[1] &&
+            (frame[1] & 0x80 || RtuFrameAssembler.getResponseLength(frame) === frame.length)) {
+            this.pendingRequest = null;
+            this.emit(request, frame);
+            return;
+        }
 
-        this.slaves = this.slaves.filter(s => s.id !== id);
-        this.scheduleSave();
-    }
+        // Listening started mid-transaction, or its request was missed: a reply with no
+        // request to pair with is dropped rather than taken for a request of its own
+        if (RtuFrameAssembler.getRequestLength(frame) !== frame.length &&
+            (frame[1] & 0x80 || RtuFrameAssembler.getResponseLength(frame) === frame.length)) {
+            return;
+        }
 
-    getSlave(id) {
-        return this.slaves.find(s => s.id === id);
-    }
+        // A new request - the previous one went unanswered
+        if (request) {
+            this.emit(request, null);
+        }
 
-    getSlavesForConnection(connectionId) {
-        return this.slaves.filter(s => s.connectionId === connectionId);
+        if (frame[0] === 0) {
+            this.pendingRequest = null;
+            this.emit(frame, null); // Broadcasts get no reply
+        } else {
+            this.pendingRequest = frame;
+        }
     }
 
-    // Register Group CRUD
-    addRegisterGroup(slaveId, name, pollingInterval = 1000) {
-        const group = {
-            id: this.generateId('group'),
-            slaveId,
-            name: name || 'Register Group',
-            pollingInterval,
-            autoPolling: false
-        };
-        this.registerGroups.push(group);
-        this.scheduleSave();
-        return group;
+    emit(request, response) {
+        const transaction = { request, response, ...BusSniffer.decode(request, response), time: new Date() };
+        if (transaction.values && transaction.exception === null && (response || transaction.slaveId === 0)) {
+            this.recordValues(transaction);
+        }
+        if (this.onTransaction) {
+            this.onTransaction(transaction);
+        }
     }
 
-    updateRegisterGroup(id, updates) {
-        const group = this.registerGroups.find(g => g.id === id);
-        if (group) {
-            Object.assign(group, updates);
-            this.scheduleSave();
+    recordValues(transaction) {
+        const { slaveId, type, address, values, time } = transaction;
+        if (!this.values.has(slaveId)) {
+            this.values.set(slaveId, new Map());
         }
-        return group;
+        const slaveValues = this.values.get(slaveId);
+        values.forEach((value, i) => {
+            slaveValues.set(`${type}:${address + i}`, { type, address: address + i, value, time });
+        });
     }
 
-    removeRegisterGroup(id) {
-        // Stop polling if active
-        this.stopPolling(id);
-
-        // Remove all related registers
-        this.registers = this.registers.filter(r => r.groupId !== id);
-        this.registerGroups = this.registerGroups.filter(g => g.id !== id);
-        this.scheduleSave();
+    clearValues() {
+        this.values.clear();
     }
 
-    getRegisterGroup(id) {
-        return this.registerGroups.find(g => g.id === id);
-    }
+    /**
+     * Decode a request and its reply: slave, function, address range, values, exception
+     */
+    static decode(request, response) {
+        const slaveId = request[0];
+        const functionCode = request[1];
+        const result = { slaveId, functionCode, type: null, address: null, quantity: null, values: null, exception: null };
+
+        if (response && response[1] & 0x80) {
+            result.exception = response[2];
+        }
+
+        const address = (request[2] << 8) | request[3];
+        switch (functionCode) {
+            case FUNCTION_CODES.READ_COILS:
+            case FUNCTION_CODES.READ_DISCRETE_INPUTS:
+            case FUNCTION_CODES.READ_HOLDING_REGISTERS:
+            case FUNCTION_CODES.READ_INPUT_REGISTERS: {
+                result.type = Object.keys(REGISTER_TYPES).find(type => REGISTER_TYPES[type].readFC === functionCode);
+                result.address = address;
+                result.quantity = (request[4] << 8) | request[5];
+                if (response && result.exception === null) {
+                    result.values = BusSniffer.readValues(response.slice(3, 3 + response[2]), functionCode, result.quantity);
+                }
+                break;
+            }
+            case FUNCTION_CODES.WRITE_SINGLE_COIL:
+                result.type = '0x';
+                result.address = address;
+                result.quantity = 1;
+                result.values = [request[4] === 0xFF ? 1 : 0];
+                break;
+            case FUNCTION_CODES.WRITE_SINGLE_REGISTER:
+                result.type = '4x';
+                result.address = address;
+                result.quantity = 1;
+                result.values = [(request[4] << 8) | request[5]];
+                break;
+            case FUNCTION_CODES.MASK_WRITE_REGISTER:
+                // The result depends on a value we may not have seen - no values
+                result.type = '4x';
+                result.address = address;
+                result.quantity = 1;
+                break;
+            case FUNCTION_CODES.READ_WRITE_MULTIPLE_REGISTERS:
+                // Only the read side is collected - it already reflects the write
+                result.type = '4x';
+                result.address = address;
+                result.quantity = (request[4] << 8) | request[5];
+                if (response && result.exception === null) {
+                    result.values = BusSniffer.readValues(response.slice(3, 3 + response[2]),
+                        FUNCTION_CODES.READ_HOLDING_REGISTERS, result.quantity);
+                }
+                break;
+            case FUNCTION_CODES.WRITE_MULTIPLE_COILS:
+            case FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS:
+                result.type = functionCode === FUNCTION_CODES.WRITE_MULTIPLE_COILS ? '0x' : '4x';
+                result.address = address;
+                result.quantity = (request[4] << 8) | request[5];
+                result.values = BusSniffer.readValues(request.slice(7, 7 + request[6]),
+                    functionCode === FUNCTION_CODES.WRITE_MULTIPLE_COILS ? FUNCTION_CODES.READ_COILS : FUNCTION_CODES.READ_HOLDING_REGISTERS,
+                    result.quantity);
+                break;
+        }
 
-    getGroupsForSlave(slaveId) {
-        return this.registerGroups.filter(g => g.slaveId === slaveId);
+        return result;
     }
 
-    // Register CRUD
-    addRegister(groupId, config) {
-        const register = {
-            id: this.generateId('reg'),
-            groupId,
-            type: config.type || '4x',
-            address: parseInt(config.address) || 0,
-            alias: config.alias || '',
-            value: 0,
-            comment: config.comment || ''
-        };
-        this.registers.push(register);
-        this.scheduleSave();
-        return register;
+    /**
+     * Unpack a data block as bits (coils/inputs) or 16-bit registers
+     */
+    static readValues(data, functionCode, quantity) {
+        const values = [];
+        if (functionCode === FUNCTION_CODES.READ_COILS || functionCode === FUNCTION_CODES.READ_DISCRETE_INPUTS) {
+            for (let i = 0; i < quantity && (i >> 3) < data.length; i++) {
+                values.push((data[i >> 3] >> (i & 7)) & 1);
+            }
+        } else {
+            for (let i = 0; i + 1 < data.length && values.length < quantity; i += 2) {
+                values.push((data[i] << 8) | data[i + 1]);
+            }
+        }
+        return values;
     }
 
-    addRegisters(groupId, configs) {
-        const registers = configs.map(config => ({
-            id: this.generateId('reg'),
-            groupId,
-            type: config.type || '4x',
-            address: parseInt(config.address) || 0,
-            alias: config.alias || '',
-            value: 0,
-            comment: config.comment || ''
-        }));
-        this.registers.push(...registers);
-        this.scheduleSave();
-        return registers;
+    /**
+     * One-line summary for the traffic log, e.g. "Slave 1 Read Holding Registers 0-9"
+     */
+    static describeRequest(transaction) {
+        const { slaveId, functionCode, address, quantity } = transaction;
+        const name = FUNCTION_NAMES[functionCode] || `FC${functionCode.toString(16).padStart(2, '0').toUpperCase()}`;
+        let text = slaveId === 0 ? `Broadcast ${name}` : `Slave ${slaveId} ${name}`;
+        if (address !== null) {
+            text += quantity > 1 ? ` ${address}-${address + quantity - 1}` : ` ${address}`;
+        }
+        return text;
     }
 
-    updateRegister(id, updates) {
-        const register = this.registers.find(r => r.id === id);
-        if (register) {
-            Object.assign(register, updates);
-            // Don't save on value updates (too frequent)
-            if (!updates.value) {
-                this.scheduleSave();
-            }
+    static describeResponse(transaction) {
+        if (transaction.exception !== null) {
+            return `Exception: ${MODBUS_EXCEPTIONS[transaction.exception] || `0x${transaction.exception.toString(16)}`}`;
         }
-        return register;
+        if (transaction.values) {
+            return `Values: ${transaction.values.join(', ')}`;
+        }
+        return 'OK';
     }
+}
 
-    removeRegister(id) {
-        this.registers = this.registers.filter(r => r.id !== id);
-        this.scheduleSave();
-    }
+// ============================================
+// Modbus Slave (Server) Handler
+// ============================================
+class ModbusSlave {
+    constructor(slaveId = 1) {
+        this.slaveId = slaveId;
+        this.responseDelay = 0;
+        this.autoIncrement = false;
+        this.randomValues = false;
 
-    getRegister(id) {
-        return this.registers.find(r => r.id === id);
-    }
+        // Register maps - using Maps for efficient lookup
+        this.registerMaps = {
+            coils: new Map(),              // 0x - FC 01, 05, 0F
+            discreteInputs: new Map(),     // 1x - FC 02
+            inputRegisters: new Map(),     // 3x - FC 04
+            holdingRegisters: new Map()    // 4x - FC 03, 06, 10
+        };
 
-    getRegistersForGroup(groupId) {
-        return this.registers
-            .filter(r => r.groupId === groupId)
-            .sort((a, b) => a.address - b.address);
-    }
+        // Access statistics
+        this.accessStats = {
+            coils: new Map(),
+            discreteInputs: new Map(),
+            inputRegisters: new Map(),
+            holdingRegisters: new Map()
+        };
 
-    // Polling Management
-    startPolling(groupId, callback) {
-        const group = this.getRegisterGroup(groupId);
-        if (!group) return;
+        // Forced exceptions (for testing)
+        this.forcedExceptions = new Map(); // address -> exception code
 
-        this.stopPolling(groupId);
+        // Serial line counters reported through FC 08, 0B and 0C
+        this.resetDiagnostics();
+        this.commEventLog = []; // newest first
+
+        // Report Server ID (FC 11) - the server ID byte is the slave ID
+        this.runIndicator = true;
+        this.serverIdData = 'Modbus RTU Slave Emulator';
+
+        // Read Device Identification objects (FC 2B / 0E) - object id -> string
+        this.deviceIdentification = new Map([
+            [0x00, 'webSerial Modbus'],
+            [0x01, 'MODBUS-EMU'],
+            [0x02, '1.0'],
+            [0x03, 'https://mouliraj56.github.io/webSerial_modbus/'],
+            [0x04, 'Modbus RTU Slave Emulator'],
+            [0x05, 'Browser']
+        ]);
 
-        const intervalId = setInterval(callback, group.pollingInterval);
-        this.pollingIntervals.set(groupId, intervalId);
-        group.autoPolling = true;
+        // Callbacks
+        this.onRegisterRead = null;
+        this.onRegisterWrite = null;
+        this.onRequest = null;
+        this.onResponse = null;
     }
 
-    stopPolling(groupId) {
-        const intervalId = this.pollingIntervals.get(groupId);
-        if (intervalId) {
-            clearInterval(intervalId);
-            this.pollingIntervals.delete(groupId);
+    /**
+     * Configure slave settings
+     */
+    configure(config) {
+        this.slaveId = config.slaveId || 1;
+        this.responseDelay = config.responseDelay || 0;
+        this.autoIncrement = config.autoIncrement || false;
+        this.randomValues = config.randomValues || false;
+        if (config.deviceIdentification) {
+            this.setDeviceIdentification(config.deviceIdentification);
         }
-        const group = this.getRegisterGroup(groupId);
-        if (group) {
-            group.autoPolling = false;
+        if (config.runIndicator !== undefined) {
+            this.runIndicator = config.runIndicator;
+        }
+        if (config.serverIdData !== undefined) {
+            this.serverIdData = config.serverIdData;
         }
     }
 
-    stopAllPolling() {
-        this.pollingIntervals.forEach((intervalId) => {
-            clearInterval(intervalId);
-        });
-        this.pollingIntervals.clear();
-        this.registerGroups.forEach(g => g.autoPolling = false);
+    /**
+     * Replace the identification objects, e.g. { 0: 'Vendor', 1: 'Product', 2: '1.0', 0x80: 'Extra' }.
+     * Basic objects 0-2 are mandatory, so missing ones are kept empty.
+     */
+    setDeviceIdentification(objects) {
+        this.deviceIdentification = new Map([[0x00, ''], [0x01, ''], [0x02, '']]);
+        for (const [id, value] of Object.entries(objects)) {
+            const objectId = parseInt(id);
+            if (objectId >= 0 && objectId <= 0xFF) {
+                // One object has to fit in a single response
+                this.deviceIdentification.set(objectId, String(value).slice(0, 244));
+            }
+        }
     }
 
-    // Persistence
-    scheduleSave() {
-        if (this.saveTimeout) {
-            clearTimeout(this.saveTimeout);
+    /**
+     * Zero the FC 08 counters and the comm event counter
+     */
+    resetDiagnostics() {
+        this.diagnosticCounters = {
+            busMessages: 0,
+            crcErrors: 0,
+            exceptions: 0,
+            slaveMessages: 0,
+            noResponses: 0
+        };
+        this.commEventCount = 0;
+    }
+
+    /**
+     * Add an event to the FC 0C log, dropping the oldest once it is full
+     */
+    logCommEvent(event) {
+        this.commEventLog.unshift(event);
+        if (this.commEventLog.length > COMM_EVENT_LOG_SIZE) {
+            this.commEventLog.pop();
         }
-        this.saveTimeout = setTimeout(() => this.saveToLocalStorage(), 500);
     }
 
-    saveToLocalStorage() {
-        try {
-            const data = {
-                version: '1.0',
-                connections: this.connections,
-                slaves: this.slaves,
-                registerGroups: this.registerGroups,
-                registers: this.registers.map(r => ({
-                    ...r,
-                    value: undefined // Don't save volatile values
-                }))
-            };
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-        } catch (error) {
-            console.error('Failed to save to localStorage:', error);
-        }
-    }
+    /**
+     * Add a range of registers
+     */
+    addRegisterRange(type, startAddress, quantity, initialValue = 0) {
+        const map = this.registerMaps[type];
+        const statsMap = this.accessStats[type];
 
-    loadFromLocalStorage() {
-        try {
-            const json = localStorage.getItem(STORAGE_KEY);
-            if (!json) return false;
+        if (!map) {
+            throw new Error(`Invalid register type: ${type}`);
+        }
 
-            const data = JSON.parse(json);
+        for (let i = 0; i < quantity; i++) {
+            const addr = startAddress + i;
+            map.set(addr, initialValue);
+            statsMap.set(addr, { readCount: 0, writeCount: 0, lastAccess: null });
+        }
+    }
 
-            if (data.version === '1.0') {
-                this.connections = data.connections || [];
-                this.slaves = data.slaves || [];
-                this.registerGroups = data.registerGroups || [];
-                this.registers = data.registers || [];
+    /**
+     * Remove a range of registers
+     */
+    removeRegisterRange(type, startAddress, quantity) {
+        const map = this.registerMaps[type];
+        const statsMap = this.accessStats[type];
 
-                // Reset connection states
-                this.connections.forEach(c => c.isConnected = false);
-                this.registerGroups.forEach(g => g.autoPolling = false);
+        if (!map) return;
 
-                return true;
-            }
-        } catch (error) {
-            console.error('Failed to load from localStorage:', error);
+        for (let i = 0; i < quantity; i++) {
+            const addr = startAddress + i;
+            map.delete(addr);
+            statsMap.delete(addr);
         }
-        return false;
-    }
-
-    exportConfig() {
-        return JSON.stringify({
-            version: '1.0',
-            exportedAt: new Date().toISOString(),
-            connections: this.connections,
-            slaves: this.slaves,
-            registerGroups: this.registerGroups,
-            registers: this.registers
-        }, null, 2);
     }
 
-    importConfig(json) {
-        try {
-            const data = JSON.parse(json);
-            if (data.version === '1.0') {
-                this.connections = data.connections || [];
-                this.slaves = data.slaves || [];
-                this.registerGroups = data.registerGroups || [];
-                this.registers = data.registers || [];
-                this.saveToLocalStorage();
-                return true;
-            }
-        } catch (error) {
-            console.error('Failed to import config:', error);
+    /**
+     * Clear all registers of a type
+     */
+    clearRegisters(type) {
+        if (this.registerMaps[type]) {
+            this.registerMaps[type].clear();
+            this.accessStats[type].clear();
         }
-        return false;
     }
-}
 
-// ============================================
-// UI Manager
-// ============================================
-class UIManager {
-    constructor(app) {
-        this.app = app;
-        this.selectedRegisters = [];
-        this.selectedTreeItem = null;
-        this.editingCell = null;
-        this.initElements();
+    /**
+     * Total number of registers across all maps
+     */
+    getRegisterCount() {
+        return Object.values(this.registerMaps).reduce((total, map) => total + map.size, 0);
     }
 
-    initElements() {
-        // Cache DOM elements
-        this.elements = {
-            // Toolbar
-            btnNewConnection: document.getElementById('btnNewConnection'),
-            btnNewSlave: document.getElementById('btnNewSlave'),
-            btnOpenConnection: document.getElementById('btnOpenConnection'),
-            btnCloseConnection: document.getElementById('btnCloseConnection'),
-            btnEditConnection: document.getElementById('btnEditConnection'),
-            btnEditSlave: document.getElementById('btnEditSlave'),
-            selectBaudRate: document.getElementById('selectBaudRate'),
-            selectParity: document.getElementById('selectParity'),
-            connectionStatus: document.getElementById('connectionStatus'),
-            pollingStatus: document.getElementById('pollingStatus'),
-            btnDarkMode: document.getElementById('btnDarkMode'),
-
-            // Sidebar
-            sidebar: document.getElementById('sidebar'),
-            sidebarResizer: document.getElementById('sidebarResizer'),
-            deviceTree: document.getElementById('deviceTree'),
-            btnAddConnectionSidebar: document.getElementById('btnAddConnectionSidebar'),
-
-            // Action bar
-            btnTrafficLog: document.getElementById('btnTrafficLog'),
-            btnAddRegisters: document.getElementById('btnAddRegisters'),
-            btnRefreshRegisters: document.getElementById('btnRefreshRegisters'),
-            btnResetRegisters: document.getElementById('btnResetRegisters'),
-            btnAutoPoll: document.getElementById('btnAutoPoll'),
-            btnAutoPollIcon: document.getElementById('btnAutoPollIcon'),
-            btnAutoPollText: document.getElementById('btnAutoPollText'),
-            functionTabs: document.getElementById('functionTabs'),
-
-            // Register table (multi-column)
-            registerTableContainer: document.getElementById('registerTableContainer'),
-            registerTableEmpty: document.getElementById('registerTableEmpty'),
-            registerColumns: document.getElementById('registerColumns'),
-            btnToggleComments: document.getElementById('btnToggleComments'),
-            btnToggleCommentsText: document.getElementById('btnToggleCommentsText'),
-
-            // Value editor
-            valueEditor: document.getElementById('valueEditor'),
-            valueEditorToggle: document.getElementById('valueEditorToggle'),
-            valueEditorResize: document.getElementById('valueEditorResize'),
-            valueEditorContent: document.getElementById('valueEditorContent'),
-            numericValues: document.getElementById('numericValues'),
-            longValues: document.getElementById('longValues'),
-            floatValues: document.getElementById('floatValues'),
-            doubleValues: document.getElementById('doubleValues'),
-            stringValues: document.getElementById('stringValues'),
-
-            // Traffic log
-            trafficLog: document.getElementById('trafficLog'),
-            trafficLogContent: document.getElementById('trafficLogContent'),
-            errorLogContent: document.getElementById('errorLogContent'),
-            tabTraffic: document.getElementById('tabTraffic'),
-            tabErrors: document.getElementById('tabErrors'),
-            errorBadge: document.getElementById('errorBadge'),
-            btnClearLog: document.getElementById('btnClearLog'),
-            btnPauseLog: document.getElementById('btnPauseLog'),
-            btnCopyLog: document.getElementById('btnCopyLog'),
-            btnCloseLog: document.getElementById('btnCloseLog'),
-
-            // Status bar
-            statusConnection: document.getElementById('statusConnection'),
-            statusSlave: document.getElementById('statusSlave'),
-            statusLastPoll: document.getElementById('statusLastPoll'),
-            statusErrors: document.getElementById('statusErrors'),
-            statusMessages: document.getElementById('statusMessages'),
-
-            // Modals
-            modalNewConnection: document.getElementById('modalNewConnection'),
-            modalNewSlave: document.getElementById('modalNewSlave'),
-            modalNewGroup: document.getElementById('modalNewGroup'),
-            modalAddRegister: document.getElementById('modalAddRegister'),
-            modalEditSlave: document.getElementById('modalEditSlave'),
-            modalEditGroup: document.getElementById('modalEditGroup'),
-            modalEditConnection: document.getElementById('modalEditConnection'),
-
-            // Context menu
-            contextMenu: document.getElementById('contextMenu'),
+    /**
+     * Fill the register maps with a small demo device (addresses 0-99)
+     */
+    loadDemoRegisters() {
+        this.addRegisterRange('coils', 0, 100);
+        this.addRegisterRange('discreteInputs', 0, 100);
+        this.addRegisterRange('inputRegisters', 0, 100);
+        this.addRegisterRange('holdingRegisters', 0, 100);
 
-            // Loading & notifications
-            loadingOverlay: document.getElementById('loadingOverlay'),
-            loadingText: document.getElementById('loadingText'),
-            notificationContainer: document.getElementById('notificationContainer')
-        };
+        for (let addr = 0; addr < 100; addr++) {
+            this.setRegister('coils', addr, addr % 2);
+            this.setRegister('discreteInputs', addr, addr % 3 === 0 ? 1 : 0);
+            this.setRegister('inputRegisters', addr, 1000 + addr);
+            this.setRegister('holdingRegisters', addr, addr * 10);
+        }
     }
 
-    // ===== Notifications =====
-    showNotification(message, type = 'info', duration = 5000) {
-        // Log errors to the error panel instead of toast
-        if (type === 'error') {
-            this.addErrorLog(message);
-            return;
+    /**
+     * Set a single register value
+     */
+    setRegister(type, address, value) {
+        const map = this.registerMaps[type];
+        if (map && map.has(address)) {
+            map.set(address, value);
+            return true;
         }
+        return false;
+    }
 
-        const container = this.elements.notificationContainer;
-        const notification = document.createElement('div');
-        notification.className = `notification notification--${type}`;
+    /**
+     * Get a single register value
+     */
+    getRegister(type, address) {
+        const map = this.registerMaps[type];
+        if (map && map.has(address)) {
+            return map.get(address);
+        }
+        return null;
+    }
 
-        const icons = {
-            success: '✓',
-            error: '✗',
-            warning: '⚠',
-            info: 'ℹ'
-        };
+    /**
+     * Process incoming Modbus RTU frame and generate response
+     */
+    processRequest(frame) {
+        // Validate minimum frame length
+        if (frame.length < 4) {
+            return null; // Invalid frame, ignore
+        }
 
-        notification.innerHTML = `
-            <span class="notification__icon">${icons[type] || icons.info}</span>
-            <span class="notification__message">${message}</span>
-            <button class="notification__close">&times;</button>
-        `;
+        // Every message on the bus counts, CRC failures included
+        this.diagnosticCounters.busMessages++;
 
-        const closeBtn = notification.querySelector('.notification__close');
-        closeBtn.addEventListener('click', () => this.hideNotification(notification));
+        // Validate CRC
+        if (!ModbusMaster.validateCRC(frame)) {
+            this.diagnosticCounters.crcErrors++;
+            return null; // Bad CRC, ignore
+        }
 
-        container.appendChild(notification);
+        const slaveId = frame[0];
+        const functionCode = frame[1];
 
-        if (duration > 0) {
-            setTimeout(() => this.hideNotification(notification), duration);
+        // Check if request is for this slave
+        if (slaveId !== this.slaveId && slaveId !== 0) {
+            return null; // Not for us (0 = broadcast, handle writes only)
         }
+        this.diagnosticCounters.slaveMessages++;
+        this.logCommEvent(slaveId === 0 ? 0xC0 : 0x80); // receive event, bit 6 = broadcast
 
-        return notification;
-    }
+        // Log the request
+        if (this.onRequest) {
+            this.onRequest(frame);
+        }
 
-    hideNotification(notification) {
-        notification.classList.add('hiding');
-        setTimeout(() => notification.remove(), 300);
-    }
+        let response;
 
-    // ===== Loading Overlay =====
-    showLoading(message = 'Loading...') {
-        this.elements.loadingText.textContent = message;
-        this.elements.loadingOverlay.style.display = 'flex';
-    }
+        try {
+            switch (functionCode) {
+                case FUNCTION_CODES.READ_COILS:
+                    response = this.handleReadCoils(frame);
+                    break;
+                case FUNCTION_CODES.READ_DISCRETE_INPUTS:
+                    response = this.handleReadDiscreteInputs(frame);
+                    break;
+                case FUNCTION_CODES.READ_HOLDING_REGISTERS:
+                    response = this.handleReadHoldingRegisters(frame);
+                    break;
+                case FUNCTION_CODES.READ_INPUT_REGISTERS:
+                    response = this.handleReadInputRegisters(frame);
+                    break;
+                case FUNCTION_CODES.WRITE_SINGLE_COIL:
+                    response = this.handleWriteSingleCoil(frame);
+                    break;
+                case FUNCTION_CODES.WRITE_SINGLE_REGISTER:
+                    response = this.handleWriteSingleRegister(frame);
+                    break;
+                case FUNCTION_CODES.WRITE_MULTIPLE_COILS:
+                    response = this.handleWriteMultipleCoils(frame);
+                    break;
+                case FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS:
+                    response = this.handleWriteMultipleRegisters(frame);
+                    break;
+                case FUNCTION_CODES.DIAGNOSTICS:
+                    response = this.handleDiagnostics(frame);
+                    break;
+                case FUNCTION_CODES.GET_COMM_EVENT_COUNTER:
+                    response = this.handleGetCommEventCounter();
+                    break;
+                case FUNCTION_CODES.GET_COMM_EVENT_LOG:
+                    response = this.handleGetCommEventLog();
+                    break;
+                case FUNCTION_CODES.REPORT_SERVER_ID:
+                    response = this.handleReportServerId();
+                    break;
+                case FUNCTION_CODES.MASK_WRITE_REGISTER:
+                    response = this.handleMaskWriteRegister(frame);
+                    break;
+                case FUNCTION_CODES.READ_WRITE_MULTIPLE_REGISTERS:
+                    response = this.handleReadWriteMultipleRegisters(frame);
+                    break;
+                case FUNCTION_CODES.READ_FIFO_QUEUE:
+                    response = this.handleReadFifoQueue(frame);
+                    break;
+                case FUNCTION_CODES.ENCAPSULATED_INTERFACE:
+                    response = this.handleReadDeviceIdentification(frame);
+                    break;
+                default:
+                    response = this.buildExceptionResponse(functionCode, 0x01); // Illegal Function
+            }
+        } catch (error) {
+            response = this.buildExceptionResponse(functionCode, 0x04); // Slave Device Failure
+        }
 
-    hideLoading() {
-        this.elements.loadingOverlay.style.display = 'none';
-    }
+        // Don't respond to broadcast writes
+        if (slaveId === 0) {
+            this.diagnosticCounters.noResponses++;
+            return null;
+        }
 
-    // ===== Modal Management =====
-    showModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.classList.add('active');
-            const firstInput = modal.querySelector('input, select');
-            if (firstInput) firstInput.focus();
+        if (response[1] & 0x80) {
+            this.diagnosticCounters.exceptions++;
+            // Send event: bit 0 = exception 1-3, bit 1 = exception 4
+            this.logCommEvent(response[2] <= 0x03 ? 0x41 : response[2] === 0x04 ? 0x42 : 0x40);
+        } else {
+            // Polls of the counter and log themselves are not counted
+            if (functionCode !== FUNCTION_CODES.GET_COMM_EVENT_COUNTER &&
+                functionCode !== FUNCTION_CODES.GET_COMM_EVENT_LOG) {
+                this.commEventCount = (this.commEventCount + 1) & 0xFFFF;
+            }
+            this.logCommEvent(0x40);
         }
-    }
 
-    hideModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.classList.remove('active');
+        // Log the response
+        if (this.onResponse) {
+            this.onResponse(response);
         }
+
+        return response;
     }
 
-    hideAllModals() {
-        document.querySelectorAll('.modal.active').forEach(modal => {
-            modal.classList.remove('active');
-        });
+    /**
+     * FC 01 - Read Coils
+     */
+    handleReadCoils(frame) {
+        const startAddress = (frame[2] << 8) | frame[3];
+        const quantity = (frame[4] << 8) | frame[5];
+
+        // Validate quantity
+        if (quantity < 1 || quantity > MAX_COILS_PER_READ) {
+            return this.buildExceptionResponse(FUNCTION_CODES.READ_COILS, 0x03);
+        }
+
+        // Check for forced exception
+        if (this.forcedExceptions.has(`coils:${startAddress}`)) {
+            return this.buildExceptionResponse(FUNCTION_CODES.READ_COILS,
+                this.forcedExceptions.get(`coils:${startAddress}`));
+        }
+
+        // Read coil values
+        const values = [];
+        for (let i = 0; i < quantity; i++) {
+            const addr = startAddress + i;
+            if (!this.registerMaps.coils.has(addr)) {
+                return this.buildExceptionResponse(FUNCTION_CODES.READ_COILS, 0x02); // Illegal Data Address
+            }
+            values.push(this.registerMaps.coils.get(addr) ? 1 : 0);
+            this.updateAccessStats('coils', addr, 'read');
+        }
+
+        // Trigger callback
+        if (this.onRegisterRead) {
+            this.onRegisterRead('coils', startAddress, quantity);
+        }
+
+        // Build response
+        const byteCount = Math.ceil(quantity / 8);
+        const data = new Uint8Array(byteCount);
+
+        for (let i = 0; i < quantity; i++) {
+            if (values[i]) {
+                data[Math.floor(i / 8)] |= (1 << (i % 8));
+            }
+        }
+
+        return this.buildReadResponse(FUNCTION_CODES.READ_COILS, data);
     }
 
-    // ===== Context Menu =====
-    showContextMenu(x, y, itemType, itemId) {
-        const menu = this.elements.contextMenu;
+    /**
+     * FC 02 - Read Discrete Inputs
+     */
+    handleReadDiscreteInputs(frame) {
+        const startAddress = (frame[2] << 8) | frame[3];
+        const quantity = (frame[4] << 8) | frame[5];
 
-        // Hide all items first
-        menu.querySelectorAll('.context-menu__item').forEach(item => {
-            item.style.display = 'none';
-        });
-        menu.querySelectorAll('.context-menu__divider').forEach(div => {
-            div.style.display = 'none';
-        });
+        if (quantity < 1 || quantity > MAX_COILS_PER_READ) {
+            return this.buildExceptionResponse(FUNCTION_CODES.READ_DISCRETE_INPUTS, 0x03);
+        }
 
-        // Show relevant items based on type
-        if (itemType === 'connection') {
-            const conn = this.app.store.getConnection(itemId);
-            if (conn) {
-                if (conn.isConnected) {
-                    menu.querySelector('[data-action="disconnect"]').style.display = '';
-                } else {
-                    menu.querySelector('[data-action="connect"]').style.display = '';
-                }
-                menu.querySelector('[data-action="remove"]').style.display = '';
+        if (this.forcedExceptions.has(`discreteInputs:${startAddress}`)) {
+            return this.buildExceptionResponse(FUNCTION_CODES.READ_DISCRETE_INPUTS,
+                this.forcedExceptions.get(`discreteInputs:${startAddress}`));
+        }
+
+        const values = [];
+        for (let i = 0; i < quantity; i++) {
+            const addr = startAddress + i;
+            if (!this.registerMaps.discreteInputs.has(addr)) {
+                return this.buildExceptionResponse(FUNCTION_CODES.READ_DISCRETE_INPUTS, 0x02);
             }
-        } else if (itemType === 'slave') {
-            menu.querySelector('[data-action="edit"]').style.display = '';
-            menu.querySelector('[data-action="delete"]').style.display = '';
-            menu.querySelectorAll('.context-menu__divider')[1].style.display = '';
-            menu.querySelector('[data-action="newGroup"]').style.display = '';
-        } else if (itemType === 'group') {
-            menu.querySelector('[data-action="edit"]').style.display = '';
-            menu.querySelector('[data-action="delete"]').style.display = '';
-            menu.querySelectorAll('.context-menu__divider')[1].style.display = '';
-            menu.querySelector('[data-action="addRegister"]').style.display = '';
-            menu.querySelectorAll('.context-menu__divider')[2].style.display = '';
-            menu.querySelector('[data-action="refresh"]').style.display = '';
+            values.push(this.registerMaps.discreteInputs.get(addr) ? 1 : 0);
+            this.updateAccessStats('discreteInputs', addr, 'read');
+        }
 
-            const group = this.app.store.getRegisterGroup(itemId);
-            if (group && group.autoPolling) {
-                menu.querySelector('[data-action="stopPolling"]').style.display = '';
-            } else {
-                menu.querySelector('[data-action="startPolling"]').style.display = '';
+        if (this.onRegisterRead) {
+            this.onRegisterRead('discreteInputs', startAddress, quantity);
+        }
+
+        const byteCount = Math.ceil(quantity / 8);
+        const data = new Uint8Array(byteCount);
+
+        for (let i = 0; i < quantity; i++) {
+            if (values[i]) {
+                data[Math.floor(i / 8)] |= (1 << (i % 8));
             }
         }
 
-        // Position menu
-        menu.style.left = `${x}px`;
-        menu.style.top = `${y}px`;
-        menu.style.display = 'block';
-        menu.dataset.itemType = itemType;
-        menu.dataset.itemId = itemId;
+        return this.buildReadResponse(FUNCTION_CODES.READ_DISCRETE_INPUTS, data);
+    }
 
-        // Adjust if off screen
-        const rect = menu.getBoundingClientRect();
-        if (rect.right > window.innerWidth) {
-            menu.style.left = `${window.innerWidth - rect.width - 10}px`;
+    /**
+     * FC 03 - Read Holding Registers
+     */
+    handleReadHoldingRegisters(frame) {
+        const startAddress = (frame[2] << 8) | frame[3];
+        const quantity = (frame[4] << 8) | frame[5];
+
+        if (quantity < 1 || quantity > MAX_REGISTERS_PER_READ) {
+            return this.buildExceptionResponse(FUNCTION_CODES.READ_HOLDING_REGISTERS, 0x03);
         }
-        if (rect.bottom > window.innerHeight) {
-            menu.style.top = `${window.innerHeight - rect.height - 10}px`;
+
+        if (this.forcedExceptions.has(`holdingRegisters:${startAddress}`)) {
+            return this.buildExceptionResponse(FUNCTION_CODES.READ_HOLDING_REGISTERS,
+                this.forcedExceptions.get(`holdingRegisters:${startAddress}`));
+        }
+
+        const data = new Uint8Array(quantity * 2);
+
+        for (let i = 0; i < quantity; i++) {
+            const addr = startAddress + i;
+            if (!this.registerMaps.holdingRegisters.has(addr)) {
+                return this.buildExceptionResponse(FUNCTION_CODES.READ_HOLDING_REGISTERS, 0x02);
+            }
+
+            let value = this.registerMaps.holdingRegisters.get(addr);
+
+            // Handle simulation modes
+            if (this.randomValues) {
+                value = Math.floor(Math.random() * 65536);
+                this.registerMaps.holdingRegisters.set(addr, value);
+            } else if (this.autoIncrement) {
+                value = (value + 1) & 0xFFFF;
+                this.registerMaps.holdingRegisters.set(addr, value);
+            }
+
+            data[i * 2] = (value >> 8) & 0xFF;
+            data[i * 2 + 1] = value & 0xFF;
+
+            this.updateAccessStats('holdingRegisters', addr, 'read');
+        }
+
+        if (this.onRegisterRead) {
+            this.onRegisterRead('holdingRegisters', startAddress, quantity);
         }
+
+        return this.buildReadResponse(FUNCTION_CODES.READ_HOLDING_REGISTERS, data);
+    }
+
+    /**
+     * FC 04 - Read Input Registers
+     */
+    handleReadInputRegisters(frame) {
+        const startAddress = (frame[2] << 8) | frame[3];
+        const quantity = (frame[4] << 8) | frame[5];
+
+        if (quantity < 1 || quantity > MAX_REGISTERS_PER_READ) {
+            return this.buildExceptionResponse(FUNCTION_CODES.READ_INPUT_REGISTERS, 0x03);
+        }
+
+        if (this.forcedExceptions.has(`inputRegisters:${startAddress}`)) {
+            return this.buildExceptionResponse(FUNCTION_CODES.READ_INPUT_REGISTERS,
+                this.forcedExceptions.get(`inputRegisters:${startAddress}`));
+        }
+
+        const data = new Uint8Array(quantity * 2);
+
+        for (let i = 0; i < quantity; i++) {
+            const addr = startAddress + i;
+            if (!this.registerMaps.inputRegisters.has(addr)) {
+                return this.buildExceptionResponse(FUNCTION_CODES.READ_INPUT_REGISTERS, 0x02);
+            }
+
+            let value = this.registerMaps.inputRegisters.get(addr);
+
+            if (this.randomValues) {
+                value = Math.floor(Math.random() * 65536);
+                this.registerMaps.inputRegisters.set(addr, value);
+            } else if (this.autoIncrement) {
+                value = (value + 1) & 0xFFFF;
+                this.registerMaps.inputRegisters.set(addr, value);
+            }
+
+            data[i * 2] = (value >> 8) & 0xFF;
+            data[i * 2 + 1] = value & 0xFF;
+
+            this.updateAccessStats('inputRegisters', addr, 'read');
+        }
+
+        if (this.onRegisterRead) {
+            this.onRegisterRead('inputRegisters', startAddress, quantity);
+        }
+
+        return this.buildReadResponse(FUNCTION_CODES.READ_INPUT_REGISTERS, data);
+    }
+
+    /**
+     * FC 05 - Write Single Coil
+     */
+    handleWriteSingleCoil(frame) {
+        const address = (frame[2] << 8) | frame[3];
+        const value = (frame[4] << 8) | frame[5];
+
+        // Value must be 0x0000 (OFF) or 0xFF00 (ON)
+        if (value !== 0x0000 && value !== 0xFF00) {
+            return this.buildExceptionResponse(FUNCTION_CODES.WRITE_SINGLE_COIL, 0x03);
+        }
+
+        if (!this.registerMaps.coils.has(address)) {
+            return this.buildExceptionResponse(FUNCTION_CODES.WRITE_SINGLE_COIL, 0x02);
+        }
+
+        if (this.forcedExceptions.has(`coils:${address}`)) {
+            return this.buildExceptionResponse(FUNCTION_CODES.WRITE_SINGLE_COIL,
+                this.forcedExceptions.get(`coils:${address}`));
+        }
+
+        this.registerMaps.coils.set(address, value === 0xFF00 ? 1 : 0);
+        this.updateAccessStats('coils', address, 'write');
+
+        if (this.onRegisterWrite) {
+            this.onRegisterWrite('coils', address, 1);
+        }
+
+        // Echo the request as response (without CRC, will be added)
+        return ModbusMaster.appendCRC(frame.slice(0, 6));
+    }
+
+    /**
+     * FC 06 - Write Single Register
+     */
+    handleWriteSingleRegister(frame) {
+        const address = (frame[2] << 8) | frame[3];
+        const value = (frame[4] << 8) | frame[5];
+
+        if (!this.registerMaps.holdingRegisters.has(address)) {
+            return this.buildExceptionResponse(FUNCTION_CODES.WRITE_SINGLE_REGISTER, 0x02);
+        }
+
+        if (this.forcedExceptions.has(`holdingRegisters:${address}`)) {
+            return this.buildExceptionResponse(FUNCTION_CODES.WRITE_SINGLE_REGISTER,
+                this.forcedExceptions.get(`holdingRegisters:${address}`));
+        }
+
+        this.registerMaps.holdingRegisters.set(address, value);
+        this.updateAccessStats('holdingRegisters', address, 'write');
+
+        if (this.onRegisterWrite) {
+            this.onRegisterWrite('holdingRegisters', address, 1);
+        }
+
+        return ModbusMaster.appendCRC(frame.slice(0, 6));
+    }
+
+    /**
+     * FC 0F - Write Multiple Coils
+     */
+    handleWriteMultipleCoils(frame) {
+        const startAddress = (frame[2] << 8) | frame[3];
+        const quantity = (frame[4] << 8) | frame[5];
+        const byteCount = frame[6];
+
+        if (quantity < 1 || quantity > 1968) {
+            return this.buildExceptionResponse(FUNCTION_CODES.WRITE_MULTIPLE_COILS, 0x03);
+        }
+
+        // Verify all addresses exist
+        for (let i = 0; i < quantity; i++) {
+            const addr = startAddress + i;
+            if (!this.registerMaps.coils.has(addr)) {
+                return this.buildExceptionResponse(FUNCTION_CODES.WRITE_MULTIPLE_COILS, 0x02);
+            }
+            if (this.forcedExceptions.has(`coils:${addr}`)) {
+                return this.buildExceptionResponse(FUNCTION_CODES.WRITE_MULTIPLE_COILS,
+                    this.forcedExceptions.get(`coils:${addr}`));
+            }
+        }
+
+        // Write coils
+        for (let i = 0; i < quantity; i++) {
+            const addr = startAddress + i;
+            const byteIndex = Math.floor(i / 8);
+            const bitIndex = i % 8;
+            const value = (frame[7 + byteIndex] >> bitIndex) & 1;
+
+            this.registerMaps.coils.set(addr, value);
+            this.updateAccessStats('coils', addr, 'write');
+        }
+
+        if (this.onRegisterWrite) {
+            this.onRegisterWrite('coils', startAddress, quantity);
+        }
+
+        // Response: slave ID, FC, start address, quantity
+        const response = new Uint8Array([
+            this.slaveId,
+            FUNCTION_CODES.WRITE_MULTIPLE_COILS,
+            (startAddress >> 8) & 0xFF,
+            startAddress & 0xFF,
+            (quantity >> 8) & 0xFF,
+            quantity & 0xFF
+        ]);
+
+        return ModbusMaster.appendCRC(response);
+    }
+
+    /**
+     * FC 10 - Write Multiple Registers
+     */
+    handleWriteMultipleRegisters(frame) {
+        const startAddress = (frame[2] << 8) | frame[3];
+        const quantity = (frame[4] << 8) | frame[5];
+        const byteCount = frame[6];
+
+        if (quantity < 1 || quantity > 123) {
+            return this.buildExceptionResponse(FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS, 0x03);
+        }
+
+        // Verify all addresses exist
+        for (let i = 0; i < quantity; i++) {
+            const addr = startAddress + i;
+            if (!this.registerMaps.holdingRegisters.has(addr)) {
+                return this.buildExceptionResponse(FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS, 0x02);
+            }
+            if (this.forcedExceptions.has(`holdingRegisters:${addr}`)) {
+                return this.buildExceptionResponse(FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS,
+                    this.forcedExceptions.get(`holdingRegisters:${addr}`));
+            }
+        }
+
+        // Write registers
+        for (let i = 0; i < quantity; i++) {
+            const addr = startAddress + i;
+            const value = (frame[7 + i * 2] << 8) | frame[8 + i * 2];
+
+            this.registerMaps.holdingRegisters.set(addr, value);
+            this.updateAccessStats('holdingRegisters', addr, 'write');
+        }
+
+        if (this.onRegisterWrite) {
+            this.onRegisterWrite('holdingRegisters', startAddress, quantity);
+        }
+
+        // Response: slave ID, FC, start address, quantity
+        const response = new Uint8Array([
+            this.slaveId,
+            FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS,
+            (startAddress >> 8) & 0xFF,
+            startAddress & 0xFF,
+            (quantity >> 8) & 0xFF,
+            quantity & 0xFF
+        ]);
+
+        return ModbusMaster.appendCRC(response);
+    }
+
+    /**
+     * FC 08 - Diagnostics (loopback, restart, clear and the serial line counters)
+     */
+    handleDiagnostics(frame) {
+        const fc = FUNCTION_CODES.DIAGNOSTICS;
+        const subFunction = (frame[2] << 8) | frame[3];
+        const data = (frame[4] << 8) | frame[5];
+
+        const counters = {
+            [DIAGNOSTIC_SUBFUNCTIONS.BUS_MESSAGE_COUNT]: this.diagnosticCounters.busMessages,
+            [DIAGNOSTIC_SUBFUNCTIONS.BUS_CRC_ERROR_COUNT]: this.diagnosticCounters.crcErrors,
+            [DIAGNOSTIC_SUBFUNCTIONS.BUS_EXCEPTION_COUNT]: this.diagnosticCounters.exceptions,
+            [DIAGNOSTIC_SUBFUNCTIONS.SLAVE_MESSAGE_COUNT]: this.diagnosticCounters.slaveMessages,
+            [DIAGNOSTIC_SUBFUNCTIONS.SLAVE_NO_RESPONSE_COUNT]: this.diagnosticCounters.noResponses,
+            [DIAGNOSTIC_SUBFUNCTIONS.BUS_OVERRUN_COUNT]: 0 // no UART to overrun
+        };
+
+        switch (subFunction) {
+            case DIAGNOSTIC_SUBFUNCTIONS.RETURN_QUERY_DATA:
+                return ModbusMaster.appendCRC(frame.slice(0, frame.length - 2));
+            case DIAGNOSTIC_SUBFUNCTIONS.RESTART_COMMUNICATIONS:
+                if (data !== 0x0000 && data !== 0xFF00) {
+                    return this.buildExceptionResponse(fc, 0x03);
+                }
+                // 0xFF00 also clears the event log
+                if (data === 0xFF00) {
+                    this.commEventLog = [];
+                }
+                this.resetDiagnostics();
+                this.logCommEvent(0x00);
+                return ModbusMaster.appendCRC(frame.slice(0, 6));
+            case DIAGNOSTIC_SUBFUNCTIONS.CLEAR_COUNTERS:
+                this.resetDiagnostics();
+                return ModbusMaster.appendCRC(frame.slice(0, 6));
+        }
+
+        if (!(subFunction in counters)) {
+            return this.buildExceptionResponse(fc, 0x01);
+        }
+        if (data !== 0) {
+            return this.buildExceptionResponse(fc, 0x03);
+        }
+
+        const value = counters[subFunction] & 0xFFFF;
+        return ModbusMaster.appendCRC(new Uint8Array([
+            this.slaveId, fc, frame[2], frame[3], (value >> 8) & 0xFF, value & 0xFF
+        ]));
+    }
+
+    /**
+     * FC 0B - Get Comm Event Counter (the simulator is never busy)
+     */
+    handleGetCommEventCounter() {
+        return ModbusMaster.appendCRC(new Uint8Array([
+            this.slaveId,
+            FUNCTION_CODES.GET_COMM_EVENT_COUNTER,
+            0x00, 0x00,
+            (this.commEventCount >> 8) & 0xFF,
+            this.commEventCount & 0xFF
+        ]));
+    }
+
+    /**
+     * FC 0C - Get Comm Event Log
+     */
+    handleGetCommEventLog() {
+        const messages = this.diagnosticCounters.busMessages & 0xFFFF;
+        const response = new Uint8Array(9 + this.commEventLog.length);
+        response[0] = this.slaveId;
+        response[1] = FUNCTION_CODES.GET_COMM_EVENT_LOG;
+        response[2] = 6 + this.commEventLog.length;
+        response[5] = (this.commEventCount >> 8) & 0xFF;
+        response[6] = this.commEventCount & 0xFF;
+        response[7] = (messages >> 8) & 0xFF;
+        response[8] = messages & 0xFF;
+        response.set(this.commEventLog, 9);
+
+        return ModbusMaster.appendCRC(response);
+    }
+
+    /**
+     * FC 11 - Report Server ID: server ID, run indicator, then the free-form text
+     */
+    handleReportServerId() {
+        const text = [...String(this.serverIdData).slice(0, 240)].map(char => char.charCodeAt(0) & 0xFF);
+        const response = new Uint8Array(5 + text.length);
+        response[0] = this.slaveId;
+        response[1] = FUNCTION_CODES.REPORT_SERVER_ID;
+        response[2] = 2 + text.length;
+        response[3] = this.slaveId;
+        response[4] = this.runIndicator ? 0xFF : 0x00;
+        response.set(text, 5);
+
+        return ModbusMaster.appendCRC(response);
+    }
+
+    /**
+     * FC 16 - Mask Write Register
+     */
+    handleMaskWriteRegister(frame) {
+        const address = (frame[2] << 8) | frame[3];
+        const andMask = (frame[4] << 8) | frame[5];
+        const orMask = (frame[6] << 8) | frame[7];
+
+        if (!this.registerMaps.holdingRegisters.has(address)) {
+            return this.buildExceptionResponse(FUNCTION_CODES.MASK_WRITE_REGISTER, 0x02);
+        }
+
+        if (this.forcedExceptions.has(`holdingRegisters:${address}`)) {
+            return this.buildExceptionResponse(FUNCTION_CODES.MASK_WRITE_REGISTER,
+                this.forcedExceptions.get(`holdingRegisters:${address}`));
+        }
+
+        const current = this.registerMaps.holdingRegisters.get(address);
+        this.registerMaps.holdingRegisters.set(address, ModbusMaster.applyMasks(current, andMask, orMask));
+        this.updateAccessStats('holdingRegisters', address, 'write');
+
+        if (this.onRegisterWrite) {
+            this.onRegisterWrite('holdingRegisters', address, 1);
+        }
+
+        // Echo the request as response
+        return ModbusMaster.appendCRC(frame.slice(0, 8));
+    }
+
+    /**
+     * FC 17 - Read/Write Multiple Registers (write first, then read)
+     */
+    handleReadWriteMultipleRegisters(frame) {
+        const readAddress = (frame[2] << 8) | frame[3];
+        const readQuantity = (frame[4] << 8) | frame[5];
+        const writeAddress = (frame[6] << 8) | frame[7];
+        const writeQuantity = (frame[8] << 8) | frame[9];
+        const byteCount = frame[10];
+        const fc = FUNCTION_CODES.READ_WRITE_MULTIPLE_REGISTERS;
+
+        if (readQuantity < 1 || readQuantity > MAX_REGISTERS_PER_READ ||
+            writeQuantity < 1 || writeQuantity > 121 || byteCount !== writeQuantity * 2) {
+            return this.buildExceptionResponse(fc, 0x03);
+        }
+
+        // Verify all addresses exist before changing anything
+        for (let i = 0; i < writeQuantity; i++) {
+            const addr = writeAddress + i;
+            if (!this.registerMaps.holdingRegisters.has(addr)) {
+                return this.buildExceptionResponse(fc, 0x02);
+            }
+            if (this.forcedExceptions.has(`holdingRegisters:${addr}`)) {
+                return this.buildExceptionResponse(fc, this.forcedExceptions.get(`holdingRegisters:${addr}`));
+            }
+        }
+        for (let i = 0; i < readQuantity; i++) {
+            if (!this.registerMaps.holdingRegisters.has(readAddress + i)) {
+                return this.buildExceptionResponse(fc, 0x02);
+            }
+        }
+        if (this.forcedExceptions.has(`holdingRegisters:${readAddress}`)) {
+            return this.buildExceptionResponse(fc, this.forcedExceptions.get(`holdingRegisters:${readAddress}`));
+        }
+
+        // Write registers
+        for (let i = 0; i < writeQuantity; i++) {
+            const addr = writeAddress + i;
+            const value = (frame[11 + i * 2] << 8) | frame[12 + i * 2];
+
+            this.registerMaps.holdingRegisters.set(addr, value);
+            this.updateAccessStats('holdingRegisters', addr, 'write');
+        }
+
+        if (this.onRegisterWrite) {
+            this.onRegisterWrite('holdingRegisters', writeAddress, writeQuantity);
+        }
+
+        // Read back (sees the values just written)
+        const data = new Uint8Array(readQuantity * 2);
+        for (let i = 0; i < readQuantity; i++) {
+            const addr = readAddress + i;
+            const value = this.registerMaps.holdingRegisters.get(addr);
+
+            data[i * 2] = (value >> 8) & 0xFF;
+            data[i * 2 + 1] = value & 0xFF;
+
+            this.updateAccessStats('holdingRegisters', addr, 'read');
+        }
+
+        if (this.onRegisterRead) {
+            this.onRegisterRead('holdingRegisters', readAddress, readQuantity);
+        }
+
+        return this.buildReadResponse(fc, data);
+    }
+
+    /**
+     * FC 18 - Read FIFO Queue. The holding register at the pointer address holds
+     * the queue count; the queued values follow it.
+     */
+    handleReadFifoQueue(frame) {
+        const fc = FUNCTION_CODES.READ_FIFO_QUEUE;
+        const pointerAddress = (frame[2] << 8) | frame[3];
+        const registers = this.registerMaps.holdingRegisters;
+
+        if (!registers.has(pointerAddress)) {
+            return this.buildExceptionResponse(fc, 0x02);
+        }
+        if (this.forcedExceptions.has(`holdingRegisters:${pointerAddress}`)) {
+            return this.buildExceptionResponse(fc, this.forcedExceptions.get(`holdingRegisters:${pointerAddress}`));
+        }
+
+        const count = registers.get(pointerAddress);
+        if (count > MAX_FIFO_COUNT) {
+            return this.buildExceptionResponse(fc, 0x03);
+        }
+        for (let i = 1; i <= count; i++) {
+            if (!registers.has(pointerAddress + i)) {
+                return this.buildExceptionResponse(fc, 0x02);
+            }
+        }
+
+        const byteCount = 2 + count * 2;
+        const response = new Uint8Array(4 + byteCount);
+        response[0] = this.slaveId;
+        response[1] = fc;
+        response[2] = (byteCount >> 8) & 0xFF;
+        response[3] = byteCount & 0xFF;
+        response[4] = (count >> 8) & 0xFF;
+        response[5] = count & 0xFF;
+        for (let i = 0; i < count; i++) {
+            const value = registers.get(pointerAddress + 1 + i);
+            response[6 + i * 2] = (value >> 8) & 0xFF;
+            response[7 + i * 2] = value & 0xFF;
+            this.updateAccessStats('holdingRegisters', pointerAddress + 1 + i, 'read');
+        }
+
+        if (this.onRegisterRead) {
+            this.onRegisterRead('holdingRegisters', pointerAddress, count + 1);
+        }
+
+        return ModbusMaster.appendCRC(response);
+    }
+
+    /**
+     * FC 2B / 0E - Read Device Identification.
+     * Streams objects of the requested category from objectId on; whatever
+     * does not fit is flagged with "more follows" and the next object id.
+     */
+    handleReadDeviceIdentification(frame) {
+        const fc = FUNCTION_CODES.ENCAPSULATED_INTERFACE;
+        const readDeviceIdCode = frame[3];
+        const objectId = frame[4];
+
+        if (frame[2] !== MEI_READ_DEVICE_ID) {
+            return this.buildExceptionResponse(fc, 0x01);
+        }
+        if (readDeviceIdCode < 1 || readDeviceIdCode > 4) {
+            return this.buildExceptionResponse(fc, 0x03);
+        }
+
+        const ids = [...this.deviceIdentification.keys()].sort((a, b) => a - b);
+        const hasExtended = ids.some(id => id >= DEVICE_ID_LEVELS[3].firstObject);
+        const conformityLevel = hasExtended ? 0x83 : 0x82; // stream and individual access
+
+        let selected;
+        if (readDeviceIdCode === 4) {
+            if (!this.deviceIdentification.has(objectId)) {
+                return this.buildExceptionResponse(fc, 0x02);
+            }
+            selected = [objectId];
+        } else {
+            const { firstObject, lastObject } = DEVICE_ID_LEVELS[readDeviceIdCode];
+            const category = ids.filter(id => id >= firstObject && id <= lastObject);
+            // An unknown start object restarts the category from its first object
+            const start = category.includes(objectId) ? category.indexOf(objectId) : 0;
+            selected = category.slice(start);
+        }
+
+        // Response PDU is limited to 253 bytes, 7 of them header
+        const body = [];
+        let moreFollows = false;
+        let nextObjectId = 0;
+        let count = 0;
+        for (const id of selected) {
+            const value = this.deviceIdentification.get(id);
+            if (count > 0 && body.length + 2 + value.length > 246) {
+                moreFollows = true;
+                nextObjectId = id;
+                break;
+            }
+            body.push(id, value.length, ...[...value].map(char => char.charCodeAt(0) & 0xFF));
+            count++;
+        }
+
+        const response = new Uint8Array(8 + body.length);
+        response[0] = this.slaveId;
+        response[1] = fc;
+        response[2] = MEI_READ_DEVICE_ID;
+        response[3] = readDeviceIdCode;
+        response[4] = conformityLevel;
+        response[5] = moreFollows ? 0xFF : 0x00;
+        response[6] = nextObjectId;
+        response[7] = count;
+        response.set(body, 8);
+
+        return ModbusMaster.appendCRC(response);
+    }
+
+    /**
+     * Build a read response frame
+     */
+    buildReadResponse(functionCode, data) {
+        const frame = new Uint8Array(3 + data.length);
+        frame[0] = this.slaveId;
+        frame[1] = functionCode;
+        frame[2] = data.length;
+        frame.set(data, 3);
+
+        return ModbusMaster.appendCRC(frame);
+    }
+
+    /**
+     * Build an exception response frame
+     */
+    buildExceptionResponse(functionCode, exceptionCode) {
+        const frame = new Uint8Array([
+            this.slaveId,
+            functionCode | 0x80,
+            exceptionCode
+        ]);
+
+        return ModbusMaster.appendCRC(frame);
+    }
+
+    /**
+     * Update access statistics for a register
+     */
+    updateAccessStats(type, address, accessType) {
+        const statsMap = this.accessStats[type];
+        if (statsMap && statsMap.has(address)) {
+            const stats = statsMap.get(address);
+            if (accessType === 'read') {
+                stats.readCount++;
+            } else {
+                stats.writeCount++;
+            }
+            stats.lastAccess = new Date();
+        }
+    }
+
+    /**
+     * Get access statistics for display
+     */
+    getAccessStats(type) {
+        const result = [];
+        const statsMap = this.accessStats[type];
+        const regMap = this.registerMaps[type];
+
+        if (!statsMap || !regMap) return result;
+
+        for (const [address, stats] of statsMap) {
+            result.push({
+                address,
+                value: regMap.get(address),
+                readCount: stats.readCount,
+                writeCount: stats.writeCount,
+                lastAccess: stats.lastAccess
+            });
+        }
+
+        return result.sort((a, b) => a.address - b.address);
+    }
+
+    /**
+     * Get total statistics
+     */
+    getTotalStats() {
+        let totalReads = 0;
+        let totalWrites = 0;
+
+        for (const type of Object.keys(this.accessStats)) {
+            for (const stats of this.accessStats[type].values()) {
+                totalReads += stats.readCount;
+                totalWrites += stats.writeCount;
+            }
+        }
+
+        return { totalReads, totalWrites };
+    }
+
+    /**
+     * Reset all statistics
+     */
+    resetStats() {
+        for (const type of Object.keys(this.accessStats)) {
+            for (const stats of this.accessStats[type].values()) {
+                stats.readCount = 0;
+                stats.writeCount = 0;
+                stats.lastAccess = null;
+            }
+        }
+    }
+
+    /**
+     * Export configuration as JSON
+     */
+    exportConfig() {
+        const config = {
+            slaveId: this.slaveId,
+            responseDelay: this.responseDelay,
+            autoIncrement: this.autoIncrement,
+            randomValues: this.randomValues,
+            registerMaps: {}
+        };
+
+        for (const type of Object.keys(this.registerMaps)) {
+            config.registerMaps[type] = Array.from(this.registerMaps[type].entries());
+        }
+
+        return config;
+    }
+
+    /**
+     * Import configuration from JSON
+     */
+    importConfig(config) {
+        this.slaveId = config.slaveId || 1;
+        this.responseDelay = config.responseDelay || 0;
+        this.autoIncrement = config.autoIncrement || false;
+        this.randomValues = config.randomValues || false;
+
+        // Clear and restore register maps
+        for (const type of Object.keys(this.registerMaps)) {
+            this.registerMaps[type].clear();
+            this.accessStats[type].clear();
+
+            if (config.registerMaps && config.registerMaps[type]) {
+                for (const [address, value] of config.registerMaps[type]) {
+                    this.registerMaps[type].set(address, value);
+                    this.accessStats[type].set(address, { readCount: 0, writeCount: 0, lastAccess: null });
+                }
+            }
+        }
+    }
+}
+
+// ============================================
+// Value Interpreter
+// ============================================
+class ValueInterpreter {
+    /**
+     * Convert 16-bit value to unsigned
+     */
+    static toUnsigned16(value) {
+        return value & 0xFFFF;
+    }
+
+    /**
+     * Convert 16-bit value to signed
+     */
+    static toSigned16(value) {
+        const unsigned = value & 0xFFFF;
+        return unsigned > 32767 ? unsigned - 65536 : unsigned;
+    }
+
+    /**
+     * Swap bytes in 16-bit value
+     */
+    static swapBytes(value) {
+        return ((value & 0xFF) << 8) | ((value >> 8) & 0xFF);
+    }
+
+    /**
+     * Convert two 16-bit registers to 32-bit float
+     */
+    static toFloat32(reg1, reg2, byteOrder = 'ABCD') {
+        const buffer = new ArrayBuffer(4);
+        const view = new DataView(buffer);
+
+        switch (byteOrder) {
+            case 'ABCD': // Big-endian word, big-endian byte
+                view.setUint16(0, reg1, false);
+                view.setUint16(2, reg2, false);
+                break;
+            case 'CDAB': // Little-endian word, big-endian byte
+                view.setUint16(0, reg2, false);
+                view.setUint16(2, reg1, false);
+                break;
+            case 'BADC': // Big-endian word, little-endian byte
+                view.setUint16(0, this.swapBytes(reg1), false);
+                view.setUint16(2, this.swapBytes(reg2), false);
+                break;
+            case 'DCBA': // Little-endian word, little-endian byte
+                view.setUint16(0, this.swapBytes(reg2), false);
+                view.setUint16(2, this.swapBytes(reg1), false);
+                break;
+        }
+
+        return view.getFloat32(0, false);
+    }
+
+    /**
+     * Convert float to two 16-bit registers
+     */
+    static fromFloat32(value, byteOrder = 'ABCD') {
+        const buffer = new ArrayBuffer(4);
+        const view = new DataView(buffer);
+        view.setFloat32(0, value, false);
+
+        let reg1, reg2;
+
+        switch (byteOrder) {
+            case 'ABCD':
+                reg1 = view.getUint16(0, false);
+                reg2 = view.getUint16(2, false);
+                break;
+            case 'CDAB':
+                reg1 = view.getUint16(2, false);
+                reg2 = view.getUint16(0, false);
+                break;
+            case 'BADC':
+                reg1 = this.swapBytes(view.getUint16(0, false));
+                reg2 = this.swapBytes(view.getUint16(2, false));
+                break;
+            case 'DCBA':
+                reg1 = this.swapBytes(view.getUint16(2, false));
+                reg2 = this.swapBytes(view.getUint16(0, false));
+                break;
+        }
+
+        return [reg1, reg2];
+    }
+
+    /**
+     * Convert two registers to 32-bit long
+     */
+    static toLong32(reg1, reg2, byteOrder = 'ABCD') {
+        const buffer = new ArrayBuffer(4);
+        const view = new DataView(buffer);
+
+        switch (byteOrder) {
+            case 'ABCD':
+                view.setUint16(0, reg1, false);
+                view.setUint16(2, reg2, false);
+                break;
+            case 'CDAB':
+                view.setUint16(0, reg2, false);
+                view.setUint16(2, reg1, false);
+                break;
+        }
+
+        return view.getInt32(0, false);
+    }
+
+    /**
+     * Convert four 16-bit registers to 64-bit double
+     */
+    static toFloat64(reg1, reg2, reg3, reg4, bigEndian = true) {
+        const buffer = new ArrayBuffer(8);
+        const view = new DataView(buffer);
+
+        if (bigEndian) {
+            view.setUint16(0, reg1, false);
+            view.setUint16(2, reg2, false);
+            view.setUint16(4, reg3, false);
+            view.setUint16(6, reg4, false);
+        } else {
+            view.setUint16(0, reg4, false);
+            view.setUint16(2, reg3, false);
+            view.setUint16(4, reg2, false);
+            view.setUint16(6, reg1, false);
+        }
+
+        return view.getFloat64(0, false);
+    }
+
+    /**
+     * Convert registers to ASCII string
+     */
+    static toString(registers) {
+        let str = '';
+        for (const reg of registers) {
+            const highByte = (reg >> 8) & 0xFF;
+            const lowByte = reg & 0xFF;
+            if (highByte >= 32 && highByte <= 126) str += String.fromCharCode(highByte);
+            if (lowByte >= 32 && lowByte <= 126) str += String.fromCharCode(lowByte);
+        }
+        return str;
+    }
+
+    /**
+     * Format value as hex string
+     */
+    static toHexString(value, bits = 16) {
+        const hex = (value >>> 0).toString(16).toUpperCase();
+        const padLength = bits / 4;
+        return '0x' + hex.padStart(padLength, '0');
+    }
+
+    /**
+     * Format bytes as space-separated hex, e.g. "01 03 00 0A"
+     */
+    static toHexBytes(bytes) {
+        return [...bytes].map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+    }
+
+    /**
+     * Format value as binary string
+     */
+    static toBinaryString(value, bits = 16) {
+        return (value >>> 0).toString(2).padStart(bits, '0');
+    }
+}
+
+// ============================================
+// Traffic Logger
+// ============================================
+class TrafficLogger {
+    constructor(maxEntries = 1000) {
+        this.entries = [];
+        this.maxEntries = maxEntries;
+        this.isPaused = false;
+        this.onUpdate = null;
+    }
+
+    /**
+     * Log a traffic entry
+     */
+    log(direction, frame, error = null, raw = null, port = null) {
+        if (this.isPaused) return;
+
+        const timestamp = new Date().toISOString().substring(11, 23);
+        const hexString = Array.from(frame)
+            .map(b => b.toString(16).padStart(2, '0').toUpperCase())
+            .join(' ');
+
+        this.entries.push({ timestamp, direction, hexString, error, raw, port });
+
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+
+        if (this.onUpdate) {
+            this.onUpdate(this.entries[this.entries.length - 1]);
+        }
+    }
+
+    /**
+     * Log an error
+     */
+    logError(message, port = null) {
+        if (this.isPaused) return;
+
+        const timestamp = new Date().toISOString().substring(11, 23);
+        this.entries.push({ timestamp, direction: 'ERROR', hexString: message, error: true, port });
+
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+
+        if (this.onUpdate) {
+            this.onUpdate(this.entries[this.entries.length - 1]);
+        }
+    }
+
+    /**
+     * Log that a transaction is being sent again
+     */
+    logRetry(attempt, retries, reason, port = null) {
+        if (this.isPaused) return;
+
+        const timestamp = new Date().toISOString().substring(11, 23);
+        const hexString = `attempt ${attempt + 1}/${retries + 1} after ${reason}`;
+        this.entries.push({ timestamp, direction: 'RETRY', hexString, error: null, port });
+
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+
+        if (this.onUpdate) {
+            this.onUpdate(this.entries[this.entries.length - 1]);
+        }
+    }
+
+    /**
+     * Look back through a port's traffic for replies that start with the request
+     * just sent - the adapter hearing its own transmission.
+     * FC05/06 replies legitimately repeat the request, so only longer ones count for those.
+     */
+    findEcho(port, maxPairs = 20) {
+        const result = { pairs: 0, echoes: 0 };
+        let rx = null;
+
+        for (let i = this.entries.length - 1; i >= 0 && result.pairs < maxPairs; i--) {
+            const entry = this.entries[i];
+            if (entry.port !== port) continue;
+
+            if (entry.direction === 'RX') {
+                rx = entry;
+            } else if (entry.direction === 'TX' && rx) {
+                const functionCode = parseInt(entry.hexString.substring(3, 5), 16);
+                const repeatsRequest = functionCode === FUNCTION_CODES.WRITE_SINGLE_COIL ||
+                    functionCode === FUNCTION_CODES.WRITE_SINGLE_REGISTER;
+                const echoed = rx.hexString.startsWith(entry.hexString) &&
+                    (rx.hexString.length > entry.hexString.length || !repeatsRequest);
+
+                result.pairs++;
+                if (echoed) result.echoes++;
+                rx = null;
+            } else {
+                rx = null;
+            }
+        }
+
+        return result;
+    }
+
+    clear() {
+        this.entries = [];
+    }
+
+    pause() {
+        this.isPaused = true;
+    }
+
+    resume() {
+        this.isPaused = false;
+    }
+
+    export() {
+        return JSON.stringify(this.entries, null, 2);
+    }
+}
+
+// ============================================
+// Application State Store
+// ============================================
+class Store {
+    constructor() {
+        this.connections = [];
+        this.slaves = [];
+        this.registerGroups = [];
+        this.registers = [];
+        this.frameHistory = []; // raw console frames, newest first: { hex, sentAt }
+        this.pollingIntervals = new Map();
+        this.saveTimeout = null;
+    }
+
+    /**
+     * Generate unique ID
+     */
+    generateId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    // Connection CRUD
+    addConnection(config) {
+        const connection = {
+            id: this.generateId('conn'),
+            type: config.type || 'serial',
+            portName: config.portName || 'Serial Port',
+            baudRate: config.baudRate || 9600,
+            parity: config.parity || 'none',
+            dataBits: config.dataBits || 8,
+            stopBits: config.stopBits || 1,
+            mode: config.mode || 'rtu',
+            host: config.host || '',
+            tcpPort: config.tcpPort || 502,
+            relayUrl: config.relayUrl || DEFAULT_RELAY_URL,
+            usbVendorId: config.usbVendorId || null,
+            usbProductId: config.usbProductId || null,
+            echoSuppression: !!config.echoSuppression,
+            directionControl: config.directionControl || 'none',
+            preTxDelay: config.preTxDelay || 0,
+            postTxDelay: config.postTxDelay || 0,
+            burstAllowance: config.burstAllowance ?? DEFAULT_BURST_ALLOWANCE,
+            lineDelay: config.lineDelay ?? DEFAULT_LINE_DELAY,
+            interFrameGap: config.interFrameGap || 0,
+            turnaroundDelay: config.turnaroundDelay ?? DEFAULT_TURNAROUND_DELAY,
+            timeout: config.timeout || TRANSACTION_POLICY.timeout.default,
+            retries: config.retries || TRANSACTION_POLICY.retries.default,
+            retryDelay: config.retryDelay ?? TRANSACTION_POLICY.retryDelay.default,
+            backoff: config.backoff || TRANSACTION_POLICY.backoff.default,
+            isConnected: false,
+            savedAt: new Date().toISOString()
+        };
+        this.connections.push(connection);
+        this.scheduleSave();
+        return connection;
+    }
+
+    updateConnection(id, updates) {
+        const conn = this.connections.find(c => c.id === id);
+        if (conn) {
+            Object.assign(conn, updates);
+            this.scheduleSave();
+        }
+        return conn;
+    }
+
+    removeConnection(id) {
+        // Remove all related data
+        const slaves = this.slaves.filter(s => s.connectionId === id);
+        slaves.forEach(slave => this.removeSlave(slave.id));
+
+        this.connections = this.connections.filter(c => c.id !== id);
+        this.scheduleSave();
+    }
+
+    getConnection(id) {
+        return this.connections.find(c => c.id === id);
+    }
+
+    // Slave CRUD
+    addSlave(connectionId, slaveId, alias = '', policy = {}) {
+        const slave = {
+            id: this.generateId('slave'),
+            connectionId,
+            slaveId: parseInt(slaveId),
+            alias: alias || `Slave ${slaveId}`,
+            // null = use the connection's setting
+            timeout: policy.timeout ?? null,
+            retries: policy.retries ?? null,
+            retryDelay: policy.retryDelay ?? null,
+            backoff: policy.backoff ?? null,
+            bitWrite: 'auto', // 'auto' (FC22, falls back once unsupported), 'fc22' or 'rmw' (read-modify-write)
+            // Block read planning, null = READ_PLAN default
+            maxGap: null,
+            maxRegisters: null,
+            maxBits: null
+        };
+        this.slaves.push(slave);
+        this.scheduleSave();
+        return slave;
+    }
+
+    updateSlave(id, updates) {
+        const slave = this.slaves.find(s => s.id === id);
+        if (slave) {
+            Object.assign(slave, updates);
+            this.scheduleSave();
+        }
+        return slave;
+    }
+
+    removeSlave(id) {
+        // Remove all related register groups
+        const groups = this.registerGroups.filter(g => g.slaveId === id);
+        groups.forEach(group => this.removeRegisterGroup(group.id));
+
+        this.slaves = this.slaves.filter(s => s.id !== id);
+        this.scheduleSave();
+    }
+
+    getSlave(id) {
+        return this.slaves.find(s => s.id === id);
+    }
+
+    getSlavesForConnection(connectionId) {
+        return this.slaves.filter(s => s.connectionId === connectionId);
+    }
+
+    // Register Group CRUD
+    addRegisterGroup(slaveId, name, pollingInterval = 1000) {
+        const group = {
+            id: this.generateId('group'),
+            slaveId,
+            name: name || 'Register Group',
+            pollingInterval,
+            autoPolling: false
+        };
+        this.registerGroups.push(group);
+        this.scheduleSave();
+        return group;
+    }
+
+    updateRegisterGroup(id, updates) {
+        const group = this.registerGroups.find(g => g.id === id);
+        if (group) {
+            Object.assign(group, updates);
+            this.scheduleSave();
+        }
+        return group;
+    }
+
+    removeRegisterGroup(id) {
+        // Stop polling if active
+        this.stopPolling(id);
+
+        // Remove all related registers
+        this.registers = this.registers.filter(r => r.groupId !== id);
+        this.registerGroups = this.registerGroups.filter(g => g.id !== id);
+        this.scheduleSave();
+    }
+
+    getRegisterGroup(id) {
+        return this.registerGroups.find(g => g.id === id);
+    }
+
+    getGroupsForSlave(slaveId) {
+        return this.registerGroups.filter(g => g.slaveId === slaveId);
+    }
+
+    // Register CRUD
+    addRegister(groupId, config) {
+        const register = {
+            id: this.generateId('reg'),
+            groupId,
+            type: config.type || '4x',
+            address: parseInt(config.address) || 0,
+            alias: config.alias || '',
+            value: 0,
+            comment: config.comment || ''
+        };
+        this.registers.push(register);
+        this.scheduleSave();
+        return register;
+    }
+
+    addRegisters(groupId, configs) {
+        const registers = configs.map(config => ({
+            id: this.generateId('reg'),
+            groupId,
+            type: config.type || '4x',
+            address: parseInt(config.address) || 0,
+            alias: config.alias || '',
+            value: 0,
+            comment: config.comment || ''
+        }));
+        this.registers.push(...registers);
+        this.scheduleSave();
+        return registers;
+    }
+
+    updateRegister(id, updates) {
+        const register = this.registers.find(r => r.id === id);
+        if (register) {
+            Object.assign(register, updates);
+            // Don't save on value updates (too frequent)
+            if (!updates.value) {
+                this.scheduleSave();
+            }
+        }
+        return register;
+    }
+
+    removeRegister(id) {
+        this.registers = this.registers.filter(r => r.id !== id);
+        this.scheduleSave();
+    }
+
+    getRegister(id) {
+        return this.registers.find(r => r.id === id);
+    }
+
+    getRegistersForGroup(groupId) {
+        return this.registers
+            .filter(r => r.groupId === groupId)
+            .sort((a, b) => a.address - b.address);
+    }
+
+    // Polling Management
+    startPolling(groupId, callback) {
+        const group = this.getRegisterGroup(groupId);
+        if (!group) return;
+
+        this.stopPolling(groupId);
+
+        const intervalId = setInterval(callback, group.pollingInterval);
+        this.pollingIntervals.set(groupId, intervalId);
+        group.autoPolling = true;
+    }
+
+    stopPolling(groupId) {
+        const intervalId = this.pollingIntervals.get(groupId);
+        if (intervalId) {
+            clearInterval(intervalId);
+            this.pollingIntervals.delete(groupId);
+        }
+        const group = this.getRegisterGroup(groupId);
+        if (group) {
+            group.autoPolling = false;
+        }
+    }
+
+    stopAllPolling() {
+        this.pollingIntervals.forEach((intervalId) => {
+            clearInterval(intervalId);
+        });
+        this.pollingIntervals.clear();
+        this.registerGroups.forEach(g => g.autoPolling = false);
+    }
+
+    // Raw frame history
+    /**
+     * Remember a frame sent from the raw console - resending moves it back to the top
+     */
+    addFrameToHistory(hex) {
+        this.frameHistory = this.frameHistory.filter(entry => entry.hex !== hex);
+        this.frameHistory.unshift({ hex, sentAt: new Date().toISOString() });
+        if (this.frameHistory.length > FRAME_HISTORY_SIZE) {
+            this.frameHistory.length = FRAME_HISTORY_SIZE;
+        }
+        this.scheduleSave();
+    }
+
+    removeFrameFromHistory(hex) {
+        this.frameHistory = this.frameHistory.filter(entry => entry.hex !== hex);
+        this.scheduleSave();
+    }
+
+    clearFrameHistory() {
+        this.frameHistory = [];
+        this.scheduleSave();
+    }
+
+    // Persistence
+    scheduleSave() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+        }
+        this.saveTimeout = setTimeout(() => this.saveToLocalStorage(), 500);
+    }
+
+    saveToLocalStorage() {
+        try {
+            const data = {
+                version: '1.0',
+                connections: this.connections,
+                slaves: this.slaves,
+                registerGroups: this.registerGroups,
+                registers: this.registers.map(r => ({
+                    ...r,
+                    value: undefined // Don't save volatile values
+                })),
+                frameHistory: this.frameHistory
+            };
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+        } catch (error) {
+            console.error('Failed to save to localStorage:', error);
+        }
+    }
+
+    loadFromLocalStorage() {
+        try {
+            const json = localStorage.getItem(STORAGE_KEY);
+            if (!json) return false;
+
+            const data = JSON.parse(json);
+
+            if (data.version === '1.0') {
+                this.connections = data.connections || [];
+                this.slaves = data.slaves || [];
+                this.registerGroups = data.registerGroups || [];
+                this.registers = data.registers || [];
+                this.frameHistory = data.frameHistory || [];
+
+                // Reset connection states
+                this.connections.forEach(c => c.isConnected = false);
+                this.registerGroups.forEach(g => g.autoPolling = false);
+
+                return true;
+            }
+        } catch (error) {
+            console.error('Failed to load from localStorage:', error);
+        }
+        return false;
+    }
+
+    exportConfig() {
+        return JSON.stringify({
+            version: '1.0',
+            exportedAt: new Date().toISOString(),
+            connections: this.connections,
+            slaves: this.slaves,
+            registerGroups: this.registerGroups,
+            registers: this.registers
+        }, null, 2);
+    }
+
+    importConfig(json) {
+        try {
+            const data = JSON.parse(json);
+            if (data.version === '1.0') {
+                this.connections = data.connections || [];
+                this.slaves = data.slaves || [];
+                this.registerGroups = data.registerGroups || [];
+                this.registers = data.registers || [];
+                this.saveToLocalStorage();
+                return true;
+            }
+        } catch (error) {
+            console.error('Failed to import config:', error);
+        }
+        return false;
+    }
+}
+
+// ============================================
+// UI Manager
+// ============================================
+class UIManager {
+    constructor(app) {
+        this.app = app;
+        this.selectedRegisters = [];
+        this.selectedTreeItem = null;
+        this.editingCell = null;
+        this.signalMonitor = null;
+        this.initElements();
+    }
+
+    initElements() {
+        // Cache DOM elements
+        this.elements = {
+            // Toolbar
+            btnNewConnection: document.getElementById('btnNewConnection'),
+            btnNewSlave: document.getElementById('btnNewSlave'),
+            btnOpenConnection: document.getElementById('btnOpenConnection'),
+            btnCloseConnection: document.getElementById('btnCloseConnection'),
+            btnEditConnection: document.getElementById('btnEditConnection'),
+            btnEditSlave: document.getElementById('btnEditSlave'),
+            selectBaudRate: document.getElementById('selectBaudRate'),
+            selectParity: document.getElementById('selectParity'),
+            connectionStatus: document.getElementById('connectionStatus'),
+            pollingStatus: document.getElementById('pollingStatus'),
+            btnDarkMode: document.getElementById('btnDarkMode'),
+
+            // Sidebar
+            sidebar: document.getElementById('sidebar'),
+            sidebarResizer: document.getElementById('sidebarResizer'),
+            deviceTree: document.getElementById('deviceTree'),
+            btnAddConnectionSidebar: document.getElementById('btnAddConnectionSidebar'),
+
+            // Action bar
+            btnTrafficLog: document.getElementById('btnTrafficLog'),
+            btnBusMonitor: document.getElementById('btnBusMonitor'),
+            btnAddRegisters: document.getElementById('btnAddRegisters'),
+            btnRefreshRegisters: document.getElementById('btnRefreshRegisters'),
+            btnResetRegisters: document.getElementById('btnResetRegisters'),
+            btnAutoPoll: document.getElementById('btnAutoPoll'),
+            btnAutoPollIcon: document.getElementById('btnAutoPollIcon'),
+            btnAutoPollText: document.getElementById('btnAutoPollText'),
+            functionTabs: document.getElementById('functionTabs'),
+
+            // Register table (multi-column)
+            registerTableContainer: document.getElementById('registerTableContainer'),
+            registerTableEmpty: document.getElementById('registerTableEmpty'),
+            registerColumns: document.getElementById('registerColumns'),
+            btnToggleComments: document.getElementById('btnToggleComments'),
+            btnToggleCommentsText: document.getElementById('btnToggleCommentsText'),
+
+            // Value editor
+            valueEditor: document.getElementById('valueEditor'),
+            valueEditorToggle: document.getElementById('valueEditorToggle'),
+            valueEditorResize: document.getElementById('valueEditorResize'),
+            valueEditorContent: document.getElementById('valueEditorContent'),
+            numericValues: document.getElementById('numericValues'),
+            longValues: document.getElementById('longValues'),
+            floatValues: document.getElementById('floatValues'),
+            doubleValues: document.getElementById('doubleValues'),
+            stringValues: document.getElementById('stringValues'),
+
+            // Traffic log
+            trafficLog: document.getElementById('trafficLog'),
+            trafficLogContent: document.getElementById('trafficLogContent'),
+            errorLogContent: document.getElementById('errorLogContent'),
+            tabTraffic: document.getElementById('tabTraffic'),
+            tabErrors: document.getElementById('tabErrors'),
+            errorBadge: document.getElementById('errorBadge'),
+            btnClearLog: document.getElementById('btnClearLog'),
+            btnPauseLog: document.getElementById('btnPauseLog'),
+            btnCopyLog: document.getElementById('btnCopyLog'),
+            btnCloseLog: document.getElementById('btnCloseLog'),
+
+            // Status bar
+            statusConnection: document.getElementById('statusConnection'),
+            statusSlave: document.getElementById('statusSlave'),
+            statusLastPoll: document.getElementById('statusLastPoll'),
+            statusQueue: document.getElementById('statusQueue'),
+            statusErrors: document.getElementById('statusErrors'),
+            statusMessages: document.getElementById('statusMessages'),
+
+            // Modals
+            modalNewConnection: document.getElementById('modalNewConnection'),
+            modalNewSlave: document.getElementById('modalNewSlave'),
+            modalNewGroup: document.getElementById('modalNewGroup'),
+            modalAddRegister: document.getElementById('modalAddRegister'),
+            modalEditSlave: document.getElementById('modalEditSlave'),
+            modalEditGroup: document.getElementById('modalEditGroup'),
+            modalEditConnection: document.getElementById('modalEditConnection'),
+
+            // Context menu
+            contextMenu: document.getElementById('contextMenu'),
+
+            // Loading & notifications
+            loadingOverlay: document.getElementById('loadingOverlay'),
+            loadingText: document.getElementById('loadingText'),
+            notificationContainer: document.getElementById('notificationContainer')
+        };
+    }
+
+    // ===== Notifications =====
+    showNotification(message, type = 'info', duration = 5000) {
+        // Log errors to the error panel instead of toast
+        if (type === 'error') {
+            this.addErrorLog(message);
+            return;
+        }
+
+        const container = this.elements.notificationContainer;
+        const notification = document.createElement('div');
+        notification.className = `notification notification--${type}`;
+
+        const icons = {
+            success: '✓',
+            error: '✗',
+            warning: '⚠',
+            info: 'ℹ'
+        };
+
+        notification.innerHTML = `
+            <span class="notification__icon">${icons[type] || icons.info}</span>
+            <span class="notification__message">${message}</span>
+            <button class="notification__close">&times;</button>
+        `;
+
+        const closeBtn = notification.querySelector('.notification__close');
+        closeBtn.addEventListener('click', () => this.hideNotification(notification));
+
+        container.appendChild(notification);
+
+        if (duration > 0) {
+            setTimeout(() => this.hideNotification(notification), duration);
+        }
+
+        return notification;
+    }
+
+    hideNotification(notification) {
+        notification.classList.add('hiding');
+        setTimeout(() => notification.remove(), 300);
+    }
+
+    // ===== Loading Overlay =====
+    showLoading(message = 'Loading...') {
+        this.elements.loadingText.textContent = message;
+        this.elements.loadingOverlay.style.display = 'flex';
+    }
+
+    hideLoading() {
+        this.elements.loadingOverlay.style.display = 'none';
+    }
+
+    // ===== Modal Management =====
+    showModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.add('active');
+            const firstInput = modal.querySelector('input, select');
+            if (firstInput) firstInput.focus();
+        }
+    }
+
+    hideModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.remove('active');
+            this.app.handleModalClosed(modalId);
+        }
+    }
+
+    hideAllModals() {
+        document.querySelectorAll('.modal.active').forEach(modal => {
+            modal.classList.remove('active');
+            this.app.handleModalClosed(modal.id);
+        });
+    }
+
+    // ===== Context Menu =====
+    showContextMenu(x, y, itemType, itemId) {
+        const menu = this.elements.contextMenu;
+
+        // Hide all items first
+        menu.querySelectorAll('.context-menu__item').forEach(item => {
+            item.style.display = 'none';
+        });
+        menu.querySelectorAll('.context-menu__divider').forEach(div => {
+            div.style.display = 'none';
+        });
+
+        // Show relevant items based on type
+        if (itemType === 'connection') {
+            const conn = this.app.store.getConnection(itemId);
+            if (conn) {
+                if (conn.isConnected) {
+                    menu.querySelector('[data-action="disconnect"]').style.display = '';
+                    menu.querySelector('[data-action="scanBus"]').style.display = '';
+                    menu.querySelector('[data-action="rawConsole"]').style.display = '';
+                } else {
+                    menu.querySelector('[data-action="connect"]').style.display = '';
+                }
+                menu.querySelector('[data-action="remove"]').style.display = '';
+            }
+        } else if (itemType === 'slave') {
+            menu.querySelector('[data-action="edit"]').style.display = '';
+            menu.querySelector('[data-action="delete"]').style.display = '';
+            menu.querySelectorAll('.context-menu__divider')[1].style.display = '';
+            menu.querySelector('[data-action="newGroup"]').style.display = '';
+            const slave = this.app.store.getSlave(itemId);
+            const conn = slave && this.app.store.getConnection(slave.connectionId);
+            if (conn && conn.isConnected) {
+                menu.querySelector('[data-action="discoverRegisters"]').style.display = '';
+                menu.querySelector('[data-action="deviceInfo"]').style.display = '';
+                menu.querySelector('[data-action="diagnostics"]').style.display = '';
+                menu.querySelector('[data-action="fileRecords"]').style.display = '';
+                menu.querySelector('[data-action="readFifo"]').style.display = '';
+                menu.querySelector('[data-action="reportServerId"]').style.display = '';
+            }
+        } else if (itemType === 'broadcast') {
+            menu.querySelector('[data-action="broadcast"]').style.display = '';
+        } else if (itemType === 'group') {
+            menu.querySelector('[data-action="edit"]').style.display = '';
+            menu.querySelector('[data-action="delete"]').style.display = '';
+            menu.querySelectorAll('.context-menu__divider')[1].style.display = '';
+            menu.querySelector('[data-action="addRegister"]').style.display = '';
+            menu.querySelectorAll('.context-menu__divider')[2].style.display = '';
+            menu.querySelector('[data-action="refresh"]').style.display = '';
+
+            const group = this.app.store.getRegisterGroup(itemId);
+            if (group && group.autoPolling) {
+                menu.querySelector('[data-action="stopPolling"]').style.display = '';
+            } else {
+                menu.querySelector('[data-action="startPolling"]').style.display = '';
+            }
+        }
+
+        // Position menu
+        menu.style.left = `${x}px`;
+        menu.style.top = `${y}px`;
+        menu.style.display = 'block';
+        menu.dataset.itemType = itemType;
+        menu.dataset.itemId = itemId;
+
+        // Adjust if off screen
+        const rect = menu.getBoundingClientRect();
+        if (rect.right > window.innerWidth) {
+            menu.style.left = `${window.innerWidth - rect.width - 10}px`;
+        }
+        if (rect.bottom > window.innerHeight) {
+            menu.style.top = `${window.innerHeight - rect.height - 10}px`;
+        }
+    }
+
+    hideContextMenu() {
+        this.elements.contextMenu.style.display = 'none';
+    }
+
+    // ===== Device Tree =====
+    renderDeviceTree() {
+        const tree = this.elements.deviceTree;
+
+        if (this.app.store.connections.length === 0) {
+            tree.innerHTML = `
+                <div class="device-tree__empty">
+                    <p>No connections configured.</p>
+                    <p>Click "New Connection" to start.</p>
+                </div>
+            `;
+            return;
+        }
+
+        let html = '';
+
+        for (const conn of this.app.store.connections) {
+            const statusClass = conn.isConnected ? 'connected' : 'disconnected';
+            const slaves = this.app.store.getSlavesForConnection(conn.id);
+            const hasChildren = slaves.length > 0;
+
+            // The broadcast target (slave 0) is always there, but only opened by default next to real slaves
+            html += `
+                <div class="tree-item" data-type="connection" data-id="${conn.id}">
+                    <div class="tree-item__header">
+                        <span class="tree-item__toggle ${hasChildren ? 'expanded' : ''}">▶</span>
+                        <span class="tree-item__icon">${CONNECTION_ICONS[conn.type] || CONNECTION_ICONS.serial}</span>
+                        <span class="tree-item__name">${conn.portName}</span>
+                        <span class="tree-item__status tree-item__status--${statusClass}"></span>
+                    </div>
+                    <div class="tree-item__children ${hasChildren ? '' : 'collapsed'}">
+                        <div class="tree-item" data-type="broadcast" data-id="${conn.id}">
+                            <div class="tree-item__header">
+                                <span class="tree-item__toggle"></span>
+                                <span class="tree-item__icon">📢</span>
+                                <span class="tree-item__name">Broadcast (ID: 0)</span>
+                            </div>
+                        </div>
+            `;
+
+            for (const slave of slaves) {
+                const groups = this.app.store.getGroupsForSlave(slave.id);
+                const hasGroupChildren = groups.length > 0;
+
+                html += `
+                    <div class="tree-item" data-type="slave" data-id="${slave.id}">
+                        <div class="tree-item__header">
+                            <span class="tree-item__toggle ${hasGroupChildren ? 'expanded' : ''}">${hasGroupChildren ? '▶' : ''}</span>
+                            <span class="tree-item__icon">📟</span>
+                            <span class="tree-item__name">${slave.alias} (ID: ${slave.slaveId})</span>
+                        </div>
+                        <div class="tree-item__children ${hasGroupChildren ? '' : 'collapsed'}">
+                `;
+
+                for (const group of groups) {
+                    const pollingClass = group.autoPolling ? 'polling' : '';
+
+                    html += `
+                        <div class="tree-item" data-type="group" data-id="${group.id}">
+                            <div class="tree-item__header">
+                                <span class="tree-item__toggle"></span>
+                                <span class="tree-item__icon">📋</span>
+                                <span class="tree-item__name">${group.name}</span>
+                                ${group.autoPolling ? '<span class="tree-item__status tree-item__status--polling"></span>' : ''}
+                            </div>
+                        </div>
+                    `;
+                }
+
+                html += `
+                        </div>
+                    </div>
+                `;
+            }
+
+            html += `
+                    </div>
+                </div>
+            `;
+        }
+
+        tree.innerHTML = html;
+        this.attachTreeEventListeners();
+    }
+
+    attachTreeEventListeners() {
+        const tree = this.elements.deviceTree;
+
+        // Toggle expand/collapse
+        tree.querySelectorAll('.tree-item__toggle').forEach(toggle => {
+            toggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const item = toggle.closest('.tree-item');
+                const children = item.querySelector('.tree-item__children');
+                if (children) {
+                    children.classList.toggle('collapsed');
+                    toggle.classList.toggle('expanded');
+                }
+            });
+        });
+
+        // Select item
+        tree.querySelectorAll('.tree-item__header').forEach(header => {
+            header.addEventListener('click', (e) => {
+                // Deselect all
+                tree.querySelectorAll('.tree-item__header.selected').forEach(h => {
+                    h.classList.remove('selected');
+                });
+                header.classList.add('selected');
+
+                const item = header.closest('.tree-item');
+                this.selectedTreeItem = {
+                    type: item.dataset.type,
+                    id: item.dataset.id
+                };
+
+                this.onTreeItemSelected(this.selectedTreeItem);
+            });
+
+            // Context menu
+            header.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                const item = header.closest('.tree-item');
+                this.showContextMenu(e.pageX, e.pageY, item.dataset.type, item.dataset.id);
+            });
+
+            // Double click to expand/edit
+            header.addEventListener('dblclick', () => {
+                const item = header.closest('.tree-item');
+                if (item.dataset.type === 'group') {
+                    this.app.handleRefreshRegisters();
+                } else if (item.dataset.type === 'broadcast') {
+                    this.app.showBroadcastModal(item.dataset.id);
+                }
+            });
+        });
+    }
+
+    onTreeItemSelected(item) {
+        // Update toolbar buttons based on selection
+        const { btnNewSlave, btnOpenConnection, btnCloseConnection, btnEditConnection, btnEditSlave,
+                btnAddRegisters, btnRefreshRegisters, btnResetRegisters, btnAutoPoll, btnAutoPollIcon, btnAutoPollText, functionTabs } = this.elements;
+
+        this.stopSignalMonitor();
+
+        if (item.type === 'connection') {
+            const conn = this.app.store.getConnection(item.id);
+            btnNewSlave.disabled = !conn || !conn.isConnected;
+            btnOpenConnection.disabled = !conn || conn.isConnected;
+            btnCloseConnection.disabled = !conn || !conn.isConnected;
+            btnEditConnection.disabled = false;
+            btnEditSlave.disabled = true;
+            btnAddRegisters.disabled = true;
+            btnRefreshRegisters.disabled = true;
+            btnResetRegisters.disabled = true;
+            btnAutoPoll.disabled = true;
+            functionTabs.style.display = 'none';
+
+            if (conn) {
+                this.renderConnectionDetails(conn);
+            }
+            this.showRegisterTableEmpty();
+
+        } else if (item.type === 'slave') {
+            const slave = this.app.store.getSlave(item.id);
+            const conn = slave ? this.app.store.getConnection(slave.connectionId) : null;
+            btnNewSlave.disabled = true;
+            btnOpenConnection.disabled = true;
+            btnCloseConnection.disabled = true;
+            btnEditConnection.disabled = true;
+            btnEditSlave.disabled = false;
+            btnAddRegisters.disabled = true;
+            btnRefreshRegisters.disabled = true;
+            btnResetRegisters.disabled = true;
+            btnAutoPoll.disabled = true;
+            functionTabs.style.display = 'none';
+
+            // Show helpful message for slave selection
+            const groups = this.app.store.getGroupsForSlave(item.id);
+            if (groups.length > 0) {
+                this.elements.registerTableEmpty.innerHTML = `
+                    <div class="register-table__empty-icon">📟</div>
+                    <h3>Slave Selected</h3>
+                    <p>Click on a <strong>Register Group</strong> below this slave to view registers.</p>
+                    <p style="margin-top: 10px; color: var(--text-secondary);">Or right-click the slave to add a new group.</p>
+                `;
+            } else {
+                this.elements.registerTableEmpty.innerHTML = `
+                    <div class="register-table__empty-icon">📟</div>
+                    <h3>No Register Groups</h3>
+                    <p>Right-click this slave and select <strong>"New Group"</strong> to create a register group.</p>
+                `;
+            }
+            this.showRegisterTableEmpty();
+
+        } else if (item.type === 'broadcast') {
+            const conn = this.app.store.getConnection(item.id);
+            btnNewSlave.disabled = true;
+            btnOpenConnection.disabled = true;
+            btnCloseConnection.disabled = true;
+            btnEditConnection.disabled = true;
+            btnEditSlave.disabled = true;
+            btnAddRegisters.disabled = true;
+            btnRefreshRegisters.disabled = true;
+            btnResetRegisters.disabled = true;
+            btnAutoPoll.disabled = true;
+            functionTabs.style.display = 'none';
+
+            this.elements.registerTableEmpty.innerHTML = `
+                <div class="register-table__empty-icon">📢</div>
+                <h3>Broadcast</h3>
+                <p>Writes sent to slave ID 0 reach every device on ${conn ? conn.portName : 'this connection'}; none of them reply.</p>
+                <p style="margin-top: 10px; color: var(--text-secondary);">Double-click or right-click to send a broadcast write.</p>
+            `;
+            this.showRegisterTableEmpty();
+
+        } else if (item.type === 'group') {
+            const group = this.app.store.getRegisterGroup(item.id);
+            const isPolling = group && group.autoPolling;
+            btnNewSlave.disabled = true;
+            btnOpenConnection.disabled = true;
+            btnCloseConnection.disabled = true;
+            btnEditConnection.disabled = true;
+            btnEditSlave.disabled = true;
+            btnAddRegisters.disabled = false;
+            btnRefreshRegisters.disabled = false;
+            btnResetRegisters.disabled = false;
+            btnAutoPoll.disabled = false;
+            // Update Auto-Poll button text/icon based on polling state
+            btnAutoPollIcon.textContent = isPolling ? '⏹️' : '▶️';
+            btnAutoPollText.textContent = isPolling ? 'Stop Poll' : 'Auto-Poll';
+            functionTabs.style.display = 'flex';
+
+            this.renderRegisterTable(item.id);
+        }
+
+        this.updateStatusBar();
+    }
+
+    // ===== Connection Details =====
+    /**
+     * Show the selected connection's settings in the main panel,
+     * with live modem status lines for an open serial port
+     */
+    renderConnectionDetails(conn) {
+        const icon = CONNECTION_ICONS[conn.type] || CONNECTION_ICONS.serial;
+        let settingsText;
+        if (conn.type === 'tcp') {
+            settingsText = `Modbus TCP via ${conn.relayUrl}`;
+        } else if (conn.type === 'loopback') {
+            settingsText = `Slave simulator, ${conn.lineDelay} ms line delay`;
+        } else {
+            const mode = (conn.mode || 'rtu').toUpperCase();
+            settingsText = `${mode} ${conn.baudRate} ${conn.dataBits}${conn.parity.charAt(0).toUpperCase()}${conn.stopBits}`;
+        }
+
+        let directionHtml = '';
+        if (conn.type === 'serial' || !conn.type) {
+            const direction = conn.directionControl && conn.directionControl !== 'none'
+                ? `${conn.directionControl.toUpperCase()} (pre ${conn.preTxDelay || 0} ms, post ${conn.postTxDelay || 0} ms)`
+                : 'None';
+            directionHtml = `<p>RS-485 direction control: ${direction}</p>`;
+        }
+
+        const showSignals = (conn.type === 'serial' || !conn.type) && conn.isConnected;
+        const signalsHtml = showSignals
+            ? `<div class="signal-lights">${Object.entries(MODEM_STATUS_SIGNALS).map(([key, label]) =>
+                `<span class="signal-light" data-signal="${key}">${label}</span>`).join('')}</div>`
+            : '';
+
+        this.elements.registerTableEmpty.innerHTML = `
+            <div class="register-table__empty-icon">${icon}</div>
+            <h3>${conn.portName}</h3>
+            <p>${settingsText} - ${conn.isConnected ? 'connected' : 'disconnected'}</p>
+            ${directionHtml}
+            ${signalsHtml}
+        `;
+
+        if (showSignals) {
+            this.startSignalMonitor(conn);
+        }
+    }
+
+    /**
+     * Poll getSignals() while the connection details are on screen
+     */
+    startSignalMonitor(conn) {
+        const transport = this.app.transports.get(conn.id);
+        if (!transport || typeof transport.getSignals !== 'function') return;
+
+        const poll = async () => {
+            try {
+                this.updateSignalLights(await transport.getSignals());
+            } catch (error) {
+                if (this.signalMonitor === monitor) {
+                    this.stopSignalMonitor();
+                }
+            }
+        };
+        const monitor = setInterval(poll, SIGNAL_POLL_INTERVAL);
+        this.signalMonitor = monitor;
+        poll();
+    }
+
+    stopSignalMonitor() {
+        if (this.signalMonitor) {
+            clearInterval(this.signalMonitor);
+            this.signalMonitor = null;
+        }
+    }
+
+    updateSignalLights(signals) {
+        for (const key of Object.keys(MODEM_STATUS_SIGNALS)) {
+            const light = this.elements.registerTableEmpty.querySelector(`[data-signal="${key}"]`);
+            if (light) {
+                light.classList.toggle('signal-light--on', !!signals[key]);
+            }
+        }
+    }
+
+    // ===== Register Table (Multi-Column) =====
+    showRegisterTableEmpty() {
+        this.elements.registerTableEmpty.style.display = 'flex';
+        this.elements.registerColumns.style.display = 'none';
+    }
+
+    renderRegisterTable(groupId) {
+        const registers = this.app.store.getRegistersForGroup(groupId);
+        const ROWS_PER_COLUMN = 10;
+
+        if (registers.length === 0) {
+            this.elements.registerTableEmpty.innerHTML = `
+                <div class="register-table__empty-icon">📋</div>
+                <h3>No Registers in This Group</h3>
+                <p>Right-click the group and select "Add Register" to add registers.</p>
+            `;
+            this.showRegisterTableEmpty();
+            return;
+        }
+
+        this.elements.registerTableEmpty.style.display = 'none';
+        this.elements.registerColumns.style.display = 'flex';
+
+        // Preserve comments visibility state
+        const hideComments = this.elements.registerColumns.classList.contains('hide-comments');
+
+        const container = this.elements.registerColumns;
+        container.innerHTML = '';
+        if (hideComments) container.classList.add('hide-comments');
+
+        // Group registers by type
+        const registersByType = {};
+        const typeOrder = ['0x', '1x', '3x', '4x']; // Define display order
+
+        for (const reg of registers) {
+            if (!registersByType[reg.type]) {
+                registersByType[reg.type] = [];
+            }
+            registersByType[reg.type].push(reg);
+        }
+
+        // Create sections for each register type
+        for (const type of typeOrder) {
+            if (!registersByType[type] || registersByType[type].length === 0) continue;
+
+            const typeRegs = registersByType[type];
+            const typeInfo = REGISTER_TYPES[type];
+
+            // Create section for this type
+            const sectionDiv = document.createElement('div');
+            sectionDiv.className = 'register-section';
+
+            // Section header
+            const sectionHeader = document.createElement('div');
+            sectionHeader.className = 'register-section__header';
+            sectionHeader.innerHTML = `<span class="register-section__type">${type}</span> <span class="register-section__name">${typeInfo ? typeInfo.name : ''}</span> <span class="register-section__count">(${typeRegs.length})</span>`;
+            sectionDiv.appendChild(sectionHeader);
+
+            // Columns container for this section
+            const columnsDiv = document.createElement('div');
+            columnsDiv.className = 'register-section__columns';
+
+            // Split registers into columns of ROWS_PER_COLUMN each
+            const numColumns = Math.ceil(typeRegs.length / ROWS_PER_COLUMN);
+
+            for (let col = 0; col < numColumns; col++) {
+                const startIdx = col * ROWS_PER_COLUMN;
+                const columnRegs = typeRegs.slice(startIdx, startIdx + ROWS_PER_COLUMN);
+
+                const columnDiv = document.createElement('div');
+                columnDiv.className = 'register-column';
+
+                const table = document.createElement('table');
+                table.className = 'register-table';
+
+                // Header
+                const thead = document.createElement('thead');
+                thead.innerHTML = `
+                    <tr>
+                        <th class="register-table__th register-table__th--address">Addr</th>
+                        <th class="register-table__th register-table__th--alias">Alias</th>
+                        <th class="register-table__th register-table__th--value">Value</th>
+                        <th class="register-table__th register-table__th--comment">Comment</th>
+                    </tr>
+                `;
+                table.appendChild(thead);
+
+                // Body
+                const tbody = document.createElement('tbody');
+                for (const reg of columnRegs) {
+                    const isWritable = typeInfo && typeInfo.writeFC !== null;
+                    const rowClass = isWritable ? '' : 'register-table__row--readonly';
+
+                    const tr = document.createElement('tr');
+                    tr.className = `register-table__row ${rowClass}`;
+                    tr.dataset.registerId = reg.id;
+                    tr.dataset.registerType = reg.type;
+
+                    tr.innerHTML = `
+                        <td class="register-table__cell register-table__cell--address">${ValueInterpreter.toHexString(reg.address)}</td>
+                        <td class="register-table__cell register-table__cell--alias">${reg.alias || '-'}</td>
+                        <td class="register-table__cell register-table__cell--value ${isWritable ? 'editable' : ''}">${reg.value}</td>
+                        <td class="register-table__cell register-table__cell--comment">${reg.comment || ''}</td>
+                    `;
+
+                    // Row selection with Ctrl+click and Shift+click support
+                    tr.addEventListener('click', (e) => {
+                        if (e.target.tagName === 'INPUT') return;
+
+                        const allRows = Array.from(container.querySelectorAll('tr[data-register-id]'));
+
+                        if (e.ctrlKey) {
+                            // Toggle selection
+                            tr.classList.toggle('selected');
+                            if (tr.classList.contains('selected')) {
+                                this.selectedRegisters.push(reg.id);
+                            } else {
+                                this.selectedRegisters = this.selectedRegisters.filter(id => id !== reg.id);
+                            }
+                        } else if (e.shiftKey && this.selectedRegisters.length > 0) {
+                            // Range selection
+                            const lastSelectedRow = container.querySelector(`tr[data-register-id="${this.selectedRegisters[this.selectedRegisters.length - 1]}"]`);
+                            const startIdx = allRows.indexOf(lastSelectedRow);
+                            const endIdx = allRows.indexOf(tr);
+                            const [from, to] = startIdx < endIdx ? [startIdx, endIdx] : [endIdx, startIdx];
+
+                            for (let i = from; i <= to; i++) {
+                                allRows[i].classList.add('selected');
+                                const regId = allRows[i].dataset.registerId;
+                                if (!this.selectedRegisters.includes(regId)) {
+                                    this.selectedRegisters.push(regId);
+                                }
+                            }
+                        } else {
+                            // Single selection - clear all and select this one
+                            container.querySelectorAll('tr.selected').forEach(r => r.classList.remove('selected'));
+                            tr.classList.add('selected');
+                            this.selectedRegisters = [reg.id];
+                        }
+
+                        this.updateValueEditor();
+                    });
+
+                    // Double click to edit (if writable)
+                    if (isWritable) {
+                        const valueCell = tr.querySelector('.register-table__cell--value');
+                        valueCell.addEventListener('dblclick', () => {
+                            this.startCellEdit(valueCell, reg);
+                        });
+                    }
+
+                    tbody.appendChild(tr);
+                }
+
+                table.appendChild(tbody);
+                columnDiv.appendChild(table);
+                columnsDiv.appendChild(columnDiv);
+            }
+
+            sectionDiv.appendChild(columnsDiv);
+            container.appendChild(sectionDiv);
+        }
+    }
+
+    startCellEdit(cell, register) {
+        if (this.editingCell) return;
+
+        this.editingCell = cell;
+        const currentValue = register.value;
+
+        cell.innerHTML = `<input type="number" class="register-table__input" value="${currentValue}">`;
+        const input = cell.querySelector('input');
+        input.focus();
+        input.select();
+
+        const finishEdit = async (save) => {
+            if (!this.editingCell) return;
+
+            if (save) {
+                const newValue = parseInt(input.value) || 0;
+                if (newValue !== currentValue) {
+                    try {
+                        await this.app.writeRegister(register, newValue);
+                        cell.parentElement.classList.add('register-table__row--success');
+                        setTimeout(() => {
+                            cell.parentElement.classList.remove('register-table__row--success');
+                        }, 1000);
+                    } catch (error) {
+                        cell.parentElement.classList.add('register-table__row--error');
+                        this.showNotification(error.message, 'error');
+                        setTimeout(() => {
+                            cell.parentElement.classList.remove('register-table__row--error');
+                        }, 3000);
+                    }
+                }
+            }
+
+            cell.textContent = register.value;
+            this.editingCell = null;
+        };
+
+        input.addEventListener('blur', () => finishEdit(true));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                finishEdit(true);
+            } else if (e.key === 'Escape') {
+                finishEdit(false);
+            }
+        });
+    }
+
+    updateRegisterValue(registerId, value) {
+        const row = this.elements.registerColumns.querySelector(`tr[data-register-id="${registerId}"]`);
+        if (row && !this.editingCell) {
+            const valueCell = row.querySelector('.register-table__cell--value');
+            if (valueCell && valueCell.textContent != value) {
+                valueCell.textContent = value;
+                row.classList.add('register-table__row--success');
+                setTimeout(() => row.classList.remove('register-table__row--success'), 500);
+            }
+        }
+    }
+
+    handleToggleComments() {
+        const container = this.elements.registerColumns;
+        container.classList.toggle('hide-comments');
+        const isHidden = container.classList.contains('hide-comments');
+        this.elements.btnToggleCommentsText.textContent = isHidden ? 'Show Comments' : 'Hide Comments';
+    }
+
+    // ===== Value Editor =====
+    updateValueEditor() {
+        // Clear all value containers
+        this.elements.numericValues.innerHTML = '';
+        this.elements.longValues.innerHTML = '';
+        this.elements.floatValues.innerHTML = '';
+        this.elements.doubleValues.innerHTML = '';
+        this.elements.stringValues.innerHTML = '';
+
+        const panels = this.elements.valueEditorContent.querySelectorAll('.value-editor__panel');
+
+        if (this.selectedRegisters.length === 0) {
+            panels.forEach(panel => {
+                panel.querySelector('.value-editor__info').style.display = '';
+            });
+            return;
+        }
+
+        const registers = this.selectedRegisters
+            .map(id => this.app.store.getRegister(id))
+            .filter(r => r)
+            .sort((a, b) => a.address - b.address);
+
+        // Numeric tab - show each register as a card
+        const numericPanel = this.elements.valueEditorContent.querySelector('[data-panel="numeric"]');
+        if (registers.length > 0) {
+            numericPanel.querySelector('.value-editor__info').style.display = 'none';
+            for (const reg of registers) {
+                const card = document.createElement('div');
+                card.className = 'value-editor__card';
+                card.innerHTML = `
+                    <div class="value-editor__card-header">${reg.type} @ ${ValueInterpreter.toHexString(reg.address)}</div>
+                    <div class="value-editor__card-row"><span class="value-editor__card-label">Unsigned:</span><span class="value-editor__card-value">${ValueInterpreter.toUnsigned16(reg.value)}</span></div>
+                    <div class="value-editor__card-row"><span class="value-editor__card-label">Signed:</span><span class="value-editor__card-value">${ValueInterpreter.toSigned16(reg.value)}</span></div>
+                    <div class="value-editor__card-row"><span class="value-editor__card-label">Hex:</span><span class="value-editor__card-value">${ValueInterpreter.toHexString(reg.value)}</span></div>
+                    <div class="value-editor__card-row"><span class="value-editor__card-label">Binary:</span><span class="value-editor__card-value">${ValueInterpreter.toBinaryString(reg.value)}</span></div>
+                `;
+                if (reg.type === '4x') {
+                    card.appendChild(this.createBitEditor(reg));
+                }
+                this.elements.numericValues.appendChild(card);
+            }
+        } else {
+            numericPanel.querySelector('.value-editor__info').style.display = '';
+        }
+
+        // Long tab - show pairs of consecutive registers as 32-bit long
+        const longPanel = this.elements.valueEditorContent.querySelector('[data-panel="long"]');
+        const longPairs = this.getConsecutivePairs(registers, 2);
+        if (longPairs.length > 0) {
+            longPanel.querySelector('.value-editor__info').style.display = 'none';
+            for (const pair of longPairs) {
+                const card = document.createElement('div');
+                card.className = 'value-editor__card';
+                card.innerHTML = `
+                    <div class="value-editor__card-header">${ValueInterpreter.toHexString(pair[0].address)} - ${ValueInterpreter.toHexString(pair[1].address)}</div>
+                    <div class="value-editor__card-row"><span class="value-editor__card-label">AB CD:</span><span class="value-editor__card-value">${ValueInterpreter.toLong32(pair[0].value, pair[1].value, 'ABCD')}</span></div>
+                    <div class="value-editor__card-row"><span class="value-editor__card-label">CD AB:</span><span class="value-editor__card-value">${ValueInterpreter.toLong32(pair[0].value, pair[1].value, 'CDAB')}</span></div>
+                `;
+                this.elements.longValues.appendChild(card);
+            }
+        } else {
+            longPanel.querySelector('.value-editor__info').style.display = '';
+        }
+
+        // Float tab - show pairs of consecutive registers as 32-bit float
+        const floatPanel = this.elements.valueEditorContent.querySelector('[data-panel="float"]');
+        const floatPairs = this.getConsecutivePairs(registers, 2);
+        if (floatPairs.length > 0) {
+            floatPanel.querySelector('.value-editor__info').style.display = 'none';
+            for (const pair of floatPairs) {
+                const card = document.createElement('div');
+                card.className = 'value-editor__card';
+                card.innerHTML = `
+                    <div class="value-editor__card-header">${ValueInterpreter.toHexString(pair[0].address)} - ${ValueInterpreter.toHexString(pair[1].address)}</div>
+                    <div class="value-editor__card-row"><span class="value-editor__card-label">AB CD:</span><span class="value-editor__card-value">${ValueInterpreter.toFloat32(pair[0].value, pair[1].value, 'ABCD').toFixed(6)}</span></div>
+                    <div class="value-editor__card-row"><span class="value-editor__card-label">CD AB:</span><span class="value-editor__card-value">${ValueInterpreter.toFloat32(pair[0].value, pair[1].value, 'CDAB').toFixed(6)}</span></div>
+                    <div class="value-editor__card-row"><span class="value-editor__card-label">BA DC:</span><span class="value-editor__card-value">${ValueInterpreter.toFloat32(pair[0].value, pair[1].value, 'BADC').toFixed(6)}</span></div>
+                    <div class="value-editor__card-row"><span class="value-editor__card-label">DC BA:</span><span class="value-editor__card-value">${ValueInterpreter.toFloat32(pair[0].value, pair[1].value, 'DCBA').toFixed(6)}</span></div>
+                `;
+                this.elements.floatValues.appendChild(card);
+            }
+        } else {
+            floatPanel.querySelector('.value-editor__info').style.display = '';
+        }
+
+        // Double tab - show groups of 4 consecutive registers as 64-bit double
+        const doublePanel = this.elements.valueEditorContent.querySelector('[data-panel="double"]');
+        const doubleGroups = this.getConsecutivePairs(registers, 4);
+        if (doubleGroups.length > 0) {
+            doublePanel.querySelector('.value-editor__info').style.display = 'none';
+            for (const group of doubleGroups) {
+                const card = document.createElement('div');
+                card.className = 'value-editor__card';
+                card.innerHTML = `
+                    <div class="value-editor__card-header">${ValueInterpreter.toHexString(group[0].address)} - ${ValueInterpreter.toHexString(group[3].address)}</div>
+                    <div class="value-editor__card-row"><span class="value-editor__card-label">Big-endian:</span><span class="value-editor__card-value">${ValueInterpreter.toFloat64(group[0].value, group[1].value, group[2].value, group[3].value, true).toFixed(10)}</span></div>
+                    <div class="value-editor__card-row"><span class="value-editor__card-label">Little-endian:</span><span class="value-editor__card-value">${ValueInterpreter.toFloat64(group[0].value, group[1].value, group[2].value, group[3].value, false).toFixed(10)}</span></div>
+                `;
+                this.elements.doubleValues.appendChild(card);
+            }
+        } else {
+            doublePanel.querySelector('.value-editor__info').style.display = '';
+        }
+
+        // String tab - show all selected registers as ASCII
+        const stringPanel = this.elements.valueEditorContent.querySelector('[data-panel="string"]');
+        if (registers.length > 0) {
+            stringPanel.querySelector('.value-editor__info').style.display = 'none';
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'value-editor__string-input';
+            input.value = ValueInterpreter.toString(registers.map(r => r.value));
+            input.readOnly = true;
+            this.elements.stringValues.appendChild(input);
+        } else {
+            stringPanel.querySelector('.value-editor__info').style.display = '';
+        }
+    }
+
+    /**
+     * Row of 16 bit toggles (bit 15 first) - clicking one mask-writes just that bit
+     */
+    createBitEditor(register) {
+        const editor = document.createElement('div');
+        editor.className = 'bit-editor';
+
+        for (let bit = 15; bit >= 0; bit--) {
+            const isSet = (register.value >> bit) & 1;
+            const button = document.createElement('button');
+            button.className = `bit-editor__bit${isSet ? ' bit-editor__bit--on' : ''}`;
+            button.textContent = isSet;
+            button.title = `Bit ${bit} - click to ${isSet ? 'clear' : 'set'}`;
+
+            button.addEventListener('click', async () => {
+                editor.classList.add('bit-editor--busy');
+                try {
+                    await this.app.writeRegisterBit(register, bit, !isSet);
+                    this.updateRegisterValue(register.id, register.value);
+                } catch (error) {
+                    this.showNotification(`Bit write failed: ${error.message}`, 'error');
+                }
+                this.updateValueEditor();
+            });
+            editor.appendChild(button);
+        }
+
+        return editor;
+    }
+
+    // Get groups of N consecutive registers
+    getConsecutivePairs(registers, size) {
+        const groups = [];
+        for (let i = 0; i <= registers.length - size; i++) {
+            let isConsecutive = true;
+            for (let j = 1; j < size; j++) {
+                if (registers[i + j].address !== registers[i + j - 1].address + 1) {
+                    isConsecutive = false;
+                    break;
+                }
+            }
+            if (isConsecutive) {
+                groups.push(registers.slice(i, i + size));
+                i += size - 1; // Skip to next group
+            }
+        }
+        return groups;
+    }
+
+    areConsecutive(registers) {
+        for (let i = 1; i < registers.length; i++) {
+            if (registers[i].address !== registers[i-1].address + 1) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // ===== Traffic Log =====
+    updateTrafficLog(entry) {
+        const content = this.elements.trafficLogContent;
+
+        // Remove empty message if exists
+        const emptyMsg = content.querySelector('.traffic-log__empty');
+        if (emptyMsg) emptyMsg.remove();
+
+        const div = document.createElement('div');
+        div.className = `traffic-log__entry traffic-log__entry--${entry.direction.toLowerCase()}`;
+        const port = entry.port ? `[${entry.port}] ` : '';
+        div.textContent = `[${entry.timestamp}] ${port}${entry.direction}: ${entry.hexString}`;
+
+        // ASCII line or MBAP header as sent on the wire
+        if (entry.raw) {
+            const raw = document.createElement('span');
+            raw.className = 'traffic-log__raw';
+            raw.textContent = entry.raw.replace('\r\n', '\\r\\n');
+            div.appendChild(raw);
+        }
+
+        content.appendChild(div);
+        content.scrollTop = content.scrollHeight;
+    }
+
+    clearTrafficLog() {
+        this.elements.trafficLogContent.innerHTML = '<div class="traffic-log__empty">No traffic logged yet.</div>';
+        this.elements.errorLogContent.innerHTML = '<div class="traffic-log__empty">No errors logged.</div>';
+        this.errorCount = 0;
+        this.elements.errorBadge.style.display = 'none';
+    }
+
+    // ===== Error Log =====
+    addErrorLog(message) {
+        const content = this.elements.errorLogContent;
+
+        // Remove empty message if exists
+        const emptyMsg = content.querySelector('.traffic-log__empty');
+        if (emptyMsg) emptyMsg.remove();
+
+        const timestamp = new Date().toLocaleTimeString();
+        const div = document.createElement('div');
+        div.className = 'traffic-log__entry traffic-log__entry--error';
+        div.textContent = `[${timestamp}] ${message}`;
+
+        content.appendChild(div);
+        content.scrollTop = content.scrollHeight;
+
+        // Update error badge
+        this.errorCount = (this.errorCount || 0) + 1;
+        this.elements.errorBadge.textContent = this.errorCount;
+        this.elements.errorBadge.style.display = 'inline-block';
+
+        // Auto-open traffic log with errors tab
+        this.elements.trafficLog.style.display = 'flex';
+        this.switchLogTab('errors');
+    }
+
+    switchLogTab(tabName) {
+        // Update tab buttons
+        this.elements.tabTraffic.classList.toggle('traffic-log__tab--active', tabName === 'traffic');
+        this.elements.tabErrors.classList.toggle('traffic-log__tab--active', tabName === 'errors');
+
+        // Update content visibility
+        this.elements.trafficLogContent.classList.toggle('traffic-log__content--active', tabName === 'traffic');
+        this.elements.errorLogContent.classList.toggle('traffic-log__content--active', tabName === 'errors');
+    }
+
+    // ===== Status Bar =====
+    updateStatusBar() {
+        const { statusConnection, statusSlave, statusLastPoll, statusErrors, statusMessages } = this.elements;
+
+        // Connection status
+        let connText = 'Disconnected';
+        const conn = this.getSelectedConnection();
+        if (conn) {
+            if (conn.isConnected && conn.type === 'tcp') {
+                connText = `${conn.portName} (Modbus TCP via ${conn.relayUrl})`;
+            } else if (conn.isConnected && conn.type === 'loopback') {
+                connText = `${conn.portName} (slave simulator, ${conn.lineDelay} ms line delay)`;
+            } else if (conn.isConnected) {
+                const mode = (conn.mode || 'rtu').toUpperCase();
+                connText = `${conn.portName} (${mode} ${conn.baudRate} ${conn.dataBits}${conn.parity.charAt(0).toUpperCase()}${conn.stopBits})`;
+            }
+        }
+        statusConnection.textContent = connText;
+
+        // Slave info
+        let slaveText = '-';
+        if (this.selectedTreeItem) {
+            let slave = null;
+            if (this.selectedTreeItem.type === 'slave') {
+                slave = this.app.store.getSlave(this.selectedTreeItem.id);
+            } else if (this.selectedTreeItem.type === 'group') {
+                const group = this.app.store.getRegisterGroup(this.selectedTreeItem.id);
+                slave = group ? this.app.store.getSlave(group.slaveId) : null;
+            }
+            if (slave) {
+                slaveText = `${slave.alias} (ID: ${slave.slaveId})`;
+            }
+        }
+        statusSlave.textContent = slaveText;
+
+        statusErrors.textContent = this.app.errorCount;
+        const stats = this.app.errorStats;
+        statusErrors.title = `Exceptions: ${stats.exception}, Timeouts: ${stats.timeout}, CRC: ${stats.crc}, ` +
+            `Unexpected replies: ${stats.unexpected}, Framing: ${stats.framing}, Other: ${stats.other}`;
+        statusMessages.textContent = this.app.messageCount;
+
+        this.updateQueueDepth();
+        this.refreshConnectionStatus();
+    }
+
+    /**
+     * Show pending transactions for the selected connection, or for all connections
+     */
+    updateQueueDepth() {
+        const selected = this.getSelectedConnection();
+        let depth = 0;
+        for (const [connId, queue] of this.app.queues) {
+            if (!selected || selected.id === connId) {
+                depth += queue.getDepth();
+            }
+        }
+        this.elements.statusQueue.textContent = depth;
+    }
+
+    /**
+     * Get the connection the selected tree item belongs to
+     */
+    getSelectedConnection() {
+        if (!this.selectedTreeItem) return null;
+
+        const { store } = this.app;
+        if (this.selectedTreeItem.type === 'connection') {
+            return store.getConnection(this.selectedTreeItem.id);
+        } else if (this.selectedTreeItem.type === 'slave') {
+            const slave = store.getSlave(this.selectedTreeItem.id);
+            return slave ? store.getConnection(slave.connectionId) : null;
+        } else if (this.selectedTreeItem.type === 'group') {
+            const group = store.getRegisterGroup(this.selectedTreeItem.id);
+            const slave = group ? store.getSlave(group.slaveId) : null;
+            return slave ? store.getConnection(slave.connectionId) : null;
+        }
+        return null;
+    }
+
+    updateLastPoll() {
+        this.elements.statusLastPoll.textContent = 'Just now';
+    }
+
+    // ===== Bus Scanner =====
+    clearScanResults() {
+        document.getElementById('scanResults').innerHTML = '';
+        document.getElementById('scanProgressBar').style.width = '0';
+        document.getElementById('scanStatus').textContent = 'Not started';
+    }
+
+    updateScanProgress(done, total, text) {
+        document.getElementById('scanProgressBar').style.width = `${total ? (done / total) * 100 : 0}%`;
+        document.getElementById('scanStatus').textContent = text;
+    }
+
+    addScanResult(device, alreadyInTree) {
+        const item = document.createElement('label');
+        item.className = 'scan-results__item';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = device.slaveId;
+        checkbox.checked = !alreadyInTree;
+        checkbox.disabled = alreadyInTree;
+
+        let detail = 'replied';
+        if (device.exception !== null) {
+            detail = `exception: ${MODBUS_EXCEPTIONS[device.exception] || `0x${device.exception.toString(16)}`}`;
+        }
+        if (alreadyInTree) {
+            detail += ' - already in tree';
+        }
+
+        const name = document.createElement('span');
+        name.textContent = `ID ${device.slaveId}`;
+        const info = document.createElement('span');
+        info.className = 'scan-results__detail';
+        info.textContent = detail;
+
+        item.append(checkbox, name, info);
+        document.getElementById('scanResults').appendChild(item);
+    }
+
+    // ===== Raw Frame Console =====
+    /**
+     * History entries: click to load into the editor, or resend / remove directly
+     */
+    renderFrameHistory(history) {
+        const list = document.getElementById('rawHistory');
+        list.innerHTML = '';
+
+        if (history.length === 0) {
+            list.textContent = 'No frames sent yet';
+            return;
+        }
+
+        for (const entry of history) {
+            const item = document.createElement('div');
+            item.className = 'scan-results__item raw-history__item';
+            item.title = 'Click to edit';
+            item.addEventListener('click', () => this.app.loadRawFrame(entry.hex));
+
+            const frame = document.createElement('span');
+            frame.className = 'raw-history__frame';
+            frame.textContent = entry.hex;
+
+            const time = document.createElement('span');
+            time.className = 'scan-results__detail';
+            time.textContent = new Date(entry.sentAt).toLocaleTimeString();
+
+            const btnResend = document.createElement('button');
+            btnResend.className = 'btn btn--secondary btn--small';
+            btnResend.textContent = 'Send';
+            btnResend.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.app.handleSendRawFrame(entry.hex);
+            });
+
+            const btnRemove = document.createElement('button');
+            btnRemove.className = 'btn btn--secondary btn--small';
+            btnRemove.textContent = '✕';
+            btnRemove.title = 'Remove from history';
+            btnRemove.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.app.store.removeFrameFromHistory(entry.hex);
+                this.renderFrameHistory(this.app.store.frameHistory);
+            });
+
+            item.append(frame, time, btnResend, btnRemove);
+            list.appendChild(item);
+        }
+    }
+
+    // ===== FIFO Queue / Server ID =====
+    renderFifoQueue(pointerAddress, values) {
+        const list = document.getElementById('fifoValues');
+        list.innerHTML = '';
+        document.getElementById('fifoStatus').textContent = `${values.length} value(s) queued at ${ValueInterpreter.toHexString(pointerAddress)}`;
+
+        values.forEach((value, i) => {
+            const item = document.createElement('div');
+            item.className = 'scan-results__item';
+
+            const index = document.createElement('span');
+            index.textContent = `#${i + 1}`;
+            const detail = document.createElement('span');
+            detail.className = 'scan-results__detail';
+            detail.textContent = `${value} (${ValueInterpreter.toHexString(value)})`;
+
+            item.append(index, detail);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show a Report Server ID result: run indicator decoded, the rest as hex and ASCII
+     */
+    renderServerId(result) {
+        const container = document.getElementById('serverIdTable');
+        container.innerHTML = '';
+
+        const runIndicator = result.runIndicator === 0xFF ? 'ON (running)'
+            : result.runIndicator === 0x00 ? 'OFF (stopped)'
+                : `Unknown (${ValueInterpreter.toHexString(result.runIndicator, 8)})`;
+        const data = [...result.additionalData];
+        const rows = [
+            ['Server ID', ValueInterpreter.toHexString(result.serverId, 8)],
+            ['Run Indicator', runIndicator],
+            ['Data (hex)', ValueInterpreter.toHexBytes(data) || '-'],
+            ['Data (ASCII)', data.map(b => (b >= 32 && b <= 126 ? String.fromCharCode(b) : '.')).join('') || '-']
+        ];
+
+        const tbody = document.createElement('tbody');
+        for (const [label, value] of rows) {
+            const tr = document.createElement('tr');
+            tr.className = 'register-table__row';
+
+            const labelCell = document.createElement('td');
+            labelCell.className = 'register-table__cell';
+            labelCell.textContent = label;
+
+            const valueCell = document.createElement('td');
+            valueCell.className = 'register-table__cell device-info__value';
+            valueCell.textContent = value;
+
+            tr.append(labelCell, valueCell);
+            tbody.appendChild(tr);
+        }
+
+        const table = document.createElement('table');
+        table.className = 'register-table';
+        table.appendChild(tbody);
+        container.appendChild(table);
+    }
+
+    // ===== File Records =====
+    updateFileRecordProgress(done, total, text) {
+        document.getElementById('fileRecordProgressBar').style.width = `${total ? (done / total) * 100 : 0}%`;
+        document.getElementById('fileRecordStatus').textContent = text;
+    }
+
+    /**
+     * Hex dump with 8 records (16 bytes) per line, prefixed by the first record number
+     */
+    renderFileRecordHex(bytes, startRecord) {
+        const lines = [];
+        for (let offset = 0; offset < bytes.length; offset += 16) {
+            const chunk = [...bytes.slice(offset, offset + 16)];
+            const hex = chunk.map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+            const ascii = chunk.map(b => (b >= 32 && b <= 126 ? String.fromCharCode(b) : '.')).join('');
+            lines.push(`${String(startRecord + offset / 2).padStart(4, '0')}  ${hex.padEnd(47)}  ${ascii}`);
+        }
+        document.getElementById('fileRecordHex').textContent = lines.join('\n');
+    }
+
+    // ===== Diagnostics =====
+    /**
+     * Fill the diagnostics panel - a value that is an Error is shown as the reason it is missing
+     */
+    renderDiagnostics(result) {
+        const counters = document.getElementById('diagnosticsCounters');
+        const eventLog = document.getElementById('diagnosticsEventLog');
+        counters.innerHTML = '';
+        eventLog.innerHTML = '';
+
+        const tbody = document.createElement('tbody');
+        for (const row of result.rows) {
+            const tr = document.createElement('tr');
+            tr.className = 'register-table__row';
+
+            const labelCell = document.createElement('td');
+            labelCell.className = 'register-table__cell';
+            labelCell.textContent = row.label;
+
+            const valueCell = document.createElement('td');
+            valueCell.className = 'register-table__cell register-table__cell--value';
+            if (row.value instanceof Error) {
+                valueCell.classList.add('diagnostics__missing');
+                valueCell.textContent = row.value.message;
+            } else {
+                valueCell.textContent = row.value;
+            }
+
+            tr.append(labelCell, valueCell);
+            tbody.appendChild(tr);
+        }
+
+        const table = document.createElement('table');
+        table.className = 'register-table';
+        table.appendChild(tbody);
+        counters.appendChild(table);
+
+        if (!result.events) return;
+        if (result.events.length === 0) {
+            eventLog.textContent = 'Event log is empty';
+            return;
+        }
+        result.events.forEach((event, i) => {
+            const item = document.createElement('div');
+            item.className = 'scan-results__item';
+            item.textContent = `${i + 1}. ${ModbusMaster.describeCommEvent(event)}`;
+            eventLog.appendChild(item);
+        });
+    }
+
+    // ===== Device Identification =====
+    /**
+     * Show the identification objects stored on a slave (null = never read)
+     */
+    renderDeviceInfo(info) {
+        const container = document.getElementById('deviceInfoTable');
+        const status = document.getElementById('deviceInfoStatus');
+        container.innerHTML = '';
+
+        if (!info) {
+            status.textContent = 'Not read yet';
+            return;
+        }
+
+        const level = DEVICE_ID_LEVELS[info.conformityLevel & 0x7F];
+        status.textContent = `${level ? level.name : 'Unknown'} conformity - read ${new Date(info.readAt).toLocaleString()}`;
+
+        const table = document.createElement('table');
+        table.className = 'register-table';
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th class="register-table__th register-table__th--address">Id</th>
+                    <th class="register-table__th">Object</th>
+                    <th class="register-table__th register-table__th--value">Value</th>
+                </tr>
+            </thead>
+        `;
+
+        const tbody = document.createElement('tbody');
+        const ids = Object.keys(info.objects).map(Number).sort((a, b) => a - b);
+        for (const id of ids) {
+            const tr = document.createElement('tr');
+            tr.className = 'register-table__row';
+
+            const idCell = document.createElement('td');
+            idCell.className = 'register-table__cell register-table__cell--address';
+            idCell.textContent = `0x${id.toString(16).toUpperCase().padStart(2, '0')}`;
+
+            const nameCell = document.createElement('td');
+            nameCell.className = 'register-table__cell';
+            nameCell.textContent = DEVICE_ID_OBJECTS[id] || (id >= 0x80 ? 'Extended' : 'Reserved');
+
+            // Values come from the device - keep them as text
+            const valueCell = document.createElement('td');
+            valueCell.className = 'register-table__cell device-info__value';
+            valueCell.textContent = info.objects[id];
+
+            tr.append(idCell, nameCell, valueCell);
+            tbody.appendChild(tr);
+        }
+        table.appendChild(tbody);
+        container.appendChild(table);
+    }
+
+    // ===== Register Discovery =====
+    clearDiscoveryMap() {
+        document.getElementById('discoveryMap').innerHTML = '';
+        document.getElementById('discoverProgressBar').style.width = '0';
+        document.getElementById('discoverStatus').textContent = 'Not started';
+    }
+
+    updateDiscoveryProgress(done, total, text) {
+        document.getElementById('discoverProgressBar').style.width = `${total ? (done / total) * 100 : 0}%`;
+        document.getElementById('discoverStatus').textContent = text;
+    }
+
+    /**
+     * Draw one bar per register type with the implemented ranges highlighted,
+     * plus a checkbox per range for turning it into a register group
+     */
+    renderDiscoveryMap(result, from, to) {
+        const container = document.getElementById('discoveryMap');
+        container.innerHTML = '';
+        const span = to - from + 1;
+
+        for (const [type, ranges] of Object.entries(result)) {
+            const typeInfo = REGISTER_TYPES[type];
+            const row = document.createElement('div');
+            row.className = 'discovery-map__row';
+
+            const title = document.createElement('div');
+            title.className = 'discovery-map__title';
+            title.textContent = `${type} ${typeInfo.name}s`;
+            row.appendChild(title);
+
+            if (ranges === null) {
+                const info = document.createElement('div');
+                info.className = 'scan-results__detail';
+                info.textContent = 'Not supported (Illegal Function)';
+                row.appendChild(info);
+                container.appendChild(row);
+                continue;
+            }
+
+            const bar = document.createElement('div');
+            bar.className = 'discovery-map__bar';
+            for (const range of ranges) {
+                const segment = document.createElement('div');
+                segment.className = 'discovery-map__segment';
+                segment.style.left = `${((range.start - from) / span) * 100}%`;
+                segment.style.width = `${((range.end - range.start + 1) / span) * 100}%`;
+                segment.title = `${range.start}-${range.end}`;
+                bar.appendChild(segment);
+            }
+
+            const scale = document.createElement('div');
+            scale.className = 'discovery-map__scale';
+            scale.innerHTML = `<span>${from}</span><span>${to}</span>`;
+            row.append(bar, scale);
+
+            const list = document.createElement('div');
+            list.className = 'scan-results';
+            for (const range of ranges) {
+                const item = document.createElement('label');
+                item.className = 'scan-results__item';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = true;
+                checkbox.dataset.type = type;
+                checkbox.dataset.start = range.start;
+                checkbox.dataset.end = range.end;
+
+                const name = document.createElement('span');
+                name.textContent = range.start === range.end ? `${range.start}` : `${range.start}-${range.end}`;
+                const info = document.createElement('span');
+                info.className = 'scan-results__detail';
+                info.textContent = `${range.end - range.start + 1} address(es)`;
+
+                item.append(checkbox, name, info);
+                list.appendChild(item);
+            }
+            if (ranges.length === 0) {
+                const info = document.createElement('div');
+                info.className = 'scan-results__detail';
+                info.textContent = 'No implemented addresses found';
+                row.appendChild(info);
+            }
+            row.appendChild(list);
+            container.appendChild(row);
+        }
+    }
+
+    // ===== Bus Monitor =====
+    /**
+     * One table per slave with the last value seen on the wire for each address
+     */
+    renderMonitorTables(values) {
+        const container = document.getElementById('monitorTables');
+        container.innerHTML = '';
+        const typeOrder = Object.keys(REGISTER_TYPES);
+
+        for (const slaveId of [...values.keys()].sort((a, b) => a - b)) {
+            const entries = [...values.get(slaveId).values()].sort((a, b) =>
+                typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) || a.address - b.address);
+
+            const section = document.createElement('div');
+            const title = document.createElement('div');
+            title.className = 'monitor-tables__title';
+            title.textContent = slaveId === 0 ? 'Broadcast writes' : `Slave ${slaveId}`;
+
+            const table = document.createElement('table');
+            table.className = 'register-table';
+            table.innerHTML = `
+                <thead>
+                    <tr>
+                        <th class="register-table__th">Type</th>
+                        <th class="register-table__th register-table__th--address">Addr</th>
+                        <th class="register-table__th register-table__th--value">Value</th>
+                        <th class="register-table__th">Seen</th>
+                    </tr>
+                </thead>
+            `;
+
+            const tbody = document.createElement('tbody');
+            for (const entry of entries) {
+                const tr = document.createElement('tr');
+                tr.className = 'register-table__row';
+                tr.innerHTML = `
+                    <td class="register-table__cell register-table__cell--type">${entry.type}</td>
+                    <td class="register-table__cell register-table__cell--address">${ValueInterpreter.toHexString(entry.address)}</td>
+                    <td class="register-table__cell register-table__cell--value">${entry.value}</td>
+                    <td class="register-table__cell">${entry.time.toLocaleTimeString()}</td>
+                `;
+                tbody.appendChild(tr);
+            }
+            table.appendChild(tbody);
+
+            section.append(title, table);
+            container.appendChild(section);
+        }
+    }
+
+    // ===== Serial Auto-Detection =====
+    clearDetectResults(text = 'Pick the port, then each combination is tried in turn.') {
+        document.getElementById('detectResults').innerHTML = '';
+        document.getElementById('detectProgressBar').style.width = '0';
+        document.getElementById('detectStatus').textContent = text;
+    }
+
+    updateDetectProgress(done, total, text) {
+        document.getElementById('detectProgressBar').style.width = `${total ? (done / total) * 100 : 0}%`;
+        document.getElementById('detectStatus').textContent = text;
+    }
+
+    addDetectResult(settings, onUse) {
+        const item = document.createElement('div');
+        item.className = 'scan-results__item';
+
+        const name = document.createElement('span');
+        name.textContent = SerialAutoDetector.describe(settings);
+
+        const button = document.createElement('button');
+        button.className = 'btn btn--secondary btn--small';
+        button.textContent = 'Use';
+        button.addEventListener('click', () => onUse(settings));
+
+        item.append(name, button);
+        document.getElementById('detectResults').appendChild(item);
+    }
+
+    // ===== Connection Status =====
+    /**
+     * Show the selected connection's state, or a summary of all open ports
+     */
+    refreshConnectionStatus() {
+        const { store } = this.app;
+        const selected = this.getSelectedConnection();
+        const openConnections = store.connections.filter(c => c.isConnected);
+        const connections = selected ? [selected] : openConnections;
+
+        if (selected) {
+            this.updateConnectionStatus(selected.isConnected, selected.portName);
+        } else if (openConnections.length === 1) {
+            this.updateConnectionStatus(true, openConnections[0].portName);
+        } else if (openConnections.length > 1) {
+            this.updateConnectionStatus(true, `${openConnections.length} ports`);
+        } else {
+            this.updateConnectionStatus(false);
+        }
+
+        const isPolling = store.registerGroups.some(group => {
+            if (!group.autoPolling) return false;
+            const slave = store.getSlave(group.slaveId);
+            return slave && connections.some(c => c.id === slave.connectionId);
+        });
+        this.updatePollingStatus(isPolling);
+    }
+
+    updateConnectionStatus(connected, portName = '') {
+        const status = this.elements.connectionStatus;
+        status.classList.remove('connection-status--connected', 'connection-status--disconnected');
+
+        if (connected) {
+            status.classList.add('connection-status--connected');
+            status.querySelector('.connection-status__text').textContent = `Connected to ${portName}`;
+            // Show polling status when connected
+            this.elements.pollingStatus.style.display = 'flex';
+        } else {
+            status.classList.add('connection-status--disconnected');
+            status.querySelector('.connection-status__text').textContent = 'Disconnected';
+            // Hide polling status when disconnected
+            this.elements.pollingStatus.style.display = 'none';
+        }
+    }
+
+    updatePollingStatus(isPolling) {
+        const status = this.elements.pollingStatus;
+        status.classList.remove('polling-status--active', 'polling-status--inactive');
+
+        if (isPolling) {
+            status.classList.add('polling-status--active');
+            status.querySelector('.polling-status__text').textContent = 'Polling';
+        } else {
+            status.classList.add('polling-status--inactive');
+            status.querySelector('.polling-status__text').textContent = 'Not Polling';
+        }
+    }
+
+    // ===== Slave Mode UI =====
+    renderSlaveRegisterTable(type = null) {
+        const container = this.elements.registerColumns;
+        const selectedType = type || this.app.selectedRegisterMapType || 'holdingRegisters';
+
+        // Get registers for the selected type
+        const registers = this.app.modbusSlave.getAccessStats(selectedType);
+
+        if (registers.length === 0) {
+            container.innerHTML = `
+                <div class="register-table__empty-column">
+                    <p>No registers configured for this type.</p>
+                    <p>Click "Add Register Range" to add registers.</p>
+                </div>
+            `;
+            this.elements.registerTableEmpty.style.display = 'none';
+            return;
+        }
+
+        this.elements.registerTableEmpty.style.display = 'none';
+
+        // Determine if this is a bit type (coils/discrete inputs)
+        const isBitType = selectedType === 'coils' || selectedType === 'discreteInputs';
+
+        // Build table with columns (10 rows per column)
+        const rowsPerColumn = 10;
+        const numColumns = Math.ceil(registers.length / rowsPerColumn);
+
+        let html = '';
+
+        for (let col = 0; col < numColumns; col++) {
+            html += '<div class="register-table__column">';
+            html += '<table class="register-table">';
+            html += '<thead><tr>';
+            html += '<th>Address</th>';
+            html += '<th>Value</th>';
+            html += '<th>Reads</th>';
+            html += '<th>Writes</th>';
+            html += '<th>Last Access</th>';
+            html += '</tr></thead>';
+            html += '<tbody>';
+
+            const startIdx = col * rowsPerColumn;
+            const endIdx = Math.min(startIdx + rowsPerColumn, registers.length);
+
+            for (let i = startIdx; i < endIdx; i++) {
+                const reg = registers[i];
+                const lastAccess = reg.lastAccess ? this.formatTimeAgo(reg.lastAccess) : '-';
+
+                html += `<tr class="register-table__row" data-address="${reg.address}" data-type="${selectedType}">`;
+                html += `<td class="register-table__cell">${reg.address}</td>`;
+
+                if (isBitType) {
+                    html += `<td class="register-table__cell register-table__cell--value">
+                        <span class="register-value register-value--${reg.value ? 'on' : 'off'}">${reg.value ? 'ON' : 'OFF'}</span>
+                    </td>`;
+                } else {
+                    html += `<td class="register-table__cell register-table__cell--value">${reg.value}</td>`;
+                }
+
+                html += `<td class="register-table__cell register-table__cell--access-count">${reg.readCount}</td>`;
+                html += `<td class="register-table__cell register-table__cell--access-count">${reg.writeCount}</td>`;
+                html += `<td class="register-table__cell register-table__cell--last-access">${lastAccess}</td>`;
+                html += '</tr>';
+            }
+
+            html += '</tbody></table></div>';
+        }
+
+        container.innerHTML = html;
+
+        // Add click handlers for editing values
+        container.querySelectorAll('.register-table__row').forEach(row => {
+            row.addEventListener('dblclick', () => {
+                const address = parseInt(row.dataset.address);
+                const regType = row.dataset.type;
+                this.showSlaveRegisterEditDialog(regType, address);
+            });
+        });
+    }
+
+    formatTimeAgo(date) {
+        const seconds = Math.floor((new Date() - date) / 1000);
+        if (seconds < 5) return 'Just now';
+        if (seconds < 60) return `${seconds}s ago`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        return `${Math.floor(seconds / 3600)}h ago`;
+    }
+
+    showSlaveRegisterEditDialog(type, address) {
+        const currentValue = this.app.modbusSlave.getRegister(type, address);
+        const isBitType = type === 'coils' || type === 'discreteInputs';
+
+        let newValue;
+        if (isBitType) {
+            // Toggle for bit types
+            newValue = currentValue ? 0 : 1;
+        } else {
+            // Prompt for register types
+            const input = prompt(`Enter new value for ${type} address ${address}:`, currentValue);
+            if (input === null) return;
+            newValue = parseInt(input);
+            if (isNaN(newValue) || newValue < 0 || newValue > 65535) {
+                this.showNotification('Invalid value. Must be 0-65535.', 'error');
+                return;
+            }
+        }
+
+        this.app.modbusSlave.setRegister(type, address, newValue);
+        this.renderSlaveRegisterTable(type);
+        this.showNotification(`Updated ${type} address ${address} to ${newValue}`, 'success');
+    }
+
+    flashRegisterAccess(type, startAddress, quantity, accessType) {
+        const container = this.elements.registerColumns;
+        const flashClass = accessType === 'read' ? 'register-table__row--read-flash' : 'register-table__row--write-flash';
+
+        for (let i = 0; i < quantity; i++) {
+            const addr = startAddress + i;
+            const row = container.querySelector(`[data-address="${addr}"][data-type="${type}"]`);
+            if (row) {
+                row.classList.remove('register-table__row--read-flash', 'register-table__row--write-flash');
+                // Force reflow
+                void row.offsetWidth;
+                row.classList.add(flashClass);
+
+                // Remove class after animation
+                setTimeout(() => {
+                    row.classList.remove(flashClass);
+                }, 500);
+            }
+        }
+    }
+
+    updateSlaveStats() {
+        const stats = this.app.modbusSlave.getTotalStats();
+        this.elements.statusMessages.textContent = stats.totalReads + stats.totalWrites;
+
+        // Update last access time
+        this.elements.statusLastPoll.textContent = 'Just now';
+    }
+}
+
+// ============================================
+// Main Application
+// ============================================
+class ModbusEmulator {
+    constructor() {
+        this.store = new Store();
+        this.transports = new Map(); // connection id -> Transport
+        this.queues = new Map(); // connection id -> TransactionQueue
+        this.readPlanners = new Map(); // slave id -> ReadPlanner with the spans it learned
+        this.bitWrites = new Map(); // register id -> the bit write in progress
+        this.pollControllers = new Map(); // group id -> AbortController for its queued polls
+        this.slaveTransport = new SerialManager();
+        this.pendingReconnects = new Map(); // connection id -> ids of groups polling when the adapter dropped
+        this.echoHintShown = new Set(); // connection ids already told their adapter seems to echo
+        this.trafficLogger = new TrafficLogger();
+        this.modbusSlave = new ModbusSlave();
+        this.ui = null;
+        this.currentSlave = null;
+        this.errorCount = 0;
+        this.errorStats = { exception: 0, timeout: 0, crc: 0, unexpected: 0, framing: 0, other: 0 };
+        this.messageCount = 0;
+        this.currentMode = 'master'; // 'master' or 'slave'
+        this.slaveServerRunning = false;
+        this.slaveReadLoop = null;
+
+        this.init();
+    }
+
+    async init() {
+        // Check browser support
+        if (!SerialManager.isSupported()) {
+            document.getElementById('browser-warning').style.display = 'flex';
+        }
+
+        // Load saved data
+        this.store.loadFromLocalStorage();
+
+        // Initialize UI
+        this.ui = new UIManager(this);
+
+        // Set up event listeners
+        this.setupEventListeners();
+
+        // Initial render
+        this.ui.renderDeviceTree();
+
+        // Set up traffic logger callback
+        this.trafficLogger.onUpdate = (entry) => {
+            this.ui.updateTrafficLog(entry);
+        };
+
+        // Reopen saved serial connections and follow adapter replugs
+        if (SerialManager.isSupported()) {
+            navigator.serial.addEventListener('connect', (e) => this.handlePortConnected(e.target));
+            navigator.serial.addEventListener('disconnect', (e) => this.handlePortDisconnected(e.target));
+            this.reacquirePorts();
+        }
+
+        // Slave server traffic
+        this.slaveTransport.onTraffic = (direction, frame, raw) => {
+            this.logTraffic(direction, frame, raw, this.slaveTransport.getPortName());
+        };
+
+        // Handle page unload
+        window.addEventListener('beforeunload', () => {
+            this.store.saveToLocalStorage();
+        });
+
+        console.log('Modbus RTU Master Emulator initialized');
+    }
+
+    /**
+     * Log a frame exchanged on the wire
+     */
+    logTraffic(direction, frame, raw, port = null) {
+        this.trafficLogger.log(direction, frame, null, raw, port);
+        this.messageCount++;
+    }
+
+    /**
+     * Suggest echo suppression (once) when a serial connection's replies keep starting with the request
+     */
+    checkForEcho(conn) {
+        if (conn.type !== 'serial' || conn.echoSuppression || this.echoHintShown.has(conn.id)) return;
+
+        const { echoes } = this.trafficLogger.findEcho(conn.portName, 5);
+        if (echoes >= 3) {
+            this.echoHintShown.add(conn.id);
+            this.ui.showNotification(
+                `${conn.portName} seems to echo what it sends - turn on "Adapter echoes TX" in Edit Connection`, 'warning');
+        }
+    }
+
+    /**
+     * Check the traffic log from the Edit Connection modal
+     */
+    handleCheckEcho() {
+        const conn = this.store.getConnection(this.pendingEditConnectionId);
+        if (!conn) return;
+
+        const { pairs, echoes } = this.trafficLogger.findEcho(conn.portName);
+        if (pairs === 0) {
+            this.ui.showNotification('No traffic logged for this connection yet - read a group and check again', 'info');
+        } else if (echoes > 0) {
+            document.getElementById('modalEditConnEchoSuppression').checked = true;
+            this.ui.showNotification(`${echoes} of ${pairs} replies start with the request - echo suppression turned on, save to apply`, 'warning');
+        } else {
+            this.ui.showNotification(`No echo in the last ${pairs} exchange(s)`, 'success');
+        }
+    }
+
+    /**
+     * Stop polling every group on a connection
+     */
+    stopPollingForConnection(conn) {
+        for (const slave of this.store.getSlavesForConnection(conn.id)) {
+            for (const group of this.store.getGroupsForSlave(slave.id)) {
+                this.stopPollingGroup(group.id);
+            }
+        }
+    }
+
+    handleUnexpectedDisconnect(conn) {
+        // Remember what was polling so it can resume when the adapter returns
+        const canReconnect = !!conn.usbVendorId;
+        if (canReconnect) {
+            const pollingGroupIds = this.store.registerGroups
+                .filter(g => g.autoPolling && this.store.getSlave(g.slaveId)?.connectionId === conn.id)
+                .map(g => g.id);
+            this.pendingReconnects.set(conn.id, pollingGroupIds);
+        }
+
+        // Only this connection's bus is affected
+        this.stopPollingForConnection(conn);
+        this.getQueue(conn).clear('Connection lost');
+        conn.isConnected = false;
+
+        // Release the dead port so the adapter can be opened again
+        this.getTransport(conn).close().catch(error => console.error('Error closing transport:', error));
+
+        // Update UI
+        this.ui.renderDeviceTree();
+        this.ui.updateStatusBar();
+        this.ui.showNotification(canReconnect
+            ? `Connection lost - ${conn.portName} was disconnected, waiting for it to return`
+            : `Connection lost - ${conn.portName} was disconnected`, 'error');
+    }
+
+    /**
+     * Open a serial connection on a port that is already granted
+     */
+    async reopenConnection(conn, port) {
+        const transport = this.getTransport(conn);
+        transport.usePort(port);
+        await transport.open(conn);
+
+        conn.isConnected = true;
+        conn.portName = transport.getPortName();
+    }
+
+    /**
+     * Reopen saved serial connections whose adapter was granted in an earlier session
+     */
+    async reacquirePorts() {
+        const reopened = [];
+
+        for (const conn of this.store.connections) {
+            if ((conn.type || 'serial') !== 'serial' || conn.isConnected) continue;
+
+            try {
+                const port = await SerialManager.findGrantedPort(conn.usbVendorId, conn.usbProductId);
+                if (!port) continue;
+
+                await this.reopenConnection(conn, port);
+                reopened.push(conn.portName);
+            } catch (error) {
+                this.trafficLogger.logError(`Could not reopen ${conn.portName}: ${error.message}`, conn.portName);
+            }
+        }
+
+        if (reopened.length > 0) {
+            this.ui.renderDeviceTree();
+            this.ui.updateStatusBar();
+            this.ui.showNotification(`Reopened ${reopened.join(', ')}`, 'success');
+        }
+    }
+
+    /**
+     * Adapter plugged in - reopen the connection it dropped and resume its polling
+     */
+    async handlePortConnected(port) {
+        for (const [connId, groupIds] of this.pendingReconnects) {
+            const conn = this.store.getConnection(connId);
+            if (!conn || conn.isConnected) {
+                this.pendingReconnects.delete(connId);
+                continue;
+            }
+            if (!SerialManager.matchesPort(port, conn.usbVendorId, conn.usbProductId)) continue;
+
+            this.pendingReconnects.delete(connId);
+
+            try {
+                await this.reopenConnection(conn, port);
+            } catch (error) {
+                this.trafficLogger.logError(`Could not reopen ${conn.portName}: ${error.message}`, conn.portName);
+                this.ui.showNotification(`Could not reopen ${conn.portName}: ${error.message}`, 'error');
+                return;
+            }
+
+            for (const groupId of groupIds) {
+                if (this.store.getRegisterGroup(groupId)) {
+                    this.schedulePolling(groupId);
+                }
+            }
+
+            this.ui.renderDeviceTree();
+            if (this.ui.selectedTreeItem) {
+                this.ui.onTreeItemSelected(this.ui.selectedTreeItem);
+            }
+            this.ui.showNotification(`Reconnected to ${conn.portName}`, 'success');
+            return;
+        }
+    }
+
+    /**
+     * Adapter unplugged - report it even if the read loop has not noticed yet
+     */
+    handlePortDisconnected(port) {
+        for (const transport of this.transports.values()) {
+            if (transport.port === port && transport.isConnected) {
+                transport.handleDisconnect();
+            }
+        }
+    }
+
+    setupEventListeners() {
+        const { elements } = this.ui;
+
+        // Toolbar buttons
+        elements.btnNewConnection.addEventListener('click', () => this.handleNewConnection());
+        elements.btnNewSlave.addEventListener('click', () => this.handleNewSlave());
+        elements.btnOpenConnection.addEventListener('click', () => this.handleOpenConnection());
+        elements.btnCloseConnection.addEventListener('click', () => this.handleCloseConnection());
+        elements.btnEditConnection.addEventListener('click', () => this.handleEditConnection());
+        elements.btnEditSlave.addEventListener('click', () => this.handleEditSlave());
+        elements.btnAddConnectionSidebar.addEventListener('click', () => this.handleNewConnection());
+
+        // Action bar
+        elements.btnTrafficLog.addEventListener('click', () => this.toggleTrafficLog());
+        elements.btnBusMonitor.addEventListener('click', () => this.showBusMonitorModal());
+        elements.btnAddRegisters.addEventListener('click', () => this.handleAddRegistersButton());
+        elements.btnRefreshRegisters.addEventListener('click', () => this.handleRefreshRegisters());
+        elements.btnResetRegisters.addEventListener('click', () => this.handleResetRegisters());
+        elements.btnAutoPoll.addEventListener('click', () => this.handleToggleAutoPoll());
+        elements.btnToggleComments.addEventListener('click', () => this.ui.handleToggleComments());
+
+        // Traffic log
+        elements.btnClearLog.addEventListener('click', () => {
+            this.trafficLogger.clear();
+            this.ui.clearTrafficLog();
+        });
+        elements.btnPauseLog.addEventListener('click', () => {
+            if (this.trafficLogger.isPaused) {
+                this.trafficLogger.resume();
+                elements.btnPauseLog.textContent = 'Pause';
+            } else {
+                this.trafficLogger.pause();
+                elements.btnPauseLog.textContent = 'Resume';
+            }
+        });
+        elements.btnCopyLog.addEventListener('click', () => {
+            navigator.clipboard.writeText(this.trafficLogger.export());
+            this.ui.showNotification('Traffic log copied to clipboard', 'success');
+        });
+        elements.btnCloseLog.addEventListener('click', () => this.toggleTrafficLog());
+        elements.tabTraffic.addEventListener('click', () => this.ui.switchLogTab('traffic'));
+        elements.tabErrors.addEventListener('click', () => this.ui.switchLogTab('errors'));
+
+        // Value editor tabs
+        elements.valueEditor.querySelectorAll('.value-editor__tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                elements.valueEditor.querySelectorAll('.value-editor__tab').forEach(t => t.classList.remove('value-editor__tab--active'));
+                elements.valueEditor.querySelectorAll('.value-editor__panel').forEach(p => p.classList.remove('value-editor__panel--active'));
+
+                tab.classList.add('value-editor__tab--active');
+                const panelName = tab.dataset.tab;
+                elements.valueEditor.querySelector(`[data-panel="${panelName}"]`).classList.add('value-editor__panel--active');
+            });
+        });
+
+        // Value editor toggle
+        elements.valueEditorToggle.addEventListener('click', () => {
+            elements.valueEditor.classList.toggle('collapsed');
+        });
+
+        // Value editor resize
+        let isResizingEditor = false;
+        let editorStartY = 0;
+        let editorStartHeight = 0;
+
+        elements.valueEditorResize.addEventListener('mousedown', (e) => {
+            isResizingEditor = true;
+            editorStartY = e.clientY;
+            editorStartHeight = elements.valueEditor.offsetHeight;
+            document.body.style.cursor = 'ns-resize';
+            document.body.style.userSelect = 'none';
+            e.preventDefault();
+        });
+
+        document.addEventListener('mousemove', (e) => {
+            if (!isResizingEditor) return;
+            const deltaY = editorStartY - e.clientY;
+            const newHeight = Math.max(100, Math.min(window.innerHeight * 0.6, editorStartHeight + deltaY));
+            elements.valueEditor.style.height = newHeight + 'px';
+        });
+
+        document.addEventListener('mouseup', () => {
+            if (isResizingEditor) {
+                isResizingEditor = false;
+                document.body.style.cursor = '';
+                document.body.style.userSelect = '';
+            }
+        });
+
+        // Dark mode toggle
+        elements.btnDarkMode.addEventListener('click', () => {
+            document.body.dataset.theme = document.body.dataset.theme === 'dark' ? '' : 'dark';
+            elements.btnDarkMode.querySelector('span').textContent = document.body.dataset.theme === 'dark' ? '☀️' : '🌙';
+        });
+
+        // Sidebar resizer
+        let isResizing = false;
+        elements.sidebarResizer.addEventListener('mousedown', (e) => {
+            isResizing = true;
+            elements.sidebarResizer.classList.add('active');
+        });
+
+        document.addEventListener('mousemove', (e) => {
+            if (!isResizing) return;
+            const newWidth = e.clientX;
+            if (newWidth >= 200 && newWidth <= 500) {
+                elements.sidebar.style.width = `${newWidth}px`;
+            }
+        });
+
+        document.addEventListener('mouseup', () => {
+            isResizing = false;
+            elements.sidebarResizer.classList.remove('active');
+        });
+
+        // Modal close buttons
+        document.querySelectorAll('[data-modal-close]').forEach(btn => {
+            btn.addEventListener('click', () => this.ui.hideAllModals());
+        });
+
+        // Modal overlay clicks
+        document.querySelectorAll('.modal__overlay').forEach(overlay => {
+            overlay.addEventListener('click', () => this.ui.hideAllModals());
+        });
+
+        // Context menu actions
+        elements.contextMenu.querySelectorAll('.context-menu__item').forEach(item => {
+            item.addEventListener('click', () => {
+                const action = item.dataset.action;
+                const itemType = elements.contextMenu.dataset.itemType;
+                const itemId = elements.contextMenu.dataset.itemId;
+                this.handleContextMenuAction(action, itemType, itemId);
+                this.ui.hideContextMenu();
+            });
+        });
+
+        // Hide context menu on click outside
+        document.addEventListener('click', (e) => {
+            if (!elements.contextMenu.contains(e.target)) {
+                this.ui.hideContextMenu();
+            }
+        });
+
+        // Modal form submissions
+        document.getElementById('btnSelectPort').addEventListener('click', () => this.handleSelectPort());
+        document.getElementById('modalConnType').addEventListener('change', () => this.handleConnectionTypeChange());
+        document.getElementById('btnAddSlave').addEventListener('click', () => this.handleAddSlave());
+        document.getElementById('btnAddGroup').addEventListener('click', () => this.handleAddGroup());
+        document.getElementById('btnAddRegister').addEventListener('click', () => this.handleAddRegister());
+        document.getElementById('btnUpdateSlave').addEventListener('click', () => this.handleUpdateSlave());
+        document.getElementById('btnUpdateGroup').addEventListener('click', () => this.handleUpdateGroup());
+        document.getElementById('btnUpdateConnection').addEventListener('click', () => this.handleUpdateConnection());
+        document.getElementById('btnToggleAutoDetect').addEventListener('click', () => this.toggleAutoDetect());
+        document.getElementById('btnStartDetect').addEventListener('click', () => this.handleStartDetect());
+        document.getElementById('btnStopDetect').addEventListener('click', () => this.handleStopDetect());
+        document.getElementById('btnStartScan').addEventListener('click', () => this.handleStartScan());
+        document.getElementById('btnExecuteReadWrite').addEventListener('click', () => this.handleReadWrite());
+        document.getElementById('btnStartMonitor').addEventListener('click', () => this.handleStartMonitor());
+        document.getElementById('btnStopMonitor').addEventListener('click', () => this.handleStopMonitor());
+        document.getElementById('btnClearMonitor').addEventListener('click', () => this.handleClearMonitor());
+        document.getElementById('btnCheckEcho').addEventListener('click', () => this.handleCheckEcho());
+        document.getElementById('btnReadDeviceInfo').addEventListener('click', () => this.handleReadDeviceInfo());
+        document.getElementById('btnSendRawFrame').addEventListener('click', () => this.handleSendRawFrame());
+        document.getElementById('btnClearFrameHistory').addEventListener('click', () => this.handleClearFrameHistory());
+        document.getElementById('modalRawFrame').addEventListener('input', () => this.updateRawFramePreview());
+        document.getElementById('btnSendBroadcast').addEventListener('click', () => this.handleSendBroadcast());
+        document.getElementById('btnReadFifo').addEventListener('click', () => this.handleReadFifo());
+        document.getElementById('btnReadServerId').addEventListener('click', () => this.handleReadServerId());
+        document.getElementById('btnReadFileRecords').addEventListener('click', () => this.handleReadFileRecords());
+        document.getElementById('btnStopFileRecords').addEventListener('click', () => this.handleStopFileRecords());
+        document.getElementById('btnSaveFileRecords').addEventListener('click', () => this.handleSaveFileRecords());
+        document.getElementById('btnWriteFileRecords').addEventListener('click', () => document.getElementById('fileRecordUpload').click());
+        document.getElementById('fileRecordUpload').addEventListener('change', (e) => this.handleWriteFileRecords(e.target));
+        document.getElementById('btnRefreshDiagnostics').addEventListener('click', () => this.handleRefreshDiagnostics());
+        document.getElementById('btnDiagLoopback').addEventListener('click', () => this.handleDiagnosticsLoopback());
+        document.getElementById('btnClearDiagCounters').addEventListener('click', () => this.handleClearDiagnosticCounters());
+        document.getElementById('btnRestartComms').addEventListener('click', () => this.handleRestartCommunications());
+        document.getElementById('btnStartDiscover').addEventListener('click', () => this.handleStartDiscover());
+        document.getElementById('btnStopDiscover').addEventListener('click', () => this.handleStopDiscover());
+        document.getElementById('btnCreateDiscovered').addEventListener('click', () => this.handleCreateDiscovered());
+        document.getElementById('btnStopScan').addEventListener('click', () => this.handleStopScan());
+        document.getElementById('btnAddScanned').addEventListener('click', () => this.handleAddScanned());
+
+        // Mode toggle and slave mode controls (skipped when the page has no slave UI)
+        if (document.getElementById('btnModeMaster')) {
+            document.getElementById('btnModeMaster').addEventListener('click', () => this.switchMode('master'));
+            document.getElementById('btnModeSlave').addEventListener('click', () => this.switchMode('slave'));
+
+            // Slave mode controls
+            document.getElementById('btnConfigureSlave').addEventListener('click', () => this.showSlaveConfigModal());
+            document.getElementById('btnStartSlaveServer').addEventListener('click', () => this.startSlaveServer());
+            document.getElementById('btnStopSlaveServer').addEventListener('click', () => this.stopSlaveServer());
+            document.getElementById('btnSaveSlaveConfig').addEventListener('click', () => this.saveSlaveConfig());
+            document.getElementById('btnAddRegisterMap').addEventListener('click', () => this.showAddRegisterMapModal());
+            document.getElementById('btnConfirmAddRegisterMap').addEventListener('click', () => this.handleAddRegisterMap());
+
+            // Register map tree clicks
+            document.getElementById('registerMapTree').addEventListener('click', (e) => {
+                const item = e.target.closest('.register-map-tree__item');
+                if (item) {
+                    this.selectRegisterMapType(item.dataset.type);
+                }
+            });
+        }
+
+        // Set up slave callbacks
+        // The simulator also answers loopback connections in master mode
+        this.modbusSlave.onRegisterRead = (type, address, quantity) => {
+            if (this.currentMode !== 'slave') return;
+            this.ui.flashRegisterAccess(type, address, quantity, 'read');
+        };
+        this.modbusSlave.onRegisterWrite = (type, address, quantity) => {
+            if (this.currentMode !== 'slave') return;
+            this.ui.flashRegisterAccess(type, address, quantity, 'write');
+            this.ui.renderSlaveRegisterTable();
+        };
+        // Responses are logged by the slave transport as they are written
+        this.modbusSlave.onRequest = (frame) => {
+            if (this.slaveServerRunning) {
+                this.logTraffic('RX', frame);
+            }
+        };
+
+        // Function tabs
+        elements.functionTabs.querySelectorAll('.function-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                const fc = tab.dataset.fc;
+                if (fc === 'TC') {
+                    this.handleTestConnection();
+                } else if (fc === '23') {
+                    this.showReadWriteModal();
+                }
+            });
+        });
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            // Skip if typing in an input field
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+                if (e.key === 'Escape') {
+                    e.target.blur();
+                }
+                return;
+            }
+
+            if (e.ctrlKey || e.metaKey) {
+                const key = e.key.toLowerCase();
+                // Prevent browser defaults for our shortcuts
+                if (['n', 'o', 'r', 't'].includes(key)) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                }
+
+                switch (key) {
+                    case 'n':
+                        this.handleNewConnection();
+                        break;
+                    case 'o':
+                        if (!elements.btnOpenConnection.disabled) {
+                            this.handleOpenConnection();
+                        }
+                        break;
+                    case 'r':
+                        if (!elements.btnRefreshRegisters.disabled) {
+                            this.handleRefreshRegisters();
+                        }
+                        break;
+                    case 't':
+                        this.handleTestConnection();
+                        break;
+                }
+            }
+            if (e.key === 'Escape') {
+                this.ui.hideAllModals();
+                this.ui.hideContextMenu();
+            }
+        });
+    }
+
+    // ===== Connection Handlers =====
+    handleNewConnection() {
+        this.handleStopDetect();
+        this.detectTransport = null;
+        document.getElementById('autoDetectPanel').style.display = 'none';
+        this.ui.clearDetectResults();
+        this.handleConnectionTypeChange();
+        this.ui.showModal('modalNewConnection');
     }
 
-    hideContextMenu() {
-        this.elements.contextMenu.style.display = 'none';
+    // ===== Serial Auto-Detection =====
+    toggleAutoDetect() {
+        const panel = document.getElementById('autoDetectPanel');
+        panel.style.display = panel.style.display === 'none' ? '' : 'none';
     }
 
-    // ===== Device Tree =====
-    renderDeviceTree() {
-        const tree = this.elements.deviceTree;
+    async handleStartDetect() {
+        const slaveId = parseInt(document.getElementById('modalDetectSlaveId').value);
+        const probe = document.getElementById('modalDetectProbe').value;
+        const timeout = parseInt(document.getElementById('modalDetectTimeout').value) || 300;
 
-        if (this.app.store.connections.length === 0) {
-            tree.innerHTML = `
-                <div class="device-tree__empty">
-                    <p>No connections configured.</p>
-                    <p>Click "New Connection" to start.</p>
-                </div>
-            `;
+        if (isNaN(slaveId) || slaveId < 1 || slaveId > 247) {
+            this.ui.showNotification('Slave ID must be between 1 and 247', 'error');
             return;
         }
 
-        let html = '';
-
-        for (const conn of this.app.store.connections) {
-            const statusClass = conn.isConnected ? 'connected' : 'disconnected';
-            const slaves = this.app.store.getSlavesForConnection(conn.id);
-            const hasChildren = slaves.length > 0;
-
-            html += `
-                <div class="tree-item" data-type="connection" data-id="${conn.id}">
-                    <div class="tree-item__header">
-                        <span class="tree-item__toggle ${hasChildren ? 'expanded' : ''}">${hasChildren ? '▶' : ''}</span>
-                        <span class="tree-item__icon">📁</span>
-                        <span class="tree-item__name">${conn.portName}</span>
-                        <span class="tree-item__status tree-item__status--${statusClass}"></span>
-                    </div>
-                    <div class="tree-item__children ${hasChildren ? '' : 'collapsed'}">
-            `;
+        const btnStart = document.getElementById('btnStartDetect');
+        const btnStop = document.getElementById('btnStopDetect');
+        const controller = new AbortController();
 
-            for (const slave of slaves) {
-                const groups = this.app.store.getGroupsForSlave(slave.id);
-                const hasGroupChildren = groups.length > 0;
+        try {
+            // Pick the port once - it is reused when the connection is created
+            if (!this.detectTransport) {
+                const transport = new SerialManager();
+                await transport.requestPort();
+                transport.onTraffic = (direction, frame, raw) => this.logTraffic(direction, frame, raw, 'Auto-detect');
+                this.detectTransport = transport;
+            }
 
-                html += `
-                    <div class="tree-item" data-type="slave" data-id="${slave.id}">
-                        <div class="tree-item__header">
-                            <span class="tree-item__toggle ${hasGroupChildren ? 'expanded' : ''}">${hasGroupChildren ? '▶' : ''}</span>
-                            <span class="tree-item__icon">📟</span>
-                            <span class="tree-item__name">${slave.alias} (ID: ${slave.slaveId})</span>
-                        </div>
-                        <div class="tree-item__children ${hasGroupChildren ? '' : 'collapsed'}">
-                `;
+            this.detectController = controller;
+            btnStart.style.display = 'none';
+            btnStop.style.display = '';
+            this.ui.clearDetectResults('Starting...');
+            this.handleConnectionTypeChange();
 
-                for (const group of groups) {
-                    const pollingClass = group.autoPolling ? 'polling' : '';
+            const detector = new SerialAutoDetector(this.detectTransport);
+            let foundCount = 0;
 
-                    html += `
-                        <div class="tree-item" data-type="group" data-id="${group.id}">
-                            <div class="tree-item__header">
-                                <span class="tree-item__toggle"></span>
-                                <span class="tree-item__icon">📋</span>
-                                <span class="tree-item__name">${group.name}</span>
-                                ${group.autoPolling ? '<span class="tree-item__status tree-item__status--polling"></span>' : ''}
-                            </div>
-                        </div>
-                    `;
+            detector.onProgress = (settings, done, total) => {
+                const text = settings
+                    ? `Trying ${SerialAutoDetector.describe(settings)} (${done + 1}/${total}) - ${foundCount} found`
+                    : `${controller.signal.aborted ? 'Stopped' : 'Finished'} - ${foundCount} working setting(s)`;
+                this.ui.updateDetectProgress(done, total, text);
+            };
+            detector.onFound = (settings) => {
+                // Apply the first hit right away, later ones on request
+                if (foundCount === 0) {
+                    this.applyDetectedSettings(settings);
                 }
+                foundCount++;
+                this.ui.addDetectResult(settings, (chosen) => this.applyDetectedSettings(chosen));
+            };
 
-                html += `
-                        </div>
-                    </div>
-                `;
-            }
+            this.detectRun = detector.detect({
+                slaveId,
+                probe,
+                dataBits: parseInt(document.getElementById('modalDataBits').value),
+                mode: document.getElementById('modalMode').value,
+                timeout,
+                signal: controller.signal,
+                ...this.readAdapterSettings('modal')
+            });
+            const found = await this.detectRun;
 
-            html += `
-                    </div>
-                </div>
-            `;
+            if (found.length > 0) {
+                this.ui.showNotification(`Device answered at ${SerialAutoDetector.describe(found[0])} - settings applied`, 'success');
+            } else if (!controller.signal.aborted) {
+                this.ui.showNotification(`No reply from slave ${slaveId} at any setting`, 'warning');
+            }
+        } catch (error) {
+            this.handleSerialError(error);
+        } finally {
+            if (this.detectController === controller) {
+                this.detectController = null;
+                this.detectRun = null;
+            }
+            btnStart.style.display = '';
+            btnStop.style.display = 'none';
         }
-
-        tree.innerHTML = html;
-        this.attachTreeEventListeners();
     }
 
-    attachTreeEventListeners() {
-        const tree = this.elements.deviceTree;
-
-        // Toggle expand/collapse
-        tree.querySelectorAll('.tree-item__toggle').forEach(toggle => {
-            toggle.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const item = toggle.closest('.tree-item');
-                const children = item.querySelector('.tree-item__children');
-                if (children) {
-                    children.classList.toggle('collapsed');
-                    toggle.classList.toggle('expanded');
-                }
-            });
-        });
+    handleStopDetect() {
+        if (this.detectController) {
+            this.detectController.abort();
+        }
+    }
 
-        // Select item
-        tree.querySelectorAll('.tree-item__header').forEach(header => {
-            header.addEventListener('click', (e) => {
-                // Deselect all
-                tree.querySelectorAll('.tree-item__header.selected').forEach(h => {
-                    h.classList.remove('selected');
-                });
-                header.classList.add('selected');
+    /**
+     * Copy detected line settings into the New Connection form
+     */
+    applyDetectedSettings(settings) {
+        document.getElementById('modalBaudRate').value = settings.baudRate;
+        document.getElementById('modalParity').value = settings.parity;
+        document.getElementById('modalDataBits').value = settings.dataBits;
+        document.getElementById('modalStopBits').value = settings.stopBits;
+    }
 
-                const item = header.closest('.tree-item');
-                this.selectedTreeItem = {
-                    type: item.dataset.type,
-                    id: item.dataset.id
-                };
+    handleConnectionTypeChange() {
+        const connType = document.getElementById('modalConnType').value;
+        document.getElementById('modalSerialSettings').style.display = connType === 'serial' ? '' : 'none';
+        document.getElementById('modalTcpSettings').style.display = connType === 'tcp' ? '' : 'none';
+        document.getElementById('modalLoopbackSettings').style.display = connType === 'loopback' ? '' : 'none';
+        const needsPort = connType === 'serial' && !this.detectTransport;
+        document.getElementById('btnSelectPort').textContent = needsPort ? 'Select Port' : 'Connect';
+    }
 
-                this.onTreeItemSelected(this.selectedTreeItem);
-            });
+    /**
+     * Read the inter-frame gap and broadcast turnaround delay of a connection modal
+     */
+    readBusTiming(prefix) {
+        const gap = parseInt(document.getElementById(`${prefix}InterFrameGap`).value);
+        const turnaround = parseInt(document.getElementById(`${prefix}TurnaroundDelay`).value);
+        return {
+            interFrameGap: isNaN(gap) || gap < 0 ? 0 : gap,
+            turnaroundDelay: isNaN(turnaround) || turnaround < 0 ? DEFAULT_TURNAROUND_DELAY : turnaround
+        };
+    }
 
-            // Context menu
-            header.addEventListener('contextmenu', (e) => {
-                e.preventDefault();
-                const item = header.closest('.tree-item');
-                this.showContextMenu(e.pageX, e.pageY, item.dataset.type, item.dataset.id);
-            });
+    /**
+     * Read the adapter fields (direction control, echo, burst allowance) of a connection modal
+     */
+    readAdapterSettings(prefix) {
+        const readDelay = (field) => {
+            const ms = parseInt(document.getElementById(`${prefix}${field}`).value);
+            return isNaN(ms) || ms < 0 ? 0 : ms;
+        };
+        return {
+            directionControl: document.getElementById(`${prefix}DirectionControl`).value,
+            preTxDelay: readDelay('PreTxDelay'),
+            postTxDelay: readDelay('PostTxDelay'),
+            burstAllowance: readDelay('BurstAllowance'),
+            echoSuppression: document.getElementById(`${prefix}EchoSuppression`).checked
+        };
+    }
 
-            // Double click to expand/edit
-            header.addEventListener('dblclick', () => {
-                const item = header.closest('.tree-item');
-                if (item.dataset.type === 'group') {
-                    this.app.handleRefreshRegisters();
-                }
-            });
-        });
+    /**
+     * Read the simulated line delay of a connection modal
+     */
+    readLineDelay(prefix) {
+        const lineDelay = parseInt(document.getElementById(`${prefix}LineDelay`).value);
+        return isNaN(lineDelay) || lineDelay < 0 ? DEFAULT_LINE_DELAY : lineDelay;
     }
 
-    onTreeItemSelected(item) {
-        // Update toolbar buttons based on selection
-        const { btnNewSlave, btnOpenConnection, btnCloseConnection, btnEditConnection, btnEditSlave,
-                btnAddRegisters, btnRefreshRegisters, btnResetRegisters, btnAutoPoll, btnAutoPollIcon, btnAutoPollText, functionTabs } = this.elements;
+    /**
+     * Read and validate the TCP fields of a connection modal
+     */
+    readTcpSettings(prefix) {
+        const host = document.getElementById(`${prefix}Host`).value.trim();
+        const tcpPort = parseInt(document.getElementById(`${prefix}TcpPort`).value);
+        const relayUrl = document.getElementById(`${prefix}RelayUrl`).value.trim() || DEFAULT_RELAY_URL;
 
-        if (item.type === 'connection') {
-            const conn = this.app.store.getConnection(item.id);
-            btnNewSlave.disabled = !conn || !conn.isConnected;
-            btnOpenConnection.disabled = !conn || conn.isConnected;
-            btnCloseConnection.disabled = !conn || !conn.isConnected;
-            btnEditConnection.disabled = false;
-            btnEditSlave.disabled = true;
-            btnAddRegisters.disabled = true;
-            btnRefreshRegisters.disabled = true;
-            btnResetRegisters.disabled = true;
-            btnAutoPoll.disabled = true;
-            functionTabs.style.display = 'none';
+        if (!host) {
+            throw new Error('Please enter a host');
+        }
+        if (isNaN(tcpPort) || tcpPort < 1 || tcpPort > 65535) {
+            throw new Error('Port must be between 1 and 65535');
+        }
 
-            // Show empty state
-            this.showRegisterTableEmpty();
+        return { host, tcpPort, relayUrl };
+    }
 
-        } else if (item.type === 'slave') {
-            const slave = this.app.store.getSlave(item.id);
-            const conn = slave ? this.app.store.getConnection(slave.connectionId) : null;
-            btnNewSlave.disabled = true;
-            btnOpenConnection.disabled = true;
-            btnCloseConnection.disabled = true;
-            btnEditConnection.disabled = true;
-            btnEditSlave.disabled = false;
-            btnAddRegisters.disabled = true;
-            btnRefreshRegisters.disabled = true;
-            btnResetRegisters.disabled = true;
-            btnAutoPoll.disabled = true;
-            functionTabs.style.display = 'none';
+    /**
+     * Get the transport carrying a connection's traffic, creating it on first use
+     */
+    getTransport(conn) {
+        return this.transports.get(conn.id) ||
+            this.attachTransport(conn, Transport.create(conn, { slave: this.modbusSlave }));
+    }
 
-            // Show helpful message for slave selection
-            const groups = this.app.store.getGroupsForSlave(item.id);
-            if (groups.length > 0) {
-                this.elements.registerTableEmpty.innerHTML = `
-                    <div class="register-table__empty-icon">📟</div>
-                    <h3>Slave Selected</h3>
-                    <p>Click on a <strong>Register Group</strong> below this slave to view registers.</p>
-                    <p style="margin-top: 10px; color: var(--text-secondary);">Or right-click the slave to add a new group.</p>
-                `;
-            } else {
-                this.elements.registerTableEmpty.innerHTML = `
-                    <div class="register-table__empty-icon">📟</div>
-                    <h3>No Register Groups</h3>
-                    <p>Right-click this slave and select <strong>"New Group"</strong> to create a register group.</p>
-                `;
+    /**
+     * Bind a transport to a connection and wire its events
+     */
+    attachTransport(conn, transport) {
+        transport.onTraffic = (direction, frame, raw) => {
+            this.logTraffic(direction, frame, raw, conn.portName);
+            if (direction === 'RX') {
+                this.checkForEcho(conn);
             }
-            this.showRegisterTableEmpty();
-
-        } else if (item.type === 'group') {
-            const group = this.app.store.getRegisterGroup(item.id);
-            const isPolling = group && group.autoPolling;
-            btnNewSlave.disabled = true;
-            btnOpenConnection.disabled = true;
-            btnCloseConnection.disabled = true;
-            btnEditConnection.disabled = true;
-            btnEditSlave.disabled = true;
-            btnAddRegisters.disabled = false;
-            btnRefreshRegisters.disabled = false;
-            btnResetRegisters.disabled = false;
-            btnAutoPoll.disabled = false;
-            // Update Auto-Poll button text/icon based on polling state
-            btnAutoPollIcon.textContent = isPolling ? '⏹️' : '▶️';
-            btnAutoPollText.textContent = isPolling ? 'Stop Poll' : 'Auto-Poll';
-            functionTabs.style.display = 'flex';
+        };
+        transport.onDisconnect = () => this.handleUnexpectedDisconnect(conn);
+        transport.onError = (error) => {
+            this.trafficLogger.logError(error.message, conn.portName);
+            this.countError(error);
+            this.ui.updateStatusBar();
+        };
+        this.transports.set(conn.id, transport);
 
-            this.renderRegisterTable(item.id);
-        }
+        const queue = new TransactionQueue(transport, {
+            interFrameGap: conn.interFrameGap,
+            turnaroundDelay: conn.turnaroundDelay
+        });
+        queue.onChange = () => this.ui.updateQueueDepth();
+        queue.onRetry = (attempt, retries, error) => {
+            this.trafficLogger.logRetry(attempt, retries, error.message, conn.portName);
+        };
+        this.queues.set(conn.id, queue);
 
-        this.updateStatusBar();
+        return transport;
     }
 
-    // ===== Register Table (Multi-Column) =====
-    showRegisterTableEmpty() {
-        this.elements.registerTableEmpty.style.display = 'flex';
-        this.elements.registerColumns.style.display = 'none';
+    /**
+     * Get the transaction queue every request on a connection goes through
+     */
+    getQueue(conn) {
+        this.getTransport(conn);
+        return this.queues.get(conn.id);
     }
 
-    renderRegisterTable(groupId) {
-        const registers = this.app.store.getRegistersForGroup(groupId);
-        const ROWS_PER_COLUMN = 10;
+    /**
+     * Queue a request on a connection and wait for its response
+     */
+    transact(conn, frame, options = {}) {
+        const slave = this.store.getSlavesForConnection(conn.id).find(s => s.slaveId === frame[0]);
+        return this.getQueue(conn).enqueue(frame, { ...this.getTransactionPolicy(conn, slave), ...options });
+    }
 
-        if (registers.length === 0) {
-            this.elements.registerTableEmpty.innerHTML = `
-                <div class="register-table__empty-icon">📋</div>
-                <h3>No Registers in This Group</h3>
-                <p>Right-click the group and select "Add Register" to add registers.</p>
-            `;
-            this.showRegisterTableEmpty();
-            return;
+    /**
+     * Timeout and retry settings for a slave, falling back to its connection
+     */
+    getTransactionPolicy(conn, slave = null) {
+        const policy = {};
+        for (const [field, spec] of Object.entries(TRANSACTION_POLICY)) {
+            policy[field] = slave?.[field] ?? conn[field] ?? spec.default;
         }
+        return policy;
+    }
 
-        this.elements.registerTableEmpty.style.display = 'none';
-        this.elements.registerColumns.style.display = 'flex';
-
-        // Preserve comments visibility state
-        const hideComments = this.elements.registerColumns.classList.contains('hide-comments');
-
-        const container = this.elements.registerColumns;
-        container.innerHTML = '';
-        if (hideComments) container.classList.add('hide-comments');
-
-        // Group registers by type
-        const registersByType = {};
-        const typeOrder = ['0x', '1x', '3x', '4x']; // Define display order
+    /**
+     * Read the timeout/retry fields (or other spec'd fields, e.g. READ_PLAN) of a modal -
+     * blank fields inherit (null) or take the default
+     */
+    readPolicySettings(prefix, inherit = false, fields = TRANSACTION_POLICY) {
+        const settings = {};
 
-        for (const reg of registers) {
-            if (!registersByType[reg.type]) {
-                registersByType[reg.type] = [];
+        for (const [field, spec] of Object.entries(fields)) {
+            const input = document.getElementById(`${prefix}${field.charAt(0).toUpperCase()}${field.slice(1)}`);
+            const text = input.value.trim();
+
+            if (text === '') {
+                settings[field] = inherit ? null : spec.default;
+                continue;
             }
-            registersByType[reg.type].push(reg);
+
+            const value = field === 'backoff' ? parseFloat(text) : parseInt(text);
+            if (isNaN(value) || value < spec.min || value > spec.max) {
+                throw new Error(`${spec.label} must be between ${spec.min} and ${spec.max}`);
+            }
+            settings[field] = value;
         }
 
-        // Create sections for each register type
-        for (const type of typeOrder) {
-            if (!registersByType[type] || registersByType[type].length === 0) continue;
+        return settings;
+    }
 
-            const typeRegs = registersByType[type];
-            const typeInfo = REGISTER_TYPES[type];
+    /**
+     * Fill the timeout/retry fields of a modal
+     */
+    fillPolicySettings(prefix, source, fields = TRANSACTION_POLICY) {
+        for (const field of Object.keys(fields)) {
+            const input = document.getElementById(`${prefix}${field.charAt(0).toUpperCase()}${field.slice(1)}`);
+            input.value = source[field] ?? '';
+        }
+    }
 
-            // Create section for this type
-            const sectionDiv = document.createElement('div');
-            sectionDiv.className = 'register-section';
+    /**
+     * Close and forget a connection's transport
+     */
+    async releaseTransport(conn) {
+        const transport = this.transports.get(conn.id);
+        if (!transport) return;
 
-            // Section header
-            const sectionHeader = document.createElement('div');
-            sectionHeader.className = 'register-section__header';
-            sectionHeader.innerHTML = `<span class="register-section__type">${type}</span> <span class="register-section__name">${typeInfo ? typeInfo.name : ''}</span> <span class="register-section__count">(${typeRegs.length})</span>`;
-            sectionDiv.appendChild(sectionHeader);
+        this.transports.delete(conn.id);
+        this.queues.get(conn.id).clear();
+        this.queues.delete(conn.id);
+        if (transport.isConnected) {
+            await transport.close();
+        }
+    }
 
-            // Columns container for this section
-            const columnsDiv = document.createElement('div');
-            columnsDiv.className = 'register-section__columns';
+    async handleSelectPort() {
+        try {
+            let config;
+            let transport;
+            const connType = document.getElementById('modalConnType').value;
+            const policy = this.readPolicySettings('modal');
+
+            if (connType === 'tcp') {
+                const tcpSettings = this.readTcpSettings('modal');
+                this.ui.showLoading('Connecting...');
+                config = {
+                    type: 'tcp',
+                    portName: `TCP ${tcpSettings.host}:${tcpSettings.tcpPort}`,
+                    ...tcpSettings
+                };
+                transport = Transport.create(config);
+            } else if (connType === 'loopback') {
+                this.ui.showLoading('Connecting...');
+                config = {
+                    type: 'loopback',
+                    portName: 'Loopback',
+                    lineDelay: this.readLineDelay('modal')
+                };
+                transport = Transport.create(config, { slave: this.modbusSlave });
+            } else {
+                this.ui.showLoading('Selecting port...');
 
-            // Split registers into columns of ROWS_PER_COLUMN each
-            const numColumns = Math.ceil(typeRegs.length / ROWS_PER_COLUMN);
+                // Let a running detection close the port first
+                if (this.detectRun) {
+                    this.handleStopDetect();
+                    await this.detectRun.catch(() => {});
+                }
 
-            for (let col = 0; col < numColumns; col++) {
-                const startIdx = col * ROWS_PER_COLUMN;
-                const columnRegs = typeRegs.slice(startIdx, startIdx + ROWS_PER_COLUMN);
+                // Reuse the port picked for auto-detection
+                transport = this.detectTransport || Transport.create({ type: 'serial' });
+                this.detectTransport = null;
+                if (!transport.port) {
+                    await transport.prepare();
+                }
+                config = {
+                    type: 'serial',
+                    portName: transport.getPortName(),
+                    usbVendorId: transport.portInfo.usbVendorId,
+                    usbProductId: transport.portInfo.usbProductId,
+                    baudRate: parseInt(document.getElementById('modalBaudRate').value),
+                    parity: document.getElementById('modalParity').value,
+                    dataBits: parseInt(document.getElementById('modalDataBits').value),
+                    stopBits: parseInt(document.getElementById('modalStopBits').value),
+                    mode: document.getElementById('modalMode').value,
+                    ...this.readAdapterSettings('modal')
+                };
+            }
 
-                const columnDiv = document.createElement('div');
-                columnDiv.className = 'register-column';
+            Object.assign(config, this.readBusTiming('modal'), policy);
+            const connection = this.store.addConnection(config);
 
-                const table = document.createElement('table');
-                table.className = 'register-table';
+            // Connect immediately
+            this.attachTransport(connection, transport);
+            await transport.open(connection);
 
-                // Header
-                const thead = document.createElement('thead');
-                thead.innerHTML = `
-                    <tr>
-                        <th class="register-table__th register-table__th--address">Addr</th>
-                        <th class="register-table__th register-table__th--alias">Alias</th>
-                        <th class="register-table__th register-table__th--value">Value</th>
-                        <th class="register-table__th register-table__th--comment">Comment</th>
-                    </tr>
-                `;
-                table.appendChild(thead);
+            connection.isConnected = true;
 
-                // Body
-                const tbody = document.createElement('tbody');
-                for (const reg of columnRegs) {
-                    const isWritable = typeInfo && typeInfo.writeFC !== null;
-                    const rowClass = isWritable ? '' : 'register-table__row--readonly';
+            // Auto-create default Slave (ID: 1), Register Group, and 10 registers
+            const slave = this.store.addSlave(connection.id, 1, 'Device 1');
+            const group = this.store.addRegisterGroup(slave.id, 'Registers', 1000);
 
-                    const tr = document.createElement('tr');
-                    tr.className = `register-table__row ${rowClass}`;
-                    tr.dataset.registerId = reg.id;
-                    tr.dataset.registerType = reg.type;
+            // Add 10 holding registers (4x, address 0-9)
+            const defaultRegisters = [];
+            for (let i = 0; i < 10; i++) {
+                defaultRegisters.push({ type: '4x', address: i, alias: '' });
+            }
+            this.store.addRegisters(group.id, defaultRegisters);
 
-                    tr.innerHTML = `
-                        <td class="register-table__cell register-table__cell--address">${ValueInterpreter.toHexString(reg.address)}</td>
-                        <td class="register-table__cell register-table__cell--alias">${reg.alias || '-'}</td>
-                        <td class="register-table__cell register-table__cell--value ${isWritable ? 'editable' : ''}">${reg.value}</td>
-                        <td class="register-table__cell register-table__cell--comment">${reg.comment || ''}</td>
-                    `;
+            this.ui.hideModal('modalNewConnection');
+            this.ui.renderDeviceTree();
 
-                    // Row selection with Ctrl+click and Shift+click support
-                    tr.addEventListener('click', (e) => {
-                        if (e.target.tagName === 'INPUT') return;
+            // Select the new group so user can see the registers
+            this.ui.selectedTreeItem = { type: 'group', id: group.id };
+            this.ui.onTreeItemSelected(this.ui.selectedTreeItem);
 
-                        const allRows = Array.from(container.querySelectorAll('tr[data-register-id]'));
+            this.ui.showNotification(`Connected to ${config.portName}`, 'success');
 
-                        if (e.ctrlKey) {
-                            // Toggle selection
-                            tr.classList.toggle('selected');
-                            if (tr.classList.contains('selected')) {
-                                this.selectedRegisters.push(reg.id);
-                            } else {
-                                this.selectedRegisters = this.selectedRegisters.filter(id => id !== reg.id);
-                            }
-                        } else if (e.shiftKey && this.selectedRegisters.length > 0) {
-                            // Range selection
-                            const lastSelectedRow = container.querySelector(`tr[data-register-id="${this.selectedRegisters[this.selectedRegisters.length - 1]}"]`);
-                            const startIdx = allRows.indexOf(lastSelectedRow);
-                            const endIdx = allRows.indexOf(tr);
-                            const [from, to] = startIdx < endIdx ? [startIdx, endIdx] : [endIdx, startIdx];
+        } catch (error) {
+            this.handleSerialError(error);
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
 
-                            for (let i = from; i <= to; i++) {
-                                allRows[i].classList.add('selected');
-                                const regId = allRows[i].dataset.registerId;
-                                if (!this.selectedRegisters.includes(regId)) {
-                                    this.selectedRegisters.push(regId);
-                                }
-                            }
-                        } else {
-                            // Single selection - clear all and select this one
-                            container.querySelectorAll('tr.selected').forEach(r => r.classList.remove('selected'));
-                            tr.classList.add('selected');
-                            this.selectedRegisters = [reg.id];
-                        }
+    async handleOpenConnection() {
+        if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'connection') return;
 
-                        this.updateValueEditor();
-                    });
+        const conn = this.store.getConnection(this.ui.selectedTreeItem.id);
+        if (!conn || conn.isConnected) return;
 
-                    // Double click to edit (if writable)
-                    if (isWritable) {
-                        const valueCell = tr.querySelector('.register-table__cell--value');
-                        valueCell.addEventListener('dblclick', () => {
-                            this.startCellEdit(valueCell, reg);
-                        });
-                    }
+        try {
+            this.ui.showLoading('Connecting...');
 
-                    tbody.appendChild(tr);
-                }
+            // Reuse the granted adapter if present, otherwise ask for a port
+            const transport = this.getTransport(conn);
+            await transport.prepare(conn);
+            await transport.open(conn);
 
-                table.appendChild(tbody);
-                columnDiv.appendChild(table);
-                columnsDiv.appendChild(columnDiv);
+            conn.isConnected = true;
+            conn.portName = transport.getPortName();
+            if (transport.portInfo) {
+                conn.usbVendorId = transport.portInfo.usbVendorId || null;
+                conn.usbProductId = transport.portInfo.usbProductId || null;
+                this.store.scheduleSave();
             }
+            this.pendingReconnects.delete(conn.id);
 
-            sectionDiv.appendChild(columnsDiv);
-            container.appendChild(sectionDiv);
+            this.ui.renderDeviceTree();
+            this.ui.onTreeItemSelected(this.ui.selectedTreeItem);
+            this.ui.showNotification(`Connected to ${conn.portName}`, 'success');
+
+        } catch (error) {
+            this.handleSerialError(error);
+        } finally {
+            this.ui.hideLoading();
         }
     }
 
-    startCellEdit(cell, register) {
-        if (this.editingCell) return;
-
-        this.editingCell = cell;
-        const currentValue = register.value;
+    async handleCloseConnection() {
+        if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'connection') return;
 
-        cell.innerHTML = `<input type="number" class="register-table__input" value="${currentValue}">`;
-        const input = cell.querySelector('input');
-        input.focus();
-        input.select();
+        const conn = this.store.getConnection(this.ui.selectedTreeItem.id);
+        if (!conn || !conn.isConnected) return;
 
-        const finishEdit = async (save) => {
-            if (!this.editingCell) return;
+        try {
+            // Stop all polling for this connection
+            this.stopPollingForConnection(conn);
+            this.pendingReconnects.delete(conn.id);
+            this.getQueue(conn).clear();
 
-            if (save) {
-                const newValue = parseInt(input.value) || 0;
-                if (newValue !== currentValue) {
-                    try {
-                        await this.app.writeRegister(register, newValue);
-                        cell.parentElement.classList.add('register-table__row--success');
-                        setTimeout(() => {
-                            cell.parentElement.classList.remove('register-table__row--success');
-                        }, 1000);
-                    } catch (error) {
-                        cell.parentElement.classList.add('register-table__row--error');
-                        this.showNotification(error.message, 'error');
-                        setTimeout(() => {
-                            cell.parentElement.classList.remove('register-table__row--error');
-                        }, 3000);
-                    }
-                }
+            // The device may be swapped before the next connect - learn its map again
+            for (const slave of this.store.getSlavesForConnection(conn.id)) {
+                this.readPlanners.delete(slave.id);
             }
 
-            cell.textContent = register.value;
-            this.editingCell = null;
-        };
+            await this.getTransport(conn).close();
+            conn.isConnected = false;
 
-        input.addEventListener('blur', () => finishEdit(true));
-        input.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                finishEdit(true);
-            } else if (e.key === 'Escape') {
-                finishEdit(false);
-            }
-        });
-    }
+            this.ui.renderDeviceTree();
+            this.ui.onTreeItemSelected(this.ui.selectedTreeItem);
+            this.ui.showNotification(`Disconnected from ${conn.portName}`, 'info');
 
-    updateRegisterValue(registerId, value) {
-        const row = this.elements.registerColumns.querySelector(`tr[data-register-id="${registerId}"]`);
-        if (row && !this.editingCell) {
-            const valueCell = row.querySelector('.register-table__cell--value');
-            if (valueCell && valueCell.textContent != value) {
-                valueCell.textContent = value;
-                row.classList.add('register-table__row--success');
-                setTimeout(() => row.classList.remove('register-table__row--success'), 500);
-            }
+        } catch (error) {
+            this.ui.showNotification(`Disconnect error: ${error.message}`, 'error');
         }
     }
 
-    handleToggleComments() {
-        const container = this.elements.registerColumns;
-        container.classList.toggle('hide-comments');
-        const isHidden = container.classList.contains('hide-comments');
-        this.elements.btnToggleCommentsText.textContent = isHidden ? 'Show Comments' : 'Hide Comments';
-    }
+    handleEditConnection() {
+        if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'connection') return;
 
-    // ===== Value Editor =====
-    updateValueEditor() {
-        // Clear all value containers
-        this.elements.numericValues.innerHTML = '';
-        this.elements.longValues.innerHTML = '';
-        this.elements.floatValues.innerHTML = '';
-        this.elements.doubleValues.innerHTML = '';
-        this.elements.stringValues.innerHTML = '';
+        const conn = this.store.getConnection(this.ui.selectedTreeItem.id);
+        if (!conn) return;
 
-        const panels = this.elements.valueEditorContent.querySelectorAll('.value-editor__panel');
+        // Populate modal with current values
+        const connType = conn.type || 'serial';
+        document.getElementById('modalEditConnSerialSettings').style.display = connType === 'serial' ? '' : 'none';
+        document.getElementById('modalEditConnTcpSettings').style.display = connType === 'tcp' ? '' : 'none';
+        document.getElementById('modalEditConnLoopbackSettings').style.display = connType === 'loopback' ? '' : 'none';
+        document.getElementById('modalEditConnLineDelay').value = conn.lineDelay ?? DEFAULT_LINE_DELAY;
+        document.getElementById('modalEditConnInterFrameGap').value = conn.interFrameGap || 0;
+        document.getElementById('modalEditConnTurnaroundDelay').value = conn.turnaroundDelay ?? DEFAULT_TURNAROUND_DELAY;
+        this.fillPolicySettings('modalEditConn', this.getTransactionPolicy(conn));
+        document.getElementById('modalEditConnHost').value = conn.host || '';
+        document.getElementById('modalEditConnTcpPort').value = conn.tcpPort || 502;
+        document.getElementById('modalEditConnRelayUrl').value = conn.relayUrl || DEFAULT_RELAY_URL;
+        document.getElementById('modalEditConnPort').value = conn.portName || 'Not selected';
+        document.getElementById('modalEditConnBaudRate').value = conn.baudRate;
+        document.getElementById('modalEditConnParity').value = conn.parity;
+        document.getElementById('modalEditConnDataBits').value = conn.dataBits;
+        document.getElementById('modalEditConnStopBits').value = conn.stopBits;
+        document.getElementById('modalEditConnMode').value = conn.mode || 'rtu';
+        document.getElementById('modalEditConnDirectionControl').value = conn.directionControl || 'none';
+        document.getElementById('modalEditConnPreTxDelay').value = conn.preTxDelay || 0;
+        document.getElementById('modalEditConnPostTxDelay').value = conn.postTxDelay || 0;
+        document.getElementById('modalEditConnBurstAllowance').value = conn.burstAllowance ?? DEFAULT_BURST_ALLOWANCE;
+        document.getElementById('modalEditConnEchoSuppression').checked = !!conn.echoSuppression;
 
-        if (this.selectedRegisters.length === 0) {
-            panels.forEach(panel => {
-                panel.querySelector('.value-editor__info').style.display = '';
-            });
-            return;
-        }
+        this.pendingEditConnectionId = conn.id;
+        this.ui.showModal('modalEditConnection');
+    }
 
-        const registers = this.selectedRegisters
-            .map(id => this.app.store.getRegister(id))
-            .filter(r => r)
-            .sort((a, b) => a.address - b.address);
+    handleUpdateConnection() {
+        if (!this.pendingEditConnectionId) return;
 
-        // Numeric tab - show each register as a card
-        const numericPanel = this.elements.valueEditorContent.querySelector('[data-panel="numeric"]');
-        if (registers.length > 0) {
-            numericPanel.querySelector('.value-editor__info').style.display = 'none';
-            for (const reg of registers) {
-                const card = document.createElement('div');
-                card.className = 'value-editor__card';
-                card.innerHTML = `
-                    <div class="value-editor__card-header">${reg.type} @ ${ValueInterpreter.toHexString(reg.address)}</div>
-                    <div class="value-editor__card-row"><span class="value-editor__card-label">Unsigned:</span><span class="value-editor__card-value">${ValueInterpreter.toUnsigned16(reg.value)}</span></div>
-                    <div class="value-editor__card-row"><span class="value-editor__card-label">Signed:</span><span class="value-editor__card-value">${ValueInterpreter.toSigned16(reg.value)}</span></div>
-                    <div class="value-editor__card-row"><span class="value-editor__card-label">Hex:</span><span class="value-editor__card-value">${ValueInterpreter.toHexString(reg.value)}</span></div>
-                    <div class="value-editor__card-row"><span class="value-editor__card-label">Binary:</span><span class="value-editor__card-value">${ValueInterpreter.toBinaryString(reg.value)}</span></div>
-                `;
-                this.elements.numericValues.appendChild(card);
+        const conn = this.store.getConnection(this.pendingEditConnectionId);
+        if (!conn) return;
+
+        let newSettings;
+        if (conn.type === 'tcp') {
+            try {
+                newSettings = this.readTcpSettings('modalEditConn');
+            } catch (error) {
+                this.ui.showNotification(error.message, 'error');
+                return;
             }
+            newSettings.portName = `TCP ${newSettings.host}:${newSettings.tcpPort}`;
+        } else if (conn.type === 'loopback') {
+            newSettings = { lineDelay: this.readLineDelay('modalEditConn') };
         } else {
-            numericPanel.querySelector('.value-editor__info').style.display = '';
+            newSettings = {
+                baudRate: parseInt(document.getElementById('modalEditConnBaudRate').value),
+                parity: document.getElementById('modalEditConnParity').value,
+                dataBits: parseInt(document.getElementById('modalEditConnDataBits').value),
+                stopBits: parseInt(document.getElementById('modalEditConnStopBits').value),
+                mode: document.getElementById('modalEditConnMode').value,
+                ...this.readAdapterSettings('modalEditConn')
+            };
         }
 
-        // Long tab - show pairs of consecutive registers as 32-bit long
-        const longPanel = this.elements.valueEditorContent.querySelector('[data-panel="long"]');
-        const longPairs = this.getConsecutivePairs(registers, 2);
-        if (longPairs.length > 0) {
-            longPanel.querySelector('.value-editor__info').style.display = 'none';
-            for (const pair of longPairs) {
-                const card = document.createElement('div');
-                card.className = 'value-editor__card';
-                card.innerHTML = `
-                    <div class="value-editor__card-header">${ValueInterpreter.toHexString(pair[0].address)} - ${ValueInterpreter.toHexString(pair[1].address)}</div>
-                    <div class="value-editor__card-row"><span class="value-editor__card-label">AB CD:</span><span class="value-editor__card-value">${ValueInterpreter.toLong32(pair[0].value, pair[1].value, 'ABCD')}</span></div>
-                    <div class="value-editor__card-row"><span class="value-editor__card-label">CD AB:</span><span class="value-editor__card-value">${ValueInterpreter.toLong32(pair[0].value, pair[1].value, 'CDAB')}</span></div>
-                `;
-                this.elements.longValues.appendChild(card);
-            }
-        } else {
-            longPanel.querySelector('.value-editor__info').style.display = '';
+        Object.assign(newSettings, this.readBusTiming('modalEditConn'));
+        try {
+            Object.assign(newSettings, this.readPolicySettings('modalEditConn'));
+        } catch (error) {
+            this.ui.showNotification(error.message, 'error');
+            return;
         }
 
-        // Float tab - show pairs of consecutive registers as 32-bit float
-        const floatPanel = this.elements.valueEditorContent.querySelector('[data-panel="float"]');
-        const floatPairs = this.getConsecutivePairs(registers, 2);
-        if (floatPairs.length > 0) {
-            floatPanel.querySelector('.value-editor__info').style.display = 'none';
-            for (const pair of floatPairs) {
-                const card = document.createElement('div');
-                card.className = 'value-editor__card';
-                card.innerHTML = `
-                    <div class="value-editor__card-header">${ValueInterpreter.toHexString(pair[0].address)} - ${ValueInterpreter.toHexString(pair[1].address)}</div>
-                    <div class="value-editor__card-row"><span class="value-editor__card-label">AB CD:</span><span class="value-editor__card-value">${ValueInterpreter.toFloat32(pair[0].value, pair[1].value, 'ABCD').toFixed(6)}</span></div>
-                    <div class="value-editor__card-row"><span class="value-editor__card-label">CD AB:</span><span class="value-editor__card-value">${ValueInterpreter.toFloat32(pair[0].value, pair[1].value, 'CDAB').toFixed(6)}</span></div>
-                    <div class="value-editor__card-row"><span class="value-editor__card-label">BA DC:</span><span class="value-editor__card-value">${ValueInterpreter.toFloat32(pair[0].value, pair[1].value, 'BADC').toFixed(6)}</span></div>
-                    <div class="value-editor__card-row"><span class="value-editor__card-label">DC BA:</span><span class="value-editor__card-value">${ValueInterpreter.toFloat32(pair[0].value, pair[1].value, 'DCBA').toFixed(6)}</span></div>
-                `;
-                this.elements.floatValues.appendChild(card);
-            }
-        } else {
-            floatPanel.querySelector('.value-editor__info').style.display = '';
+        // Update connection in store
+        Object.assign(conn, newSettings);
+        this.store.saveToLocalStorage();
+
+        // The queue picks up the new timing right away
+        const queue = this.queues.get(conn.id);
+        if (queue) {
+            queue.interFrameGap = conn.interFrameGap;
+            queue.turnaroundDelay = conn.turnaroundDelay;
         }
 
-        // Double tab - show groups of 4 consecutive registers as 64-bit double
-        const doublePanel = this.elements.valueEditorContent.querySelector('[data-panel="double"]');
-        const doubleGroups = this.getConsecutivePairs(registers, 4);
-        if (doubleGroups.length > 0) {
-            doublePanel.querySelector('.value-editor__info').style.display = 'none';
-            for (const group of doubleGroups) {
-                const card = document.createElement('div');
-                card.className = 'value-editor__card';
-                card.innerHTML = `
-                    <div class="value-editor__card-header">${ValueInterpreter.toHexString(group[0].address)} - ${ValueInterpreter.toHexString(group[3].address)}</div>
-                    <div class="value-editor__card-row"><span class="value-editor__card-label">Big-endian:</span><span class="value-editor__card-value">${ValueInterpreter.toFloat64(group[0].value, group[1].value, group[2].value, group[3].value, true).toFixed(10)}</span></div>
-                    <div class="value-editor__card-row"><span class="value-editor__card-label">Little-endian:</span><span class="value-editor__card-value">${ValueInterpreter.toFloat64(group[0].value, group[1].value, group[2].value, group[3].value, false).toFixed(10)}</span></div>
-                `;
-                this.elements.doubleValues.appendChild(card);
-            }
-        } else {
-            doublePanel.querySelector('.value-editor__info').style.display = '';
+        // Echo suppression only changes how received bytes are read, so it applies to an open port too
+        const transport = this.transports.get(conn.id);
+        if (transport instanceof SerialManager) {
+            transport.echoSuppression = !!conn.echoSuppression;
+            transport.pendingEcho = null;
         }
 
-        // String tab - show all selected registers as ASCII
-        const stringPanel = this.elements.valueEditorContent.querySelector('[data-panel="string"]');
-        if (registers.length > 0) {
-            stringPanel.querySelector('.value-editor__info').style.display = 'none';
-            const input = document.createElement('input');
-            input.type = 'text';
-            input.className = 'value-editor__string-input';
-            input.value = ValueInterpreter.toString(registers.map(r => r.value));
-            input.readOnly = true;
-            this.elements.stringValues.appendChild(input);
+        this.ui.hideModal('modalEditConnection');
+        this.ui.renderDeviceTree();
+        this.ui.updateStatusBar();
+
+        // If currently connected, notify that changes will apply on reconnect
+        if (conn.isConnected) {
+            this.ui.showNotification('Settings saved. Reconnect to apply changes.', 'info');
         } else {
-            stringPanel.querySelector('.value-editor__info').style.display = '';
+            this.ui.showNotification('Connection settings updated', 'success');
         }
     }
 
-    // Get groups of N consecutive registers
-    getConsecutivePairs(registers, size) {
-        const groups = [];
-        for (let i = 0; i <= registers.length - size; i++) {
-            let isConsecutive = true;
-            for (let j = 1; j < size; j++) {
-                if (registers[i + j].address !== registers[i + j - 1].address + 1) {
-                    isConsecutive = false;
-                    break;
-                }
-            }
-            if (isConsecutive) {
-                groups.push(registers.slice(i, i + size));
-                i += size - 1; // Skip to next group
-            }
-        }
-        return groups;
+    /**
+     * Count an error for the status bar, by kind
+     */
+    countError(error) {
+        let kind = 'other';
+        if (error instanceof ModbusExceptionError) kind = 'exception';
+        else if (error instanceof TimeoutError) kind = 'timeout';
+        else if (error instanceof CrcError) kind = 'crc';
+        else if (error instanceof UnexpectedResponseError) kind = 'unexpected';
+        else if (error instanceof FramingError) kind = 'framing';
+
+        this.errorCount++;
+        this.errorStats[kind]++;
     }
 
-    areConsecutive(registers) {
-        for (let i = 1; i < registers.length; i++) {
-            if (registers[i].address !== registers[i-1].address + 1) {
-                return false;
-            }
+    handleSerialError(error) {
+        let message = error.message;
+
+        if (error.name === 'NotFoundError') {
+            message = 'No port selected';
+        } else if (error.name === 'SecurityError') {
+            message = 'Access denied - check browser permissions';
+        } else if (error.name === 'NetworkError') {
+            message = 'Device disconnected or in use by another application';
         }
-        return true;
+
+        this.ui.showNotification(message, 'error');
+        this.countError(error);
+        this.ui.updateStatusBar();
     }
 
-    // ===== Traffic Log =====
-    updateTrafficLog(entry) {
-        const content = this.elements.trafficLogContent;
+    // ===== Slave Handlers =====
+    handleNewSlave() {
+        if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'connection') return;
+        document.getElementById('modalSlaveId').value = '1';
+        document.getElementById('modalSlaveAlias').value = '';
+        this.fillPolicySettings('modalSlave', {});
+        this.ui.showModal('modalNewSlave');
+    }
 
-        // Remove empty message if exists
-        const emptyMsg = content.querySelector('.traffic-log__empty');
-        if (emptyMsg) emptyMsg.remove();
+    handleAddSlave() {
+        if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'connection') return;
 
-        const div = document.createElement('div');
-        div.className = `traffic-log__entry traffic-log__entry--${entry.direction.toLowerCase()}`;
-        div.textContent = `[${entry.timestamp}] ${entry.direction}: ${entry.hexString}`;
+        const slaveId = parseInt(document.getElementById('modalSlaveId').value);
+        const alias = document.getElementById('modalSlaveAlias').value;
 
-        content.appendChild(div);
-        content.scrollTop = content.scrollHeight;
+        if (slaveId < 1 || slaveId > 247) {
+            this.ui.showNotification('Slave ID must be between 1 and 247', 'error');
+            return;
+        }
+
+        let policy;
+        try {
+            policy = this.readPolicySettings('modalSlave', true);
+        } catch (error) {
+            this.ui.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.store.addSlave(this.ui.selectedTreeItem.id, slaveId, alias, policy);
+        this.ui.hideModal('modalNewSlave');
+        this.ui.renderDeviceTree();
+        this.ui.showNotification(`Slave ${alias || slaveId} added`, 'success');
     }
 
-    clearTrafficLog() {
-        this.elements.trafficLogContent.innerHTML = '<div class="traffic-log__empty">No traffic logged yet.</div>';
-        this.elements.errorLogContent.innerHTML = '<div class="traffic-log__empty">No errors logged.</div>';
-        this.errorCount = 0;
-        this.elements.errorBadge.style.display = 'none';
+    handleEditSlave() {
+        if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'slave') return;
+
+        const slave = this.store.getSlave(this.ui.selectedTreeItem.id);
+        if (!slave) return;
+
+        document.getElementById('modalEditSlaveId').value = slave.slaveId;
+        document.getElementById('modalEditSlaveAlias').value = slave.alias;
+        document.getElementById('modalEditSlaveBitWrite').value = slave.bitWrite || 'auto';
+        this.fillPolicySettings('modalEditSlave', slave);
+        this.fillPolicySettings('modalEditSlave', slave, READ_PLAN);
+        this.ui.showModal('modalEditSlave');
     }
 
-    // ===== Error Log =====
-    addErrorLog(message) {
-        const content = this.elements.errorLogContent;
+    handleUpdateSlave() {
+        if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'slave') return;
 
-        // Remove empty message if exists
-        const emptyMsg = content.querySelector('.traffic-log__empty');
-        if (emptyMsg) emptyMsg.remove();
+        const slaveId = parseInt(document.getElementById('modalEditSlaveId').value);
+        const alias = document.getElementById('modalEditSlaveAlias').value;
+        const bitWrite = document.getElementById('modalEditSlaveBitWrite').value;
 
-        const timestamp = new Date().toLocaleTimeString();
-        const div = document.createElement('div');
-        div.className = 'traffic-log__entry traffic-log__entry--error';
-        div.textContent = `[${timestamp}] ${message}`;
+        if (slaveId < 1 || slaveId > 247) {
+            this.ui.showNotification('Slave ID must be between 1 and 247', 'error');
+            return;
+        }
 
-        content.appendChild(div);
-        content.scrollTop = content.scrollHeight;
+        let policy, readPlan;
+        try {
+            policy = this.readPolicySettings('modalEditSlave', true);
+            readPlan = this.readPolicySettings('modalEditSlave', true, READ_PLAN);
+        } catch (error) {
+            this.ui.showNotification(error.message, 'error');
+            return;
+        }
 
-        // Update error badge
-        this.errorCount = (this.errorCount || 0) + 1;
-        this.elements.errorBadge.textContent = this.errorCount;
-        this.elements.errorBadge.style.display = 'inline-block';
+        this.store.updateSlave(this.ui.selectedTreeItem.id, { slaveId, alias, bitWrite, ...policy, ...readPlan });
+        // New limits, or possibly a different device - plan from scratch
+        this.readPlanners.delete(this.ui.selectedTreeItem.id);
+        this.ui.hideModal('modalEditSlave');
+        this.ui.renderDeviceTree();
+        this.ui.showNotification('Slave updated', 'success');
+    }
 
-        // Auto-open traffic log with errors tab
-        this.elements.trafficLog.style.display = 'flex';
-        this.switchLogTab('errors');
+    // ===== Register Group Handlers =====
+    handleAddGroupFromContext(slaveId) {
+        document.getElementById('modalGroupName').value = '';
+        document.getElementById('modalPollingInterval').value = '1000';
+        document.getElementById('modalGroupRegType').value = '4x';
+        document.getElementById('modalGroupRegAddress').value = '40001';
+        document.getElementById('modalGroupRegQuantity').value = '10';
+        this.pendingGroupSlaveId = slaveId;
+        this.ui.showModal('modalNewGroup');
     }
 
-    switchLogTab(tabName) {
-        // Update tab buttons
-        this.elements.tabTraffic.classList.toggle('traffic-log__tab--active', tabName === 'traffic');
-        this.elements.tabErrors.classList.toggle('traffic-log__tab--active', tabName === 'errors');
+    handleAddGroup() {
+        const name = document.getElementById('modalGroupName').value;
+        const pollingInterval = parseInt(document.getElementById('modalPollingInterval').value) || 1000;
 
-        // Update content visibility
-        this.elements.trafficLogContent.classList.toggle('traffic-log__content--active', tabName === 'traffic');
-        this.elements.errorLogContent.classList.toggle('traffic-log__content--active', tabName === 'errors');
-    }
+        if (!name) {
+            this.ui.showNotification('Please enter a group name', 'error');
+            return;
+        }
+
+        // Create the group
+        const group = this.store.addRegisterGroup(this.pendingGroupSlaveId, name, pollingInterval);
 
-    // ===== Status Bar =====
-    updateStatusBar() {
-        const { statusConnection, statusSlave, statusLastPoll, statusErrors, statusMessages } = this.elements;
+        // Add registers if quantity > 0
+        const regType = document.getElementById('modalGroupRegType').value;
+        const regAddressStr = document.getElementById('modalGroupRegAddress').value;
+        const regQuantity = parseInt(document.getElementById('modalGroupRegQuantity').value) || 0;
 
-        // Connection status
-        let connText = 'Disconnected';
-        if (this.selectedTreeItem) {
-            let conn = null;
-            if (this.selectedTreeItem.type === 'connection') {
-                conn = this.app.store.getConnection(this.selectedTreeItem.id);
-            } else if (this.selectedTreeItem.type === 'slave') {
-                const slave = this.app.store.getSlave(this.selectedTreeItem.id);
-                conn = slave ? this.app.store.getConnection(slave.connectionId) : null;
-            } else if (this.selectedTreeItem.type === 'group') {
-                const group = this.app.store.getRegisterGroup(this.selectedTreeItem.id);
-                const slave = group ? this.app.store.getSlave(group.slaveId) : null;
-                conn = slave ? this.app.store.getConnection(slave.connectionId) : null;
+        if (regQuantity > 0 && regAddressStr) {
+            // Parse address (supports hex like 0x0000 or decimal like 40001)
+            let address;
+            if (regAddressStr.startsWith('0x') || regAddressStr.startsWith('0X')) {
+                address = parseInt(regAddressStr, 16);
+            } else {
+                address = ModbusMaster.convertAddress(regAddressStr, regType);
             }
 
-            if (conn && conn.isConnected) {
-                connText = `${conn.portName} (${conn.baudRate} ${conn.dataBits}${conn.parity.charAt(0).toUpperCase()}${conn.stopBits})`;
+            if (!isNaN(address)) {
+                const configs = [];
+                for (let i = 0; i < regQuantity; i++) {
+                    configs.push({
+                        type: regType,
+                        address: address + i,
+                        alias: ''
+                    });
+                }
+                this.store.addRegisters(group.id, configs);
             }
         }
-        statusConnection.textContent = connText;
 
-        // Slave info
-        let slaveText = '-';
-        if (this.selectedTreeItem) {
-            let slave = null;
-            if (this.selectedTreeItem.type === 'slave') {
-                slave = this.app.store.getSlave(this.selectedTreeItem.id);
-            } else if (this.selectedTreeItem.type === 'group') {
-                const group = this.app.store.getRegisterGroup(this.selectedTreeItem.id);
-                slave = group ? this.app.store.getSlave(group.slaveId) : null;
-            }
-            if (slave) {
-                slaveText = `${slave.alias} (ID: ${slave.slaveId})`;
-            }
-        }
-        statusSlave.textContent = slaveText;
+        this.ui.hideModal('modalNewGroup');
+        this.ui.renderDeviceTree();
 
-        statusErrors.textContent = this.app.errorCount;
-        statusMessages.textContent = this.app.messageCount;
-    }
+        // Select the new group
+        this.ui.selectedTreeItem = { type: 'group', id: group.id };
+        this.ui.onTreeItemSelected(this.ui.selectedTreeItem);
 
-    updateLastPoll() {
-        this.elements.statusLastPoll.textContent = 'Just now';
+        const regMsg = regQuantity > 0 ? ` with ${regQuantity} registers` : '';
+        this.ui.showNotification(`Register group "${name}" created${regMsg}`, 'success');
     }
 
-    // ===== Connection Status =====
-    updateConnectionStatus(connected, portName = '') {
-        const status = this.elements.connectionStatus;
-        status.classList.remove('connection-status--connected', 'connection-status--disconnected');
+    handleEditGroupFromContext(groupId) {
+        const group = this.store.getRegisterGroup(groupId);
+        if (!group) return;
 
-        if (connected) {
-            status.classList.add('connection-status--connected');
-            status.querySelector('.connection-status__text').textContent = `Connected to ${portName}`;
-            // Show polling status when connected
-            this.elements.pollingStatus.style.display = 'flex';
-        } else {
-            status.classList.add('connection-status--disconnected');
-            status.querySelector('.connection-status__text').textContent = 'Disconnected';
-            // Hide polling status when disconnected
-            this.elements.pollingStatus.style.display = 'none';
-        }
+        document.getElementById('modalEditGroupName').value = group.name;
+        document.getElementById('modalEditPollingInterval').value = group.pollingInterval;
+        this.pendingEditGroupId = groupId;
+        this.ui.showModal('modalEditGroup');
     }
 
-    updatePollingStatus(isPolling) {
-        const status = this.elements.pollingStatus;
-        status.classList.remove('polling-status--active', 'polling-status--inactive');
+    handleUpdateGroup() {
+        const name = document.getElementById('modalEditGroupName').value;
+        const pollingInterval = parseInt(document.getElementById('modalEditPollingInterval').value) || 1000;
 
-        if (isPolling) {
-            status.classList.add('polling-status--active');
-            status.querySelector('.polling-status__text').textContent = 'Polling';
-        } else {
-            status.classList.add('polling-status--inactive');
-            status.querySelector('.polling-status__text').textContent = 'Not Polling';
+        if (!name) {
+            this.ui.showNotification('Please enter a group name', 'error');
+            return;
         }
+
+        this.store.updateRegisterGroup(this.pendingEditGroupId, { name, pollingInterval });
+        this.ui.hideModal('modalEditGroup');
+        this.ui.renderDeviceTree();
+        this.ui.showNotification('Group updated', 'success');
     }
 
-    // ===== Slave Mode UI =====
-    renderSlaveRegisterTable(type = null) {
-        const container = this.elements.registerColumns;
-        const selectedType = type || this.app.selectedRegisterMapType || 'holdingRegisters';
+    // ===== Register Handlers =====
+    handleAddRegisterFromContext(groupId) {
+        document.getElementById('modalRegisterType').value = '4x';
+        document.getElementById('modalRegisterAddress').value = '';
+        document.getElementById('modalRegisterAlias').value = '';
+        document.getElementById('modalRegisterQuantity').value = '1';
+        document.getElementById('modalRegisterComment').value = '';
+        this.pendingRegisterGroupId = groupId;
+        this.ui.showModal('modalAddRegister');
+    }
 
-        // Get registers for the selected type
-        const registers = this.app.modbusSlave.getAccessStats(selectedType);
+    handleAddRegister() {
+        const type = document.getElementById('modalRegisterType').value;
+        const addressStr = document.getElementById('modalRegisterAddress').value;
+        const alias = document.getElementById('modalRegisterAlias').value;
+        const quantity = parseInt(document.getElementById('modalRegisterQuantity').value) || 1;
+        const comment = document.getElementById('modalRegisterComment').value;
 
-        if (registers.length === 0) {
-            container.innerHTML = `
-                <div class="register-table__empty-column">
-                    <p>No registers configured for this type.</p>
-                    <p>Click "Add Register Range" to add registers.</p>
-                </div>
-            `;
-            this.elements.registerTableEmpty.style.display = 'none';
+        if (!addressStr) {
+            this.ui.showNotification('Please enter an address', 'error');
             return;
         }
 
-        this.elements.registerTableEmpty.style.display = 'none';
-
-        // Determine if this is a bit type (coils/discrete inputs)
-        const isBitType = selectedType === 'coils' || selectedType === 'discreteInputs';
-
-        // Build table with columns (10 rows per column)
-        const rowsPerColumn = 10;
-        const numColumns = Math.ceil(registers.length / rowsPerColumn);
-
-        let html = '';
-
-        for (let col = 0; col < numColumns; col++) {
-            html += '<div class="register-table__column">';
-            html += '<table class="register-table">';
-            html += '<thead><tr>';
-            html += '<th>Address</th>';
-            html += '<th>Value</th>';
-            html += '<th>Reads</th>';
-            html += '<th>Writes</th>';
-            html += '<th>Last Access</th>';
-            html += '</tr></thead>';
-            html += '<tbody>';
+        // Parse address (supports hex like 0x0000 or decimal like 40001)
+        let address;
+        if (addressStr.startsWith('0x') || addressStr.startsWith('0X')) {
+            address = parseInt(addressStr, 16);
+        } else {
+            address = ModbusMaster.convertAddress(addressStr, type);
+        }
 
-            const startIdx = col * rowsPerColumn;
-            const endIdx = Math.min(startIdx + rowsPerColumn, registers.length);
+        if (quantity > 125) {
+            this.ui.showNotification('Maximum 125 registers per group', 'error');
+            return;
+        }
 
-            for (let i = startIdx; i < endIdx; i++) {
-                const reg = registers[i];
-                const lastAccess = reg.lastAccess ? this.formatTimeAgo(reg.lastAccess) : '-';
+        // Add multiple registers if quantity > 1
+        const configs = [];
+        for (let i = 0; i < quantity; i++) {
+            configs.push({
+                type,
+                address: address + i,
+                alias: quantity === 1 ? alias : (alias ? `${alias}_${i}` : ''),
+                comment: i === 0 ? comment : ''
+            });
+        }
 
-                html += `<tr class="register-table__row" data-address="${reg.address}" data-type="${selectedType}">`;
-                html += `<td class="register-table__cell">${reg.address}</td>`;
+        this.store.addRegisters(this.pendingRegisterGroupId, configs);
+        this.ui.hideModal('modalAddRegister');
+        this.ui.renderRegisterTable(this.pendingRegisterGroupId);
+        this.ui.showNotification(`${quantity} register(s) added`, 'success');
+    }
 
-                if (isBitType) {
-                    html += `<td class="register-table__cell register-table__cell--value">
-                        <span class="register-value register-value--${reg.value ? 'on' : 'off'}">${reg.value ? 'ON' : 'OFF'}</span>
-                    </td>`;
-                } else {
-                    html += `<td class="register-table__cell register-table__cell--value">${reg.value}</td>`;
+    // ===== Context Menu Handler =====
+    handleContextMenuAction(action, itemType, itemId) {
+        switch (action) {
+            case 'connect':
+                this.ui.selectedTreeItem = { type: itemType, id: itemId };
+                this.handleOpenConnection();
+                break;
+            case 'disconnect':
+                this.ui.selectedTreeItem = { type: itemType, id: itemId };
+                this.handleCloseConnection();
+                break;
+            case 'scanBus':
+                this.showScanBusModal(itemId);
+                break;
+            case 'rawConsole':
+                this.showRawConsoleModal(itemId);
+                break;
+            case 'broadcast':
+                this.showBroadcastModal(itemId);
+                break;
+            case 'discoverRegisters':
+                this.showDiscoverRegistersModal(itemId);
+                break;
+            case 'deviceInfo':
+                this.showDeviceInfoModal(itemId);
+                break;
+            case 'diagnostics':
+                this.showDiagnosticsModal(itemId);
+                break;
+            case 'fileRecords':
+                this.showFileRecordsModal(itemId);
+                break;
+            case 'readFifo':
+                this.showFifoModal(itemId);
+                break;
+            case 'reportServerId':
+                this.showServerIdModal(itemId);
+                break;
+            case 'remove':
+                if (confirm('Are you sure you want to remove this connection?')) {
+                    const conn = this.store.getConnection(itemId);
+                    if (conn) {
+                        this.pendingReconnects.delete(conn.id);
+                        this.releaseTransport(conn).catch(error => console.error('Error closing transport:', error));
+                    }
+                    this.store.removeConnection(itemId);
+                    this.ui.renderDeviceTree();
+                    this.ui.showNotification('Connection removed', 'info');
                 }
-
-                html += `<td class="register-table__cell register-table__cell--access-count">${reg.readCount}</td>`;
-                html += `<td class="register-table__cell register-table__cell--access-count">${reg.writeCount}</td>`;
-                html += `<td class="register-table__cell register-table__cell--last-access">${lastAccess}</td>`;
-                html += '</tr>';
-            }
-
-            html += '</tbody></table></div>';
+                break;
+            case 'edit':
+                if (itemType === 'slave') {
+                    this.ui.selectedTreeItem = { type: itemType, id: itemId };
+                    this.handleEditSlave();
+                } else if (itemType === 'group') {
+                    this.handleEditGroupFromContext(itemId);
+                }
+                break;
+            case 'delete':
+                if (itemType === 'slave') {
+                    if (confirm('Are you sure you want to delete this slave?')) {
+                        this.store.removeSlave(itemId);
+                        this.ui.renderDeviceTree();
+                        this.ui.showNotification('Slave deleted', 'info');
+                    }
+                } else if (itemType === 'group') {
+                    if (confirm('Are you sure you want to delete this register group?')) {
+                        this.store.removeRegisterGroup(itemId);
+                        this.ui.renderDeviceTree();
+                        this.ui.showNotification('Group deleted', 'info');
+                    }
+                }
+                break;
+            case 'newGroup':
+                this.handleAddGroupFromContext(itemId);
+                break;
+            case 'addRegister':
+                this.handleAddRegisterFromContext(itemId);
+                break;
+            case 'refresh':
+                this.ui.selectedTreeItem = { type: 'group', id: itemId };
+                this.handleRefreshRegisters();
+                break;
+            case 'startPolling':
+                this.startPollingGroup(itemId);
+                this.ui.refreshConnectionStatus();
+                break;
+            case 'stopPolling':
+                this.stopPollingGroup(itemId);
+                this.ui.renderDeviceTree();
+                this.ui.refreshConnectionStatus();
+                this.ui.showNotification('Polling stopped', 'info');
+                break;
         }
-
-        container.innerHTML = html;
-
-        // Add click handlers for editing values
-        container.querySelectorAll('.register-table__row').forEach(row => {
-            row.addEventListener('dblclick', () => {
-                const address = parseInt(row.dataset.address);
-                const regType = row.dataset.type;
-                this.showSlaveRegisterEditDialog(regType, address);
-            });
-        });
     }
 
-    formatTimeAgo(date) {
-        const seconds = Math.floor((new Date() - date) / 1000);
-        if (seconds < 5) return 'Just now';
-        if (seconds < 60) return `${seconds}s ago`;
-        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
-        return `${Math.floor(seconds / 3600)}h ago`;
+    // ===== Bus Scanner =====
+    showScanBusModal(connectionId) {
+        this.pendingScanConnectionId = connectionId;
+        this.ui.clearScanResults();
+        document.getElementById('btnAddScanned').disabled = true;
+        this.ui.showModal('modalScanBus');
     }
 
-    showSlaveRegisterEditDialog(type, address) {
-        const currentValue = this.app.modbusSlave.getRegister(type, address);
-        const isBitType = type === 'coils' || type === 'discreteInputs';
+    async handleStartScan() {
+        const conn = this.store.getConnection(this.pendingScanConnectionId);
+        if (!conn || !conn.isConnected) {
+            this.ui.showNotification('Not connected', 'error');
+            return;
+        }
 
-        let newValue;
-        if (isBitType) {
-            // Toggle for bit types
-            newValue = currentValue ? 0 : 1;
-        } else {
-            // Prompt for register types
-            const input = prompt(`Enter new value for ${type} address ${address}:`, currentValue);
-            if (input === null) return;
-            newValue = parseInt(input);
-            if (isNaN(newValue) || newValue < 0 || newValue > 65535) {
-                this.showNotification('Invalid value. Must be 0-65535.', 'error');
-                return;
-            }
+        const from = parseInt(document.getElementById('modalScanFrom').value);
+        const to = parseInt(document.getElementById('modalScanTo').value);
+        const probe = document.getElementById('modalScanProbe').value;
+        const timeout = parseInt(document.getElementById('modalScanTimeout').value) || 200;
+
+        if (isNaN(from) || isNaN(to) || from < 1 || to > 247 || from > to) {
+            this.ui.showNotification('Scan range must be within 1-247', 'error');
+            return;
         }
 
-        this.app.modbusSlave.setRegister(type, address, newValue);
-        this.renderSlaveRegisterTable(type);
-        this.showNotification(`Updated ${type} address ${address} to ${newValue}`, 'success');
-    }
+        if (this.scanController) {
+            this.scanController.abort();
+        }
+        const controller = new AbortController();
+        this.scanController = controller;
 
-    flashRegisterAccess(type, startAddress, quantity, accessType) {
-        const container = this.elements.registerColumns;
-        const flashClass = accessType === 'read' ? 'register-table__row--read-flash' : 'register-table__row--write-flash';
+        const btnStart = document.getElementById('btnStartScan');
+        const btnStop = document.getElementById('btnStopScan');
+        const btnAdd = document.getElementById('btnAddScanned');
+        btnStart.style.display = 'none';
+        btnStop.style.display = '';
+        btnAdd.disabled = true;
+        this.ui.clearScanResults();
 
-        for (let i = 0; i < quantity; i++) {
-            const addr = startAddress + i;
-            const row = container.querySelector(`[data-address="${addr}"][data-type="${type}"]`);
-            if (row) {
-                row.classList.remove('register-table__row--read-flash', 'register-table__row--write-flash');
-                // Force reflow
-                void row.offsetWidth;
-                row.classList.add(flashClass);
+        const existing = new Set(this.store.getSlavesForConnection(conn.id).map(s => s.slaveId));
+        let foundCount = 0;
 
-                // Remove class after animation
-                setTimeout(() => {
-                    row.classList.remove(flashClass);
-                }, 500);
+        const scanner = new BusScanner((frame, options) => this.transact(conn, frame, options));
+        scanner.onProgress = (slaveId, done, total) => {
+            const text = slaveId !== null
+                ? `Probing ID ${slaveId} (${done + 1}/${total}) - ${foundCount} found`
+                : `${controller.signal.aborted ? 'Stopped' : 'Finished'} - ${foundCount} device(s) found`;
+            this.ui.updateScanProgress(done, total, text);
+        };
+        scanner.onFound = (device) => {
+            foundCount++;
+            this.ui.addScanResult(device, existing.has(device.slaveId));
+        };
+
+        try {
+            await scanner.scan({ from, to, probe, timeout, signal: controller.signal });
+        } catch (error) {
+            this.ui.showNotification(`Scan failed: ${error.message}`, 'error');
+        } finally {
+            if (this.scanController === controller) {
+                this.scanController = null;
+                btnStart.style.display = '';
+                btnStop.style.display = 'none';
+                btnAdd.disabled = !document.querySelector('#scanResults input:checked:not(:disabled)');
             }
         }
     }
 
-    updateSlaveStats() {
-        const stats = this.app.modbusSlave.getTotalStats();
-        this.elements.statusMessages.textContent = stats.totalReads + stats.totalWrites;
+    /**
+     * Stop work a modal started once it is closed - nobody is watching it any more,
+     * and it would hold the connection's queue
+     */
+    handleModalClosed(modalId) {
+        switch (modalId) {
+            case 'modalScanBus':
+                this.handleStopScan();
+                break;
+            case 'modalDiscoverRegisters':
+                this.handleStopDiscover();
+                break;
+            case 'modalFileRecords':
+                this.handleStopFileRecords();
+                break;
+            case 'modalNewConnection':
+                // Detection would keep the port busy trying every setting
+                this.handleStopDetect();
+                this.detectTransport = null;
+                break;
+        }
+    }
 
-        // Update last access time
-        this.elements.statusLastPoll.textContent = 'Just now';
+    handleStopScan() {
+        if (this.scanController) {
+            this.scanController.abort();
+        }
     }
-}
 
-// ============================================
-// Main Application
-// ============================================
-class ModbusEmulator {
-    constructor() {
-        this.store = new Store();
-        this.serialManager = new SerialManager();
-        this.trafficLogger = new TrafficLogger();
-        this.modbusSlave = new ModbusSlave();
-        this.ui = null;
-        this.currentConnection = null;
-        this.currentSlave = null;
-        this.errorCount = 0;
-        this.messageCount = 0;
-        this.currentMode = 'master'; // 'master' or 'slave'
-        this.slaveServerRunning = false;
-        this.slaveReadLoop = null;
+    handleAddScanned() {
+        const conn = this.store.getConnection(this.pendingScanConnectionId);
+        if (!conn) return;
 
-        this.init();
+        const checked = document.querySelectorAll('#scanResults input:checked:not(:disabled)');
+        for (const checkbox of checked) {
+            const slaveId = parseInt(checkbox.value);
+            this.store.addSlave(conn.id, slaveId, `Device ${slaveId}`);
+        }
+
+        this.ui.hideModal('modalScanBus');
+        this.ui.renderDeviceTree();
+        this.ui.showNotification(`Added ${checked.length} slave(s)`, 'success');
     }
 
-    async init() {
-        // Check browser support
-        if (!SerialManager.isSupported()) {
-            document.getElementById('browser-warning').style.display = 'flex';
-        }
+    // ===== Bus Monitor =====
+    showBusMonitorModal() {
+        this.ui.renderMonitorTables(this.sniffer ? this.sniffer.values : new Map());
+        this.ui.showModal('modalBusMonitor');
+    }
 
-        // Load saved data
-        this.store.loadFromLocalStorage();
+    async handleStartMonitor() {
+        if (this.monitorTransport) return;
 
-        // Initialize UI
-        this.ui = new UIManager(this);
+        const settings = {
+            baudRate: parseInt(document.getElementById('modalMonitorBaudRate').value),
+            parity: document.getElementById('modalMonitorParity').value,
+            dataBits: parseInt(document.getElementById('modalMonitorDataBits').value),
+            stopBits: parseInt(document.getElementById('modalMonitorStopBits').value),
+            mode: 'rtu'
+        };
 
-        // Set up event listeners
-        this.setupEventListeners();
+        // Keep values collected by an earlier session
+        const sniffer = this.sniffer || new BusSniffer();
+        const transport = new SerialManager();
 
-        // Initial render
-        this.ui.renderDeviceTree();
+        try {
+            await transport.requestPort();
+            sniffer.configure(settings.baudRate, settings.parity, settings.dataBits, settings.stopBits);
+            transport.onReceive = (bytes) => sniffer.push(bytes);
+            transport.onDisconnect = () => {
+                this.ui.showNotification('Bus monitor port was disconnected', 'error');
+                this.handleStopMonitor();
+            };
+            await transport.open(settings);
+        } catch (error) {
+            this.handleSerialError(error);
+            return;
+        }
 
-        // Set up traffic logger callback
-        this.trafficLogger.onUpdate = (entry) => {
-            this.ui.updateTrafficLog(entry);
+        const port = `${transport.getPortName()} monitor`;
+        this.monitorStats = { transactions: 0, unanswered: 0, bad: 0, port };
+        sniffer.onTransaction = (transaction) => this.logSniffedTransaction(transaction, port);
+        sniffer.onBadFrame = (frame) => {
+            this.monitorStats.bad++;
+            this.trafficLogger.log('BAD', frame, true, 'not a valid RTU frame (CRC)', port);
+            this.updateMonitorStatus();
         };
 
-        // Handle unexpected disconnection
-        this.serialManager.onDisconnect = () => {
-            this.handleUnexpectedDisconnect();
-        };
+        this.sniffer = sniffer;
+        this.monitorTransport = transport;
+        document.getElementById('btnStartMonitor').style.display = 'none';
+        document.getElementById('btnStopMonitor').style.display = '';
+        this.updateMonitorStatus();
+        this.ui.showNotification(`Listening on ${transport.getPortName()}`, 'success');
+    }
 
-        // Handle page unload
-        window.addEventListener('beforeunload', () => {
-            this.store.saveToLocalStorage();
-        });
+    async handleStopMonitor() {
+        const transport = this.monitorTransport;
+        if (!transport) return;
 
-        console.log('Modbus RTU Master Emulator initialized');
+        this.monitorTransport = null;
+        this.sniffer.flush();
+        await transport.close();
+
+        document.getElementById('btnStartMonitor').style.display = '';
+        document.getElementById('btnStopMonitor').style.display = 'none';
+        this.updateMonitorStatus();
     }
 
-    handleUnexpectedDisconnect() {
-        // Stop all polling
-        for (const group of this.store.registerGroups) {
-            if (group.autoPolling) {
-                this.store.stopPolling(group.id);
-            }
+    handleClearMonitor() {
+        if (this.sniffer) {
+            this.sniffer.clearValues();
         }
+        this.ui.renderMonitorTables(new Map());
+    }
+
+    /**
+     * Write a decoded request/reply pair to the traffic log and refresh the live values
+     */
+    logSniffedTransaction(transaction, port) {
+        const stats = this.monitorStats;
+        stats.transactions++;
 
-        // Update connection state
-        if (this.currentConnection) {
-            this.currentConnection.isConnected = false;
-            this.currentConnection = null;
+        this.trafficLogger.log('REQ', transaction.request, null, BusSniffer.describeRequest(transaction), port);
+        if (transaction.response) {
+            const isException = transaction.exception !== null;
+            this.trafficLogger.log('RSP', transaction.response, isException || null, BusSniffer.describeResponse(transaction), port);
+        } else if (transaction.slaveId !== 0) {
+            stats.unanswered++;
+            this.trafficLogger.logError(`No reply from slave ${transaction.slaveId}`, port);
         }
 
-        // Update UI
-        this.ui.renderDeviceTree();
-        this.ui.updateConnectionStatus(false);
-        this.ui.updatePollingStatus(false);
-        this.ui.showNotification('Connection lost - port was disconnected', 'error');
-    }
+        this.updateMonitorStatus();
 
-    setupEventListeners() {
-        const { elements } = this.ui;
+        // Redraw the live tables at most a few times a second
+        if (!this.monitorRenderTimer) {
+            this.monitorRenderTimer = setTimeout(() => {
+                this.monitorRenderTimer = null;
+                this.ui.renderMonitorTables(this.sniffer.values);
+            }, 250);
+        }
+    }
 
-        // Toolbar buttons
-        elements.btnNewConnection.addEventListener('click', () => this.handleNewConnection());
-        elements.btnNewSlave.addEventListener('click', () => this.handleNewSlave());
-        elements.btnOpenConnection.addEventListener('click', () => this.handleOpenConnection());
-        elements.btnCloseConnection.addEventListener('click', () => this.handleCloseConnection());
-        elements.btnEditConnection.addEventListener('click', () => this.handleEditConnection());
-        elements.btnEditSlave.addEventListener('click', () => this.handleEditSlave());
-        elements.btnAddConnectionSidebar.addEventListener('click', () => this.handleNewConnection());
+    updateMonitorStatus() {
+        const stats = this.monitorStats;
+        const status = document.getElementById('monitorStatus');
+        if (!stats) {
+            status.textContent = 'Not monitoring';
+            return;
+        }
 
-        // Action bar
-        elements.btnTrafficLog.addEventListener('click', () => this.toggleTrafficLog());
-        elements.btnAddRegisters.addEventListener('click', () => this.handleAddRegistersButton());
-        elements.btnRefreshRegisters.addEventListener('click', () => this.handleRefreshRegisters());
-        elements.btnResetRegisters.addEventListener('click', () => this.handleResetRegisters());
-        elements.btnAutoPoll.addEventListener('click', () => this.handleToggleAutoPoll());
-        elements.btnToggleComments.addEventListener('click', () => this.ui.handleToggleComments());
+        const counts = `${stats.transactions} transaction(s), ${stats.unanswered} unanswered, ${stats.bad} bad frame(s)`;
+        status.textContent = this.monitorTransport
+            ? `Listening on ${stats.port} - ${counts}`
+            : `Stopped - ${counts}`;
+    }
 
-        // Traffic log
-        elements.btnClearLog.addEventListener('click', () => {
-            this.trafficLogger.clear();
-            this.ui.clearTrafficLog();
-        });
-        elements.btnPauseLog.addEventListener('click', () => {
-            if (this.trafficLogger.isPaused) {
-                this.trafficLogger.resume();
-                elements.btnPauseLog.textContent = 'Pause';
-            } else {
-                this.trafficLogger.pause();
-                elements.btnPauseLog.textContent = 'Resume';
-            }
-        });
-        elements.btnCopyLog.addEventListener('click', () => {
-            navigator.clipboard.writeText(this.trafficLogger.export());
-            this.ui.showNotification('Traffic log copied to clipboard', 'success');
-        });
-        elements.btnCloseLog.addEventListener('click', () => this.toggleTrafficLog());
-        elements.tabTraffic.addEventListener('click', () => this.ui.switchLogTab('traffic'));
-        elements.tabErrors.addEventListener('click', () => this.ui.switchLogTab('errors'));
+    // ===== Raw Frame Console =====
+    showRawConsoleModal(connectionId) {
+        const conn = this.store.getConnection(connectionId);
+        if (!conn) return;
 
-        // Value editor tabs
-        elements.valueEditor.querySelectorAll('.value-editor__tab').forEach(tab => {
-            tab.addEventListener('click', () => {
-                elements.valueEditor.querySelectorAll('.value-editor__tab').forEach(t => t.classList.remove('value-editor__tab--active'));
-                elements.valueEditor.querySelectorAll('.value-editor__panel').forEach(p => p.classList.remove('value-editor__panel--active'));
+        this.pendingRawConsoleConnId = connectionId;
+        document.getElementById('rawConsoleTitle').textContent = `⌨️ Raw Frame Console - ${conn.portName}`;
+        document.getElementById('rawReply').textContent = '';
+        this.updateRawFramePreview();
+        this.ui.renderFrameHistory(this.store.frameHistory);
+        this.ui.showModal('modalRawConsole');
+    }
 
-                tab.classList.add('value-editor__tab--active');
-                const panelName = tab.dataset.tab;
-                elements.valueEditor.querySelector(`[data-panel="${panelName}"]`).classList.add('value-editor__panel--active');
-            });
-        });
+    /**
+     * Bytes from hex text such as "01 03 00 00 00 0A", "0x01,0x03" or "0103"; null if not valid hex
+     */
+    parseHexBytes(text) {
+        const digits = text.replace(/0x/gi, '').replace(/[\s,;:-]+/g, '');
+        if (digits === '' || digits.length % 2 !== 0 || /[^0-9a-f]/i.test(digits)) {
+            return null;
+        }
 
-        // Value editor toggle
-        elements.valueEditorToggle.addEventListener('click', () => {
-            elements.valueEditor.classList.toggle('collapsed');
-        });
+        const bytes = new Uint8Array(digits.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(digits.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
 
-        // Value editor resize
-        let isResizingEditor = false;
-        let editorStartY = 0;
-        let editorStartHeight = 0;
+    /**
+     * Show the frame as it will go out, CRC included
+     */
+    updateRawFramePreview() {
+        const preview = document.getElementById('rawFramePreview');
+        const bytes = this.parseHexBytes(document.getElementById('modalRawFrame').value);
+
+        if (!bytes) {
+            preview.textContent = 'Enter slave ID, function code and data as hex bytes';
+        } else if (bytes.length < 2 || bytes.length > 254) {
+            preview.textContent = 'A frame needs 2-254 bytes before the CRC';
+        } else {
+            preview.textContent = `With CRC: ${ValueInterpreter.toHexBytes(ModbusMaster.appendCRC(bytes))}`;
+        }
+    }
 
-        elements.valueEditorResize.addEventListener('mousedown', (e) => {
-            isResizingEditor = true;
-            editorStartY = e.clientY;
-            editorStartHeight = elements.valueEditor.offsetHeight;
-            document.body.style.cursor = 'ns-resize';
-            document.body.style.userSelect = 'none';
-            e.preventDefault();
-        });
+    loadRawFrame(hex) {
+        document.getElementById('modalRawFrame').value = hex;
+        this.updateRawFramePreview();
+    }
 
-        document.addEventListener('mousemove', (e) => {
-            if (!isResizingEditor) return;
-            const deltaY = editorStartY - e.clientY;
-            const newHeight = Math.max(100, Math.min(window.innerHeight * 0.6, editorStartHeight + deltaY));
-            elements.valueEditor.style.height = newHeight + 'px';
-        });
+    /**
+     * Send the frame in the editor (or a history entry) through the connection's queue
+     */
+    async handleSendRawFrame(hex = null) {
+        const conn = this.store.getConnection(this.pendingRawConsoleConnId);
+        if (!conn || !conn.isConnected) {
+            this.ui.showNotification('Not connected', 'error');
+            return;
+        }
 
-        document.addEventListener('mouseup', () => {
-            if (isResizingEditor) {
-                isResizingEditor = false;
-                document.body.style.cursor = '';
-                document.body.style.userSelect = '';
-            }
-        });
+        if (hex !== null) {
+            this.loadRawFrame(hex);
+        }
+        const bytes = this.parseHexBytes(document.getElementById('modalRawFrame').value);
+        if (!bytes || bytes.length < 2 || bytes.length > 254) {
+            this.ui.showNotification('Enter 2-254 hex bytes (slave ID, function code, data)', 'error');
+            return;
+        }
 
-        // Dark mode toggle
-        elements.btnDarkMode.addEventListener('click', () => {
-            document.body.dataset.theme = document.body.dataset.theme === 'dark' ? '' : 'dark';
-            elements.btnDarkMode.querySelector('span').textContent = document.body.dataset.theme === 'dark' ? '☀️' : '🌙';
-        });
+        const frame = ModbusMaster.appendCRC(bytes);
+        const reply = document.getElementById('rawReply');
+        reply.textContent = `TX ${ValueInterpreter.toHexBytes(frame)}\nWaiting for reply...`;
 
-        // Sidebar resizer
-        let isResizing = false;
-        elements.sidebarResizer.addEventListener('mousedown', (e) => {
-            isResizing = true;
-            elements.sidebarResizer.classList.add('active');
-        });
+        this.store.addFrameToHistory(ValueInterpreter.toHexBytes(bytes));
+        this.ui.renderFrameHistory(this.store.frameHistory);
 
-        document.addEventListener('mousemove', (e) => {
-            if (!isResizing) return;
-            const newWidth = e.clientX;
-            if (newWidth >= 200 && newWidth <= 500) {
-                elements.sidebar.style.width = `${newWidth}px`;
+        try {
+            // A hand-crafted frame gets one try - a bad reply is shown as it arrived, not retried
+            const response = await this.transact(conn, frame, { priority: 'write', retries: 0 });
+            reply.textContent = `TX ${ValueInterpreter.toHexBytes(frame)}\n` + (response
+                ? `RX ${ValueInterpreter.toHexBytes(response)}\n\n${this.describeRawReply(frame, response)}`
+                : 'Broadcast - no reply expected');
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            this.trafficLogger.logError(error.message, conn.portName);
+            this.countError(error);
+            // Corrupt, mismatched or badly framed replies still carry the bytes that arrived
+            const received = error.response || error.data;
+            reply.textContent = `TX ${ValueInterpreter.toHexBytes(frame)}\n` +
+                (received ? `RX ${ValueInterpreter.toHexBytes(received)}\n` : '') +
+                `Failed: ${error.message}`;
+        } finally {
+            this.ui.updateStatusBar();
+        }
+    }
+
+    handleClearFrameHistory() {
+        this.store.clearFrameHistory();
+        this.ui.renderFrameHistory(this.store.frameHistory);
+    }
+
+    /**
+     * Decode a raw console reply with the parser for its function code, if there is one
+     */
+    describeRawReply(request, response) {
+        const functionCode = response[1] & 0x7F;
+        const name = FUNCTION_NAMES[functionCode];
+        if (response[1] & 0x80) {
+            const exception = MODBUS_EXCEPTIONS[response[2]] || `0x${response[2].toString(16)}`;
+            return `${name || `FC${functionCode}`}: Exception: ${exception}`;
+        }
+        if (!name) {
+            return `Unknown function code ${ValueInterpreter.toHexString(functionCode, 8)} - not decoded`;
+        }
+        const modbus = new ModbusMaster(request[0]);
+        let detail;
+        try {
+            switch (functionCode) {
+                case FUNCTION_CODES.DIAGNOSTICS: {
+                    const subFunction = (request[2] << 8) | request[3];
+                    const data = modbus.parseDiagnosticsResponse(response, subFunction);
+                    detail = `sub-function ${ValueInterpreter.toHexString(subFunction)}, data ${ValueInterpreter.toHexString(data)} (${data})`;
+                    break;
+                }
+                case FUNCTION_CODES.GET_COMM_EVENT_COUNTER: {
+                    const result = modbus.parseCommEventCounterResponse(response);
+                    detail = `event count ${result.eventCount}${result.busy ? ' (busy)' : ''}`;
+                    break;
+                }
+                case FUNCTION_CODES.GET_COMM_EVENT_LOG: {
+                    const result = modbus.parseCommEventLogResponse(response);
+                    detail = `${result.eventCount} event(s), ${result.messageCount} message(s)` +
+                        result.events.map(event => `\n  ${ModbusMaster.describeCommEvent(event)}`).join('');
+                    break;
+                }
+                case FUNCTION_CODES.REPORT_SERVER_ID: {
+                    const result = modbus.parseReportServerIdResponse(response);
+                    detail = `server ID ${ValueInterpreter.toHexString(result.serverId, 8)}, run indicator ` +
+                        (result.runIndicator === 0xFF ? 'ON' : result.runIndicator === 0x00 ? 'OFF' : ValueInterpreter.toHexString(result.runIndicator, 8));
+                    break;
+                }
+                case FUNCTION_CODES.READ_FILE_RECORD:
+                    detail = modbus.parseReadFileRecordResponse(response)
+                        .map((values, i) => `sub-request ${i + 1}: ${values.join(', ')}`).join('; ');
+                    break;
+                case FUNCTION_CODES.READ_FIFO_QUEUE: {
+                    const values = modbus.parseReadFifoQueueResponse(response);
+                    detail = `${values.length} queued: ${values.join(', ')}`;
+                    break;
+                }
+                case FUNCTION_CODES.ENCAPSULATED_INTERFACE: {
+                    const result = modbus.parseDeviceIdResponse(response);
+                    detail = result.objects.map(object => `\n  ${DEVICE_ID_OBJECTS[object.id] || `Object ${ValueInterpreter.toHexString(object.id, 8)}`}: ${object.value}`).join('') +
+                        (result.moreFollows ? `\n  more follows from ${ValueInterpreter.toHexString(result.nextObjectId, 8)}` : '');
+                    break;
+                }
+                default:
+                    detail = BusSniffer.describeResponse(BusSniffer.decode(request, response));
             }
-        });
+        } catch (error) {
+            detail = error.message;
+        }
 
-        document.addEventListener('mouseup', () => {
-            isResizing = false;
-            elements.sidebarResizer.classList.remove('active');
-        });
+        return `${name}: ${detail}`;
+    }
 
-        // Modal close buttons
-        document.querySelectorAll('[data-modal-close]').forEach(btn => {
-            btn.addEventListener('click', () => this.ui.hideAllModals());
-        });
+    // ===== Broadcast Writes =====
+    showBroadcastModal(connectionId) {
+        const conn = this.store.getConnection(connectionId);
+        if (!conn) return;
 
-        // Modal overlay clicks
-        document.querySelectorAll('.modal__overlay').forEach(overlay => {
-            overlay.addEventListener('click', () => this.ui.hideAllModals());
-        });
+        this.pendingBroadcastConnId = connectionId;
+        document.getElementById('broadcastTitle').textContent = `📢 Broadcast - ${conn.portName}`;
+        document.getElementById('broadcastStatus').textContent =
+            `Nothing sent yet - the bus stays quiet for ${conn.turnaroundDelay ?? DEFAULT_TURNAROUND_DELAY} ms after each broadcast`;
+        this.ui.showModal('modalBroadcast');
+    }
 
-        // Context menu actions
-        elements.contextMenu.querySelectorAll('.context-menu__item').forEach(item => {
-            item.addEventListener('click', () => {
-                const action = item.dataset.action;
-                const itemType = elements.contextMenu.dataset.itemType;
-                const itemId = elements.contextMenu.dataset.itemId;
-                this.handleContextMenuAction(action, itemType, itemId);
-                this.ui.hideContextMenu();
-            });
-        });
+    /**
+     * Send FC05/06/15/16 to slave 0. No device answers, so success only means the frame went out.
+     */
+    async handleSendBroadcast() {
+        const conn = this.store.getConnection(this.pendingBroadcastConnId);
+        if (!conn || !conn.isConnected) {
+            this.ui.showNotification('Not connected', 'error');
+            return;
+        }
 
-        // Hide context menu on click outside
-        document.addEventListener('click', (e) => {
-            if (!elements.contextMenu.contains(e.target)) {
-                this.ui.hideContextMenu();
-            }
-        });
+        const functionCode = parseInt(document.getElementById('modalBroadcastFunction').value);
+        const isCoil = functionCode === FUNCTION_CODES.WRITE_SINGLE_COIL || functionCode === FUNCTION_CODES.WRITE_MULTIPLE_COILS;
+        const isSingle = functionCode === FUNCTION_CODES.WRITE_SINGLE_COIL || functionCode === FUNCTION_CODES.WRITE_SINGLE_REGISTER;
+        const maxValues = isSingle ? 1 : isCoil ? 1968 : 123;
 
-        // Modal form submissions
-        document.getElementById('btnSelectPort').addEventListener('click', () => this.handleSelectPort());
-        document.getElementById('btnAddSlave').addEventListener('click', () => this.handleAddSlave());
-        document.getElementById('btnAddGroup').addEventListener('click', () => this.handleAddGroup());
-        document.getElementById('btnAddRegister').addEventListener('click', () => this.handleAddRegister());
-        document.getElementById('btnUpdateSlave').addEventListener('click', () => this.handleUpdateSlave());
-        document.getElementById('btnUpdateGroup').addEventListener('click', () => this.handleUpdateGroup());
-        document.getElementById('btnUpdateConnection').addEventListener('click', () => this.handleUpdateConnection());
+        const addressText = document.getElementById('modalBroadcastAddress').value.trim();
+        const address = addressText.startsWith('0x') || addressText.startsWith('0X')
+            ? parseInt(addressText, 16)
+            : ModbusMaster.convertAddress(addressText, isCoil ? '0x' : '4x');
+        const values = document.getElementById('modalBroadcastValues').value
+            .split(/[\s,;]+/)
+            .filter(v => v !== '')
+            .map(v => parseInt(v));
 
-        // Mode toggle
-        document.getElementById('btnModeMaster').addEventListener('click', () => this.switchMode('master'));
-        document.getElementById('btnModeSlave').addEventListener('click', () => this.switchMode('slave'));
+        if (isNaN(address) || address < 0 || address > 0xFFFF || address + values.length > 0x10000) {
+            this.ui.showNotification('Please enter a valid address', 'error');
+            return;
+        }
+        if (values.length < 1 || values.length > maxValues ||
+            values.some(v => isNaN(v) || v < 0 || v > (isCoil ? 1 : 0xFFFF))) {
+            this.ui.showNotification(isCoil
+                ? `Enter ${maxValues === 1 ? 'one value' : `1-${maxValues} values`} of 0 or 1`
+                : `Enter ${maxValues === 1 ? 'one value' : `1-${maxValues} values`} between 0 and 65535`, 'error');
+            return;
+        }
 
-        // Slave mode controls
-        document.getElementById('btnConfigureSlave').addEventListener('click', () => this.showSlaveConfigModal());
-        document.getElementById('btnStartSlaveServer').addEventListener('click', () => this.startSlaveServer());
-        document.getElementById('btnStopSlaveServer').addEventListener('click', () => this.stopSlaveServer());
-        document.getElementById('btnSaveSlaveConfig').addEventListener('click', () => this.saveSlaveConfig());
-        document.getElementById('btnAddRegisterMap').addEventListener('click', () => this.showAddRegisterMapModal());
-        document.getElementById('btnConfirmAddRegisterMap').addEventListener('click', () => this.handleAddRegisterMap());
+        const modbus = new ModbusMaster(BROADCAST_ADDRESS);
+        let frame;
+        switch (functionCode) {
+            case FUNCTION_CODES.WRITE_SINGLE_COIL:
+                frame = modbus.buildWriteSingleCoilFrame(address, values[0]);
+                break;
+            case FUNCTION_CODES.WRITE_SINGLE_REGISTER:
+                frame = modbus.buildWriteSingleRegisterFrame(address, values[0]);
+                break;
+            case FUNCTION_CODES.WRITE_MULTIPLE_COILS:
+                frame = modbus.buildWriteMultipleCoilsFrame(address, values);
+                break;
+            default:
+                frame = modbus.buildWriteMultipleRegistersFrame(address, values);
+        }
 
-        // Register map tree clicks
-        document.getElementById('registerMapTree').addEventListener('click', (e) => {
-            const item = e.target.closest('.register-map-tree__item');
-            if (item) {
-                this.selectRegisterMapType(item.dataset.type);
-            }
-        });
+        const status = document.getElementById('broadcastStatus');
+        try {
+            await this.transact(conn, frame, { priority: 'write' });
+            status.textContent = `Sent ${FUNCTION_NAMES[functionCode]} to all slaves at ${ValueInterpreter.toHexString(address)}: ` +
+                `${values.join(', ')} (no reply expected)`;
+            this.ui.showNotification('Broadcast sent', 'success');
+        } catch (error) {
+            if (error.name === 'AbortError') return;
 
-        // Set up slave callbacks
-        this.modbusSlave.onRegisterRead = (type, address, quantity) => {
-            this.ui.flashRegisterAccess(type, address, quantity, 'read');
-        };
-        this.modbusSlave.onRegisterWrite = (type, address, quantity) => {
-            this.ui.flashRegisterAccess(type, address, quantity, 'write');
-            this.ui.renderSlaveRegisterTable();
-        };
-        this.modbusSlave.onRequest = (frame) => {
-            this.trafficLogger.logRx(frame);
-        };
-        this.modbusSlave.onResponse = (frame) => {
-            this.trafficLogger.logTx(frame);
-        };
+            this.trafficLogger.logError(error.message, conn.portName);
+            this.countError(error);
+            status.textContent = `Failed: ${error.message}`;
+            this.ui.showNotification(`Broadcast failed: ${error.message}`, 'error');
+        } finally {
+            this.ui.updateStatusBar();
+        }
+    }
 
-        // Function tabs
-        elements.functionTabs.querySelectorAll('.function-tab').forEach(tab => {
-            tab.addEventListener('click', () => {
-                const fc = tab.dataset.fc;
-                if (fc === 'TC') {
-                    this.handleTestConnection();
-                }
-            });
-        });
+    // ===== Read FIFO Queue (FC24) =====
+    showFifoModal(slaveId) {
+        const slave = this.store.getSlave(slaveId);
+        if (!slave) return;
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            // Skip if typing in an input field
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
-                if (e.key === 'Escape') {
-                    e.target.blur();
-                }
-                return;
-            }
+        this.pendingFifoSlaveId = slaveId;
+        document.getElementById('fifoQueueTitle').textContent = `📥 Read FIFO Queue - ${slave.alias}`;
+        document.getElementById('fifoStatus').textContent = 'Not read yet';
+        document.getElementById('fifoValues').innerHTML = '';
+        this.ui.showModal('modalFifoQueue');
+    }
 
-            if (e.ctrlKey || e.metaKey) {
-                const key = e.key.toLowerCase();
-                // Prevent browser defaults for our shortcuts
-                if (['n', 'o', 'r', 't'].includes(key)) {
-                    e.preventDefault();
-                    e.stopPropagation();
-                }
+    async handleReadFifo() {
+        const slave = this.store.getSlave(this.pendingFifoSlaveId);
+        const conn = slave && this.store.getConnection(slave.connectionId);
+        if (!conn || !conn.isConnected) {
+            this.ui.showNotification('Not connected', 'error');
+            return;
+        }
 
-                switch (key) {
-                    case 'n':
-                        this.handleNewConnection();
-                        break;
-                    case 'o':
-                        if (!elements.btnOpenConnection.disabled) {
-                            this.handleOpenConnection();
-                        }
-                        break;
-                    case 'r':
-                        if (!elements.btnRefreshRegisters.disabled) {
-                            this.handleRefreshRegisters();
-                        }
-                        break;
-                    case 't':
-                        this.handleTestConnection();
-                        break;
-                }
-            }
-            if (e.key === 'Escape') {
-                this.ui.hideAllModals();
-                this.ui.hideContextMenu();
-            }
-        });
+        const pointerAddress = this.parseHoldingAddress(document.getElementById('modalFifoAddress').value);
+        if (isNaN(pointerAddress) || pointerAddress < 0 || pointerAddress > 0xFFFF) {
+            this.ui.showNotification('Please enter a valid address', 'error');
+            return;
+        }
+
+        const modbus = new ModbusMaster(slave.slaveId);
+        try {
+            const response = await this.transact(conn, modbus.buildReadFifoQueueFrame(pointerAddress));
+            this.ui.renderFifoQueue(pointerAddress, modbus.parseReadFifoQueueResponse(response));
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            this.trafficLogger.logError(error.message, conn.portName);
+            this.countError(error);
+            document.getElementById('fifoStatus').textContent = `Failed: ${error.message}`;
+        } finally {
+            this.ui.updateStatusBar();
+        }
     }
 
-    // ===== Connection Handlers =====
-    handleNewConnection() {
-        this.ui.showModal('modalNewConnection');
+    // ===== Report Server ID (FC17) =====
+    showServerIdModal(slaveId) {
+        const slave = this.store.getSlave(slaveId);
+        if (!slave) return;
+
+        this.pendingServerIdSlaveId = slaveId;
+        document.getElementById('serverIdTitle').textContent = `🪪 Report Server ID - ${slave.alias}`;
+        document.getElementById('serverIdTable').innerHTML = '';
+        this.ui.showModal('modalServerId');
+        this.handleReadServerId();
     }
 
-    async handleSelectPort() {
-        try {
-            this.ui.showLoading('Selecting port...');
-            await this.serialManager.requestPort();
+    async handleReadServerId() {
+        const slave = this.store.getSlave(this.pendingServerIdSlaveId);
+        const conn = slave && this.store.getConnection(slave.connectionId);
+        if (!conn || !conn.isConnected) {
+            this.ui.showNotification('Not connected', 'error');
+            return;
+        }
 
-            const config = {
-                portName: this.serialManager.getPortName(),
-                baudRate: parseInt(document.getElementById('modalBaudRate').value),
-                parity: document.getElementById('modalParity').value,
-                dataBits: parseInt(document.getElementById('modalDataBits').value),
-                stopBits: parseInt(document.getElementById('modalStopBits').value)
-            };
+        const status = document.getElementById('serverIdStatus');
+        status.textContent = 'Reading...';
 
-            const connection = this.store.addConnection(config);
-            this.currentConnection = connection;
+        const modbus = new ModbusMaster(slave.slaveId);
+        try {
+            const response = await this.transact(conn, modbus.buildReportServerIdFrame());
+            const result = modbus.parseReportServerIdResponse(response);
+            if (this.pendingServerIdSlaveId === slave.id) {
+                this.ui.renderServerId(result);
+                status.textContent = `Read ${new Date().toLocaleTimeString()}`;
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            this.trafficLogger.logError(error.message, conn.portName);
+            this.countError(error);
+            status.textContent = `Failed: ${error.message}`;
+        } finally {
+            this.ui.updateStatusBar();
+        }
+    }
 
-            // Connect immediately
-            await this.serialManager.connect(
-                config.baudRate,
-                config.parity,
-                config.dataBits,
-                config.stopBits
-            );
+    // ===== File Records (FC20 / FC21) =====
+    showFileRecordsModal(slaveId) {
+        const slave = this.store.getSlave(slaveId);
+        if (!slave) return;
 
-            connection.isConnected = true;
+        this.pendingFileRecordSlaveId = slaveId;
+        this.fileRecordData = null;
+        document.getElementById('fileRecordsTitle').textContent = `📂 File Records - ${slave.alias}`;
+        document.getElementById('fileRecordHex').textContent = '';
+        document.getElementById('btnSaveFileRecords').disabled = true;
+        this.ui.updateFileRecordProgress(0, 0, 'Not started');
+        this.ui.showModal('modalFileRecords');
+    }
 
-            // Auto-create default Slave (ID: 1), Register Group, and 10 registers
-            const slave = this.store.addSlave(connection.id, 1, 'Device 1');
-            const group = this.store.addRegisterGroup(slave.id, 'Registers', 1000);
+    /**
+     * File number and first record from the panel, or null (with a notification) when invalid
+     */
+    readFileRecordTarget() {
+        const file = parseInt(document.getElementById('modalFileNumber').value);
+        const record = parseInt(document.getElementById('modalFileStartRecord').value);
 
-            // Add 10 holding registers (4x, address 0-9)
-            const defaultRegisters = [];
-            for (let i = 0; i < 10; i++) {
-                defaultRegisters.push({ type: '4x', address: i, alias: '' });
-            }
-            this.store.addRegisters(group.id, defaultRegisters);
+        if (isNaN(file) || file < 0 || file > 0xFFFF) {
+            this.ui.showNotification('File number must be between 0 and 65535', 'error');
+            return null;
+        }
+        if (isNaN(record) || record < 0 || record > MAX_FILE_RECORD_NUMBER) {
+            this.ui.showNotification(`Start record must be between 0 and ${MAX_FILE_RECORD_NUMBER}`, 'error');
+            return null;
+        }
+        return { file, record };
+    }
 
-            this.ui.hideModal('modalNewConnection');
-            this.ui.renderDeviceTree();
-            this.ui.updateConnectionStatus(true, config.portName);
+    /**
+     * Run chunked FC20/FC21 transfers with the Read/Stop buttons and progress bar.
+     * transfer(conn, modbus, signal) does the work and returns the final status text.
+     */
+    async runFileRecordTransfer(transfer) {
+        const slave = this.store.getSlave(this.pendingFileRecordSlaveId);
+        const conn = slave && this.store.getConnection(slave.connectionId);
+        if (!conn || !conn.isConnected) {
+            this.ui.showNotification('Not connected', 'error');
+            return;
+        }
 
-            // Select the new group so user can see the registers
-            this.ui.selectedTreeItem = { type: 'group', id: group.id };
-            this.ui.onTreeItemSelected(this.ui.selectedTreeItem);
+        if (this.fileRecordController) {
+            this.fileRecordController.abort();
+        }
+        const controller = new AbortController();
+        this.fileRecordController = controller;
 
-            this.ui.showNotification(`Connected to ${config.portName}`, 'success');
+        const btnRead = document.getElementById('btnReadFileRecords');
+        const btnWrite = document.getElementById('btnWriteFileRecords');
+        const btnStop = document.getElementById('btnStopFileRecords');
+        btnRead.style.display = 'none';
+        btnWrite.disabled = true;
+        btnStop.style.display = '';
 
+        try {
+            const text = await transfer(conn, new ModbusMaster(slave.slaveId), controller.signal);
+            this.ui.updateFileRecordProgress(1, 1, text);
         } catch (error) {
-            this.handleSerialError(error);
+            if (error.name === 'AbortError') {
+                document.getElementById('fileRecordStatus').textContent = 'Stopped';
+                return;
+            }
+            this.trafficLogger.logError(error.message, conn.portName);
+            this.countError(error);
+            document.getElementById('fileRecordStatus').textContent = `Failed: ${error.message}`;
+            this.ui.showNotification(`File record transfer failed: ${error.message}`, 'error');
         } finally {
-            this.ui.hideLoading();
+            if (this.fileRecordController === controller) {
+                this.fileRecordController = null;
+                btnRead.style.display = '';
+                btnWrite.disabled = false;
+                btnStop.style.display = 'none';
+            }
+            this.ui.updateStatusBar();
         }
     }
 
-    async handleOpenConnection() {
-        if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'connection') return;
+    async handleReadFileRecords() {
+        const target = this.readFileRecordTarget();
+        if (!target) return;
 
-        const conn = this.store.getConnection(this.ui.selectedTreeItem.id);
-        if (!conn || conn.isConnected) return;
+        const { file, record } = target;
+        const count = parseInt(document.getElementById('modalFileRecordCount').value);
+        if (isNaN(count) || count < 1 || record + count - 1 > MAX_FILE_RECORD_NUMBER) {
+            this.ui.showNotification(`Records must stay within 0-${MAX_FILE_RECORD_NUMBER}`, 'error');
+            return;
+        }
 
-        try {
-            this.ui.showLoading('Connecting...');
+        await this.runFileRecordTransfer(async (conn, modbus, signal) => {
+            const bytes = new Uint8Array(count * 2);
+            for (let done = 0; done < count; done += MAX_FILE_RECORDS_PER_READ) {
+                const length = Math.min(MAX_FILE_RECORDS_PER_READ, count - done);
+                this.ui.updateFileRecordProgress(done, count, `Reading records ${record + done}-${record + done + length - 1}...`);
 
-            // Request port again since we can't persist the port object
-            await this.serialManager.requestPort();
-            await this.serialManager.connect(conn.baudRate, conn.parity, conn.dataBits, conn.stopBits);
+                const frame = modbus.buildReadFileRecordFrame([{ file, record: record + done, length }]);
+                const response = await this.transact(conn, frame, { signal });
+                const [values] = modbus.parseReadFileRecordResponse(response);
+                if (!values || values.length !== length) {
+                    throw new Error(`Expected ${length} records, got ${values ? values.length : 0}`);
+                }
 
-            conn.isConnected = true;
-            conn.portName = this.serialManager.getPortName();
-            this.currentConnection = conn;
+                values.forEach((value, i) => {
+                    bytes[(done + i) * 2] = (value >> 8) & 0xFF;
+                    bytes[(done + i) * 2 + 1] = value & 0xFF;
+                });
+            }
 
-            this.ui.renderDeviceTree();
-            this.ui.updateConnectionStatus(true, conn.portName);
-            this.ui.onTreeItemSelected(this.ui.selectedTreeItem);
-            this.ui.showNotification(`Connected to ${conn.portName}`, 'success');
+            this.fileRecordData = { file, record, bytes };
+            this.ui.renderFileRecordHex(bytes, record);
+            document.getElementById('btnSaveFileRecords').disabled = false;
+            return `Read ${count} record(s) from file ${file}`;
+        });
+    }
 
-        } catch (error) {
-            this.handleSerialError(error);
-        } finally {
-            this.ui.hideLoading();
+    handleStopFileRecords() {
+        if (this.fileRecordController) {
+            this.fileRecordController.abort();
         }
     }
 
-    async handleCloseConnection() {
-        if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'connection') return;
+    /**
+     * Download the last read range as a binary file (records big-endian, as on the wire)
+     */
+    handleSaveFileRecords() {
+        if (!this.fileRecordData) return;
 
-        const conn = this.store.getConnection(this.ui.selectedTreeItem.id);
-        if (!conn || !conn.isConnected) return;
+        const { file, record, bytes } = this.fileRecordData;
+        const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `file${file}_records${record}-${record + bytes.length / 2 - 1}.bin`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
 
-        try {
-            // Stop all polling for this connection
-            const slaves = this.store.getSlavesForConnection(conn.id);
-            for (const slave of slaves) {
-                const groups = this.store.getGroupsForSlave(slave.id);
-                for (const group of groups) {
-                    this.store.stopPolling(group.id);
-                }
-            }
+    /**
+     * Write a local binary file from the start record on, one FC21 request per chunk
+     */
+    async handleWriteFileRecords(input) {
+        const upload = input.files[0];
+        input.value = ''; // picking the same file again should fire another change
+        if (!upload) return;
 
-            await this.serialManager.disconnect();
-            conn.isConnected = false;
-            this.currentConnection = null;
+        const target = this.readFileRecordTarget();
+        if (!target) return;
 
-            this.ui.renderDeviceTree();
-            this.ui.updateConnectionStatus(false);
-            this.ui.onTreeItemSelected(this.ui.selectedTreeItem);
-            this.ui.showNotification('Disconnected', 'info');
+        const { file, record } = target;
+        const bytes = new Uint8Array(await upload.arrayBuffer());
+        const count = Math.ceil(bytes.length / 2);
 
-        } catch (error) {
-            this.ui.showNotification(`Disconnect error: ${error.message}`, 'error');
+        if (count === 0) {
+            this.ui.showNotification('The selected file is empty', 'error');
+            return;
+        }
+        if (record + count - 1 > MAX_FILE_RECORD_NUMBER) {
+            this.ui.showNotification(`${upload.name} needs ${count} records - it does not fit below record ${MAX_FILE_RECORD_NUMBER + 1}`, 'error');
+            return;
+        }
+        if (!confirm(`Write ${upload.name} (${bytes.length} bytes) to file ${file}, records ${record}-${record + count - 1}?`)) {
+            return;
         }
-    }
 
-    handleEditConnection() {
-        if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'connection') return;
+        // Records are 16-bit - an odd-sized file gets a zero pad byte
+        const values = [];
+        for (let i = 0; i < bytes.length; i += 2) {
+            values.push((bytes[i] << 8) | (bytes[i + 1] ?? 0));
+        }
 
-        const conn = this.store.getConnection(this.ui.selectedTreeItem.id);
-        if (!conn) return;
+        await this.runFileRecordTransfer(async (conn, modbus, signal) => {
+            for (let done = 0; done < count; done += MAX_FILE_RECORDS_PER_WRITE) {
+                const chunk = values.slice(done, done + MAX_FILE_RECORDS_PER_WRITE);
+                this.ui.updateFileRecordProgress(done, count, `Writing records ${record + done}-${record + done + chunk.length - 1}...`);
 
-        // Populate modal with current values
-        document.getElementById('modalEditConnPort').value = conn.portName || 'Not selected';
-        document.getElementById('modalEditConnBaudRate').value = conn.baudRate;
-        document.getElementById('modalEditConnParity').value = conn.parity;
-        document.getElementById('modalEditConnDataBits').value = conn.dataBits;
-        document.getElementById('modalEditConnStopBits').value = conn.stopBits;
+                const frame = modbus.buildWriteFileRecordFrame([{ file, record: record + done, values: chunk }]);
+                const response = await this.transact(conn, frame, { priority: 'write', signal });
+                modbus.parseWriteResponse(response, FUNCTION_CODES.WRITE_FILE_RECORD, frame);
+            }
 
-        this.pendingEditConnectionId = conn.id;
-        this.ui.showModal('modalEditConnection');
+            this.ui.showNotification(`Wrote ${count} record(s) to file ${file}`, 'success');
+            return `Wrote ${upload.name} to file ${file}, records ${record}-${record + count - 1}`;
+        });
     }
 
-    handleUpdateConnection() {
-        if (!this.pendingEditConnectionId) return;
+    // ===== Diagnostics (FC08 / FC11 / FC12) =====
+    showDiagnosticsModal(slaveId) {
+        const slave = this.store.getSlave(slaveId);
+        if (!slave) return;
 
-        const conn = this.store.getConnection(this.pendingEditConnectionId);
-        if (!conn) return;
+        this.pendingDiagnosticsSlaveId = slaveId;
+        document.getElementById('diagnosticsTitle').textContent = `🩺 Diagnostics - ${slave.alias}`;
+        document.getElementById('diagnosticsStatus').textContent = 'Not read yet';
+        document.getElementById('diagnosticsCounters').innerHTML = '';
+        document.getElementById('diagnosticsEventLog').innerHTML = '';
+        document.getElementById('diagLoopbackResult').textContent = '';
+        this.ui.showModal('modalDiagnostics');
+        this.handleRefreshDiagnostics();
+    }
 
-        const newSettings = {
-            baudRate: parseInt(document.getElementById('modalEditConnBaudRate').value),
-            parity: document.getElementById('modalEditConnParity').value,
-            dataBits: parseInt(document.getElementById('modalEditConnDataBits').value),
-            stopBits: parseInt(document.getElementById('modalEditConnStopBits').value)
-        };
+    /**
+     * Slave and connection of the open diagnostics panel, or null (with a notification) when offline
+     */
+    getDiagnosticsTarget() {
+        const slave = this.store.getSlave(this.pendingDiagnosticsSlaveId);
+        const conn = slave && this.store.getConnection(slave.connectionId);
+        if (!conn || !conn.isConnected) {
+            this.ui.showNotification('Not connected', 'error');
+            return null;
+        }
+        return { slave, conn };
+    }
 
-        // Update connection in store
-        Object.assign(conn, newSettings);
-        this.store.saveToLocalStorage();
+    async handleRefreshDiagnostics() {
+        const target = this.getDiagnosticsTarget();
+        if (!target) return;
 
-        this.ui.hideModal('modalEditConnection');
-        this.ui.renderDeviceTree();
-        this.ui.updateStatusBar();
+        const btnRefresh = document.getElementById('btnRefreshDiagnostics');
+        const status = document.getElementById('diagnosticsStatus');
+        btnRefresh.disabled = true;
+        status.textContent = 'Reading...';
 
-        // If currently connected, notify that changes will apply on reconnect
-        if (conn.isConnected) {
-            this.ui.showNotification('Settings saved. Reconnect to apply changes.', 'info');
-        } else {
-            this.ui.showNotification('Connection settings updated', 'success');
+        try {
+            const result = await this.readDiagnostics(target.conn, target.slave);
+            if (this.pendingDiagnosticsSlaveId === target.slave.id) {
+                this.ui.renderDiagnostics(result);
+                status.textContent = `Read ${new Date().toLocaleTimeString()}`;
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            status.textContent = `Failed: ${error.message}`;
+        } finally {
+            btnRefresh.disabled = false;
         }
     }
 
-    handleSerialError(error) {
-        let message = error.message;
+    /**
+     * Read the FC08 counters, the FC11 event counter and the FC12 event log.
+     * Devices often implement only some of them, so each failure is kept
+     * as that row's value instead of stopping the rest.
+     */
+    async readDiagnostics(conn, slave) {
+        const modbus = new ModbusMaster(slave.slaveId);
+        const request = async (frame, parse) => {
+            try {
+                return parse(await this.transact(conn, frame));
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                return error;
+            }
+        };
 
-        if (error.name === 'NotFoundError') {
-            message = 'No port selected';
-        } else if (error.name === 'SecurityError') {
-            message = 'Access denied - check browser permissions';
-        } else if (error.name === 'NetworkError') {
-            message = 'Device disconnected or in use by another application';
+        const rows = [];
+        for (const counter of DIAGNOSTIC_COUNTERS) {
+            const value = await request(modbus.buildDiagnosticsFrame(counter.subFunction),
+                response => modbus.parseDiagnosticsResponse(response, counter.subFunction));
+            rows.push({ label: `${counter.label} (FC08/${counter.subFunction.toString(16).padStart(2, '0').toUpperCase()})`, value });
         }
 
-        this.ui.showNotification(message, 'error');
-        this.errorCount++;
-        this.ui.updateStatusBar();
-    }
+        const counter = await request(modbus.buildGetCommEventCounterFrame(),
+            response => modbus.parseCommEventCounterResponse(response));
+        rows.push({
+            label: 'Comm events (FC11)',
+            value: counter instanceof Error ? counter : `${counter.eventCount}${counter.busy ? ' (busy)' : ''}`
+        });
 
-    // ===== Slave Handlers =====
-    handleNewSlave() {
-        if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'connection') return;
-        document.getElementById('modalSlaveId').value = '1';
-        document.getElementById('modalSlaveAlias').value = '';
-        this.ui.showModal('modalNewSlave');
-    }
+        const log = await request(modbus.buildGetCommEventLogFrame(),
+            response => modbus.parseCommEventLogResponse(response));
+        rows.push({ label: 'Messages (FC12)', value: log instanceof Error ? log : log.messageCount });
 
-    handleAddSlave() {
-        if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'connection') return;
+        return { rows, events: log instanceof Error ? null : log.events };
+    }
 
-        const slaveId = parseInt(document.getElementById('modalSlaveId').value);
-        const alias = document.getElementById('modalSlaveAlias').value;
+    /**
+     * FC08/00 - the device should echo the data word unchanged
+     */
+    async handleDiagnosticsLoopback() {
+        const target = this.getDiagnosticsTarget();
+        if (!target) return;
 
-        if (slaveId < 1 || slaveId > 247) {
-            this.ui.showNotification('Slave ID must be between 1 and 247', 'error');
+        const data = parseInt(document.getElementById('modalDiagLoopbackData').value);
+        if (isNaN(data) || data < 0 || data > 0xFFFF) {
+            this.ui.showNotification('Loopback data must be between 0 and 65535', 'error');
             return;
         }
 
-        this.store.addSlave(this.ui.selectedTreeItem.id, slaveId, alias);
-        this.ui.hideModal('modalNewSlave');
-        this.ui.renderDeviceTree();
-        this.ui.showNotification(`Slave ${alias || slaveId} added`, 'success');
-    }
-
-    handleEditSlave() {
-        if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'slave') return;
+        const result = document.getElementById('diagLoopbackResult');
+        const modbus = new ModbusMaster(target.slave.slaveId);
+        const subFunction = DIAGNOSTIC_SUBFUNCTIONS.RETURN_QUERY_DATA;
 
-        const slave = this.store.getSlave(this.ui.selectedTreeItem.id);
-        if (!slave) return;
+        try {
+            const response = await this.transact(target.conn, modbus.buildDiagnosticsFrame(subFunction, data));
+            const echoed = modbus.parseDiagnosticsResponse(response, subFunction);
+            result.textContent = echoed === data
+                ? `Loopback OK - ${ValueInterpreter.toHexString(echoed)} echoed`
+                : `Loopback mismatch - sent ${ValueInterpreter.toHexString(data)}, got ${ValueInterpreter.toHexString(echoed)}`;
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            this.trafficLogger.logError(`Loopback failed: ${error.message}`, target.conn.portName);
+            this.countError(error);
+            result.textContent = `Loopback failed: ${error.message}`;
+        }
+    }
 
-        document.getElementById('modalEditSlaveId').value = slave.slaveId;
-        document.getElementById('modalEditSlaveAlias').value = slave.alias;
-        this.ui.showModal('modalEditSlave');
+    async handleClearDiagnosticCounters() {
+        await this.sendDiagnosticCommand(DIAGNOSTIC_SUBFUNCTIONS.CLEAR_COUNTERS, 0, 'Counters cleared');
     }
 
-    handleUpdateSlave() {
-        if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'slave') return;
+    async handleRestartCommunications() {
+        if (!confirm('Restart communications on this device? Its counters will be cleared and it leaves listen only mode.')) {
+            return;
+        }
+        const clearLog = document.getElementById('modalDiagClearLog').checked;
+        await this.sendDiagnosticCommand(DIAGNOSTIC_SUBFUNCTIONS.RESTART_COMMUNICATIONS,
+            clearLog ? 0xFF00 : 0x0000, 'Communications restarted');
+    }
 
-        const slaveId = parseInt(document.getElementById('modalEditSlaveId').value);
-        const alias = document.getElementById('modalEditSlaveAlias').value;
+    /**
+     * Send a clear/restart sub-function and refresh the panel afterwards
+     */
+    async sendDiagnosticCommand(subFunction, data, successMessage) {
+        const target = this.getDiagnosticsTarget();
+        if (!target) return;
 
-        if (slaveId < 1 || slaveId > 247) {
-            this.ui.showNotification('Slave ID must be between 1 and 247', 'error');
+        const modbus = new ModbusMaster(target.slave.slaveId);
+        try {
+            const response = await this.transact(target.conn, modbus.buildDiagnosticsFrame(subFunction, data), { priority: 'write' });
+            modbus.parseDiagnosticsResponse(response, subFunction);
+            this.ui.showNotification(successMessage, 'success');
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            this.trafficLogger.logError(error.message, target.conn.portName);
+            this.countError(error);
+            this.ui.showNotification(`Diagnostics failed: ${error.message}`, 'error');
             return;
         }
 
-        this.store.updateSlave(this.ui.selectedTreeItem.id, { slaveId, alias });
-        this.ui.hideModal('modalEditSlave');
-        this.ui.renderDeviceTree();
-        this.ui.showNotification('Slave updated', 'success');
+        await this.handleRefreshDiagnostics();
     }
 
-    // ===== Register Group Handlers =====
-    handleAddGroupFromContext(slaveId) {
-        document.getElementById('modalGroupName').value = '';
-        document.getElementById('modalPollingInterval').value = '1000';
-        document.getElementById('modalGroupRegType').value = '4x';
-        document.getElementById('modalGroupRegAddress').value = '40001';
-        document.getElementById('modalGroupRegQuantity').value = '10';
-        this.pendingGroupSlaveId = slaveId;
-        this.ui.showModal('modalNewGroup');
-    }
+    // ===== Device Identification (FC43 / MEI 14) =====
+    showDeviceInfoModal(slaveId) {
+        const slave = this.store.getSlave(slaveId);
+        if (!slave) return;
 
-    handleAddGroup() {
-        const name = document.getElementById('modalGroupName').value;
-        const pollingInterval = parseInt(document.getElementById('modalPollingInterval').value) || 1000;
+        this.pendingDeviceInfoSlaveId = slaveId;
+        document.getElementById('deviceInfoTitle').textContent = `ℹ️ Device Info - ${slave.alias}`;
+        this.ui.renderDeviceInfo(slave.deviceInfo || null);
+        this.ui.showModal('modalDeviceInfo');
+        this.handleReadDeviceInfo();
+    }
 
-        if (!name) {
-            this.ui.showNotification('Please enter a group name', 'error');
+    async handleReadDeviceInfo() {
+        const slave = this.store.getSlave(this.pendingDeviceInfoSlaveId);
+        const conn = slave && this.store.getConnection(slave.connectionId);
+        if (!conn || !conn.isConnected) {
+            this.ui.showNotification('Not connected', 'error');
             return;
         }
 
-        // Create the group
-        const group = this.store.addRegisterGroup(this.pendingGroupSlaveId, name, pollingInterval);
-
-        // Add registers if quantity > 0
-        const regType = document.getElementById('modalGroupRegType').value;
-        const regAddressStr = document.getElementById('modalGroupRegAddress').value;
-        const regQuantity = parseInt(document.getElementById('modalGroupRegQuantity').value) || 0;
+        const btnRead = document.getElementById('btnReadDeviceInfo');
+        btnRead.disabled = true;
+        document.getElementById('deviceInfoStatus').textContent = 'Reading...';
 
-        if (regQuantity > 0 && regAddressStr) {
-            // Parse address (supports hex like 0x0000 or decimal like 40001)
-            let address;
-            if (regAddressStr.startsWith('0x') || regAddressStr.startsWith('0X')) {
-                address = parseInt(regAddressStr, 16);
-            } else {
-                address = ModbusMaster.convertAddress(regAddressStr, regType);
+        try {
+            const deviceInfo = await this.readDeviceIdentification(conn, slave);
+            this.store.updateSlave(slave.id, { deviceInfo });
+            if (this.pendingDeviceInfoSlaveId === slave.id) {
+                this.ui.renderDeviceInfo(deviceInfo);
             }
-
-            if (!isNaN(address)) {
-                const configs = [];
-                for (let i = 0; i < regQuantity; i++) {
-                    configs.push({
-                        type: regType,
-                        address: address + i,
-                        alias: ''
-                    });
-                }
-                this.store.addRegisters(group.id, configs);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            this.trafficLogger.logError(`Device identification failed: ${error.message}`, conn.portName);
+            this.countError(error);
+            if (this.pendingDeviceInfoSlaveId === slave.id) {
+                this.ui.renderDeviceInfo(slave.deviceInfo || null);
             }
+            this.ui.showNotification(`Device info failed: ${error.message}`, 'error');
+        } finally {
+            btnRead.disabled = false;
         }
+    }
 
-        this.ui.hideModal('modalNewGroup');
-        this.ui.renderDeviceTree();
+    /**
+     * Read every identification object the slave offers: the basic stream first,
+     * then the regular and extended streams as far as its conformity level allows
+     */
+    async readDeviceIdentification(conn, slave) {
+        const modbus = new ModbusMaster(slave.slaveId);
+        const objects = {};
+        const conformityLevel = await this.readDeviceIdStream(conn, modbus, 1, objects);
 
-        // Select the new group
-        this.ui.selectedTreeItem = { type: 'group', id: group.id };
-        this.ui.onTreeItemSelected(this.ui.selectedTreeItem);
+        for (let code = 2; code <= Math.min(conformityLevel & 0x7F, 3); code++) {
+            try {
+                await this.readDeviceIdStream(conn, modbus, code, objects);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                // Higher levels are optional - keep what the lower ones returned
+                break;
+            }
+        }
 
-        const regMsg = regQuantity > 0 ? ` with ${regQuantity} registers` : '';
-        this.ui.showNotification(`Register group "${name}" created${regMsg}`, 'success');
+        return { conformityLevel, objects, readAt: new Date().toISOString() };
     }
 
-    handleEditGroupFromContext(groupId) {
-        const group = this.store.getRegisterGroup(groupId);
-        if (!group) return;
+    /**
+     * Read one category, following "more follows" until its last object.
+     * Returns the conformity level the slave reported.
+     */
+    async readDeviceIdStream(conn, modbus, code, objects) {
+        let objectId = DEVICE_ID_LEVELS[code].firstObject;
 
-        document.getElementById('modalEditGroupName').value = group.name;
-        document.getElementById('modalEditPollingInterval').value = group.pollingInterval;
-        this.pendingEditGroupId = groupId;
-        this.ui.showModal('modalEditGroup');
-    }
+        while (true) {
+            const frame = modbus.buildReadDeviceIdFrame(code, objectId);
+            const response = await this.transact(conn, frame);
+            const result = modbus.parseDeviceIdResponse(response);
 
-    handleUpdateGroup() {
-        const name = document.getElementById('modalEditGroupName').value;
-        const pollingInterval = parseInt(document.getElementById('modalEditPollingInterval').value) || 1000;
+            for (const object of result.objects) {
+                objects[object.id] = object.value;
+            }
 
-        if (!name) {
-            this.ui.showNotification('Please enter a group name', 'error');
-            return;
+            // A next id that does not move forward would loop forever
+            if (!result.moreFollows || result.nextObjectId <= objectId) {
+                return result.conformityLevel;
+            }
+            objectId = result.nextObjectId;
         }
-
-        this.store.updateRegisterGroup(this.pendingEditGroupId, { name, pollingInterval });
-        this.ui.hideModal('modalEditGroup');
-        this.ui.renderDeviceTree();
-        this.ui.showNotification('Group updated', 'success');
     }
 
-    // ===== Register Handlers =====
-    handleAddRegisterFromContext(groupId) {
-        document.getElementById('modalRegisterType').value = '4x';
-        document.getElementById('modalRegisterAddress').value = '';
-        document.getElementById('modalRegisterAlias').value = '';
-        document.getElementById('modalRegisterQuantity').value = '1';
-        document.getElementById('modalRegisterComment').value = '';
-        this.pendingRegisterGroupId = groupId;
-        this.ui.showModal('modalAddRegister');
+    // ===== Register Discovery =====
+    showDiscoverRegistersModal(slaveId) {
+        this.pendingDiscoverSlaveId = slaveId;
+        this.ui.clearDiscoveryMap();
+        document.getElementById('btnCreateDiscovered').disabled = true;
+        this.ui.showModal('modalDiscoverRegisters');
     }
 
-    handleAddRegister() {
-        const type = document.getElementById('modalRegisterType').value;
-        const addressStr = document.getElementById('modalRegisterAddress').value;
-        const alias = document.getElementById('modalRegisterAlias').value;
-        const quantity = parseInt(document.getElementById('modalRegisterQuantity').value) || 1;
-        const comment = document.getElementById('modalRegisterComment').value;
-
-        if (!addressStr) {
-            this.ui.showNotification('Please enter an address', 'error');
+    async handleStartDiscover() {
+        const slave = this.store.getSlave(this.pendingDiscoverSlaveId);
+        const conn = slave && this.store.getConnection(slave.connectionId);
+        if (!conn || !conn.isConnected) {
+            this.ui.showNotification('Not connected', 'error');
             return;
         }
 
-        // Parse address (supports hex like 0x0000 or decimal like 40001)
-        let address;
-        if (addressStr.startsWith('0x') || addressStr.startsWith('0X')) {
-            address = parseInt(addressStr, 16);
-        } else {
-            address = ModbusMaster.convertAddress(addressStr, type);
-        }
+        const from = parseInt(document.getElementById('modalDiscoverFrom').value);
+        const to = parseInt(document.getElementById('modalDiscoverTo').value);
+        const blockSize = parseInt(document.getElementById('modalDiscoverBlockSize').value) || 100;
+        const timeout = parseInt(document.getElementById('modalDiscoverTimeout').value) || 500;
+        const types = [...document.querySelectorAll('#discoverTypes input:checked')].map(input => input.value);
 
-        if (quantity > 125) {
-            this.ui.showNotification('Maximum 125 registers per group', 'error');
+        if (isNaN(from) || isNaN(to) || from < 0 || to > 65535 || from > to) {
+            this.ui.showNotification('Address range must be within 0-65535', 'error');
+            return;
+        }
+        if (types.length === 0) {
+            this.ui.showNotification('Select at least one register type', 'error');
             return;
         }
 
-        // Add multiple registers if quantity > 1
-        const configs = [];
-        for (let i = 0; i < quantity; i++) {
-            configs.push({
-                type,
-                address: address + i,
-                alias: quantity === 1 ? alias : (alias ? `${alias}_${i}` : ''),
-                comment: i === 0 ? comment : ''
-            });
+        if (this.discoverController) {
+            this.discoverController.abort();
+        }
+        const controller = new AbortController();
+        this.discoverController = controller;
+
+        const btnStart = document.getElementById('btnStartDiscover');
+        const btnStop = document.getElementById('btnStopDiscover');
+        const btnCreate = document.getElementById('btnCreateDiscovered');
+        btnStart.style.display = 'none';
+        btnStop.style.display = '';
+        btnCreate.disabled = true;
+        this.ui.clearDiscoveryMap();
+
+        let rangeCount = 0;
+        const discovery = new RegisterDiscovery((frame, options) => this.transact(conn, frame, options), slave.slaveId);
+        discovery.onRange = () => rangeCount++;
+        discovery.onProgress = (type, done, total) => {
+            const text = type !== null
+                ? `Probing ${REGISTER_TYPES[type].name}s - ${rangeCount} block(s) answered`
+                : `${controller.signal.aborted ? 'Stopped' : 'Finished'}`;
+            this.ui.updateDiscoveryProgress(done, total, text);
+        };
+
+        try {
+            const result = await discovery.discover({ types, from, to, blockSize, timeout, signal: controller.signal });
+            this.ui.renderDiscoveryMap(result, from, to);
+        } catch (error) {
+            this.ui.showNotification(`Discovery failed: ${error.message}`, 'error');
+        } finally {
+            if (this.discoverController === controller) {
+                this.discoverController = null;
+                btnStart.style.display = '';
+                btnStop.style.display = 'none';
+                btnCreate.disabled = !document.querySelector('#discoveryMap input:checked');
+            }
         }
+    }
 
-        this.store.addRegisters(this.pendingRegisterGroupId, configs);
-        this.ui.hideModal('modalAddRegister');
-        this.ui.renderRegisterTable(this.pendingRegisterGroupId);
-        this.ui.showNotification(`${quantity} register(s) added`, 'success');
+    handleStopDiscover() {
+        if (this.discoverController) {
+            this.discoverController.abort();
+        }
     }
 
-    // ===== Context Menu Handler =====
-    handleContextMenuAction(action, itemType, itemId) {
-        switch (action) {
-            case 'connect':
-                this.ui.selectedTreeItem = { type: itemType, id: itemId };
-                this.handleOpenConnection();
-                break;
-            case 'disconnect':
-                this.ui.selectedTreeItem = { type: itemType, id: itemId };
-                this.handleCloseConnection();
-                break;
-            case 'remove':
-                if (confirm('Are you sure you want to remove this connection?')) {
-                    this.store.removeConnection(itemId);
-                    this.ui.renderDeviceTree();
-                    this.ui.showNotification('Connection removed', 'info');
-                }
-                break;
-            case 'edit':
-                if (itemType === 'slave') {
-                    this.ui.selectedTreeItem = { type: itemType, id: itemId };
-                    this.handleEditSlave();
-                } else if (itemType === 'group') {
-                    this.handleEditGroupFromContext(itemId);
-                }
-                break;
-            case 'delete':
-                if (itemType === 'slave') {
-                    if (confirm('Are you sure you want to delete this slave?')) {
-                        this.store.removeSlave(itemId);
-                        this.ui.renderDeviceTree();
-                        this.ui.showNotification('Slave deleted', 'info');
-                    }
-                } else if (itemType === 'group') {
-                    if (confirm('Are you sure you want to delete this register group?')) {
-                        this.store.removeRegisterGroup(itemId);
-                        this.ui.renderDeviceTree();
-                        this.ui.showNotification('Group deleted', 'info');
-                    }
+    /**
+     * Turn each checked range into register groups (split to fit one read request)
+     */
+    handleCreateDiscovered() {
+        const slave = this.store.getSlave(this.pendingDiscoverSlaveId);
+        if (!slave) return;
+
+        const checked = document.querySelectorAll('#discoveryMap input:checked');
+        let groupCount = 0;
+        for (const checkbox of checked) {
+            const type = checkbox.dataset.type;
+            const start = parseInt(checkbox.dataset.start);
+            const end = parseInt(checkbox.dataset.end);
+
+            for (let chunkStart = start; chunkStart <= end; chunkStart += MAX_REGISTERS_PER_READ) {
+                const chunkEnd = Math.min(chunkStart + MAX_REGISTERS_PER_READ - 1, end);
+                const name = chunkStart === chunkEnd
+                    ? `${REGISTER_TYPES[type].name} ${chunkStart}`
+                    : `${REGISTER_TYPES[type].name}s ${chunkStart}-${chunkEnd}`;
+                const group = this.store.addRegisterGroup(slave.id, name);
+
+                const configs = [];
+                for (let address = chunkStart; address <= chunkEnd; address++) {
+                    configs.push({ type, address });
                 }
-                break;
-            case 'newGroup':
-                this.handleAddGroupFromContext(itemId);
-                break;
-            case 'addRegister':
-                this.handleAddRegisterFromContext(itemId);
-                break;
-            case 'refresh':
-                this.ui.selectedTreeItem = { type: 'group', id: itemId };
-                this.handleRefreshRegisters();
-                break;
-            case 'startPolling':
-                this.startPollingGroup(itemId);
-                this.ui.updatePollingStatus(true);
-                break;
-            case 'stopPolling':
-                this.store.stopPolling(itemId);
-                this.ui.renderDeviceTree();
-                this.ui.updatePollingStatus(false);
-                this.ui.showNotification('Polling stopped', 'info');
-                break;
+                this.store.addRegisters(group.id, configs);
+                groupCount++;
+            }
         }
+
+        this.ui.hideModal('modalDiscoverRegisters');
+        this.ui.renderDeviceTree();
+        this.ui.showNotification(`Created ${groupCount} register group(s)`, 'success');
     }
 
     // ===== Register Reading/Writing =====
@@ -3567,7 +8970,9 @@ class ModbusEmulator {
         await this.readRegistersForGroup(groupId);
     }
 
-    async readRegistersForGroup(groupId) {
+    async readRegistersForGroup(groupId, options = {}) {
+        const { priority = 'normal', signal = null } = options;
+
         const group = this.store.getRegisterGroup(groupId);
         if (!group) return;
 
@@ -3594,59 +8999,48 @@ class ModbusEmulator {
             }
 
             const modbus = new ModbusMaster(slave.slaveId);
+            const planner = this.getReadPlanner(slave);
 
             for (const [type, regs] of Object.entries(registersByType)) {
-                const typeInfo = REGISTER_TYPES[type];
-                if (!typeInfo) continue;
-
-                // Sort by address
-                regs.sort((a, b) => a.address - b.address);
-
-                // Read in chunks (max 125 registers)
-                let i = 0;
-                while (i < regs.length) {
-                    const startAddr = regs[i].address;
-                    let endIdx = i;
-
-                    // Find consecutive or nearby registers
-                    while (endIdx < regs.length - 1 &&
-                           regs[endIdx + 1].address - startAddr < MAX_REGISTERS_PER_READ) {
-                        endIdx++;
-                    }
+                if (!REGISTER_TYPES[type]) continue;
 
-                    const quantity = regs[endIdx].address - startAddr + 1;
-                    const frame = modbus.buildReadFrame(typeInfo.readFC, startAddr, quantity);
-
-                    // Log TX
-                    this.trafficLogger.log('TX', frame);
-                    this.messageCount++;
+                for (const block of planner.plan(type, regs.map(reg => reg.address))) {
+                    const rejected = [];
 
                     try {
-                        const response = await this.serialManager.sendWithTimeout(frame);
-
-                        // Log RX
-                        this.trafficLogger.log('RX', response);
-                        this.messageCount++;
-
-                        // Parse response
-                        const values = modbus.parseReadResponse(response, typeInfo.readFC);
+                        const values = await this.readPlannedBlock(conn, modbus, planner, type, block, rejected, {
+                            priority,
+                            signal,
+                            key: `read:${groupId}:${type}`
+                        });
 
-                        // Update register values
-                        for (const reg of regs.slice(i, endIdx + 1)) {
-                            const offset = reg.address - startAddr;
-                            if (offset < values.length) {
-                                reg.value = values[offset];
+                        for (const reg of regs) {
+                            if (values.has(reg.address)) {
+                                reg.value = values.get(reg.address);
                                 this.ui.updateRegisterValue(reg.id, reg.value);
                             }
                         }
 
                     } catch (error) {
-                        this.trafficLogger.logError(error.message);
-                        this.errorCount++;
-                        this.ui.showNotification(`Read error: ${error.message}`, 'error');
+                        // Polling stopped or connection closed while queued
+                        if (error.name === 'AbortError') return;
+
+                        const range = `${type} ${block.start}-${block.end}`;
+                        this.trafficLogger.logError(`${range}: ${error.message}`, conn.portName);
+                        this.countError(error);
+                        if (error instanceof ModbusExceptionError) {
+                            // The device is there and answering - it just refuses this block
+                            this.ui.showNotification(`${slave.alias} rejected ${range}: ${error.message}`, 'warning');
+                        } else {
+                            this.ui.showNotification(`Read error on ${conn.portName}: ${error.message}`, 'error');
+                        }
                     }
 
-                    i = endIdx + 1;
+                    if (rejected.length > 0) {
+                        const addresses = `${type} ${rejected.join(', ')}`;
+                        this.trafficLogger.logError(`${addresses}: ${MODBUS_EXCEPTIONS[0x02]} - skipped from now on`, conn.portName);
+                        this.ui.showNotification(`${slave.alias} has no ${addresses} - no longer read`, 'warning');
+                    }
                 }
             }
 
@@ -3655,13 +9049,67 @@ class ModbusEmulator {
             this.ui.updateStatusBar();
 
         } catch (error) {
-            this.trafficLogger.logError(error.message);
-            this.errorCount++;
+            this.trafficLogger.logError(error.message, conn.portName);
+            this.countError(error);
             this.ui.showNotification(`Error: ${error.message}`, 'error');
             this.ui.updateStatusBar();
         }
     }
 
+    /**
+     * Read one planned block. A block rejected with exception 02 is split between its
+     * addresses and both halves are read again; single addresses still rejected, and
+     * gaps that only failed when bridged, are learned as bad spans.
+     * Resolves with address -> value for everything read
+     */
+    async readPlannedBlock(conn, modbus, planner, type, block, rejected, options) {
+        const readFC = REGISTER_TYPES[type].readFC;
+        const quantity = block.end - block.start + 1;
+        const frame = modbus.buildReadFrame(readFC, block.start, quantity);
+
+        try {
+            const response = await this.transact(conn, frame, { ...options, key: `${options.key}:${block.start}:${quantity}` });
+            const values = modbus.parseReadResponse(response, readFC, quantity);
+            return new Map(block.addresses.map(address => [address, values[address - block.start]]));
+        } catch (error) {
+            if (!(error instanceof ModbusExceptionError) || error.exceptionCode !== 0x02) throw error;
+        }
+
+        if (block.addresses.length === 1) {
+            planner.markBad(type, block.start, block.end);
+            rejected.push(block.start);
+            this.countError(new ModbusExceptionError(readFC, 0x02));
+            return new Map();
+        }
+
+        const half = Math.ceil(block.addresses.length / 2);
+        const left = ReadPlanner.block(block.addresses.slice(0, half));
+        const right = ReadPlanner.block(block.addresses.slice(half));
+        const learnCount = planner.learnCount;
+
+        const values = await this.readPlannedBlock(conn, modbus, planner, type, left, rejected, options);
+        for (const [address, value] of await this.readPlannedBlock(conn, modbus, planner, type, right, rejected, options)) {
+            values.set(address, value);
+        }
+
+        // Neither half had to learn a bad span, so the unread addresses between them are what the device refused
+        if (planner.learnCount === learnCount && right.start - left.end > 1) {
+            planner.markBad(type, left.end + 1, right.start - 1);
+        }
+
+        return values;
+    }
+
+    /**
+     * The block read planner of a slave, built from its read settings on first use
+     */
+    getReadPlanner(slave) {
+        if (!this.readPlanners.has(slave.id)) {
+            this.readPlanners.set(slave.id, new ReadPlanner(slave));
+        }
+        return this.readPlanners.get(slave.id);
+    }
+
     async writeRegister(register, value) {
         const group = this.store.getRegisterGroup(register.groupId);
         if (!group) throw new Error('Group not found');
@@ -3688,18 +9136,10 @@ class ModbusEmulator {
             frame = modbus.buildWriteSingleRegisterFrame(register.address, value);
         }
 
-        // Log TX
-        this.trafficLogger.log('TX', frame);
-        this.messageCount++;
-
-        const response = await this.serialManager.sendWithTimeout(frame);
+        const response = await this.transact(conn, frame, { priority: 'write' });
 
-        // Log RX
-        this.trafficLogger.log('RX', response);
-        this.messageCount++;
-
-        // Validate response
-        modbus.parseWriteResponse(response, typeInfo.writeFC);
+        // Validate response, including the echoed address and value
+        modbus.parseWriteResponse(response, typeInfo.writeFC, frame);
 
         // Update local value
         register.value = value;
@@ -3708,6 +9148,184 @@ class ModbusEmulator {
         return true;
     }
 
+    /**
+     * Set or clear one bit of a holding register without touching the others.
+     * Uses FC22 Mask Write; slaves without it get a read-modify-write (FC03 + FC06),
+     * which is not atomic against other masters.
+     * Bit writes to one register run one after another, each starting from the value the last one left.
+     */
+    async writeRegisterBit(register, bit, on) {
+        const previous = this.bitWrites.get(register.id) || Promise.resolve();
+        const current = previous.catch(() => {}).then(() => this.writeRegisterBitNow(register, bit, on));
+        this.bitWrites.set(register.id, current);
+
+        try {
+            return await current;
+        } finally {
+            if (this.bitWrites.get(register.id) === current) {
+                this.bitWrites.delete(register.id);
+            }
+        }
+    }
+
+    async writeRegisterBitNow(register, bit, on) {
+        const group = this.store.getRegisterGroup(register.groupId);
+        if (!group) throw new Error('Group not found');
+
+        const slave = this.store.getSlave(group.slaveId);
+        if (!slave) throw new Error('Slave not found');
+
+        const conn = this.store.getConnection(slave.connectionId);
+        if (!conn || !conn.isConnected) throw new Error('Not connected');
+
+        if (register.type !== '4x') {
+            throw new Error('Bit writes need a holding register');
+        }
+
+        const modbus = new ModbusMaster(slave.slaveId);
+        const { andMask, orMask } = ModbusMaster.getBitMasks(bit, on);
+        const mode = slave.bitWrite || 'auto';
+
+        if (mode !== 'rmw') {
+            const frame = modbus.buildMaskWriteRegisterFrame(register.address, andMask, orMask);
+            const response = await this.transact(conn, frame, { priority: 'write' });
+
+            try {
+                modbus.parseWriteResponse(response, FUNCTION_CODES.MASK_WRITE_REGISTER, frame);
+                register.value = ModbusMaster.applyMasks(register.value, andMask, orMask);
+                this.ui.updateStatusBar();
+                return true;
+            } catch (error) {
+                const unsupported = error instanceof ModbusExceptionError && error.exceptionCode === 0x01;
+                if (!unsupported || mode === 'fc22') throw error;
+            }
+
+            // Remember it so later bit writes go straight to the fallback
+            this.store.updateSlave(slave.id, { bitWrite: 'rmw' });
+            this.ui.showNotification(`${slave.alias} does not support FC22 - using read-modify-write`, 'warning');
+        }
+
+        // Read and write hold the link together so no other request of ours runs in between
+        const value = await this.getQueue(conn).exclusive(async (send) => {
+            const readFrame = modbus.buildReadFrame(FUNCTION_CODES.READ_HOLDING_REGISTERS, register.address, 1);
+            const [current] = modbus.parseReadResponse(await send(readFrame), FUNCTION_CODES.READ_HOLDING_REGISTERS, 1);
+
+            const newValue = ModbusMaster.applyMasks(current, andMask, orMask);
+            const writeFrame = modbus.buildWriteSingleRegisterFrame(register.address, newValue);
+            modbus.parseWriteResponse(await send(writeFrame), FUNCTION_CODES.WRITE_SINGLE_REGISTER, writeFrame);
+            return newValue;
+        }, { ...this.getTransactionPolicy(conn, slave), priority: 'write' });
+
+        register.value = value;
+        this.ui.updateStatusBar();
+        return true;
+    }
+
+    /**
+     * Holding register address from hex like 0x0000 or decimal like 40001
+     */
+    parseHoldingAddress(text) {
+        text = text.trim();
+        return text.startsWith('0x') || text.startsWith('0X')
+            ? parseInt(text, 16)
+            : ModbusMaster.convertAddress(text, '4x');
+    }
+
+    // ===== Read/Write Multiple Registers (FC23) =====
+    /**
+     * Prefill from the selected holding registers (write) and the group's holding registers (read)
+     */
+    showReadWriteModal() {
+        if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'group') return;
+
+        const groupId = this.ui.selectedTreeItem.id;
+        const holding = this.store.getRegistersForGroup(groupId).filter(r => r.type === '4x');
+        const selected = holding.filter(r => this.ui.selectedRegisters.includes(r.id));
+        const toWrite = selected.length > 0 ? selected : holding.slice(0, 1);
+
+        const writeAddress = toWrite.length > 0 ? toWrite[0].address : 0;
+        const readAddress = holding.length > 0 ? holding[0].address : 0;
+        const readEnd = holding.length > 0 ? holding[holding.length - 1].address : 0;
+
+        document.getElementById('modalReadWriteWriteAddress').value = ValueInterpreter.toHexString(writeAddress);
+        document.getElementById('modalReadWriteValues').value = toWrite.map(r => r.value).join(', ') || '0';
+        document.getElementById('modalReadWriteReadAddress').value = ValueInterpreter.toHexString(readAddress);
+        document.getElementById('modalReadWriteReadQuantity').value = Math.min(readEnd - readAddress + 1, MAX_REGISTERS_PER_READ);
+        document.getElementById('readWriteResult').textContent = '';
+
+        this.pendingReadWriteGroupId = groupId;
+        this.ui.showModal('modalReadWrite');
+    }
+
+    async handleReadWrite() {
+        const group = this.store.getRegisterGroup(this.pendingReadWriteGroupId);
+        const slave = group && this.store.getSlave(group.slaveId);
+        const conn = slave && this.store.getConnection(slave.connectionId);
+        if (!conn || !conn.isConnected) {
+            this.ui.showNotification('Not connected', 'error');
+            return;
+        }
+
+        const writeAddress = this.parseHoldingAddress(document.getElementById('modalReadWriteWriteAddress').value);
+        const readAddress = this.parseHoldingAddress(document.getElementById('modalReadWriteReadAddress').value);
+        const readQuantity = parseInt(document.getElementById('modalReadWriteReadQuantity').value);
+        const values = document.getElementById('modalReadWriteValues').value
+            .split(/[\s,;]+/)
+            .filter(v => v !== '')
+            .map(v => parseInt(v));
+
+        if (isNaN(writeAddress) || isNaN(readAddress) || writeAddress < 0 || readAddress < 0 ||
+            writeAddress > 0xFFFF || readAddress > 0xFFFF) {
+            this.ui.showNotification('Please enter valid addresses', 'error');
+            return;
+        }
+        if (values.length < 1 || values.length > 121 || values.some(v => isNaN(v) || v < 0 || v > 0xFFFF)) {
+            this.ui.showNotification('Enter 1-121 values between 0 and 65535', 'error');
+            return;
+        }
+        if (isNaN(readQuantity) || readQuantity < 1 || readQuantity > MAX_REGISTERS_PER_READ) {
+            this.ui.showNotification(`Read quantity must be between 1 and ${MAX_REGISTERS_PER_READ}`, 'error');
+            return;
+        }
+
+        const modbus = new ModbusMaster(slave.slaveId);
+        const frame = modbus.buildReadWriteMultipleRegistersFrame(readAddress, readQuantity, writeAddress, values);
+
+        try {
+            const response = await this.transact(conn, frame, { priority: 'write' });
+            const readValues = modbus.parseReadWriteResponse(response, readQuantity);
+
+            // Written values first, then what was read back (the read happens after the write)
+            const seen = new Map();
+            values.forEach((value, i) => seen.set(writeAddress + i, value));
+            readValues.forEach((value, i) => seen.set(readAddress + i, value));
+
+            for (const slaveGroup of this.store.getGroupsForSlave(slave.id)) {
+                for (const reg of this.store.getRegistersForGroup(slaveGroup.id)) {
+                    if (reg.type === '4x' && seen.has(reg.address)) {
+                        reg.value = seen.get(reg.address);
+                        this.ui.updateRegisterValue(reg.id, reg.value);
+                    }
+                }
+            }
+            this.ui.updateValueEditor();
+
+            document.getElementById('readWriteResult').textContent =
+                `Wrote ${values.length} register(s) at ${ValueInterpreter.toHexString(writeAddress)}, ` +
+                `read ${ValueInterpreter.toHexString(readAddress)}: ${readValues.join(', ')}`;
+            this.ui.showNotification('Read/Write completed', 'success');
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+
+            this.trafficLogger.logError(error.message, conn.portName);
+            this.countError(error);
+            document.getElementById('readWriteResult').textContent = `Failed: ${error.message}`;
+            this.ui.showNotification(`Read/Write failed: ${error.message}`, 'error');
+        } finally {
+            this.ui.updateStatusBar();
+        }
+    }
+
     async handleTestConnection() {
         if (!this.ui.selectedTreeItem) return;
 
@@ -3736,29 +9354,20 @@ class ModbusEmulator {
             const modbus = new ModbusMaster(slave.slaveId);
             const frame = modbus.buildReadFrame(FUNCTION_CODES.READ_HOLDING_REGISTERS, 0, 1);
 
-            this.trafficLogger.log('TX', frame);
-            this.messageCount++;
-
-            const response = await this.serialManager.sendWithTimeout(frame);
+            const response = await this.transact(conn, frame);
 
-            this.trafficLogger.log('RX', response);
-            this.messageCount++;
-
-            if (ModbusMaster.validateCRC(response)) {
-                const fc = response[1];
-                if (fc >= 0x80) {
-                    // Exception response - but still means device responded
-                    this.ui.showNotification(`Device responded with exception (this is OK - device is reachable)`, 'success');
-                } else {
-                    this.ui.showNotification('Connection test successful!', 'success');
-                }
-            } else {
-                throw new Error('Invalid CRC in response');
+            try {
+                modbus.parseReadResponse(response, FUNCTION_CODES.READ_HOLDING_REGISTERS, 1);
+                this.ui.showNotification('Connection test successful!', 'success');
+            } catch (error) {
+                if (!(error instanceof ModbusExceptionError)) throw error;
+                // Exception response - but still means device responded
+                this.ui.showNotification(`Device responded with exception (this is OK - device is reachable)`, 'success');
             }
 
         } catch (error) {
-            this.trafficLogger.logError(error.message);
-            this.errorCount++;
+            this.trafficLogger.logError(error.message, conn.portName);
+            this.countError(error);
             this.ui.showNotification(`Test failed: ${error.message}`, 'error');
         } finally {
             this.ui.hideLoading();
@@ -3780,14 +9389,33 @@ class ModbusEmulator {
             return;
         }
 
-        this.store.startPolling(groupId, () => {
-            this.readRegistersForGroup(groupId);
-        });
+        this.schedulePolling(groupId);
 
         this.ui.renderDeviceTree();
         this.ui.showNotification(`Polling started (${group.pollingInterval}ms)`, 'success');
     }
 
+    /**
+     * Start the polling timer - polls queue behind writes and cancel when stopped
+     */
+    schedulePolling(groupId) {
+        const controller = new AbortController();
+        this.pollControllers.set(groupId, controller);
+
+        this.store.startPolling(groupId, () => {
+            this.readRegistersForGroup(groupId, { priority: 'poll', signal: controller.signal });
+        });
+    }
+
+    stopPollingGroup(groupId) {
+        const controller = this.pollControllers.get(groupId);
+        if (controller) {
+            controller.abort();
+            this.pollControllers.delete(groupId);
+        }
+        this.store.stopPolling(groupId);
+    }
+
     handleToggleAutoPoll() {
         if (!this.ui.selectedTreeItem || this.ui.selectedTreeItem.type !== 'group') return;
 
@@ -3796,18 +9424,18 @@ class ModbusEmulator {
 
         if (group.autoPolling) {
             // Stop polling
-            this.store.stopPolling(this.ui.selectedTreeItem.id);
+            this.stopPollingGroup(this.ui.selectedTreeItem.id);
             this.ui.renderDeviceTree();
             this.ui.elements.btnAutoPollIcon.textContent = '▶️';
             this.ui.elements.btnAutoPollText.textContent = 'Auto-Poll';
-            this.ui.updatePollingStatus(false);
+            this.ui.refreshConnectionStatus();
             this.ui.showNotification('Polling stopped', 'info');
         } else {
             // Start polling
             this.startPollingGroup(this.ui.selectedTreeItem.id);
             this.ui.elements.btnAutoPollIcon.textContent = '⏹️';
             this.ui.elements.btnAutoPollText.textContent = 'Stop Poll';
-            this.ui.updatePollingStatus(true);
+            this.ui.refreshConnectionStatus();
         }
     }
 
@@ -3841,7 +9469,7 @@ class ModbusEmulator {
             // Stop all polling
             for (const group of this.store.registerGroups) {
                 if (group.autoPolling) {
-                    this.store.stopPolling(group.id);
+                    this.stopPollingGroup(group.id);
                 }
             }
         } else if (this.currentMode === 'slave') {
@@ -3896,7 +9524,7 @@ class ModbusEmulator {
         document.getElementById('modalSlaveRandomValues').checked = this.modbusSlave.randomValues;
 
         // Get current serial settings if connected
-        if (this.serialManager.port) {
+        if (this.slaveTransport.isConnected) {
             // Use defaults for now
         }
 
@@ -3999,10 +9627,10 @@ class ModbusEmulator {
 
         try {
             // Request port if not already connected
-            if (!this.serialManager.port) {
+            if (!this.slaveTransport.isConnected) {
                 const config = this.slaveSerialConfig || { baudRate: 9600, parity: 'none' };
-                await this.serialManager.requestPort();
-                await this.serialManager.connect({
+                await this.slaveTransport.prepare();
+                await this.slaveTransport.open({
                     baudRate: config.baudRate,
                     dataBits: 8,
                     stopBits: 1,
@@ -4045,57 +9673,31 @@ class ModbusEmulator {
         serverStatus.querySelector('.server-status__text').textContent = 'Server Stopped';
 
         // Disconnect serial
-        await this.serialManager.disconnect();
+        this.slaveTransport.onReceive = null;
+        await this.slaveTransport.close();
 
         this.ui.showNotification('Slave server stopped', 'info');
     }
 
-    async startSlaveListening() {
-        const buffer = [];
-        let lastByteTime = 0;
-        const interFrameDelay = 5; // ms - time to consider frame complete
-
-        while (this.slaveServerRunning && this.serialManager.port) {
-            try {
-                const data = await this.serialManager.read();
-
-                if (data && data.length > 0) {
-                    const now = Date.now();
-
-                    // If too much time passed, start new frame
-                    if (buffer.length > 0 && (now - lastByteTime) > interFrameDelay) {
-                        // Process previous frame
-                        await this.processSlaveFrame(new Uint8Array(buffer));
-                        buffer.length = 0;
-                    }
-
-                    // Add new data to buffer
-                    for (const byte of data) {
-                        buffer.push(byte);
-                    }
-                    lastByteTime = now;
-
-                    // Check if we have a complete frame (minimum 4 bytes with CRC)
-                    if (buffer.length >= 4) {
-                        // Try to process - if valid, clear buffer
-                        const frame = new Uint8Array(buffer);
-                        if (ModbusMaster.validateCRC(frame)) {
-                            await this.processSlaveFrame(frame);
-                            buffer.length = 0;
-                        }
-                    }
-                }
+    startSlaveListening() {
+        const config = this.slaveSerialConfig || { baudRate: 9600, parity: 'none' };
+        const assembler = new RtuFrameAssembler('request');
+        assembler.configure(config.baudRate, config.parity, 8, 1);
 
-                // Small delay to prevent tight loop
-                await new Promise(resolve => setTimeout(resolve, 1));
+        assembler.onFrame = (frame) => {
+            this.processSlaveFrame(frame);
+        };
+        assembler.onError = (error) => {
+            if (this.slaveServerRunning) {
+                this.trafficLogger.logError(`Slave framing error: ${error.message}`);
+            }
+        };
 
-            } catch (error) {
-                if (this.slaveServerRunning) {
-                    this.trafficLogger.logError(`Slave read error: ${error.message}`);
-                }
-                break;
+        this.slaveTransport.onReceive = (data) => {
+            if (this.slaveServerRunning) {
+                assembler.push(data);
             }
-        }
+        };
     }
 
     async processSlaveFrame(frame) {
@@ -4110,7 +9712,7 @@ class ModbusEmulator {
 
             // Send response
             try {
-                await this.serialManager.write(response);
+                await this.slaveTransport.write(response);
 
                 // Update server status to show activity
                 const serverStatus = document.getElementById('serverStatus');